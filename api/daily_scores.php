@@ -0,0 +1,67 @@
+<?php
+/**********************************************************************
+ * File Name: daily_scores.php
+ * Description:
+ *    Returns the leaderboard of one daily challenge: the fastest
+ *    finished runs, one per player (submit_score.php only keeps a
+ *    player's first attempt at a challenge).
+ *
+ * Expected Inputs:
+ *    - GET parameter: challenge_id (string, "YYYY-MM-DD")
+ *      Example: daily_scores.php?challenge_id=2026-10-19
+ *
+ * Expected Outputs / Results:
+ *    - On success:
+ *        Returns a JSON array of up to 10 rows (player_name,
+ *        completion_time, hints_used), fastest first. Runs that ran
+ *        out of time are left out.
+ *    - On error (bad challenge id or database failure):
+ *        Returns JSON object with status="error" and message.
+ *
+ * Called By:
+ *    - game.js (win menu of a daily challenge)
+ *
+ * Will Call:
+ *    - Database via PDO to read the challenge's scores.
+ **********************************************************************/
+
+/* ------------------- Set Response Header ------------------- */
+header("Content-Type: application/json");
+
+/* ------------------- Database Configuration ------------------- */
+$dsn = 'mysql:host=localhost;dbname=land_explorer;charset=utf8';
+$username = 'root';
+$password = '';
+
+try {
+    $db = new PDO($dsn, $username, $password);
+    $db->setAttribute(PDO::ATTR_ERRMODE, PDO::ERRMODE_EXCEPTION);
+} catch (PDOException $e) {
+    echo json_encode([
+        "status" => "error",
+        "message" => "Database connection failed",
+        "details" => $e->getMessage()
+    ]);
+    exit;
+}
+
+/* ------------------- Retrieve Challenge Id ------------------- */
+$challengeId = isset($_GET['challenge_id']) ? $_GET['challenge_id'] : '';
+
+if (!preg_match('/^\d{4}-\d{2}-\d{2}$/', $challengeId)) {
+    echo json_encode(["status" => "error", "message" => "challenge_id must be a date (YYYY-MM-DD)"]);
+    exit;
+}
+
+// --- Fastest finished runs of this challenge ---
+$stmt = $db->prepare("
+    SELECT player_name, completion_time, hints_used
+    FROM scores
+    WHERE challenge_id = :challenge_id AND completion_time IS NOT NULL
+    ORDER BY completion_time ASC, score_id ASC
+    LIMIT 10
+");
+$stmt->execute([":challenge_id" => $challengeId]);
+
+echo json_encode($stmt->fetchAll(PDO::FETCH_ASSOC));
+?>
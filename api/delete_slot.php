@@ -0,0 +1,73 @@
+<?php
+/**********************************************************************
+ * File Name: delete_slot.php
+ * Description:
+ *    Deletes one of a player's save slots (its save and the snapshots
+ *    kept in its history), so the slot picker shows it as empty again.
+ *
+ * Expected Inputs:
+ *    JSON object in the request body:
+ *      - player_name (string)
+ *      - slot (int) save slot to delete
+ *
+ * Expected Outputs / Results:
+ *    - On success: Returns JSON object {"status": "success", "deleted": n}
+ *      ("deleted" is 1, or 0 when the slot held no save)
+ *    - On error (bad input or database failure): Returns JSON object
+ *      with "status": "error", "message", and optionally "details".
+ *
+ * Called By:
+ *    - menu.js (slot picker)
+ *
+ * Will Call:
+ *    - Database via PDO to delete the slot's save and history.
+ **********************************************************************/
+
+/* ------------------- Set Response Header ------------------- */
+header("Content-Type: application/json");
+
+/* ------------------- Database Configuration ------------------- */
+$dsn = 'mysql:host=localhost;dbname=land_explorer;charset=utf8';
+$username = 'root';
+$password = '';
+
+try {
+    $db = new PDO($dsn, $username, $password);
+    $db->setAttribute(PDO::ATTR_ERRMODE, PDO::ERRMODE_EXCEPTION);
+} catch (PDOException $e) {
+    echo json_encode([
+        "status" => "error",
+        "message" => "Database connection failed",
+        "details" => $e->getMessage()
+    ]);
+    exit;
+}
+
+/* ------------------- Read and Check JSON Body ------------------- */
+$data = json_decode(file_get_contents("php://input"), true);
+
+if (!$data || empty($data["player_name"]) || !is_int($data["slot"] ?? null)) {
+    echo json_encode([
+        "status" => "error",
+        "message" => "Expected player_name and slot"
+    ]);
+    exit;
+}
+
+/* ------------------- Delete the Slot's Save and History ------------------- */
+try {
+    $stmt = $db->prepare("DELETE FROM game_saves WHERE player_name = ? AND slot = ?");
+    $stmt->execute([$data["player_name"], $data["slot"]]);
+    $db->prepare("DELETE FROM game_save_history WHERE player_name = ? AND slot = ?")
+       ->execute([$data["player_name"], $data["slot"]]);
+
+    echo json_encode(["status" => "success", "deleted" => $stmt->rowCount()]);
+
+} catch (PDOException $e) {
+    echo json_encode([
+        "status" => "error",
+        "message" => "Database delete failed",
+        "details" => $e->getMessage()
+    ]);
+}
+?>
@@ -0,0 +1,66 @@
+<?php
+/**********************************************************************
+ * File Name: list_slots.php
+ * Description:
+ *    Lists a player's save slots for the main menu's slot picker: the
+ *    save in each slot, without the full game state.
+ *
+ * Expected Inputs:
+ *    - GET parameter: player_name (string)
+ *      Example: list_slots.php?player_name=Lyra
+ *
+ * Expected Outputs / Results:
+ *    - On success: Returns a JSON array, one object per slot that holds
+ *      a save, ordered by slot: slot, slot_name, region, region_name,
+ *      seeds (JSON string, collected flags per region), game_time,
+ *      world_seed, saved_at, created_at, updated_at. Empty when the
+ *      player has no saves.
+ *    - On error: Returns JSON object with status="error", message, and
+ *      details.
+ *
+ * Called By:
+ *    - menu.js (slot picker)
+ *
+ * Will Call:
+ *    - Database via PDO to read the save of each slot.
+ **********************************************************************/
+
+/* ------------------- Set Response Header ------------------- */
+header("Content-Type: application/json");
+
+/* ------------------- Database Configuration ------------------- */
+$dsn = 'mysql:host=localhost;dbname=land_explorer;charset=utf8';
+$username = 'root';
+$password = '';
+
+try {
+    $db = new PDO($dsn, $username, $password);
+    $db->setAttribute(PDO::ATTR_ERRMODE, PDO::ERRMODE_EXCEPTION);
+} catch (PDOException $e) {
+    echo json_encode([
+        "status" => "error",
+        "message" => "Database connection failed",
+        "details" => $e->getMessage()
+    ]);
+    exit;
+}
+
+/* ------------------- Retrieve Player Name ------------------- */
+$playerName = isset($_GET['player_name']) ? $_GET['player_name'] : null;
+
+if (!$playerName || $playerName === 'null' || $playerName === 'undefined') {
+    echo json_encode([]);
+    exit;
+}
+
+// --- The save of each slot ---
+$stmt = $db->prepare("
+    SELECT slot, slot_name, region, region_name, seeds, game_time, world_seed, saved_at, created_at, updated_at
+    FROM game_saves
+    WHERE player_name = :player_name
+    ORDER BY slot
+");
+$stmt->execute([":player_name" => $playerName]);
+
+echo json_encode($stmt->fetchAll(PDO::FETCH_ASSOC));
+?>
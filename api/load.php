@@ -2,29 +2,37 @@
 /**********************************************************************
  * File Name: load.php
  * Description:
- *    Loads the most recent saved game state for a given player
- *    from the "Land Explorer" game's database and returns it as JSON.
+ *    Loads the saved game state for a given player from the "Land
+ *    Explorer" game's database and returns it as JSON, either from one
+ *    save slot or from whichever slot was saved last. Each slot holds
+ *    one save (save.php updates it in place).
  *
  * Expected Inputs:
  *    - GET parameter: player_name (string)
- *      Example: load.php?player_name=Lyra
+ *    - GET parameter: slot (int, optional) save slot to load
+ *      Example: load.php?player_name=Lyra&slot=2
  *
  * Expected Outputs / Results:
  *    - On success (save exists):
- *        Returns the most recent save as a JSON object containing fields
- *        like save_id, player_name, region, pos_x, pos_y, game_time, seeds, puzzles, crates, created_at.
+ *        Returns the save as a JSON object containing fields
+ *        like save_id, save_version, player_name, region, pos_x, pos_y, game_time, seeds, puzzles, crates, created_at, updated_at.
+ *        Saves of an older save_version are returned as stored; the game upgrades them.
  *    - On success (no save found or invalid player name):
  *        Returns JSON null.
- *    - On error:
+ *    - On error (including a current-version save that does not match
+ *      save.schema.json):
  *        Returns JSON object with status="error", message, and details.
  *
  * Called By:
  *    - game.js or any frontend script needing to load a player's save.
  *
  * Will Call:
- *    - Database via PDO to retrieve the latest save for the given player.
+ *    - Database via PDO to retrieve the player's save.
+ *    - checkSaveSchema() (save_schema.php) to check the save.
  **********************************************************************/
 
+require_once __DIR__ . "/save_schema.php";
+
 /* ------------------- Set Response Header ------------------- */
 header("Content-Type: application/json");
 
@@ -54,9 +62,19 @@ if (!$playerName || $playerName === 'null' || $playerName === 'undefined') {
     exit;
 }
 
-// --- Fetch latest save for this player ---
-$stmt = $db->prepare("SELECT * FROM game_saves WHERE player_name = :player_name ORDER BY save_id DESC LIMIT 1");
-$stmt->execute([":player_name" => $playerName]);
+// --- Fetch the slot's save, or without a slot the one saved last ---
+$slot = isset($_GET['slot']) ? filter_var($_GET['slot'], FILTER_VALIDATE_INT) : null;
+if ($slot === false) {
+    echo json_encode(null);
+    exit;
+}
+if ($slot === null) {
+    $stmt = $db->prepare("SELECT * FROM game_saves WHERE player_name = :player_name ORDER BY updated_at DESC, save_id DESC LIMIT 1");
+    $stmt->execute([":player_name" => $playerName]);
+} else {
+    $stmt = $db->prepare("SELECT * FROM game_saves WHERE player_name = :player_name AND slot = :slot");
+    $stmt->execute([":player_name" => $playerName, ":slot" => $slot]);
+}
 $save = $stmt->fetch(PDO::FETCH_ASSOC);
 
 // --- If no save exists ---
@@ -65,5 +83,29 @@ if (!$save) {
     exit;
 }
 
+// --- Check a current-version save the way the game will read it ---
+if ((int) $save["save_version"] === SAVE_VERSION) {
+    $document = (object) $save;
+    foreach (["seeds", "puzzles", "crates", "visited", "hazards", "inventory"] as $field) {
+        $document->$field = json_decode($save[$field]);
+    }
+    foreach (["save_version", "slot", "region", "hints_used", "world_seed", "saved_at"] as $field) {
+        if ($save[$field] !== null) $document->$field = (int) $save[$field];
+    }
+    foreach (["pos_x", "pos_y", "game_time"] as $field) {
+        $document->$field = (float) $save[$field];
+    }
+
+    $errors = checkSaveSchema($document);
+    if ($errors) {
+        echo json_encode([
+            "status" => "error",
+            "message" => "Saved game does not match the save format",
+            "details" => $errors
+        ]);
+        exit;
+    }
+}
+
 echo json_encode($save);
 ?>
\ No newline at end of file
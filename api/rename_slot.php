@@ -0,0 +1,92 @@
+<?php
+/**********************************************************************
+ * File Name: rename_slot.php
+ * Description:
+ *    Gives one of a player's save slots a name, shown in the main
+ *    menu's slot picker. Later saves to the slot keep the name.
+ *
+ * Expected Inputs:
+ *    JSON object in the request body:
+ *      - player_name (string)
+ *      - slot (int) save slot to rename
+ *      - slot_name (string) new name, up to 50 characters; an empty
+ *        name clears it
+ *
+ * Expected Outputs / Results:
+ *    - On success: Returns JSON object {"status": "success"}
+ *    - On error (bad input, empty slot or database failure): Returns
+ *      JSON object with "status": "error", "message", and optionally
+ *      "details".
+ *
+ * Called By:
+ *    - menu.js (slot picker)
+ *
+ * Will Call:
+ *    - Database via PDO to update the slot's save.
+ **********************************************************************/
+
+/* ------------------- Set Response Header ------------------- */
+header("Content-Type: application/json");
+
+/* ------------------- Database Configuration ------------------- */
+$dsn = 'mysql:host=localhost;dbname=land_explorer;charset=utf8';
+$username = 'root';
+$password = '';
+
+try {
+    $db = new PDO($dsn, $username, $password);
+    $db->setAttribute(PDO::ATTR_ERRMODE, PDO::ERRMODE_EXCEPTION);
+} catch (PDOException $e) {
+    echo json_encode([
+        "status" => "error",
+        "message" => "Database connection failed",
+        "details" => $e->getMessage()
+    ]);
+    exit;
+}
+
+/* ------------------- Read and Check JSON Body ------------------- */
+$data = json_decode(file_get_contents("php://input"), true);
+
+if (!$data || empty($data["player_name"]) || !is_int($data["slot"] ?? null) || !is_string($data["slot_name"] ?? null)) {
+    echo json_encode([
+        "status" => "error",
+        "message" => "Expected player_name, slot and slot_name"
+    ]);
+    exit;
+}
+
+$slotName = trim($data["slot_name"]);
+if (mb_strlen($slotName) > 50) {
+    echo json_encode([
+        "status" => "error",
+        "message" => "slot_name can be at most 50 characters"
+    ]);
+    exit;
+}
+
+/* ------------------- Rename the Slot's Save ------------------- */
+try {
+    $check = $db->prepare("SELECT COUNT(*) FROM game_saves WHERE player_name = ? AND slot = ?");
+    $check->execute([$data["player_name"], $data["slot"]]);
+    if ((int)$check->fetchColumn() === 0) {
+        echo json_encode([
+            "status" => "error",
+            "message" => "This slot holds no save"
+        ]);
+        exit;
+    }
+
+    $stmt = $db->prepare("UPDATE game_saves SET slot_name = ? WHERE player_name = ? AND slot = ?");
+    $stmt->execute([$slotName === '' ? null : $slotName, $data["player_name"], $data["slot"]]);
+
+    echo json_encode(["status" => "success"]);
+
+} catch (PDOException $e) {
+    echo json_encode([
+        "status" => "error",
+        "message" => "Database update failed",
+        "details" => $e->getMessage()
+    ]);
+}
+?>
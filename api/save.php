@@ -3,32 +3,64 @@
  * File Name: save.php
  * Description:
  *    Saves the current game state for a player in the "Land Explorer" game.
- *    Receives game data via JSON in the request body and inserts it into
- *    the "game_saves" table in the database.
+ *    Receives game data via JSON in the request body and stores it in
+ *    the "game_saves" table in the database, in one of the player's save
+ *    slots. Each slot has one row that every save updates in place (the
+ *    slot keeps the name it was given, rename_slot.php); the save it
+ *    replaces is kept in "game_save_history", up to SAVE_HISTORY_LIMIT
+ *    snapshots per slot. A save older (by saved_at) than the one stored
+ *    is ignored.
+ *    Also accepts saves sent with navigator.sendBeacon() when the page
+ *    is hidden or closed (same JSON body).
  *
  * Expected Inputs:
- *    JSON object in the request body with the following keys:
+ *    JSON object in the request body with the following keys (the
+ *    save format, described by save.schema.json):
+ *      - save_version (int) save format version; saves of the current
+ *        version are checked against save.schema.json. Saves without
+ *        one (made by an older game, e.g. still queued on a device)
+ *        are stored as version 1 and upgraded when they are loaded.
  *      - player_name (string)
+ *      - slot (int, optional) save slot, 1 and up (default 1)
  *      - region (int)
+ *      - region_name (string, optional) shown in the slot picker
  *      - pos_x (int)
  *      - pos_y (int)
  *      - game_time (int)
- *      - seeds (array)
- *      - puzzles (array)
- *      - crates (array)
+ *      - hints_used (int, optional) hints taken so far
+ *      - world_seed (int, optional) seed of a random world, null for
+ *        the shipped level
+ *      - saved_at (int, optional) when the game saved it (ms since
+ *        1970, the player's clock); a save queued while the server was
+ *        away arrives later than it was made
+ *      - seeds (object) collected flags by region and seed id
+ *      - puzzles (object) puzzle states by region and puzzle id
+ *      - crates (object) crate positions by region and crate id
+ *      - visited (array) region ids shown on the world map
+ *      - hazards (object) hazard clocks (ms) by region and hazard id
+ *      - inventory (object) held items, picked-up items and opened
+ *        locks
  *
  * Expected Outputs / Results:
- *    - On success: Returns JSON object {"status": "success"}
- *    - On error (DB connection or insert failure): Returns JSON object
- *      with "status": "error", "message", and optionally "details".
+ *    - On success: Returns JSON object {"status": "success"} (plus
+ *      "kept" when a newer save was already stored)
+ *    - On error (DB connection, a save that does not match the save
+ *      format, or database failure): Returns JSON object with
+ *      "status": "error", "message", and optionally "details" (for a
+ *      bad save, the list of schema errors). Errors about the save
+ *      itself also carry "rejected": true: sending the same save again
+ *      will not help, unlike a database error.
  *
  * Called By:
  *    - game.js or frontend scripts when saving player progress.
  *
  * Will Call:
- *    - Database via PDO to insert a new save record.
+ *    - checkSaveSchema() (save_schema.php) to check the save.
+ *    - Database via PDO to update the slot's save and its history.
 **********************************************************************/
 
+require_once __DIR__ . "/save_schema.php";
+
 /* ------------------- Set Response Header ------------------- */
 header("Content-Type: application/json");
 
@@ -37,6 +69,9 @@ $dsn = 'mysql:host=localhost;dbname=land_explorer;charset=utf8';
 $username = 'root';
 $password = '';
 
+// Replaced saves kept per slot in game_save_history (0 keeps none)
+const SAVE_HISTORY_LIMIT = 5;
+
 try {
     $db = new PDO($dsn, $username, $password);
     $db->setAttribute(PDO::ATTR_ERRMODE, PDO::ERRMODE_EXCEPTION);
@@ -52,42 +87,122 @@ try {
 /* ------------------- Read Raw JSON Body ------------------- */
 $raw = file_get_contents("php://input");
 $data = json_decode($raw, true);
+$save = json_decode($raw); // objects kept as objects, for the schema check and the JSON columns
 
 /* ------------------- Validation Check ------------------- */
 if (!$data) {
     echo json_encode([
         "status" => "error",
+        "rejected" => true,
         "message" => "Invalid JSON received"
     ]);
     exit;
 }
 
+/* ------------------- Save Format Check ------------------- */
+$version = $data["save_version"] ?? 1;
+if ($version === SAVE_VERSION) {
+    $errors = checkSaveSchema($save);
+    if ($errors) {
+        echo json_encode([
+            "status" => "error",
+            "rejected" => true,
+            "message" => "Save does not match the save format",
+            "details" => $errors
+        ]);
+        exit;
+    }
+} elseif ($version !== 1) {
+    echo json_encode([
+        "status" => "error",
+        "rejected" => true,
+        "message" => "Unknown save_version (this server reads 1 to " . SAVE_VERSION . ")"
+    ]);
+    exit;
+}
 
-/* ------------------- Prepare SQL Insert ------------------- */
-$stmt = $db->prepare("
-    INSERT INTO game_saves (player_name, region, pos_x, pos_y, game_time, seeds, puzzles, crates)
-    VALUES (:player_name, :region, :pos_x, :pos_y, :game_time, :seeds, :puzzles, :crates)
-");
+$slot = $data["slot"] ?? 1;
+if (!is_int($slot) || $slot < 1) {
+    echo json_encode([
+        "status" => "error",
+        "rejected" => true,
+        "message" => "slot must be a whole number from 1"
+    ]);
+    exit;
+}
 
-/* ------------------- Execute Insert ------------------- */
+/* ------------------- Replace the Slot's Save ------------------- */
+// Each slot holds one current save, updated in place (the slot keeps its
+// slot_name). A save older than the stored one (e.g. sent from a device's
+// queue after a newer one arrived) leaves it alone.
 try {
+    $db->beginTransaction();
+
+    $current = $db->prepare("SELECT saved_at FROM game_saves WHERE player_name = ? AND slot = ? FOR UPDATE");
+    $current->execute([$data["player_name"], $slot]);
+    $storedAt = $current->fetchColumn();
+    $savedAt = $data["saved_at"] ?? null;
+
+    if ($storedAt !== false && $storedAt !== null && $savedAt !== null && $savedAt < (int)$storedAt) {
+        $db->commit();
+        echo json_encode(["status" => "success", "kept" => "newer save already stored"]);
+        exit;
+    }
+
+    // --- Keep the replaced save as a snapshot, then drop the oldest ---
+    if ($storedAt !== false && SAVE_HISTORY_LIMIT > 0) {
+        $columns = "save_version, player_name, slot, region, region_name, pos_x, pos_y, game_time, hints_used, world_seed, saved_at, seeds, puzzles, crates, visited, hazards, inventory";
+        $db->prepare("INSERT INTO game_save_history ($columns) SELECT $columns FROM game_saves WHERE player_name = ? AND slot = ?")
+           ->execute([$data["player_name"], $slot]);
+        $db->prepare("
+            DELETE h FROM game_save_history h
+            JOIN (
+                SELECT history_id FROM game_save_history
+                WHERE player_name = ? AND slot = ?
+                ORDER BY history_id DESC
+                LIMIT 18446744073709551615 OFFSET " . (int)SAVE_HISTORY_LIMIT . "
+            ) old ON old.history_id = h.history_id
+        ")->execute([$data["player_name"], $slot]);
+    }
+
+    $stmt = $db->prepare("
+        INSERT INTO game_saves (save_version, player_name, slot, region, region_name, pos_x, pos_y, game_time, hints_used, world_seed, saved_at, seeds, puzzles, crates, visited, hazards, inventory)
+        VALUES (:save_version, :player_name, :slot, :region, :region_name, :pos_x, :pos_y, :game_time, :hints_used, :world_seed, :saved_at, :seeds, :puzzles, :crates, :visited, :hazards, :inventory)
+        ON DUPLICATE KEY UPDATE
+            save_version = VALUES(save_version), region = VALUES(region), region_name = VALUES(region_name),
+            pos_x = VALUES(pos_x), pos_y = VALUES(pos_y), game_time = VALUES(game_time),
+            hints_used = VALUES(hints_used), world_seed = VALUES(world_seed), saved_at = VALUES(saved_at),
+            seeds = VALUES(seeds), puzzles = VALUES(puzzles), crates = VALUES(crates),
+            visited = VALUES(visited), hazards = VALUES(hazards), inventory = VALUES(inventory)
+    ");
     $stmt->execute([
+        ":save_version" => $version,
         ":player_name" => $data["player_name"],
+        ":slot"        => $slot,
         ":region"      => $data["region"],
+        ":region_name" => $data["region_name"] ?? null,
         ":pos_x"       => $data["pos_x"],
         ":pos_y"       => $data["pos_y"],
         ":game_time"   => $data["game_time"],
-        ":seeds"       => json_encode($data["seeds"]),
-        ":puzzles"     => json_encode($data["puzzles"]),
-        ":crates"      => json_encode($data["crates"])
+        ":hints_used"  => $data["hints_used"] ?? 0,
+        ":world_seed"  => $data["world_seed"] ?? null,
+        ":saved_at"    => $savedAt,
+        ":seeds"       => json_encode($save->seeds),
+        ":puzzles"     => json_encode($save->puzzles),
+        ":crates"      => json_encode($save->crates),
+        ":visited"     => json_encode($save->visited ?? []),
+        ":hazards"     => json_encode($save->hazards ?? []),
+        ":inventory"   => json_encode($save->inventory ?? new stdClass())
     ]);
 
+    $db->commit();
     echo json_encode(["status" => "success"]);
 
 } catch (PDOException $e) {
+    if ($db->inTransaction()) $db->rollBack();
     echo json_encode([
         "status" => "error",
-        "message" => "Database insert failed",
+        "message" => "Database save failed",
         "details" => $e->getMessage()
     ]);
 }
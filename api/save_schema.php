@@ -0,0 +1,136 @@
+<?php
+/**********************************************************************
+ * File Name: save_schema.php
+ * Description:
+ *    Checks saved games against the save format's JSON schema
+ *    (save.schema.json, the same file javascript/save_format.js checks
+ *    on the client). Not called over HTTP; save.php and load.php
+ *    include it.
+ *
+ *    Covers the parts of JSON Schema (draft-07) the save schema uses:
+ *    type, const, enum, minimum, maximum, minLength, maxLength,
+ *    pattern, required, properties, additionalProperties,
+ *    propertyNames, items and $ref to "#/definitions/...".
+ *
+ * Expected Inputs:
+ *    - A save decoded with json_decode($json) (objects as stdClass, so
+ *      an empty object and an empty list stay apart)
+ *
+ * Expected Outputs / Results:
+ *    - A list of error strings, empty when the save is valid
+ *
+ * Called By:
+ *    - save.php, load.php
+ *
+ * Will Call:
+ *    - Nothing outside this file.
+ **********************************************************************/
+
+/* ------------------- Save Format Version ------------------- */
+// Kept in step with SAVE_VERSION in javascript/save_format.js
+const SAVE_VERSION = 2;
+
+/**********************************************************************
+ * Function Name: saveSchema
+ * Description:
+ *    Reads save.schema.json once.
+ * Outputs:
+ *    - the schema as stdClass objects
+ **********************************************************************/
+function saveSchema() {
+    static $schema = null;
+    if ($schema === null) {
+        $schema = json_decode(file_get_contents(__DIR__ . "/save.schema.json"));
+    }
+    return $schema;
+}
+
+/**********************************************************************
+ * Function Name: jsonType
+ * Description:
+ *    The JSON type of a decoded value ("integer" for whole numbers).
+ **********************************************************************/
+function jsonType($value) {
+    if ($value === null) return "null";
+    if (is_bool($value)) return "boolean";
+    if (is_int($value)) return "integer";
+    if (is_float($value)) return "number";
+    if (is_string($value)) return "string";
+    if (is_array($value)) return "array";
+    return "object";
+}
+
+/**********************************************************************
+ * Function Name: checkSaveSchema
+ * Description:
+ *    Checks a value against a (sub)schema, the same way checkSchema()
+ *    in javascript/save_format.js does.
+ * Inputs:
+ *    - $value: decoded JSON value
+ *    - $schema: (sub)schema, defaults to the whole save schema
+ *    - $path: where the value sits, for messages
+ * Outputs:
+ *    - array of error strings (empty when valid)
+ **********************************************************************/
+function checkSaveSchema($value, $schema = null, $path = "save") {
+    $root = saveSchema();
+    if ($schema === null) $schema = $root;
+
+    if (isset($schema->{'$ref'})) {
+        $name = str_replace("#/definitions/", "", $schema->{'$ref'});
+        return checkSaveSchema($value, $root->definitions->$name, $path);
+    }
+
+    $type = jsonType($value);
+    if (isset($schema->type)) {
+        $types = (array) $schema->type;
+        if (!in_array($type, $types, true) && !($type === "integer" && in_array("number", $types, true))) {
+            return ["$path: expected " . implode(" or ", $types) . ", got $type"];
+        }
+    }
+    if (property_exists($schema, "const") && $value !== $schema->const) {
+        return ["$path: expected " . json_encode($schema->const) . ", got " . json_encode($value)];
+    }
+    if (isset($schema->enum) && !in_array($value, $schema->enum, true)) {
+        return ["$path: expected one of " . implode(", ", $schema->enum) . ", got " . json_encode($value)];
+    }
+
+    $errors = [];
+    if ($type === "integer" || $type === "number") {
+        if (isset($schema->minimum) && $value < $schema->minimum) $errors[] = "$path: must be at least {$schema->minimum}";
+        if (isset($schema->maximum) && $value > $schema->maximum) $errors[] = "$path: must be at most {$schema->maximum}";
+    }
+    if ($type === "string") {
+        $length = mb_strlen($value);
+        if (isset($schema->minLength) && $length < $schema->minLength) $errors[] = "$path: must be at least {$schema->minLength} characters";
+        if (isset($schema->maxLength) && $length > $schema->maxLength) $errors[] = "$path: must be at most {$schema->maxLength} characters";
+        if (isset($schema->pattern) && !preg_match("/" . str_replace("/", "\\/", $schema->pattern) . "/u", $value)) {
+            $errors[] = "$path: must match {$schema->pattern}";
+        }
+    }
+    if ($type === "array" && isset($schema->items)) {
+        foreach ($value as $i => $item) {
+            $errors = array_merge($errors, checkSaveSchema($item, $schema->items, "{$path}[$i]"));
+        }
+    }
+    if ($type === "object") {
+        foreach ($schema->required ?? [] as $key) {
+            if (!property_exists($value, $key)) $errors[] = "$path.$key: missing";
+        }
+        foreach (get_object_vars($value) as $key => $item) {
+            $key = (string) $key;
+            if (isset($schema->propertyNames)) {
+                $errors = array_merge($errors, checkSaveSchema($key, $schema->propertyNames, "$path key " . json_encode($key)));
+            }
+            if (isset($schema->properties) && property_exists($schema->properties, $key)) {
+                $errors = array_merge($errors, checkSaveSchema($item, $schema->properties->$key, "$path.$key"));
+            } elseif (isset($schema->additionalProperties) && $schema->additionalProperties === false) {
+                $errors[] = "$path.$key: not allowed";
+            } elseif (isset($schema->additionalProperties) && is_object($schema->additionalProperties)) {
+                $errors = array_merge($errors, checkSaveSchema($item, $schema->additionalProperties, "$path.$key"));
+            }
+        }
+    }
+    return $errors;
+}
+?>
@@ -3,16 +3,23 @@
  * File Name: submit_score.php
  * Description:
  *    Receives a player's game completion data via JSON POST request
- *    and saves the player's name and completion time into the database.
+ *    and saves the player's name, completion time and number of hints
+ *    used into the database. A daily challenge score also carries the
+ *    challenge id; only a player's first score for a challenge is kept.
  *
  * Expected Inputs:
  *    - JSON POST data:
  *        - player_name (string): Name of the player
  *        - completion_time (int or string): Time taken to complete the game
+ *        - hints_used (int, optional): Hints the player took
+ *        - challenge_id (string, optional): Daily challenge date
+ *          ("YYYY-MM-DD"); completion_time is null when the player
+ *          ran out of time
  *
  * Expected Outputs / Results:
  *    - Inserts a new record into the "scores" table in the database
  *    - Returns a JSON response indicating success or failure
+ *      ("attempt already recorded" for a second daily score)
  *
  * Called By:
  *    - Game client (JavaScript) after completing the game
@@ -37,16 +44,30 @@ try {
 /* ------------------- Read JSON Input ------------------- */
 $data = json_decode(file_get_contents("php://input"), true);
 
+/* ------------------- Check Daily Challenge Id ------------------- */
+$challengeId = $data["challenge_id"] ?? null;
+if ($challengeId !== null && !preg_match('/^\d{4}-\d{2}-\d{2}$/', $challengeId)) {
+    die(json_encode(["status" => "error", "message" => "challenge_id must be a date (YYYY-MM-DD)"]));
+}
+
 /* ------------------- Insert Score into Database ------------------- */
+// The unique (player_name, challenge_id) key ignores a second daily score;
+// normal scores have no challenge id and are never ignored
 $stmt = $db->prepare("
-    INSERT INTO scores (player_name, completion_time)
-    VALUES (?, ?)
+    INSERT IGNORE INTO scores (player_name, completion_time, hints_used, challenge_id)
+    VALUES (?, ?, ?, ?)
 ");
 $stmt->execute([
     $data["player_name"],
-    $data["completion_time"]
+    $data["completion_time"],
+    $data["hints_used"] ?? 0,
+    $challengeId
 ]);
 
 /* ------------------- Return JSON Response ------------------- */
-echo json_encode(["status" => "score saved"]);
+if ($stmt->rowCount() === 0) {
+    echo json_encode(["status" => "attempt already recorded"]);
+} else {
+    echo json_encode(["status" => "score saved"]);
+}
 ?>
\ No newline at end of file
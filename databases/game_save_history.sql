@@ -0,0 +1,22 @@
+CREATE TABLE game_save_history (
+    history_id INT AUTO_INCREMENT PRIMARY KEY,
+    save_version INT NOT NULL DEFAULT 1,
+    player_name VARCHAR(50),
+    slot INT NOT NULL DEFAULT 1,
+    region INT,
+    region_name VARCHAR(50) DEFAULT NULL,
+    pos_x INT,
+    pos_y INT,
+    game_time INT,
+    hints_used INT DEFAULT 0,
+    world_seed INT UNSIGNED DEFAULT NULL,
+    saved_at BIGINT DEFAULT NULL,
+    seeds JSON,
+    puzzles JSON,
+    crates JSON,
+    visited JSON,
+    hazards JSON,
+    inventory JSON,
+    replaced_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX player_slot (player_name, slot)
+);
\ No newline at end of file
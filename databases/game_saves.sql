@@ -1,12 +1,24 @@
 CREATE TABLE game_saves (
     save_id INT AUTO_INCREMENT PRIMARY KEY,
+    save_version INT NOT NULL DEFAULT 1,
     player_name VARCHAR(50),
+    slot INT NOT NULL DEFAULT 1,
+    slot_name VARCHAR(50) DEFAULT NULL,
     region INT,
+    region_name VARCHAR(50) DEFAULT NULL,
     pos_x INT,
     pos_y INT,
     game_time INT,
+    hints_used INT DEFAULT 0,
+    world_seed INT UNSIGNED DEFAULT NULL,
+    saved_at BIGINT DEFAULT NULL,
     seeds JSON,
     puzzles JSON,
     crates JSON,
-    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    visited JSON,
+    hazards JSON,
+    inventory JSON,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    UNIQUE KEY player_slot (player_name, slot)
 );
\ No newline at end of file
@@ -0,0 +1,72 @@
+-- Brings an existing game_saves table up to databases/game_saves.sql:
+-- adds the columns it is missing, keeps only the newest save of each
+-- player and slot, and adds the player_slot unique key that save.php's
+-- upsert relies on. Safe to run more than once.
+--
+-- Slots are added before duplicates are removed so saves in different
+-- slots are not taken for duplicates; rows from before slots existed
+-- all count as slot 1.
+
+DROP PROCEDURE IF EXISTS migrate_game_saves;
+
+DELIMITER //
+CREATE PROCEDURE migrate_game_saves()
+BEGIN
+    DECLARE done INT DEFAULT 0;
+    DECLARE col VARCHAR(64);
+    DECLARE definition VARCHAR(255);
+    DECLARE columns_cursor CURSOR FOR
+        SELECT name, def FROM (
+            SELECT 1 AS pos, 'save_version' AS name, 'INT NOT NULL DEFAULT 1' AS def
+            UNION ALL SELECT 2, 'slot', 'INT NOT NULL DEFAULT 1'
+            UNION ALL SELECT 3, 'slot_name', 'VARCHAR(50) DEFAULT NULL'
+            UNION ALL SELECT 4, 'region_name', 'VARCHAR(50) DEFAULT NULL'
+            UNION ALL SELECT 5, 'hints_used', 'INT DEFAULT 0'
+            UNION ALL SELECT 6, 'world_seed', 'INT UNSIGNED DEFAULT NULL'
+            UNION ALL SELECT 7, 'saved_at', 'BIGINT DEFAULT NULL'
+            UNION ALL SELECT 8, 'visited', 'JSON'
+            UNION ALL SELECT 9, 'hazards', 'JSON'
+            UNION ALL SELECT 10, 'inventory', 'JSON'
+        ) wanted ORDER BY pos;
+    DECLARE CONTINUE HANDLER FOR NOT FOUND SET done = 1;
+
+    -- 1. Missing columns (older rows get the defaults: version 1, slot 1)
+    OPEN columns_cursor;
+    add_columns: LOOP
+        FETCH columns_cursor INTO col, definition;
+        IF done THEN LEAVE add_columns; END IF;
+        IF NOT EXISTS (SELECT 1 FROM information_schema.COLUMNS
+                       WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'game_saves' AND COLUMN_NAME = col) THEN
+            SET @ddl = CONCAT('ALTER TABLE game_saves ADD COLUMN ', col, ' ', definition);
+            PREPARE stmt FROM @ddl;
+            EXECUTE stmt;
+            DEALLOCATE PREPARE stmt;
+        END IF;
+    END LOOP;
+    CLOSE columns_cursor;
+
+    -- updated_at starts as the row's created_at, so load.php still picks the latest save
+    IF NOT EXISTS (SELECT 1 FROM information_schema.COLUMNS
+                   WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'game_saves' AND COLUMN_NAME = 'updated_at') THEN
+        ALTER TABLE game_saves ADD COLUMN updated_at TIMESTAMP NULL DEFAULT NULL;
+        UPDATE game_saves SET updated_at = created_at;
+        ALTER TABLE game_saves MODIFY updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP;
+    END IF;
+
+    -- 2. One row per player and slot: the newest (highest save_id) stays
+    DELETE older FROM game_saves older
+    JOIN game_saves newer
+      ON newer.player_name = older.player_name
+     AND newer.slot = older.slot
+     AND newer.save_id > older.save_id;
+
+    -- 3. The key save.php's INSERT ... ON DUPLICATE KEY UPDATE matches on
+    IF NOT EXISTS (SELECT 1 FROM information_schema.STATISTICS
+                   WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'game_saves' AND INDEX_NAME = 'player_slot') THEN
+        ALTER TABLE game_saves ADD UNIQUE KEY player_slot (player_name, slot);
+    END IF;
+END //
+DELIMITER ;
+
+CALL migrate_game_saves();
+DROP PROCEDURE migrate_game_saves;
@@ -0,0 +1,42 @@
+-- Brings an existing scores table up to databases/scores.sql: adds the
+-- hints_used and challenge_id columns submit_score.php and
+-- daily_scores.php use, keeps only the first daily challenge score of
+-- each player and day, and adds the one_daily_attempt unique key that
+-- submit_score.php's INSERT IGNORE relies on. Safe to run more than once.
+--
+-- Older rows get hints_used 0 and no challenge (challenge_id NULL):
+-- they stay on the all-time leaderboard, and the unique key allows any
+-- number of them.
+
+DROP PROCEDURE IF EXISTS migrate_scores;
+
+DELIMITER //
+CREATE PROCEDURE migrate_scores()
+BEGIN
+    -- 1. Missing columns
+    IF NOT EXISTS (SELECT 1 FROM information_schema.COLUMNS
+                   WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'scores' AND COLUMN_NAME = 'hints_used') THEN
+        ALTER TABLE scores ADD COLUMN hints_used INT DEFAULT 0;
+    END IF;
+    IF NOT EXISTS (SELECT 1 FROM information_schema.COLUMNS
+                   WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'scores' AND COLUMN_NAME = 'challenge_id') THEN
+        ALTER TABLE scores ADD COLUMN challenge_id CHAR(10) DEFAULT NULL;
+    END IF;
+
+    -- 2. One daily score per player and day: the first (lowest score_id) counts
+    DELETE later FROM scores later
+    JOIN scores earlier
+      ON earlier.player_name = later.player_name
+     AND earlier.challenge_id = later.challenge_id
+     AND earlier.score_id < later.score_id;
+
+    -- 3. The key submit_score.php's INSERT IGNORE skips repeat attempts on
+    IF NOT EXISTS (SELECT 1 FROM information_schema.STATISTICS
+                   WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'scores' AND INDEX_NAME = 'one_daily_attempt') THEN
+        ALTER TABLE scores ADD UNIQUE KEY one_daily_attempt (player_name, challenge_id);
+    END IF;
+END //
+DELIMITER ;
+
+CALL migrate_scores();
+DROP PROCEDURE migrate_scores;
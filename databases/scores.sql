@@ -2,5 +2,8 @@ CREATE TABLE scores (
     score_id INT AUTO_INCREMENT PRIMARY KEY,
     player_name VARCHAR(50),
     completion_time INT,
-    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-);
+    hints_used INT DEFAULT 0,
+    challenge_id CHAR(10) DEFAULT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE KEY one_daily_attempt (player_name, challenge_id)
+);
\ No newline at end of file
@@ -0,0 +1,213 @@
+/******************************************************
+ * Program Name: deadlock.js
+ * Description:
+ *   Dead-state analysis for crate puzzles. Finds crates in
+ *   a region that can no longer be pushed onto any target:
+ *     - frozen crates: wedged in a corner, or held in place
+ *       by walls and other frozen crates so that no push
+ *       can move them (two crates side by side against a
+ *       wall block each other this way);
+ *     - trapped crates: still movable, but every position
+ *       they can be pushed to (e.g. along a wall) misses
+ *       all targets.
+ *   A push needs free space for the crate in front and for
+ *   the player behind it. Crates that are not frozen are
+ *   ignored as obstacles, so the check never reports a
+ *   layout that could still be solved by moving them.
+ *   Like sim.js, nothing here touches the DOM.
+ * Expected Inputs:
+ *   - Region objects built by level_loader.js
+ * Expected Outputs:
+ *   - Indices of dead crates (findDeadCrates)
+ * Called By:
+ *   - game.js (in-world warning), tools/headless.js
+ ******************************************************/
+
+/**************** DEADLOCK CONSTANTS ********************
+ * Purpose:
+ *   Distance between the crate positions the reachability
+ *   search tries, and a cap on how many it visits (past
+ *   it the crate is assumed to be fine).
+ ******************************************************/
+const DEADLOCK_STEP = 16;
+const DEADLOCK_MAX_NODES = 20000;
+
+/********************************************************
+ * Function Name: isAreaFree
+ * Description:
+ *   Checks a rectangle against the region bounds, static
+ *   obstacles, one terrain rule and extra wall rects.
+ * Inputs:
+ *   - region: region object
+ *   - rect: {x,y,w,h}
+ *   - rule: 'crates' or 'walkable'
+ *   - walls: array of {x,y,w,h} treated as solid
+ * Outputs:
+ *   - boolean
+ * Called By:
+ *   - canPushCrate()
+ * Will Call:
+ *   - rectOverlap(), rectTerrainAllows()
+ ********************************************************/
+function isAreaFree(region, rect, rule, walls) {
+    if (rect.x < 0 || rect.y < 0 || rect.x + rect.w > region.cols * TILE || rect.y + rect.h > region.rows * TILE) return false;
+    if (region.obstacles.some(o => rectOverlap(rect, o))) return false;
+    if (!rectTerrainAllows(region, rect, rule)) return false;
+    return !walls.some(w => rectOverlap(rect, w));
+}
+
+/********************************************************
+ * Function Name: canPushCrate
+ * Description:
+ *   Tells how far (up to `dist` px) a crate at `rect` can
+ *   be pushed along one axis: the player must fit directly
+ *   behind it somewhere along its side, and the crate must
+ *   fit where it ends up.
+ * Inputs:
+ *   - region: region object
+ *   - rect: crate rect
+ *   - dx, dy: push direction (-1, 0 or 1 each)
+ *   - dist: largest distance to try
+ *   - walls: solid rects besides the region's own
+ *   - player: {w, h} of the player
+ * Outputs:
+ *   - distance in px (0 when the push is impossible)
+ * Called By:
+ *   - findFrozenCrates(), crateCanReachTarget()
+ * Will Call:
+ *   - isAreaFree()
+ ********************************************************/
+function canPushCrate(region, rect, dx, dy, dist, walls, player) {
+    // Player stands touching the side opposite the push
+    let standing = false;
+    if (dx !== 0) {
+        const px = dx > 0 ? rect.x - player.w : rect.x + rect.w;
+        for (let py = rect.y - player.h + 1; py < rect.y + rect.h && !standing; py += 4) {
+            standing = isAreaFree(region, { x: px, y: py, w: player.w, h: player.h }, 'walkable', walls);
+        }
+    } else {
+        const py = dy > 0 ? rect.y - player.h : rect.y + rect.h;
+        for (let px = rect.x - player.w + 1; px < rect.x + rect.w && !standing; px += 4) {
+            standing = isAreaFree(region, { x: px, y: py, w: player.w, h: player.h }, 'walkable', walls);
+        }
+    }
+    if (!standing) return 0;
+
+    // Crates stop against whatever they hit, so take the furthest free distance
+    for (let d = dist; d > 0; d--) {
+        if (isAreaFree(region, { ...rect, x: rect.x + dx * d, y: rect.y + dy * d }, 'crates', walls)) return d;
+    }
+    return 0;
+}
+
+/********************************************************
+ * Function Name: findFrozenCrates
+ * Description:
+ *   Finds crates that cannot be moved at all. Starts by
+ *   treating every crate as frozen and keeps releasing
+ *   any crate that can be pushed one pixel with only the
+ *   still-frozen crates in the way, until nothing changes.
+ *   What is left can never move.
+ * Inputs:
+ *   - region: region object
+ *   - player: {w, h} of the player
+ * Outputs:
+ *   - Set of crate indices
+ * Called By:
+ *   - findDeadCrates()
+ * Will Call:
+ *   - canPushCrate()
+ ********************************************************/
+function findFrozenCrates(region, player) {
+    const frozen = new Set(region.crates.map((c, i) => i));
+    let changed = true;
+    while (changed) {
+        changed = false;
+        for (const i of frozen) {
+            const walls = [...frozen].filter(j => j !== i).map(j => region.crates[j]);
+            const movable = [[1, 0], [-1, 0], [0, 1], [0, -1]].some(([dx, dy]) =>
+                canPushCrate(region, region.crates[i], dx, dy, 1, walls, player) > 0);
+            if (movable) {
+                frozen.delete(i);
+                changed = true;
+            }
+        }
+    }
+    return frozen;
+}
+
+/********************************************************
+ * Function Name: crateCanReachTarget
+ * Description:
+ *   Breadth-first search over the positions a crate can
+ *   be pushed to, moving DEADLOCK_STEP px (or up to the
+ *   nearest wall) at a time, until one overlaps a target.
+ * Inputs:
+ *   - region: region object
+ *   - crate: crate rect
+ *   - walls: frozen crates other than this one
+ *   - player: {w, h} of the player
+ * Outputs:
+ *   - boolean (true also when the search hits its cap)
+ * Called By:
+ *   - findDeadCrates()
+ * Will Call:
+ *   - canPushCrate(), rectOverlap()
+ ********************************************************/
+function crateCanReachTarget(region, crate, walls, player) {
+    const start = { x: crate.x, y: crate.y, w: crate.w, h: crate.h };
+    const seen = new Set([`${start.x},${start.y}`]);
+    const queue = [start];
+    for (let head = 0; head < queue.length; head++) {
+        const rect = queue[head];
+        if (region.targets.some(t => rectOverlap(rect, t))) return true;
+        if (seen.size > DEADLOCK_MAX_NODES) return true;
+        for (const [dx, dy] of [[1, 0], [-1, 0], [0, 1], [0, -1]]) {
+            const d = canPushCrate(region, rect, dx, dy, DEADLOCK_STEP, walls, player);
+            if (d === 0) continue;
+            const next = { ...rect, x: rect.x + dx * d, y: rect.y + dy * d };
+            const key = `${next.x},${next.y}`;
+            if (seen.has(key)) continue;
+            seen.add(key);
+            queue.push(next);
+        }
+    }
+    return false;
+}
+
+/********************************************************
+ * Function Name: findDeadCrates
+ * Description:
+ *   Lists the crates of a crate-puzzle region that can no
+ *   longer reach any target. Regions without targets, or
+ *   whose crate puzzle is already solved, have none;
+ *   neither do regions with teleporter pads, which this
+ *   check does not follow.
+ * Inputs:
+ *   - region: region object
+ *   - player: {w, h} of the player
+ * Outputs:
+ *   - array of crate indices (empty when still solvable
+ *     as far as this check can tell)
+ * Called By:
+ *   - game.js updateStuckCrates(), tools/headless.js
+ * Will Call:
+ *   - findFrozenCrates(), crateCanReachTarget(), rectOverlap()
+ ********************************************************/
+function findDeadCrates(region, player) {
+    if (!region.targets.length || region.puzzles.some(p => p.type === 'crates' && p.solved)) return [];
+    // Teleporter pads can carry a crate past anything this check follows
+    if (region.pads.length) return [];
+    const frozen = findFrozenCrates(region, player);
+    const dead = [];
+    region.crates.forEach((c, i) => {
+        const onTarget = region.targets.some(t => rectOverlap(c, t));
+        if (frozen.has(i)) {
+            if (!onTarget) dead.push(i);
+            return;
+        }
+        const walls = [...frozen].map(j => region.crates[j]);
+        if (!crateCanReachTarget(region, c, walls, player)) dead.push(i);
+    });
+    return dead;
+}
@@ -0,0 +1,548 @@
+/************************************************************
+ * Program Name: editor.js
+ * Description:
+ *    Region editor for Land Explorer. Edits the level JSON
+ *    (same format as levels/world.json) on the tile grid and
+ *    redraws the region with the game's own drawing functions
+ *    after every change. Supports play-testing a region in
+ *    game.html and exporting/importing the level file.
+ * Expected Inputs:
+ *    - Mouse input on #gameCanvas, panel controls
+ * Expected Outputs:
+ *    - Edited level data, play-test handoff, exported JSON
+ * Called By:
+ *    - editor.html
+ * Will Call:
+ *    - loadLevelFile(), validateLevel(), buildRegion()
+ *    - solveRegionCrates(), regionEntryTiles()
+ *    - prerenderRegionBackground(), drawStaticBackground(),
+ *      drawLocks(), drawPuzzleVisuals(), drawCrates(),
+ *      drawSeeds(), drawItems(), drawPlayer(), drawPuzzleGlow()
+ ************************************************************/
+
+/************************************************************
+ * Editor Constants
+ * EDITOR_LAYERS describes where each tool stores its tiles
+ * in a region entry. Puzzle layers live inside the region's
+ * puzzle of that type, which is added when first used.
+ ************************************************************/
+const EDITOR_DRAFT_KEY = 'landExplorerEditorDraft';
+const EDITOR_LAYERS = {
+    plate: { puzzle: 'plates', field: 'plates' },
+    pad: { puzzle: 'sequence', field: 'pads' },
+    teleporter: { puzzle: 'teleporters', field: 'teleporters' },
+    crate: { field: 'crates' },
+    seed: { field: 'seeds' },
+    target: { field: 'targets' },
+    obstacle: { field: 'obstacles', sized: true }
+};
+// Order used when picking what sits on a tile (topmost first)
+const EDITOR_PICK_ORDER = ['plate', 'pad', 'teleporter', 'crate', 'seed', 'target', 'obstacle'];
+
+/************************************************************
+ * Global DOM Elements
+ ************************************************************/
+const regionSelect = document.getElementById('regionSelect');
+const toolButtons = document.querySelectorAll('#toolButtons button');
+const obstacleW = document.getElementById('obstacleW');
+const obstacleH = document.getElementById('obstacleH');
+const validationList = document.getElementById('validationList');
+const cursorInfo = document.getElementById('cursorInfo');
+const importFile = document.getElementById('importFile');
+const terrainType = document.getElementById('terrainType');
+
+/************************************************************
+ * Editor State
+ ************************************************************/
+let editorLevel = null;   // level JSON being edited
+let editorTool = 'obstacle';
+let dragging = null;      // { entry, offCol, offRow } while moving an entity
+let painting = false;     // terrain tool held down
+let hoverTile = null;     // { col, row } under the mouse
+let crateSolutionKey = '';   // region layout the solver last ran on
+let crateSolutionText = null; // { msg, className } for that layout, or null
+
+/************************************************************
+ * Function: layerList
+ * Description: Returns the array a tool edits in a region
+ *              entry. For puzzle layers, optionally adds a
+ *              puzzle of the tool's type to the region.
+ * Inputs:
+ *    regionData - region entry from editorLevel
+ *    layer      - key of EDITOR_LAYERS
+ *    create     - true when placing (may add the puzzle)
+ * Outputs: array of tile entries, or null
+ * Called By: placeEntity(), findEntity()
+ ************************************************************/
+function layerList(regionData, layer, create) {
+    const info = EDITOR_LAYERS[layer];
+    if (!info.puzzle) {
+        if (!regionData[info.field]) regionData[info.field] = [];
+        return regionData[info.field];
+    }
+    const puzzle = regionData.puzzles.find(p => p.type === info.puzzle);
+    if (puzzle) return puzzle[info.field];
+    if (!create) return null;
+    regionData.puzzles.push({ type: info.puzzle, [info.field]: [] });
+    return regionData.puzzles[regionData.puzzles.length - 1][info.field];
+}
+
+/************************************************************
+ * Function: coversTile
+ * Description: True if a tile entry (with optional w/h)
+ *              covers the given tile.
+ * Inputs: entry - {col,row[,w,h]}, col, row
+ * Outputs: boolean
+ * Called By: findEntity(), placeEntity()
+ ************************************************************/
+function coversTile(entry, col, row) {
+    return col >= entry.col && col < entry.col + (entry.w || 1) &&
+           row >= entry.row && row < entry.row + (entry.h || 1);
+}
+
+/************************************************************
+ * Function: findEntity
+ * Description: Finds the topmost entity on a tile.
+ * Inputs: regionData, col, row
+ * Outputs: { layer, list, entry } or null
+ * Called By: mouse handlers
+ ************************************************************/
+function findEntity(regionData, col, row) {
+    for (const layer of EDITOR_PICK_ORDER) {
+        const list = layerList(regionData, layer, false);
+        if (!list) continue;
+        const entry = list.find(e => coversTile(e, col, row));
+        if (entry) return { layer, list, entry };
+    }
+    return null;
+}
+
+/************************************************************
+ * Function: placeEntity
+ * Description: Adds an entity for the active tool on a tile,
+ *              unless one of the same kind is already there.
+ * Inputs: regionData, col, row
+ * Outputs: true if the level changed
+ * Called By: canvas mousedown handler
+ ************************************************************/
+function placeEntity(regionData, col, row) {
+    const info = EDITOR_LAYERS[editorTool];
+    const list = layerList(regionData, editorTool, true);
+    if (!list || list.some(e => coversTile(e, col, row))) return false;
+    // Targets only mean something to a crate puzzle
+    if (editorTool === 'target' && !regionData.puzzles.some(p => p.type === 'crates')) {
+        regionData.puzzles.push({ type: 'crates' });
+    }
+    const entry = { col, row };
+    if (info.sized) {
+        entry.w = Math.max(1, Math.min(parseInt(obstacleW.value, 10) || 1, regionData.cols - col));
+        entry.h = Math.max(1, Math.min(parseInt(obstacleH.value, 10) || 1, regionData.rows - row));
+    }
+    list.push(entry);
+    return true;
+}
+
+/************************************************************
+ * Function: paintTerrain
+ * Description: Sets one tile of the region's terrain map to
+ *              the brush type, creating an all-grass map the
+ *              first time a region is painted.
+ * Inputs: regionData, col, row
+ * Outputs: true if the level changed
+ * Called By: canvas mousedown / mousemove handlers
+ ************************************************************/
+function paintTerrain(regionData, col, row) {
+    const type = terrainType.value;
+    if (!regionData.terrain) {
+        regionData.terrain = Array.from({ length: regionData.rows }, () => DEFAULT_TERRAIN.repeat(regionData.cols));
+    }
+    const line = regionData.terrain[row];
+    if (line[col] === type) return false;
+    regionData.terrain[row] = line.slice(0, col) + type + line.slice(col + 1);
+    return true;
+}
+
+/************************************************************
+ * Function: tileFromEvent
+ * Description: Converts a mouse event to a tile position,
+ *              accounting for the canvas border and scaling.
+ * Inputs: e - MouseEvent
+ * Outputs: { col, row } or null when outside the region
+ * Called By: mouse handlers
+ ************************************************************/
+function tileFromEvent(e) {
+    const rect = canvas.getBoundingClientRect();
+    const x = (e.clientX - rect.left - canvas.clientLeft) * (canvas.width / canvas.clientWidth);
+    const y = (e.clientY - rect.top - canvas.clientTop) * (canvas.height / canvas.clientHeight);
+    const regionData = editorLevel.regions[game.currentRegion];
+    const col = Math.floor(x / TILE), row = Math.floor(y / TILE);
+    if (col < 0 || row < 0 || col >= regionData.cols || row >= regionData.rows) return null;
+    return { col, row };
+}
+
+/************************************************************
+ * Function: rebuildRegion
+ * Description: Rebuilds the runtime region from its entry so
+ *              the game's draw functions show the edit, saves
+ *              the draft and refreshes validation.
+ * Inputs: None (uses editorLevel, game.currentRegion)
+ * Outputs: None
+ * Called By: every edit, region change, load
+ * Will Call: buildRegion(), prerenderRegionBackground(),
+ *            renderEditor(), showValidation()
+ ************************************************************/
+function rebuildRegion() {
+    const regionData = editorLevel.regions[game.currentRegion];
+    regions[game.currentRegion] = buildRegion(regionData);
+    monument.region = editorLevel.monument.region;
+    monument.x = editorLevel.monument.col * TILE;
+    monument.y = editorLevel.monument.row * TILE;
+    clearRegionBackgrounds(game.currentRegion);
+    prerenderRegionBackground(regions[game.currentRegion]);
+
+    localStorage.setItem(EDITOR_DRAFT_KEY, JSON.stringify(editorLevel));
+    showValidation();
+    renderEditor();
+}
+
+/************************************************************
+ * Function: renderEditor
+ * Description: Draws the selected region with the game's
+ *              drawing functions, then the tile grid, the
+ *              start marker and the hovered tile.
+ * Inputs: None
+ * Outputs: None
+ * Called By: rebuildRegion(), mouse handlers
+ ************************************************************/
+function renderEditor() {
+    const region = regions[game.currentRegion];
+    if (canvas.width !== region.cols * TILE) canvas.width = region.cols * TILE;
+    if (canvas.height !== region.rows * TILE) canvas.height = region.rows * TILE;
+
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    drawStaticBackground(0, 0);
+    drawLocks(0, 0);
+    drawPuzzleVisuals(0, 0);
+    drawCrates(0, 0);
+    drawSeeds(0, 0, true);
+    drawItems(0, 0, 0);
+
+    const start = editorLevel.start;
+    if (start.region === game.currentRegion) {
+        player.x = start.col * TILE + (TILE - player.w) / 2;
+        player.y = start.row * TILE + (TILE - player.h) / 2;
+        drawPlayer(0, 0);
+    }
+    drawPuzzleGlow(0, 0);
+
+    ctx.save();
+    ctx.strokeStyle = 'rgba(0,0,0,0.15)';
+    ctx.lineWidth = 1;
+    for (let c = 0; c <= region.cols; c++) {
+        ctx.beginPath(); ctx.moveTo(c * TILE + 0.5, 0); ctx.lineTo(c * TILE + 0.5, canvas.height); ctx.stroke();
+    }
+    for (let r = 0; r <= region.rows; r++) {
+        ctx.beginPath(); ctx.moveTo(0, r * TILE + 0.5); ctx.lineTo(canvas.width, r * TILE + 0.5); ctx.stroke();
+    }
+    if (hoverTile) {
+        ctx.strokeStyle = dragging ? '#2563eb' : '#facc15';
+        ctx.lineWidth = 2;
+        ctx.strokeRect(hoverTile.col * TILE + 1, hoverTile.row * TILE + 1, TILE - 2, TILE - 2);
+    }
+    ctx.restore();
+}
+
+/************************************************************
+ * Function: showValidation
+ * Description: Runs validateLevel() on the draft and lists
+ *              the errors (or an OK message) in the panel.
+ *              For a valid level, also runs the crate solver
+ *              on the selected region and lists the result.
+ * Inputs: None
+ * Outputs: true if the level is valid
+ * Called By: rebuildRegion(), play-test and export buttons
+ ************************************************************/
+function showValidation() {
+    const errors = validateLevel(editorLevel);
+    validationList.innerHTML = '';
+    const items = errors.length ? errors : ['Level is valid.'];
+    items.forEach(msg => {
+        const li = document.createElement('li');
+        li.textContent = msg;
+        li.className = errors.length ? 'error' : 'ok';
+        validationList.appendChild(li);
+    });
+    if (!errors.length) showCrateSolution();
+    return errors.length === 0;
+}
+
+/************************************************************
+ * Function: showCrateSolution
+ * Description: Solves the selected region's crate puzzle
+ *              from the tiles a player can enter it by and
+ *              lists whether it can be finished and in how
+ *              many pushes (regions with teleporter pads are
+ *              skipped). The result is kept until the
+ *              region's layout changes.
+ * Inputs: None (uses editorLevel, game.currentRegion)
+ * Outputs: None
+ * Called By: showValidation()
+ ************************************************************/
+function showCrateSolution() {
+    const id = game.currentRegion;
+    const data = editorLevel.regions[id];
+    const key = JSON.stringify([id, data, editorLevel.connections, editorLevel.start, editorLevel.teleporters]);
+    if (key !== crateSolutionKey) {
+        crateSolutionKey = key;
+        // Editor regions are built on their own, so their teleporter pads are not filled in
+        const hasPads = (editorLevel.teleporters || []).some(pair => pair.a.region === id || pair.b.region === id);
+        const result = hasPads ? null : solveRegionCrates(regions[id], regionEntryTiles(editorLevel, id));
+        if (!result) {
+            crateSolutionText = null;
+        } else if (result.solvable) {
+            crateSolutionText = { msg: `Crates: solvable in ${result.pushes} pushes.`, className: 'ok' };
+        } else if (result.solvable === false) {
+            crateSolutionText = { msg: 'Crates: this layout cannot be solved.', className: 'error' };
+        } else {
+            crateSolutionText = { msg: `Crates: gave up after ${result.explored} positions; the layout may be too open to check.`, className: 'error' };
+        }
+    }
+    if (!crateSolutionText) return;
+    const li = document.createElement('li');
+    li.textContent = crateSolutionText.msg;
+    li.className = crateSolutionText.className;
+    validationList.appendChild(li);
+}
+
+/************************************************************
+ * Function: setLevel
+ * Description: Replaces the level being edited and refills
+ *              the region picker.
+ * Inputs: data - parsed level JSON
+ * Outputs: None
+ * Called By: startEditor(), import and revert buttons
+ ************************************************************/
+function setLevel(data) {
+    upgradeLevel(data);
+    editorLevel = data;
+    regions.length = 0;
+    regionSelect.innerHTML = '';
+    data.regions.forEach((r, i) => {
+        regions.push(null);
+        r.seeds = r.seeds || [];
+        r.puzzles = r.puzzles || [];
+        const opt = document.createElement('option');
+        opt.value = i;
+        opt.textContent = `${i}: ${r.name}`;
+        regionSelect.appendChild(opt);
+    });
+    // Build every region once so puzzles referring to other regions resolve
+    data.regions.forEach((r, i) => { regions[i] = buildRegion(r); });
+    game.currentRegion = Math.min(game.currentRegion, data.regions.length - 1);
+    regionSelect.value = game.currentRegion;
+    rebuildRegion();
+}
+
+/************************************************************
+ * Function: findFreeTile
+ * Description: Finds a walkable tile for the play-test start
+ *              near the region's left edge.
+ * Inputs: regionData - region entry
+ * Outputs: { col, row }
+ * Called By: play-test button
+ ************************************************************/
+function findFreeTile(regionData) {
+    const blocked = (col, row) => EDITOR_PICK_ORDER.some(layer => {
+        if (layer === 'seed' || layer === 'target') return false;
+        const list = layerList(regionData, layer, false);
+        return list && list.some(e => coversTile(e, col, row));
+    });
+    const midRow = Math.floor(regionData.rows / 2);
+    for (let col = 1; col < regionData.cols; col++) {
+        for (let d = 0; d < regionData.rows; d++) {
+            const row = midRow + (d % 2 ? -Math.ceil(d / 2) : d / 2);
+            if (row >= 0 && row < regionData.rows && !blocked(col, row)) return { col, row };
+        }
+    }
+    return { col: 0, row: 0 };
+}
+
+/************************************************************
+ * Canvas Mouse Handlers
+ * Left click on an empty tile places, left drag on an
+ * entity moves it, right click deletes the topmost entity.
+ ************************************************************/
+canvas.addEventListener('contextmenu', e => e.preventDefault());
+
+canvas.addEventListener('mousedown', e => {
+    const tile = tileFromEvent(e);
+    if (!tile) return;
+    const regionData = editorLevel.regions[game.currentRegion];
+    const hit = findEntity(regionData, tile.col, tile.row);
+
+    if (e.button === 2) {
+        if (hit) {
+            hit.list.splice(hit.list.indexOf(hit.entry), 1);
+            rebuildRegion();
+        }
+        return;
+    }
+    if (e.button !== 0) return;
+    if (editorTool === 'terrain') {
+        painting = true;
+        if (paintTerrain(regionData, tile.col, tile.row)) rebuildRegion();
+        return;
+    }
+    if (hit) {
+        dragging = { entry: hit.entry, offCol: tile.col - hit.entry.col, offRow: tile.row - hit.entry.row };
+        renderEditor();
+    } else if (placeEntity(regionData, tile.col, tile.row)) {
+        rebuildRegion();
+    }
+});
+
+canvas.addEventListener('mousemove', e => {
+    hoverTile = tileFromEvent(e);
+    cursorInfo.textContent = hoverTile ? `col ${hoverTile.col}, row ${hoverTile.row}` : '';
+    if (painting && hoverTile) {
+        if (paintTerrain(editorLevel.regions[game.currentRegion], hoverTile.col, hoverTile.row)) {
+            rebuildRegion();
+            return;
+        }
+    }
+    if (dragging && hoverTile) {
+        const regionData = editorLevel.regions[game.currentRegion];
+        const entry = dragging.entry;
+        const col = clamp(hoverTile.col - dragging.offCol, 0, regionData.cols - (entry.w || 1));
+        const row = clamp(hoverTile.row - dragging.offRow, 0, regionData.rows - (entry.h || 1));
+        if (col !== entry.col || row !== entry.row) {
+            entry.col = col;
+            entry.row = row;
+            rebuildRegion();
+            return;
+        }
+    }
+    renderEditor();
+});
+
+window.addEventListener('mouseup', () => {
+    painting = false;
+    if (!dragging) return;
+    dragging = null;
+    renderEditor();
+});
+
+canvas.addEventListener('mouseleave', () => {
+    hoverTile = null;
+    cursorInfo.textContent = '';
+    renderEditor();
+});
+
+/************************************************************
+ * Panel Controls
+ ************************************************************/
+Object.entries(TERRAIN).forEach(([code, t]) => {
+    const opt = document.createElement('option');
+    opt.value = code;
+    opt.textContent = `${t.name} (${code})`;
+    terrainType.appendChild(opt);
+});
+
+toolButtons.forEach(btn => {
+    btn.addEventListener('click', () => {
+        editorTool = btn.dataset.tool;
+        toolButtons.forEach(b => b.classList.toggle('active', b === btn));
+    });
+});
+
+regionSelect.addEventListener('change', () => {
+    game.currentRegion = parseInt(regionSelect.value, 10);
+    rebuildRegion();
+});
+
+// Play-test: hand the level to game.html, starting in this region
+document.getElementById('playtestBtn').addEventListener('click', () => {
+    if (!showValidation()) {
+        alert('Fix the validation errors before play-testing.');
+        return;
+    }
+    const level = JSON.parse(JSON.stringify(editorLevel));
+    if (level.start.region !== game.currentRegion) {
+        level.start = { region: game.currentRegion, ...findFreeTile(level.regions[game.currentRegion]) };
+    }
+    localStorage.setItem(PLAYTEST_KEY, JSON.stringify(level));
+    sessionStorage.setItem('startMode', 'playtest');
+    window.open('game.html', '_blank');
+});
+
+// Export: download the level as world.json
+document.getElementById('exportBtn').addEventListener('click', () => {
+    if (!showValidation() && !confirm('The level has validation errors. Export anyway?')) return;
+    const blob = new Blob([JSON.stringify(editorLevel, null, 2) + '\n'], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = 'world.json';
+    link.click();
+    URL.revokeObjectURL(link.href);
+});
+
+document.getElementById('importBtn').addEventListener('click', () => importFile.click());
+
+importFile.addEventListener('change', async () => {
+    const file = importFile.files[0];
+    importFile.value = '';
+    if (!file) return;
+    let data;
+    try {
+        data = JSON.parse(await file.text());
+    } catch (e) {
+        alert(`${file.name} is not valid JSON: ${e.message}`);
+        return;
+    }
+    // Only structural problems block editing; the rest show in the panel
+    if (!data || !Array.isArray(data.regions) || !data.regions.length || !data.start || !data.monument) {
+        alert(`${file.name} is not a level file:\n${validateLevel(data).join('\n')}`);
+        return;
+    }
+    setLevel(data);
+});
+
+document.getElementById('revertBtn').addEventListener('click', async () => {
+    if (!confirm('Discard the editor draft and reload levels/world.json?')) return;
+    localStorage.removeItem(EDITOR_DRAFT_KEY);
+    startEditor();
+});
+
+/************************************************************
+ * Function: startEditor
+ * Description: Loads the saved draft if there is one,
+ *              otherwise levels/world.json.
+ * Inputs: None
+ * Outputs: None
+ * Called By: page load, revert button
+ ************************************************************/
+async function startEditor() {
+    const draft = localStorage.getItem(EDITOR_DRAFT_KEY);
+    if (draft) {
+        try {
+            setLevel(JSON.parse(draft));
+            return;
+        } catch (e) {
+            console.warn('Editor draft is unreadable, loading world.json instead:', e);
+        }
+    }
+    const level = await loadLevelFile(LEVEL_PATH);
+    if (!level.data) {
+        validationList.innerHTML = '';
+        level.errors.forEach(msg => {
+            const li = document.createElement('li');
+            li.textContent = msg;
+            li.className = 'error';
+            validationList.appendChild(li);
+        });
+        return;
+    }
+    setLevel(level.data);
+}
+
+startEditor();
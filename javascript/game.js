@@ -1,9 +1,12 @@
 /******************************************************
  * Program Name: Land Explorer
  * Description:
- *   Sets up all game configuration values, loads assets,
- *   prepares audio, handles player input, and provides
- *   utility functions used throughout the game.
+ *   Browser layer of the game: sets up configuration values,
+ *   loads assets, prepares audio, reads player input, draws
+ *   the world and HUD, and saves/loads progress. The game
+ *   rules themselves live in sim.js; each frame this file
+ *   feeds the keyboard state to step() and reacts to the
+ *   events it reports.
  * Expected Inputs:
  *   - User keyboard actions
  *   - Data loaded from database via fetch()
@@ -13,25 +16,40 @@
  * Called By:
  *   - index.html main script when the page loads
  * Will Call:
- *   - saveGame(), loadGame(), playSfx(), region functions, etc.
+ *   - step(), buildWorld() and friends (sim.js, level_loader.js)
+ *   - saveGame(), loadGame(), playSfx(), draw functions, etc.
  ******************************************************/
 
 /**************** CONFIGURATION CONSTANTS **************
  * Purpose:
- *   These values control the size of tiles, the world,
- *   the view window, and interaction keys.
+ *   These values control the size of the world, the view
+ *   window, and interaction keys (TILE is in sim.js).
  * Notes:
  *   Keeping these at the top makes the game easy to tune.
  ******************************************************/
-const TILE = 32;
 const COLS = 30; 
 const ROWS = 18; 
 const VIEW_W = 768; 
 const VIEW_H = 576; 
 const INTERACT_KEY = ' '; 
+const UNDO_KEY = 'z';
+const RESET_REGION_KEY = 'r'; // only while a crate is stuck
+const HINT_KEY = 'h'; // only while a hint is offered
 
 const SEED_REVEAL_RADIUS = 100; 
 const VISION_RADIUS = 100; 
+const POUCH_REVEAL_RADIUS = 200; // with the seed pouch
+const LANTERN_VISION_RADIUS = 170; // with the lantern
+const SEED_FLASH_MS = 300; // seed-collection flash length
+const TELEPORT_FLASH_MS = 450; // teleport transition length
+const HINT_SHOW_MS = 6000; // how long a hint text or tile highlight stays up
+const HINT_SEED_MS = 2500; // how long a hinted seed shows through the fog
+const MAX_FRAME_MS = 250; // longest real frame the loop catches up on (e.g. after a tab switch)
+const DAILY_TIME_LIMIT_MS = 15 * 60 * 1000; // daily challenge: time to reach the monument
+const DAILY_HINT_PENALTY_MS = 30000; // daily challenge: time added per hint taken
+const DAILY_ATTEMPT_KEY = 'dailyChallengeAttempt'; // localStorage: id of the last daily challenge started
+const AUTOSAVE_MIN_MS = 10000; // autosaves (seeds, items, region switches, hints) come at most this often
+const SYNC_RETRY_MS = 30000; // how often saves kept on this device are sent again while the server is away
 
 /**************** ASSET PATHS ***************************
  * Purpose:
@@ -65,18 +83,36 @@ const ctx = canvas.getContext('2d');
 
 const DEFAULT_PLAYER_NAME = "Explorer"; 
 
+// editor.html and replay.html load this file for its drawing functions only
+const EDITOR_MODE = document.body.dataset.mode === 'editor';
+const REPLAY_MODE = document.body.dataset.mode === 'replay';
+
 const compassCanvas = document.getElementById('compassCanvas');
 const cctx = (compassCanvas && compassCanvas.getContext) ? compassCanvas.getContext('2d') : null;
 
 const seedCounterEl = document.getElementById('seedCounter');
 const timerDisplayEl = document.getElementById('timerDisplay');
+const undoDisplayEl = document.getElementById('undoDisplay');
+const inventoryEl = document.getElementById('inventoryPanel');
+const hintDisplayEl = document.getElementById('hintDisplay');
+const syncStatusEl = document.getElementById('syncStatus');
+const winStatsEl = document.getElementById('winStats');
+const worldSeedEl = document.getElementById('worldSeedInfo');
 
 const pauseButton = document.getElementById('pauseButton');
+const mapButton = document.getElementById('mapButton');
 const pauseMenu = document.getElementById('pauseMenu');
 const resumeBtn = document.getElementById('resumeBtn');
 const quitBtn = document.getElementById('quitBtn');
+const recordingBtn = document.getElementById('recordingBtn');
+const resetRegionBtn = document.getElementById('resetRegionBtn');
+const exportSaveBtn = document.getElementById('exportSaveBtn');
+const importSaveBtn = document.getElementById('importSaveBtn');
+const importSaveInput = document.getElementById('importSaveInput');
 
 const winMenu = document.getElementById('winMenu');
+const winTitleEl = document.getElementById('winTitle');
+const dailyBoardEl = document.getElementById('dailyBoard');
 const restartWin = document.getElementById('restartWin');
 const menuWinBtn = document.getElementById('menuWin');
 
@@ -126,7 +162,7 @@ sfx.reset.volume = 0.8;
  *   - fadeToRegion()
  ********************************************************/
 function unlockAudio() {
-    if (audioUnlocked) return;
+    if (audioUnlocked || EDITOR_MODE || REPLAY_MODE) return;
     audioUnlocked = true;
     regionMusic.forEach(m => {
         try {
@@ -134,7 +170,7 @@ function unlockAudio() {
         } catch(e){}
     });
 
-    fadeToRegion(currentRegion, 700);
+    fadeToRegion(game.currentRegion, 700);
 }
 window.addEventListener('click', unlockAudio, { once: true });
 window.addEventListener('keydown', unlockAudio, { once: true });
@@ -145,26 +181,44 @@ window.addEventListener('keydown', unlockAudio, { once: true });
  *   timing, pause state, region, animations, etc.
  ******************************************************/
 let lastTime = performance.now();
+let stepAccumulator = 0; // real ms not yet simulated (always < SIM_STEP_MS after a frame)
 let paused = false;
-let currentRegion = 0; 
-let flashTimer = 0;
+let flashTimer = 0; // ms left on the seed-collection flash
+let teleportFlash = 0; // ms left on the teleport transition
 let waveTime = 0;
-let gameTime = 0; 
 let animationFrameId = null; 
-
-/**************** PLAYER OBJECT **************************
+let playtestMode = false; // editor play-test: never saves or submits scores
+let dailyChallenge = null; // daily challenge run: { id, counts } (counts: today's first attempt); never saved
+const saveSlot = Number(sessionStorage.getItem("activeSlot")) || 1; // save slot picked on the main menu
+let saveSchemaPromise = null; // api/save.schema.json, fetched once by loadSaveSchema()
+let saveSchema = null; // the schema once loadSaveSchema() has it
+let saveReady = false; // the game has been loaded or started, so a save would not overwrite the slot with an empty world
+let lastSaveAt = 0; // Date.now() of the last save, for autosave()
+let autosaveTimer = null; // pending throttled autosave
+let syncStatus = ''; // HUD sync status: '' (nothing saved yet) | 'syncing' | 'synced' | 'local' | 'failed'
+let syncRunning = false; // syncSaves() is sending the queue
+let syncAgain = false; // a save arrived while syncSaves() was running
+let worldMapOpen = false;
+let recording = null; // input recording of this session (recording.js)
+let resetRequested = false; // pause-menu "Reset Region", sent with the next step's input
+let stuckCrates = []; // indices of crates in the current region that can't reach a target
+let stuckKey = ''; // crate layout stuckCrates was worked out for
+let hintTracker = null; // progress watch for hints (hints.js); game.html only
+let activeHint = null; // hint on screen: { kind, text | tile | seed }
+let hintTimer = 0; // ms left on activeHint
+
+/**************** SIMULATION STATE **********************
  * Purpose:
- *   Holds the player's position, speed, and appearance.
+ *   The one simulation state (sim.js) this page runs:
+ *   player, regions, current region, play time, visited
+ *   regions. Shortcuts below point at the same objects.
  ******************************************************/
-const player = {
-    x: TILE * 3,
-    y: TILE * 3,
-    w: 24,
-    h: 24,
-    speed: 3,
-    color: '#3b82f6',
-    name: 'Lyra'
-};
+const game = createSimState();
+const player = game.player;
+
+// Player and crate positions before the latest step, so
+// frames drawn between two steps can blend them (drawFrame)
+const prevPositions = { region: -1, x: 0, y: 0, crates: [] };
 
 /********************************************************
  * Function Name: submitScore
@@ -172,21 +226,27 @@ const player = {
  *   Sends the player's final score/time to the database.
  * Inputs:
  *   - playerName: string
- *   - time: number (milliseconds)
+ *   - time: number (milliseconds), or null for a daily
+ *     challenge that ran out of time
+ *   - hintsUsed: number of hints taken
+ *   - challengeId: daily challenge id, or null for the
+ *     normal game
  * Outputs:
  *   - No direct output; score is stored server-side.
  * Called By:
- *   - Win condition logic
+ *   - showWinMenu(), showDailyTimeUp()
  * Will Call:
  *   - fetch() to submit data to backend PHP script.
  ********************************************************/
-async function submitScore(playerName, time) {
+async function submitScore(playerName, time, hintsUsed, challengeId = null) {
     await fetch("api/submit_score.php", {
         method: "POST",
         headers: { "Content-Type": "application/json" },
         body: JSON.stringify({
             player_name: playerName,
-            completion_time: time
+            completion_time: time,
+            hints_used: hintsUsed,
+            challenge_id: challengeId
         })
     });
 }
@@ -194,20 +254,35 @@ async function submitScore(playerName, time) {
  * Function Name: loadGame
  * Description:
  *      Loads saved game data from the server for the current
- *      player (determined from player object or sessionStorage).
+ *      player (determined from player object or sessionStorage),
+ *      from the save slot picked on the main menu (saveSlot),
+ *      or restores a save imported from a file instead.
+ *      Uses whichever is newer of the copy kept on this device
+ *      (save_store.js) and the server's, so a game saved while
+ *      the server was away still resumes.
+ *      Saves in an older format are upgraded and every save is
+ *      checked against api/save.schema.json (save_format.js);
+ *      when the newer copy fails, the other one is tried.
  *      Restores region, player position, game time, and complex
- *      components (seeds, crates, puzzles).
+ *      components (seeds, crates, puzzles) by entity id. A save
+ *      made in a random world first rebuilds that world from
+ *      its seed.
  * Inputs:
- * - none (uses global player, regions, and gameTime)
+ * - imported: save from an imported save file, or null to
+ *   load the slot's save (uses global player, regions, and
+ *   game.gameTime)
  * Outputs:
  * - returns true on successful load, false on failure
  * Called By:
- * - initGame during startup/resume
+ * - initGame during startup/resume and save imports
  * Will Call:
- * - fetch() -> api/load.php
- * - JSON.parse for decoding saved JSON strings
+ * - fetch() -> api/load.php, getLocalSave(), newerSave()
+ * - loadSaveSchema(), readSave(), restoreSaveState(),
+ *   placePlayerSafely()
+ * - useGeneratedWorld(), useLevelFile(), buildWorld() when
+ *   the save is of another world
  ********************************************************/
-async function loadGame() {
+async function loadGame(imported = null) {
     // 1. Determine player name from player object or session storage fallback
     const playerName = player.name || sessionStorage.getItem("lastPlayerName") || DEFAULT_PLAYER_NAME;
     player.name = playerName; // Ensure global player object has the name
@@ -215,132 +290,323 @@ async function loadGame() {
     console.log(`[LOAD] Attempting to load save for player: ${playerName}`);
   
     try {
-        // Fetch request
-        const url = `api/load.php?player_name=${encodeURIComponent(playerName)}`;
-        const response = await fetch(url);
+        // Fetch request (an unreachable server leaves only the local copy)
+        let serverSave = null;
+        if (!imported) {
+            try {
+                const url = `api/load.php?player_name=${encodeURIComponent(playerName)}&slot=${saveSlot}`;
+                const response = await fetch(url);
   
-        if (!response.ok) {
-            throw new Error(`HTTP error! status: ${response.status}`);
-        }
+                if (!response.ok) {
+                    throw new Error(`HTTP error! status: ${response.status}`);
+                }
   
-        const st = await response.json();
-        console.log("[LOAD] Raw Server Response Object:", st);
+                serverSave = await response.json();
+                console.log("[LOAD] Raw Server Response Object:", serverSave);
+            } catch (fetchError) {
+                console.warn("[LOAD] Server save could not be fetched:", fetchError);
+            }
+        }
+        if (serverSave && serverSave.player_name === undefined) serverSave = null; // error object
   
-        // 2. Check if data is valid (PHP returns null if no save is found)
-        if (!st || st.player_name === undefined) {
-            console.log("[LOAD FAILED] Server returned no valid save data (null/empty object).");
+        // 2. Try the newer copy first; a copy that fails its checks leaves the other one
+        const localSave = imported ? null : await getLocalSave(playerName, saveSlot);
+        const newer = newerSave(localSave, serverSave);
+        const candidates = imported ? [imported] : [newer, newer === localSave ? serverSave : localSave].filter(Boolean);
+        if (!candidates.length) {
+            console.log("[LOAD FAILED] No valid save data on this device or the server.");
             return false;
         }
-  
-        // 3. Restore primary game state variables
-        currentRegion = parseInt(st.region);
-        player.x = parseFloat(st.pos_x);
-        player.y = parseFloat(st.pos_y);
-        gameTime = parseFloat(st.game_time);
-  
-        console.log(`[LOAD SUCCESS] Restoring game state for Region: ${currentRegion}, Time: ${gameTime}`);
-  
-        // 4. Restore complex game components from JSON strings
-        try {
-            // Check st.seeds type before parsing. It MUST be a string containing JSON.
-            if (typeof st.seeds !== 'string') throw new Error("Seeds data is not a JSON string.");
-            const loadedSeeds = JSON.parse(st.seeds);
-            loadedSeeds.forEach((arr, ridx) => {
-                arr.forEach((collected, sidx) => {
-                    if (regions[ridx] && regions[ridx].seeds[sidx]) {
-                        regions[ridx].seeds[sidx].collected = !!collected;
-                    }
-                });
-            });
-  
-            if (typeof st.crates !== 'string') throw new Error("Crates data is not a JSON string.");
-            const loadedCrates = JSON.parse(st.crates);
-            loadedCrates.forEach((arr, ridx) => {
-                arr.forEach((pos, cidx) => {
-                    if (regions[ridx] && regions[ridx].crates[cidx]) {
-                        regions[ridx].crates[cidx].x = pos.x;
-                        regions[ridx].crates[cidx].y = pos.y;
-                    }
-                });
-            });
-  
-            if (typeof st.puzzles !== 'string') throw new Error("Puzzles data is not a JSON string.");
-            const loadedPuzzles = JSON.parse(st.puzzles);
-            loadedPuzzles.forEach((pv, ridx) => {
-                const r = regions[ridx];
-                if (r && r.puzzle && typeof r.puzzle.setState === 'function') {
-                    r.puzzle.setState(pv);
-                } else if (r && r.puzzle) {
-                    r.puzzle.solved = !!pv.solved;
+        const schema = await loadSaveSchema();
+
+        for (const row of candidates) {
+            // 3. A random world is rebuilt from its seed before anything is restored into it
+            //    (and an imported save of the level file leaves a random world)
+            const savedSeed = row.world_seed == null ? null : Number(row.world_seed);
+            if (savedSeed !== worldSeed) {
+                const errors = savedSeed === null ? await useLevelFile() : useGeneratedWorld(savedSeed);
+                if (errors.length) {
+                    console.error("[LOAD FAILED] Saved world could not be rebuilt:", errors);
+                    continue;
                 }
-            });
-  
-            console.log("[LOAD SUCCESS] Complex components (Seeds, Crates, Puzzles) restored.");
+                buildWorld(game, levelData);
+                clearRegionBackgrounds();
+                regions.forEach(prerenderRegionBackground);
+            }
+
+            // 4. Bring older save formats up to date and check the result
+            const { save, errors } = readSave(row, regions, schema);
+            if (!save) {
+                console.error("[LOAD FAILED] Save does not match the save format:", errors);
+                continue;
+            }
+
+            // 5. Restore primary game state variables, then every entity by its id
+            game.currentRegion = save.region;
+            player.x = save.pos_x;
+            player.y = save.pos_y;
+            game.gameTime = save.game_time;
+            game.hintsUsed = save.hints_used;
+            restoreSaveState(game, save);
+            // The saved spot may be blocked now (an edited level, a crate pushed onto it)
+            placePlayerSafely(game);
+
+            console.log(`[LOAD SUCCESS] Restored save version ${row.save_version || 1} for Region: ${game.currentRegion}, Time: ${game.gameTime}`);
             return true;
-  
-        } catch (jsonError) {
-            console.error("[LOAD FAILED] Error parsing/restoring JSON components:", jsonError);
-            return false;
         }
+        return false;
   
     } catch (e) {
-        console.error("[LOAD FAILED] Fetch or network error during loadGame:", e);
+        console.error("[LOAD FAILED] Error during loadGame:", e);
         return false;
     }
   }
 
 /********************************************************
- * Function Name: saveGame
+ * Function Name: buildSavePayload
  * Description:
- * Serializes current game state and sends it to the server
- * to persist between sessions. Uses standard JSON POST.
+ * Serializes the current game state as a save (format in
+ * save_format.js) in the active save slot (saveSlot) and
+ * checks it against api/save.schema.json when the schema
+ * has been fetched.
  * Inputs:
- * - none (reads global game state & regions)
+ * - schema: parsed save schema, or null to skip the check
  * Outputs:
- * - none (attempts network save; logs result)
+ * - the save payload, or null when it does not match the
+ *   save format (it would be refused on load)
  * Called By:
- * - various UI actions (quit, auto-save, region switch)
+ * - saveGame(), saveOnPageHide()
  * Will Call:
- * - fetch() -> api/save.php
+ * - buildSaveState(), checkSchema()
  ********************************************************/
-async function saveGame() {
+function buildSavePayload(schema) {
     if (!player.name) {
         player.name = sessionStorage.getItem("lastPlayerName") || DEFAULT_PLAYER_NAME;
     }
     sessionStorage.setItem("lastPlayerName", player.name);
-  
-    // 1. Serialize puzzle state data
-    const puzzleStates = regions.map(r => {
-        if (r.puzzle && typeof r.puzzle.getState === 'function') {
-            return r.puzzle.getState();
-        }
-        return { solved: r.puzzle?.solved || false };
-    });
-  
+
     const savePayload = {
+        save_version: SAVE_VERSION,
         player_name: player.name,
-        region: currentRegion,
+        slot: saveSlot,
+        region: game.currentRegion,
+        region_name: regions[game.currentRegion].name,
         pos_x: player.x,
         pos_y: player.y,
-        game_time: gameTime,
+        game_time: game.gameTime,
+        hints_used: game.hintsUsed,
+        world_seed: worldSeed,
+        saved_at: Date.now(), // compared with the other copy by loadGame()
         // The values here must be raw, non-JSON objects/arrays, as they will be
         // json_encoded by the fetch request before sending to PHP.
-        seeds: regions.map(r => r.seeds.map(s => s.collected)),
-        crates: regions.map(r => r.crates.map(c => ({ x: c.x, y: c.y }))),
-        puzzles: puzzleStates
+        ...buildSaveState(game)
     };
+
+    const errors = schema ? checkSchema(savePayload, schema) : [];
+    if (errors.length) {
+        console.error("[SAVE FAILED] Save does not match the save format:", errors);
+        return null;
+    }
+    return savePayload;
+}
+
+/********************************************************
+ * Function Name: saveGame
+ * Description:
+ * Saves the current game state: keeps it on this device
+ * first (save_store.js), then syncs it to the server to
+ * persist between sessions, in the active save slot
+ * (saveSlot). Without IndexedDB it is sent straight to the
+ * server. The server keeps one save per slot and updates
+ * it in place. Play-tests and daily challenges are never
+ * saved. A save that does not match the save format is not
+ * kept, so the last good one stays.
+ * Inputs:
+ * - none (reads global game state & regions)
+ * Outputs:
+ * - none (stores and syncs the save; shows the sync status)
+ * Called By:
+ * - initGame() (new game), quit and win-menu buttons,
+ *   autosave()
+ * Will Call:
+ * - loadSaveSchema(), buildSavePayload()
+ * - storeLocalSave(), syncSaves(), postSave()
+ ********************************************************/
+async function saveGame() {
+    if (playtestMode || dailyChallenge) return;
+    clearTimeout(autosaveTimer);
+    autosaveTimer = null;
+    lastSaveAt = Date.now();
+
+    const savePayload = buildSavePayload(await loadSaveSchema());
+    if (!savePayload) {
+        setSyncStatus('failed');
+        return;
+    }
   
+    if (await storeLocalSave(savePayload)) {
+        await syncSaves();
+    } else {
+        setSyncStatus(await postSave(savePayload) === 'stored' ? 'synced' : 'failed');
+    }
+  }
+
+/********************************************************
+ * Function Name: autosave
+ * Description:
+ * Saves after a game event (seed, item, lock, region
+ * switch, hint) at most once every AUTOSAVE_MIN_MS. An
+ * event inside that time schedules one save for when it
+ * ends, so the latest progress is still saved.
+ * Inputs:
+ * - none
+ * Outputs:
+ * - none
+ * Called By:
+ * - handleSimEvents(), showHint()
+ * Will Call:
+ * - saveGame()
+ ********************************************************/
+function autosave() {
+    if (playtestMode || dailyChallenge || autosaveTimer) return;
+    const wait = lastSaveAt + AUTOSAVE_MIN_MS - Date.now();
+    if (wait <= 0) {
+        saveGame();
+    } else {
+        autosaveTimer = setTimeout(saveGame, wait);
+    }
+}
+
+/********************************************************
+ * Function Name: saveOnPageHide
+ * Description:
+ * Saves when the page is hidden or closed (tab switch,
+ * minimised window, navigation away), when an async save
+ * might not finish. The save is kept on this device and
+ * sent with navigator.sendBeacon(), which the browser
+ * delivers even after the page has gone; it also stays
+ * queued, so syncSaves() sends it again if the beacon was
+ * lost.
+ * Inputs:
+ * - none
+ * Outputs:
+ * - none
+ * Called By:
+ * - document "visibilitychange" (hidden) and window
+ *   "pagehide" events
+ * Will Call:
+ * - buildSavePayload(), storeLocalSave()
+ * - navigator.sendBeacon() -> api/save.php
+ ********************************************************/
+function saveOnPageHide() {
+    if (!saveReady || playtestMode || dailyChallenge) return;
+    clearTimeout(autosaveTimer);
+    autosaveTimer = null;
+    lastSaveAt = Date.now();
+
+    const savePayload = buildSavePayload(saveSchema);
+    if (!savePayload) return;
+    storeLocalSave(savePayload);
+    if (navigator.sendBeacon) {
+        navigator.sendBeacon("api/save.php", new Blob([JSON.stringify(savePayload)], { type: "application/json" }));
+    }
+}
+
+/********************************************************
+ * Function Name: loadSaveSchema
+ * Description:
+ * Fetches the save format's schema (api/save.schema.json)
+ * once it arrives. Without it (e.g. the file cannot be
+ * reached when offline) saves are kept and loaded
+ * unchecked; the server still checks every save it stores.
+ * Inputs:
+ * - none
+ * Outputs:
+ * - Promise of the parsed schema, or null
+ * Called By:
+ * - saveGame(), loadGame()
+ * Will Call:
+ * - fetch() -> api/save.schema.json (kept in saveSchema)
+ ********************************************************/
+function loadSaveSchema() {
+    if (!saveSchemaPromise) {
+        saveSchemaPromise = fetch("api/save.schema.json")
+            .then(response => (response.ok ? response.json() : null))
+            .then(schema => (saveSchema = schema))
+            .catch(error => {
+                console.warn("[SAVE] Save schema could not be fetched:", error);
+                saveSchemaPromise = null; // try again next time
+                return null;
+            });
+    }
+    return saveSchemaPromise;
+}
+
+/********************************************************
+ * Function Name: postSave
+ * Description:
+ * Sends one save payload to the server.
+ * Inputs:
+ * - payload: save payload from saveGame()
+ * Outputs:
+ * - 'stored' when the server stored it, 'rejected' when it
+ *   refused the save itself (see api/save.php), 'unsent'
+ *   when it could not be reached or failed otherwise
+ * Called By:
+ * - saveGame(), syncSaves() (through flushSaveQueue())
+ * Will Call:
+ * - fetch() -> api/save.php
+ ********************************************************/
+async function postSave(payload) {
     try {
         const response = await fetch("api/save.php", {
             method: "POST",
             headers: { "Content-Type": "application/json" },
-            body: JSON.stringify(savePayload)
+            body: JSON.stringify(payload)
         });
         const result = await response.json();
         console.log("Game Saved:", result);
+        if (result.status === 'success') return 'stored';
+        return result.rejected ? 'rejected' : 'unsent';
   
     } catch (error) {
         console.error("SAVE ERROR:", error);
+        return 'unsent';
+    }
+  }
+
+/********************************************************
+ * Function Name: syncSaves
+ * Description:
+ * Sends the saves waiting on this device to the server and
+ * updates the HUD sync status. A sync asked for while one
+ * is running makes that one go round again, so the newest
+ * save is always sent.
+ * Inputs:
+ * - none
+ * Outputs:
+ * - none (resolves when this device's queue has been tried)
+ * Called By:
+ * - saveGame(), initGame(), the retry timer and the
+ *   window "online" event
+ * Will Call:
+ * - flushSaveQueue(), postSave(), setSyncStatus()
+ ********************************************************/
+async function syncSaves() {
+    if (syncRunning) {
+        syncAgain = true;
+        return;
+    }
+    syncRunning = true;
+    try {
+        do {
+            syncAgain = false;
+            setSyncStatus('syncing');
+            const { pending, rejected } = await flushSaveQueue(postSave);
+            setSyncStatus(pending ? 'local' : rejected ? 'failed' : 'synced');
+        } while (syncAgain);
+    } finally {
+        syncRunning = false;
     }
   }
 
@@ -407,6 +673,9 @@ const keys = {};
 window.addEventListener('keydown', e => {
     const key = e.key.toLowerCase();
     keys[key] = true;
+    if (key === 'm' && !e.repeat && !EDITOR_MODE) toggleWorldMap();
+    if (key === RESET_REGION_KEY && !e.repeat && !paused && stuckCrates.length) resetRequested = true;
+    if (key === HINT_KEY && !e.repeat && !paused && hintTracker) showHint();
     if (['arrowup', 'arrowdown', 'arrowleft', 'arrowright', 'w', 'a', 's', 'd', ' ', 'enter'].includes(key)) {
         e.preventDefault();
     }
@@ -415,40 +684,31 @@ window.addEventListener('keydown', e => {
 // Keyup handler: clears key state
 window.addEventListener('keyup', e => { keys[e.key.toLowerCase()] = false; });
 
-let interactionPending = false;
-
-/*** UTILS ***/
-/********************************************************
- * Function Name: clamp
- * Description:
- *   Clamps a number between [a, b]
- * Inputs:
- *   - v: number
- *   - a: number (min)
- *   - b: number (max)
- * Outputs:
- *   - number clamped to [a,b]
- * Called By:
- *   - camera & region math throughout the code
- ********************************************************/
-function clamp(v, a, b){ return Math.max(a, Math.min(b, v)); }
-
 /********************************************************
- * Function Name: rectOverlap
+ * Function Name: readInput
  * Description:
- *   AABB rectangle overlap test.
+ *   Turns the held keys (and a pending region reset) into
+ *   the input object step() expects.
  * Inputs:
- *   - a: {x,y,w,h}
- *   - b: {x,y,w,h}
+ *   - none (uses global keys, resetRequested)
  * Outputs:
- *   - boolean (true if rectangles overlap)
+ *   - { up, down, left, right, interact, undo, reset } booleans
  * Called By:
- *   - collision, puzzle, seed, and crate logic
+ *   - loop()
  ********************************************************/
-function rectOverlap(a, b){
-    return !(a.x + a.w <= b.x || a.x >= b.x + b.w || a.y + a.h <= b.y || a.y >= b.y + b.h);
+function readInput() {
+    return {
+        up: !!(keys['arrowup'] || keys['w']),
+        down: !!(keys['arrowdown'] || keys['s']),
+        left: !!(keys['arrowleft'] || keys['a']),
+        right: !!(keys['arrowright'] || keys['d']),
+        interact: !!(keys[INTERACT_KEY] || keys['enter']),
+        undo: !!keys[UNDO_KEY],
+        reset: resetRequested
+    };
 }
 
+
 /********************************************************
  * Function Name: safeSetVolume
  * Description:
@@ -485,30 +745,22 @@ function formatTime(ms) {
     return `${pad(minutes)}:${pad(seconds)}.${pad(milliseconds)}`;
 }
 
-/*** REGIONS: all same size (COLS x ROWS) ***
+/*** REGIONS ***
  * Purpose:
- *   Stores region meta: name, tile grid, seeds, obstacles,
- *   crates, puzzle objects, gates and region-specific music.
+ *   Region meta (name, tile grid, seeds, obstacles, crates,
+ *   puzzles, gates), their connections, the Monument
+ *   and the new-game start. Filled in from the level file by
+ *   buildWorld(); these are the simulation state's own objects.
  ********************************************************/
-const regions = [
-    { id:0, name:'Entrance Clearing', cols:COLS, rows:ROWS, seeds:[], obstacles:[], crates:[], targets:[], puzzle:null, gate:null, music: regionMusic[0] },
-    { id:1, name:'Riverside Path', cols:COLS, rows:ROWS, seeds:[], obstacles:[], crates:[], targets:[], puzzle:null, gate:null, music: regionMusic[1] },
-    { id:2, name:'Ancient Ruins', cols:COLS, rows:ROWS, seeds:[], obstacles:[], crates:[], targets:[], puzzle:null, gate:null, music: regionMusic[2] },
-    { id:3, name:'Spirit Glade', cols:COLS, rows:ROWS, seeds:[], obstacles:[], crates:[], targets:[], puzzle:null, gate:null, music: regionMusic[3] },
-    { id:4, name:'Monument Grounds', cols:COLS, rows:ROWS, seeds:[], obstacles:[], crates:[], targets:[], puzzle:null, gate:null, music: regionMusic[4] }
-];
-
-// linear chain left-right connections
-const regionEdges = [
-    [null, 1, null, null],
-    [null, 2, null, 0],
-    [null, 3, null, 1],
-    [null, 4, null, 2],
-    [null, null, null, 3]
-];
-
-/*** MONUMENT (world coordinates inside region 4) ***/
-const monument = { x: Math.floor(COLS/2) * TILE, y: Math.floor(ROWS/2) * TILE, w: TILE, h: TILE };
+const regions = game.regions;
+const regionEdges = game.regionEdges;
+const monument = game.monument;
+const levelStart = game.levelStart;
+
+// Parsed level data, kept so restarts rebuild the same world
+let levelData = null;
+// Seed of a generated world (worldgen.js); null while playing levels/world.json
+let worldSeed = null;
 
 /*** RENDER & PERFORMANCE CACHE ***
  * Purpose:
@@ -517,6 +769,27 @@ const monument = { x: Math.floor(COLS/2) * TILE, y: Math.floor(ROWS/2) * TILE, w
  ********************************************************/
 const regionBackgrounds = {};
 
+// Base ground colour per region (also used by the world map)
+const REGION_COLORS = ['#8DB360','#6ec0ff','#b7a69e','#a7e7b8','#95d5b2'];
+
+/********************************************************
+ * Function Name: clearRegionBackgrounds
+ * Description:
+ *   Drops every cached background so the next prerender
+ *   draws the current region layouts again.
+ * Inputs:
+ *   - regionId: optional id to clear just one region
+ * Outputs:
+ *   - none (mutates regionBackgrounds)
+ * Called By:
+ *   - buildWorld(), region editor after each change
+ ********************************************************/
+function clearRegionBackgrounds(regionId) {
+    for (const id of Object.keys(regionBackgrounds)) {
+        if (regionId === undefined || Number(id) === regionId) delete regionBackgrounds[id];
+    }
+}
+
 /********************************************************
  * Function Name: prerenderRegionBackground
  * Description:
@@ -528,7 +801,7 @@ const regionBackgrounds = {};
  * Outputs:
  *   - offscreen canvas element containing static render
  * Called By:
- *   - generateContent / initGame to precompute backgrounds
+ *   - buildWorld() to precompute backgrounds
  ********************************************************/
 function prerenderRegionBackground(region) {
     if (regionBackgrounds[region.id]) return regionBackgrounds[region.id];
@@ -538,15 +811,24 @@ function prerenderRegionBackground(region) {
     offCanvas.height = region.rows * TILE;
     const offCtx = offCanvas.getContext('2d');
 
-    const colors = ['#8DB360','#6ec0ff','#b7a69e','#a7e7b8','#95d5b2'];
-    const base = colors[region.id % colors.length];
+    const base = REGION_COLORS[region.id % REGION_COLORS.length];
 
-    // Draw Tiles 
+    // Draw Tiles (terrain map, grass uses the region base colour)
     for (let r=0;r<region.rows;r++){
         for (let c=0;c<region.cols;c++){
             const x = c * TILE, y = r * TILE;
-            offCtx.fillStyle = base;
+            const terrain = terrainAt(region, c, r);
+            offCtx.fillStyle = terrain.color || base;
             offCtx.fillRect(x, y, TILE, TILE);
+            if (terrain === TERRAIN.b) {
+                // Bridge planks
+                offCtx.strokeStyle = 'rgba(60,35,15,0.5)';
+                for (let i = 1; i < 4; i++) offCtx.strokeRect(x, y + i * TILE/4, TILE, 0);
+            } else if (terrain === TERRAIN.l) {
+                // Log rings
+                offCtx.fillStyle = 'rgba(255,220,170,0.25)';
+                offCtx.beginPath(); offCtx.arc(x + TILE/2, y + TILE/2, TILE/4, 0, Math.PI*2); offCtx.fill();
+            }
             offCtx.strokeStyle = 'rgba(0,0,0,0.04)';
             offCtx.strokeRect(x,y,TILE,TILE);
         }
@@ -558,7 +840,7 @@ function prerenderRegionBackground(region) {
     for (const o of obs) offCtx.fillRect(o.x, o.y, o.w, o.h);
 
     // Draw Puzzle Targets 
-    if (region.id === 2) {
+    if (region.targets.length) {
         offCtx.fillStyle = 'rgba(255,100,100,0.3)';
         for (const t of region.targets) {
             offCtx.fillRect(t.x + 4, t.y + 4, TILE-8, TILE-8);
@@ -566,7 +848,7 @@ function prerenderRegionBackground(region) {
     }
 
     // Draw Monument 
-    if (region.id === 4) {
+    if (region.id === monument.region) {
         offCtx.fillStyle = '#9a4df2';
         offCtx.fillRect(monument.x, monument.y, monument.w, monument.h);
         offCtx.strokeStyle = 'rgba(255,255,255,0.16)'; offCtx.strokeRect(monument.x+2, monument.y+2, monument.w-4, monument.h-4);
@@ -598,419 +880,70 @@ function playPuzzleClear(){ playSfx(sfx.puzzleClear); }
 function playInteract(){ playSfx(sfx.interact); }
 function playReset(){ playSfx(sfx.reset); }
 
-
-/*** PUZZLE FACTORIES ***
- * Each factory returns an object with:
- *   - solved (boolean)
- *   - update(), draw(ctx), blocksExit(), getState(), setState()
- * so they integrate with the rest of the system.
- ********************************************/
-
 /********************************************************
- * Function Name: createDynamicPlatePuzzle
+ * Function Name: handleSimEvents
  * Description:
- *   Creates a puzzle where multiple plates must be held down
- *   simultaneously by player or crates. Plates are dynamic so
- *   only solved state is serialized.
+ *   Reacts to what happened during the last simulation
+ *   step: sounds, the seed flash, music fades, saves and
+ *   the win menu.
  * Inputs:
- *   - region: region object (used to check crates)
- *   - plates: array of plate descriptors {x,y}
+ *   - events: array of event names from step()
  * Outputs:
- *   - puzzle object with update/draw/getState/setState
+ *   - none
  * Called By:
- *   - generateContent to attach puzzle to region
+ *   - loop()
+ * Will Call:
+ *   - playSfx(), autosave(), fadeToRegion(),
+ *     updateSeedCounter(), showWinMenu()
  ********************************************************/
-function createDynamicPlatePuzzle(region, plates) {
-    const platesData = plates.map(p => ({ ...p, isPressed: false }));
-
-    return {
-        solved: false,
-        platesData: platesData,
-
-        checkPressed(p) {
-            // Check if the player is pressing the plate
-            if (rectOverlap(player, { x: p.x, y: p.y, w: TILE, h: TILE })) return true;
-
-            // Check if any crate in the current region is pressing the plate
-            return region.crates.some(c => rectOverlap(c, { x: p.x, y: p.y, w: TILE, h: TILE }));
-        },
-
-        update() {
-            if (this.solved) return;
-            let allPressed = true;
-            platesData.forEach(p => {
-                p.isPressed = this.checkPressed(p);
-                if (!p.isPressed) allPressed = false;
-            });
-
-            if (allPressed) {
-                this.solved = true;
+function handleSimEvents(events) {
+    for (const name of events) {
+        switch (name) {
+            case 'seed':
+                flashTimer = SEED_FLASH_MS;
+                playSfx(sfx.seed);
+                autosave();
+                updateSeedCounter();
+                break;
+            case 'interact': playInteract(); break;
+            case 'reset': playReset(); break;
+            case 'puzzleClear': playPuzzleClear(); break;
+            case 'undo': playReset(); break;
+            case 'teleport':
+                // The player jumped: draw them at the pad, not sliding across
+                rememberPositions();
+                teleportFlash = TELEPORT_FLASH_MS;
+                playInteract();
+                break;
+            case 'hazard':
+                // Sent back to the region entrance: no slide across the map
+                rememberPositions();
+                teleportFlash = TELEPORT_FLASH_MS;
+                playReset();
+                break;
+            case 'item':
+                playSfx(sfx.seed);
+                autosave();
+                break;
+            case 'unlock':
                 playPuzzleClear();
-            }
-        },
-
-        blocksExit() { return !this.solved; },
-
-        draw(ctx) {
-            ctx.save();
-            platesData.forEach(p => {
-                ctx.fillStyle = p.isPressed ? "#77ff77" : "#ffaa55";
-                ctx.fillRect(p.x + 8, p.y + 8, TILE-16, TILE-16);
-            });
-            ctx.restore();
-        },
-        getState() {
-            return { solved: this.solved };
-        },
-        setState(state) {
-            this.solved = !!state.solved;
+                autosave();
+                break;
+            case 'regionReset':
+                playReset();
+                autosave();
+                break;
+            case 'region':
+                activeHint = null;
+                fadeToRegion(game.currentRegion, 700);
+                autosave();
+                updateSeedCounter();
+                break;
+            case 'win': showWinMenu(); break;
         }
-    };
-}
-
-/********************************************************
- * Function Name: createStrictSequencePuzzle
- * Description:
- *   Creates a sequence puzzle in which stepping on an
- *   incorrect pad resets progress. Progress advances when
- *   player steps ON the current pad then steps OFF it.
- * Inputs:
- *   - pads: array of pad descriptors {x,y}
- *   - id: unique id for internal state tracking
- * Outputs:
- *   - puzzle object with update/draw/getState/setState
- * Called By:
- *   - generateContent to attach puzzle to region
- ********************************************************/
-let puzzlePadInteraction = {};
-
-//PUZZLE (Region 1) - Strict Sequence Puzzle: Resets if wrong pad/tile is stepped on.
-function createStrictSequencePuzzle(pads, id) {
-    const padKey = `strict_sequence_${id}`;
-    if (puzzlePadInteraction[padKey] === undefined) {
-        puzzlePadInteraction[padKey] = {
-            enteredCorrectPad: false, 
-            lastHitIndex: -1 
-        };
     }
-
-    return {
-        solved: false,
-        index: 0, 
-        id: id,
-        
-        isOverPadOrTarget(pX, pY, region) {
-            return pads.some(p => rectOverlap(player, { x: p.x, y: p.y, w: TILE, h: TILE }));
-        },
-
-        update() {
-            if (this.solved) return;
-            const interactionState = puzzlePadInteraction[padKey];
-            const playerRect = { x: player.x, y: player.y, w: TILE, h: TILE };
-            const touchedPadIndex = pads.findIndex(p => rectOverlap(playerRect, { x: p.x, y: p.y, w: TILE, h: TILE }));
-            const isTouchingAPad = touchedPadIndex !== -1;
-            const isTouchingCurrentTarget = touchedPadIndex === this.index; // The pad they need to hit now.
-
-            // Reset Check (Failure) 
-            // If the player is touching a pad, but it is not the current target, then reset.
-            if (isTouchingAPad && !isTouchingCurrentTarget) {
-                if (this.index > 0 || touchedPadIndex !== -1) { 
-                    this.index = 0;
-                    interactionState.enteredCorrectPad = false; 
-                    interactionState.lastHitIndex = -1; 
-                    playReset();
-                    return;
-                }
-            }
-            
-            // Set flag if player steps ON the correct pad
-            if (isTouchingCurrentTarget) {
-                interactionState.enteredCorrectPad = true;
-                interactionState.lastHitIndex = this.index; 
-                return; 
-            }          
-            // Advance index if player steps OFF the pad that set the flag.
-            
-            const padToExit = pads[interactionState.lastHitIndex];
-            const isStillTouchingLastHitPad = padToExit && rectOverlap(playerRect, padToExit);
-
-            if (interactionState.enteredCorrectPad && !isStillTouchingLastHitPad) {
-                
-                // Player has successfully completed the step by exiting the correct pad area.
-                // This will trigger even if they immediately step onto the next pad.
-                this.index++;
-                playInteract(); 
-                interactionState.enteredCorrectPad = false; 
-                interactionState.lastHitIndex = -1; 
-
-                if (this.index >= pads.length) {
-                    this.solved = true;
-                    playPuzzleClear();
-                }
-            }
-        },
-        
-        blocksExit() { return !this.solved; },
-
-        draw(ctx) {
-            pads.forEach((p, i) => {
-                let fillStyle;
-                if (i < this.index) {
-                    // Completed Pads: Stays green permanently
-                    fillStyle = "#5cb85c"; 
-                } else if (i === this.index) {
-                    // Current Target Pad: Yellowish hint
-                    fillStyle = "#f0ad4e"; 
-                } else {
-                    // Future Pads: Neutral orange
-                    fillStyle = "#f57e5e"; 
-                }
-                const playerRect = { x: player.x, y: player.y, w: TILE, h: TILE };
-                const currentPadRect = { x: p.x, y: p.y, w: TILE, h: TILE };
-
-                if (i === this.index && rectOverlap(playerRect, currentPadRect)) {
-                    fillStyle = "#ffe082"; 
-                }
-
-                ctx.fillStyle = fillStyle;
-                ctx.fillRect(p.x + 6, p.y + 6, TILE - 12, TILE - 12);
-                
-                ctx.fillStyle = "#333";
-                ctx.font = 'bold 12px Inter';
-                ctx.textAlign = 'center';
-                ctx.textBaseline = 'middle'; 
-                ctx.fillText(i + 1, p.x + TILE/2, p.y + TILE/2); 
-                ctx.textBaseline = 'alphabetic';
-            });
-        },
-        
-        getState() {
-            return { 
-                solved: this.solved, 
-                index: this.index,
-                enteredCorrectPad: puzzlePadInteraction[padKey] ? puzzlePadInteraction[padKey].enteredCorrectPad : false,
-                lastHitIndex: puzzlePadInteraction[padKey] ? puzzlePadInteraction[padKey].lastHitIndex : -1
-            };
-        },
-        setState(state) {
-            this.solved = !!state.solved;
-            this.index = state.index !== undefined ? state.index : 0;
-            if (puzzlePadInteraction[padKey]) {
-                puzzlePadInteraction[padKey].enteredCorrectPad = !!state.enteredCorrectPad;
-                puzzlePadInteraction[padKey].lastHitIndex = state.lastHitIndex !== undefined ? state.lastHitIndex : -1;
-            }
-        }
-    };
-}
-
-
-/*******************************************************
- * Function Name: createCratePuzzle
- * Description:
- *      Creates and returns a Sokoban-style crate puzzle object that checks if crates are pushed onto their correct target
- *      ocations. Prevents the player from leaving the region until solved and supports save/load through serialization.
- * Expected Inputs:
- *      region (object) – contains arrays of crates and targets.
- * Expected Outputs/Results:
- *      Returns a puzzle object with methods for updating state, checking completion, drawing visual indicators, and saving/loading.
- * Called By:
- *      generateContent() during region initialization.
- * Will Call:
- *      rectOverlap(), playPuzzleClear().
-****************************************************/
-function createCratePuzzle(region) {
-    return {
-        solved: false,
-        isSolved() {
-            if (region.crates.length !== region.targets.length) return false;
-            return region.crates.every(c => {
-                return region.targets.some(t => rectOverlap(c, t));
-            });
-        },
-
-        update() {
-            if (this.solved) return;
-            const nowSolved = this.isSolved();
-            if (nowSolved) {
-                this.solved = true;
-                playPuzzleClear();
-            }
-        },
-
-        blocksExit() { return !this.solved; },
-
-        draw(ctx) {
-            region.crates.forEach(c => {
-                const onTarget = region.targets.some(t => rectOverlap(c, t));
-                c.color = onTarget ? '#a7f3d0' : '#d1d5db';
-            });
-        },
-        getState() {
-            return { solved: this.solved };
-        },
-        setState(state) {
-            this.solved = !!state.solved;
-        }
-    };
-}
-
-
-/*********************************************************
- * Function Name: createTeleporterPuzzle
- * Description:
- *      Builds a puzzle that requires the player to activate two or more teleporters. When all teleporters are toggled ON by the
- *      interaction key, the puzzle is marked solved. Supports game save/load via serialization.
- * Expected Inputs:
- *      teleporters (array) – list of teleporter coordinates.
- * Expected Outputs/Results:
- *      Returns a puzzle object containing update logic, drawing logic, and save/load support.
- * Called By:
- *      generateContent() while creating Region 3.
- * Will Call:
- *      rectOverlap(), playInteract(), playPuzzleClear().
-*******************************************************/
-function createTeleporterPuzzle(teleporters) {
-    const teleporterData = teleporters.map(t => ({...t, active: false}));
-    return {
-        solved: false,
-        teleporterData: teleporterData,
-
-        update(player, interactionKey) {
-            if (this.solved) return;
-            if (interactionKey) {
-                let interacted = false;
-                teleporterData.forEach(t => {
-                    if (rectOverlap(player, {x: t.x, y: t.y, w: TILE, h: TILE})) {
-                        t.active = !t.active;
-                        interacted = true;
-                    }
-                });
-                if (interacted) playInteract();
-            }
-
-            if (teleporterData.every(t => t.active)) {
-                this.solved = true;
-                playPuzzleClear();
-            }
-        },
-        blocksExit() { return !this.solved; },
-        draw(ctx) {
-            ctx.save();
-            teleporterData.forEach(t => {
-                const color = t.active ? '#34d399' : '#a78bfa';
-                ctx.fillStyle = color;
-                ctx.beginPath();
-                ctx.arc(t.x + TILE/2, t.y + TILE/2, TILE/2 - 4, 0, Math.PI * 2);
-                ctx.fill();
-                ctx.fillStyle = '#1f2937';
-                ctx.font = 'bold 16px Inter';
-                ctx.textAlign = 'center';
-                ctx.fillText(t.active ? 'ON' : 'OFF', t.x + TILE/2, t.y + TILE/2 + 5);
-            });
-            ctx.restore();
-        },
-        getState() {
-            return { solved: this.solved, activeStates: this.teleporterData.map(t => t.active) };
-        },
-        setState(state) {
-            this.solved = state.solved;
-            if (Array.isArray(state.activeStates)) {
-                state.activeStates.forEach((a, i) => {
-                    if (this.teleporterData[i]) this.teleporterData[i].active = !!a;
-                });
-            }
-        }
-    };
 }
 
-/******************************************************
- * Function Name: generateContent
- * Description:
- *      Resets and regenerates all region data, including seeds, obstacles, crates, gates, and puzzle objects. This function
- *      builds all puzzles, spawns objects, and pre-renders static background layers for the world map.
- * Expected Inputs:
- *      None.
- * Expected Outputs/Results:
- *      Populates the global "regions" array with fully initialized gameplay objects and puzzle logic.
- * Called By:
- *      initGame() at startup or on world reset.
- * Will Call:
- *      createDynamicPlatePuzzle(), createStrictSequencePuzzle(), createCratePuzzle(), createTeleporterPuzzle(),
- *      prerenderRegionBackground().
-******************************************************/
-function generateContent(){
-    regions.forEach(r => {
-        r.seeds = []; r.obstacles = []; r.crates = []; r.targets = []; r.puzzle = null;
-    });
-
-    // Region 0: Entrance Clearing 
-    regions[0].seeds = [{ x: 10*TILE, y: 6*TILE, collected:false, pulse:0 }];
-    regions[0].obstacles = [
-        { x: 12*TILE, y: 7*TILE, w:TILE, h:TILE }, 
-    ];
-    regions[0].crates = [
-        { x: 6*TILE, y: 6*TILE, w: TILE, h: TILE, color: '#d1d5db' } // Crate to hold plate
-    ];
-    regions[0].puzzle = createDynamicPlatePuzzle(regions[0], [
-        { x: 4*TILE, y: 5*TILE }, // Plate 1
-        { x: 8*TILE, y: 5*TILE } // Plate 2
-    ]);
-
-    // Region 1: Riverside Path 
-    regions[1].seeds = [{ x: 24*TILE, y: 9*TILE, collected:false, pulse:0 }];
-    regions[1].obstacles = [
-        { x: 22*TILE, y:5*TILE, w:TILE*2, h:TILE },
-        { x: 27*TILE, y:12*TILE, w:TILE*2, h:TILE }
-    ];
-    regions[1].puzzle = createStrictSequencePuzzle([
-        { x: 25*TILE, y:8*TILE },
-        { x: 26*TILE, y:8*TILE },
-        { x: 27*TILE, y:8*TILE }
-    ]);
-
-    // Region 2: Ancient Ruins 
-    regions[2].seeds = [
-        { x: 8*TILE, y:4*TILE, collected:false, pulse:0 }
-    ];
-    regions[2].obstacles = [
-        { x: 15*TILE, y:6*TILE, w:TILE*2, h:TILE*2 }, // Central rock
-        { x: 20*TILE, y:3*TILE, w:TILE*3, h:TILE }, // Top wall
-        { x: 20*TILE, y:14*TILE, w:TILE*3, h:TILE } // Bottom wall
-    ];
-    regions[2].targets = [
-        { x: 6*TILE, y: 6*TILE, w: TILE, h: TILE },
-        { x: 24*TILE, y: 12*TILE, w: TILE, h: TILE }
-    ];
-    regions[2].crates = [
-        { x: 12*TILE, y: 4*TILE, w: TILE, h: TILE, color: '#d1d5db' },
-        { x: 12*TILE, y: 12*TILE, w: TILE, h: TILE, color: '#d1d5db' }
-    ];
-    regions[2].puzzle = createCratePuzzle(regions[2]);
-
-    // Region 3: Spirit Glade 
-    regions[3].seeds = [
-        { x: 12*TILE, y:8*TILE, collected:false, pulse:0 },
-        { x: 18*TILE, y:10*TILE, collected:false, pulse:0 }
-    ];
-    regions[3].obstacles = [
-        { x: 26*TILE, y:7*TILE, w:TILE*3, h:TILE },
-        { x: 5*TILE, y:10*TILE, w:TILE*2, h:TILE*2 }
-    ];
-    regions[3].puzzle = createTeleporterPuzzle([
-        { x: 22*TILE, y: 4*TILE }, // Teleporter 1 (Top Right)
-        { x: 8*TILE, y: 14*TILE } // Teleporter 2 (Bottom Left)
-    ]);
-
-    // Region 4: Monument region
-    regions[4].seeds = [];
-    regions[4].obstacles = [{ x: 8*TILE, y:10*TILE, w:TILE*2, h:TILE*2 }];
-
-    for (let i=0;i<=3;i++){
-        const r = regions[i];
-        r.gate = { x: r.cols*TILE - 8, y: 0, w: 16, h: r.rows * TILE, closed: (r.puzzle && r.puzzle.blocksExit() ) };
-    }
-    regions.forEach(prerenderRegionBackground);
-}
 
 /***************************************************
  * Function Name: fadeToRegion
@@ -1053,88 +986,6 @@ function fadeToRegion(targetIdx, duration = 800) {
     requestAnimationFrame(stepFade);
 }
 
-/****************************************************
- * Function: updateSeeds
- * Description:
- *    Handles seed animations, collision detection, and
- *    automatic collection when the player overlaps a seed.
- *    Updates seed state, triggers SFX, UI updates, and saves
- *    the game whenever a seed is collected.
- *
- * Expected Inputs:
- *    dt (number) – delta time used for seed pulsing animation.
- *
- * Expected Outputs/Results:
- *    - Updates each seed's "pulse" animation.
- *    - Marks seeds as collected when overlapped.
- *    - Triggers flash effects and sound effects (if enabled).
- *    - Saves game data and updates the HUD seed counter.
- *
- * Called By:
- *    Main game loop.
- *
- * Will Call:
- *    - rectOverlap()
- *    - playSfx()
- *    - saveGame()
- *    - updateSeedCounter()
- ****************************************************/
-function updateSeeds(dt){
-    const seeds = regions[currentRegion].seeds;
-    for (const s of seeds){
-        s.pulse += dt * 0.006;
-        if (s.collected) continue;
-        if (rectOverlap(player, { x: s.x, y: s.y, w: TILE, h: TILE })) {
-            s.collected = true;
-            flashTimer = 18;
-            if (audioUnlocked) playSfx(sfx.seed);
-            saveGame();
-            updateSeedCounter();
-        }
-    }
-}
-
-/****************************************************
- * Function: updatePuzzle
- * Description:
- *    Provides a unified handler for region-based puzzle
- *    interactions. Detects interaction key presses, forwards
- *    them to the active puzzle's update function, and keeps the
- *    region gate synced with puzzle completion state.
- *
- * Expected Inputs:
- *    dt (number) – delta time for puzzle timing (if needed).
- *
- * Expected Outputs/Results:
- *    - Detects "interaction" events (Space/Enter).
- *    - Calls puzzle.update() if available.
- *    - Updates gate.closed based on puzzle progress.
- *
- * Called By:
- *    Main game loop.
- *
- * Will Call:
- *    - p.update()
- *    - p.blocksExit()
- ****************************************************/
-function updatePuzzle(dt){
-    const p = regions[currentRegion].puzzle;
-    if (!p) return;
-    let interaction = false;
-    if (keys[INTERACT_KEY] || keys['enter']) {
-        if (!interactionPending) {
-            interaction = true;
-            interactionPending = true; 
-        }
-    } else {
-        interactionPending = false; 
-    }
-    if (typeof p.update === 'function') {
-        p.update(player, interaction);
-    }
-    if (regions[currentRegion].gate) regions[currentRegion].gate.closed = p.blocksExit();
-}
-
 /****************************************************
  * Function: updateSeedCounter
  * Description:
@@ -1148,7 +999,7 @@ function updatePuzzle(dt){
  *    - Updates seedCounterEl.textContent with "X/Y".
  *
  * Called By:
- *    - updateSeeds()
+ *    - handleSimEvents()
  *    - UI refresh logic
  *    - save/load routines
  *
@@ -1166,7 +1017,9 @@ function updateSeedCounter(){
  * Function: updateTimerDisplay
  * Description:
  *    Updates the HUD timer element with the current
- *    formatted playtime stored in gameTime.
+ *    formatted playtime stored in game.gameTime. In a
+ *    daily challenge it counts down the time left
+ *    instead (see dailyTime()).
  *
  * Expected Inputs:
  *    None.
@@ -1182,258 +1035,135 @@ function updateSeedCounter(){
  ****************************************************/
 function updateTimerDisplay() {
     if (!timerDisplayEl) return;
-    timerDisplayEl.textContent = `Time: ${formatTime(gameTime)}`;
+    timerDisplayEl.textContent = dailyChallenge
+        ? `Time left: ${formatTime(Math.max(0, DAILY_TIME_LIMIT_MS - dailyTime()))}`
+        : `Time: ${formatTime(game.gameTime)}`;
 }
 
 /****************************************************
- * Function: canRectMoveTo
+ * Function: dailyTime
  * Description:
- *    Performs general-purpose collision detection for any
- *    rectangular entity. Ensures the rectangle does not cross
- *    region boundaries, static obstacles, or crates.
+ *    The time a daily challenge is scored (and timed out)
+ *    by: play time plus DAILY_HINT_PENALTY_MS for every
+ *    hint taken.
  *
  * Expected Inputs:
- *    rect (object) – rectangle with {x, y, w, h}
- *    currentRegion (object) – region to check collisions in
- *    excludeCrate (object | null) – crate to skip when moving
+ *    None (uses game.gameTime, game.hintsUsed).
  *
  * Expected Outputs/Results:
- *    Returns:
- *       true  – movement allowed
- *       false – blocked by bounds, obstacles, or crates
+ *    - time in ms
  *
  * Called By:
- *    - crate movement logic
- *    - general collision systems
- *
- * Will Call:
- *    - rectOverlap()
+ *    updateTimerDisplay(), loop(), showWinMenu()
  ****************************************************/
-function canRectMoveTo(rect, currentRegion, excludeCrate = null) {
-    const r = currentRegion;
-    // Check world bounds
-    if (rect.x < 0 || rect.y < 0 || rect.x + rect.w > r.cols * TILE || rect.y + rect.h > r.rows * TILE) {
-        return false;
-    }
-
-    // Check static obstacles
-    for (const o of r.obstacles) {
-        if (rectOverlap(rect, o)) return false;
-    }
-    // Check other crates (if the rect is a crate itself, exclude the crate being moved)
-    for (const c of r.crates) {
-        if (c !== excludeCrate && rectOverlap(rect, c)) return false;
-    }
-
-    return true;
+function dailyTime() {
+    return game.gameTime + game.hintsUsed * DAILY_HINT_PENALTY_MS;
 }
 
-
 /****************************************************
- * Function: canPlayerMoveTo
+ * Function: updateUndoDisplay
  * Description:
- *    Validates whether the player can move to the given
- *    position. Checks world boundaries, obstacles, and dynamic
- *    gate states (blocking right exits for regions 0–3).
+ *    Shows how many crate pushes can be undone in the
+ *    current region. Hidden in regions without crates.
  *
  * Expected Inputs:
- *    nx (number) – proposed new x position
- *    ny (number) – proposed new y position
+ *    None (uses game.undoStack).
  *
  * Expected Outputs/Results:
- *    Returns:
- *       true  – movement allowed
- *       false – movement blocked
+ *    - Updates undoDisplayEl.
  *
  * Called By:
- *    Player movement logic.
- *
- * Will Call:
- *    - rectOverlap()
+ *    drawFrame(), initGame()
  ****************************************************/
-function canPlayerMoveTo(nx, ny){
-    const rect = { x: nx, y: ny, w: player.w, h: player.h };
-    const r = regions[currentRegion];
-
-    // Check static obstacles
-    for (const o of r.obstacles) {
-        if (rectOverlap(rect, o)) return false;
-    }
-    // Check current region's gate blocking right-exit
-    const gate = r.gate;
-    // Gate check is only relevant for regions 0-3 (which have a right-exit gate)
-    if (gate && gate.closed) {
-        // Check if player's new position overlaps the closed gate
-        if (rectOverlap(rect, gate)) {
-            return false;
-        }
-    }
-
-    // World bounds check (with allowance for switching - need to check the exact bounds here)
-    if (nx < -TILE || ny < -TILE || nx + player.w > r.cols * TILE + TILE || ny + player.h > r.rows * TILE + TILE) return false;
-    return true;
+function updateUndoDisplay() {
+    if (!undoDisplayEl) return;
+    undoDisplayEl.style.display = regions[game.currentRegion].crates.length ? '' : 'none';
+    undoDisplayEl.textContent = `Undo (Z): ${game.undoStack.length}`;
 }
 
 /****************************************************
- * Function: movePlayer
+ * Function: updateInventoryDisplay
  * Description:
- *    Handles all player movement, including collision
- *    detection, crate pushing, and resolving movement
- *    separately along horizontal and vertical axes.
+ *    Lists the items the player carries in the inventory
+ *    panel, e.g. "🔑 Gold Key · 🏮 Lantern". Hidden while
+ *    the inventory is empty.
  *
  * Expected Inputs:
- *    dx (number) – horizontal movement (-speed → left, +speed → right)
- *    dy (number) – vertical movement   (-speed → up,   +speed → down)
+ *    None (uses game.inventory).
  *
  * Expected Outputs/Results:
- *    - Updates player.x and player.y.
- *    - If the player walks into a crate, attempts to push it.
- *    - Crate can only move if its destination is valid
- *      (no overlaps, inside bounds, not inside obstacles).
+ *    - Updates inventoryEl.
  *
  * Called By:
- *    Player input handler / main update loop.
- *
- * Will Call:
- *    - rectOverlap()
- *    - canRectMoveTo()
- *    - canPlayerMoveTo()
+ *    drawFrame(), initGame()
  ****************************************************/
-function movePlayer(dx, dy){
-    const r = regions[currentRegion];
-    let newPlayerX = player.x, newPlayerY = player.y;
-
-    // Attempt to move horizontally
-    if (dx !== 0) {
-        const nx = player.x + dx;
-        const attemptedRect = { x: nx, y: player.y, w: player.w, h: player.h };
-        let collidedCrate = r.crates.find(c => rectOverlap(attemptedRect, c));
-        if (collidedCrate) {
-            // Crate collision. Try to push the crate.
-            const ncx = collidedCrate.x + dx;
-            const ncy = collidedCrate.y;
-            const nextCrateRect = { x: ncx, y: ncy, w: collidedCrate.w, h: collidedCrate.h };
-            // Crate must not overlap static objects, boundaries, or other crates
-            if (canRectMoveTo(nextCrateRect, r, collidedCrate)) {
-                collidedCrate.x = ncx; // Push successful! Move crate
-                newPlayerX = nx; 
-            }
-        } else if (canPlayerMoveTo(nx, player.y)) {
-            // No crate collision, check for static obstacles/gates
-            newPlayerX = nx;
-        }
-    }
-
-    // Attempt to move vertically 
-    if (dy !== 0) {
-        const ny = player.y + dy;
-        const attemptedRect = { x: newPlayerX, y: ny, w: player.w, h: player.h };
-        let collidedCrate = r.crates.find(c => rectOverlap(attemptedRect, c));
-
-        if (collidedCrate) {
-            // Crate collision. Try to push the crate.
-            const ncx = collidedCrate.x;
-            const ncy = collidedCrate.y + dy;
-            const nextCrateRect = { x: ncx, y: ncy, w: collidedCrate.w, h: collidedCrate.h };
-            if (canRectMoveTo(nextCrateRect, r, collidedCrate)) {
-                collidedCrate.y = ncy; // Push successful! Move crate
-                newPlayerY = ny; 
-            }
-        } else if (canPlayerMoveTo(newPlayerX, ny)) {
-            // No crate collision, check for static obstacles/gates
-            newPlayerY = ny;
-        }
-    }
-    player.x = newPlayerX;
-    player.y = newPlayerY;
+function updateInventoryDisplay() {
+    if (!inventoryEl) return;
+    inventoryEl.style.display = game.inventory.length ? '' : 'none';
+    inventoryEl.textContent = game.inventory.map(i => {
+        const type = ITEM_TYPES[i.item];
+        const name = i.item === 'key' ? `${i.key[0].toUpperCase()}${i.key.slice(1)} ${type.name}` : type.name;
+        return `${type.icon} ${name}`;
+    }).join(' · ');
 }
 
 /****************************************************
- * Function: checkRegionSwitch
+ * Function: updateHintDisplay
  * Description:
- *    Handles seamless region transitions when the player
- *    crosses the boundaries of the current region.
- *    Moves the player into the adjacent region if defined,
- *    clamps them to edges if not, and triggers screen fades.
+ *    Shows the "Hint (H)" prompt while a hint is offered
+ *    (hints.js), with how many hints were taken so far
+ *    and, in a daily challenge, the time a hint costs.
  *
  * Expected Inputs:
- *    None.
+ *    None (uses hintTracker, game.hintsUsed).
  *
  * Expected Outputs/Results:
- *    - Updates currentRegion when transitions occur.
- *    - Repositions player slightly inside the new region.
- *    - Calls fadeToRegion(), saveGame(), and updateSeedCounter().
+ *    - Updates hintDisplayEl.
  *
  * Called By:
- *    Main update loop (after movement is applied).
- *
- * Will Call:
- *    - fadeToRegion()
- *    - saveGame()
- *    - updateSeedCounter()
- *    - clamp()
+ *    drawFrame()
  ****************************************************/
-function checkRegionSwitch(){
-    const region = regions[currentRegion];
-    let moved = false;
-
-    // RIGHT edge
-    if (player.x + player.w > region.cols * TILE) {
-        const next = regionEdges[currentRegion][1];
-        if (next != null && next !== undefined) {
-            const relY = player.y / (region.rows * TILE);
-            currentRegion = next;
-            player.x = 2;
-            player.y = clamp(Math.round(relY * regions[currentRegion].rows * TILE), 2, regions[currentRegion].rows * TILE - player.h - 2);
-            moved = true;
-        } else {
-            player.x = region.cols * TILE - player.w;
-        }
-    }
- 
-    // LEFT edge
-    if (player.x < 0) {
-        const next = regionEdges[currentRegion][3];
-        if (next != null && next !== undefined) {
-            const relY = player.y / (region.rows * TILE);
-            currentRegion = next;
-            player.x = regions[currentRegion].cols * TILE - player.w - 2;
-            player.y = clamp(Math.round(relY * regions[currentRegion].rows * TILE), 2, regions[currentRegion].rows * TILE - player.h - 2);
-            moved = true;
-        } else player.x = 0; 
-    }
-
-    // TOP edge
-    if (player.y < 0) {
-        const next = regionEdges[currentRegion][0];
-        if (next != null && next !== undefined) {
-            const relX = player.x / (region.cols * TILE);
-            currentRegion = next;
-            player.y = regions[currentRegion].rows * TILE - player.h - 2;
-            player.x = clamp(Math.round(relX * regions[currentRegion].cols * TILE), 2, regions[currentRegion].cols * TILE - player.w - 2);
-            moved = true;
-        } else player.y = 0; 
-    }
-
-    // BOTTOM edge
-    if (player.y + player.h > region.rows * TILE) {
-        const next = regionEdges[currentRegion][2];
-        if (next != null && next !== undefined) {
-            const relX = player.x / (region.cols * TILE);
-            currentRegion = next;
-            player.y = 2;
-            player.x = clamp(Math.round(relX * regions[currentRegion].cols * TILE), 2, regions[currentRegion].cols * TILE - player.w - 2);
-            moved = true;
-        } else player.y = region.rows * TILE - player.h; 
-    }
-
-    if (moved) {
-        fadeToRegion(currentRegion, 700);
-        saveGame();
-        updateSeedCounter();
-    }
+function updateHintDisplay() {
+    if (!hintDisplayEl) return;
+    const ready = !!hintTracker && hintReady(hintTracker, game);
+    hintDisplayEl.style.display = ready ? '' : 'none';
+    const cost = dailyChallenge ? ` · +${DAILY_HINT_PENALTY_MS / 1000}s` : '';
+    hintDisplayEl.textContent = game.hintsUsed ? `Hint (H)${cost} · used ${game.hintsUsed}` : `Hint (H)${cost}`;
 }
 
+/****************************************************
+ * Function: setSyncStatus
+ * Description:
+ *    Shows where the latest save is in the HUD:
+ *      syncing – being sent to the server
+ *      synced  – stored on the server
+ *      local   – kept on this device, sent once the
+ *                server can be reached again
+ *      failed  – not saved anywhere (no local store and
+ *                no server)
+ *
+ * Expected Inputs:
+ *    status (string) – one of the above
+ *
+ * Expected Outputs/Results:
+ *    - Sets syncStatus and updates syncStatusEl.
+ *
+ * Called By:
+ *    saveGame(), syncSaves()
+ ****************************************************/
+function setSyncStatus(status) {
+    syncStatus = status;
+    if (!syncStatusEl) return;
+    const labels = {
+        syncing: '⟳ Saving…',
+        synced: '☁ Saved',
+        local: '💾 Saved on this device · will sync',
+        failed: '⚠ Not saved'
+    };
+    syncStatusEl.style.display = '';
+    syncStatusEl.textContent = labels[status];
+    syncStatusEl.dataset.status = status;
+}
 
 /****************************************************
  * Function: drawStaticBackground
@@ -1456,7 +1186,7 @@ function checkRegionSwitch(){
  *    ctx.drawImage()
  ****************************************************/
 function drawStaticBackground(camX, camY){
-    const offCanvas = regionBackgrounds[currentRegion];
+    const offCanvas = regionBackgrounds[game.currentRegion];
     if (offCanvas) {
         ctx.drawImage(offCanvas, 0, 0);
     }
@@ -1470,9 +1200,12 @@ function drawStaticBackground(camX, camY){
  *
  * Expected Inputs:
  *    camX, camY – camera offset values (handled externally).
+ *    alpha – how far between the previous and the latest
+ *            step to draw each crate (1 = latest).
  *
  * Expected Outputs/Results:
  *    - Draws each crate using the active canvas context.
+ *    - Stuck crates (stuckCrates) get a red border and cross.
  *
  * Called By:
  *    Main draw loop.
@@ -1481,10 +1214,11 @@ function drawStaticBackground(camX, camY){
  *    - ctx.fillRect()
  *    - ctx.strokeRect()
  ****************************************************/
-function drawCrates(camX, camY) {
-    const crates = regions[currentRegion].crates;
+function drawCrates(camX, camY, alpha = 1) {
+    const crates = regions[game.currentRegion].crates;
     ctx.save();
-    crates.forEach(c => {
+    crates.forEach((crate, i) => {
+        const c = { ...crate, ...interpolatedPosition(crate, prevPositions.crates[i], alpha) };
         // Shadow
         ctx.beginPath();
         ctx.fillStyle = 'rgba(0,0,0,0.4)';
@@ -1496,19 +1230,95 @@ function drawCrates(camX, camY) {
         ctx.strokeStyle = '#333';
         ctx.lineWidth = 2;
         ctx.strokeRect(c.x, c.y, c.w, c.h);
+        if (stuckCrates.includes(i)) {
+            ctx.strokeStyle = '#dc2626';
+            ctx.lineWidth = 3;
+            ctx.strokeRect(c.x + 1, c.y + 1, c.w - 2, c.h - 2);
+            ctx.beginPath();
+            ctx.moveTo(c.x + 8, c.y + 8); ctx.lineTo(c.x + c.w - 8, c.y + c.h - 8);
+            ctx.moveTo(c.x + c.w - 8, c.y + 8); ctx.lineTo(c.x + 8, c.y + c.h - 8);
+            ctx.stroke();
+        }
     });
     ctx.restore();
 }
 
+/****************************************************
+ * Function: updateStuckCrates
+ * Description:
+ *    Re-runs the dead-state check (deadlock.js) for the
+ *    current region whenever its crate layout changes.
+ *    Skipped while a push is still going on, since the
+ *    layout changes every step then.
+ *
+ * Expected Inputs:
+ *    None (uses game, stuckKey)
+ *
+ * Expected Outputs/Results:
+ *    - stuckCrates lists the dead crates of the region.
+ *
+ * Called By:
+ *    drawFrame()
+ *
+ * Will Call:
+ *    - findDeadCrates()
+ ****************************************************/
+function updateStuckCrates(){
+    if (game.pushing) return;
+    const region = regions[game.currentRegion];
+    const key = `${game.currentRegion}|${region.puzzles.map(p => p.solved).join(',')}|${region.crates.map(c => `${c.x},${c.y}`).join('|')}`;
+    if (key === stuckKey) return;
+    stuckKey = key;
+    stuckCrates = findDeadCrates(region, player);
+}
+
+/****************************************************
+ * Function: drawStuckWarning
+ * Description:
+ *    Draws a warning above the first stuck crate telling
+ *    the player how to recover: undo the last push (Z)
+ *    while there is one, or reset the region (R).
+ *
+ * Expected Inputs:
+ *    None (uses stuckCrates, game.undoStack)
+ *
+ * Expected Outputs/Results:
+ *    - Renders a label in world space.
+ *
+ * Called By:
+ *    drawFrame()
+ ****************************************************/
+function drawStuckWarning(){
+    if (!stuckCrates.length) return;
+    const c = regions[game.currentRegion].crates[stuckCrates[0]];
+    const text = game.undoStack.length
+        ? 'Crate stuck! Z: undo · R: reset region'
+        : 'Crate stuck! R: reset region';
+    ctx.save();
+    ctx.font = 'bold 14px Inter';
+    ctx.textAlign = 'center';
+    const w = ctx.measureText(text).width + 20;
+    const x = clamp(c.x + c.w / 2, w / 2, regions[game.currentRegion].cols * TILE - w / 2);
+    const y = Math.max(c.y - 14, 26);
+    ctx.fillStyle = 'rgba(127,29,29,0.85)';
+    ctx.fillRect(x - w / 2, y - 18, w, 26);
+    ctx.fillStyle = '#fff';
+    ctx.fillText(text, x, y);
+    ctx.restore();
+}
+
 /****************************************************
  * Function: drawSeeds
  * Description:
  *    Draws glowing collectible seeds that become visible
- *    when the player is within reveal radius. Includes
- *    pulse animation and layered glow effects.
+ *    when the player is within reveal radius (wider with
+ *    the seed pouch). Includes pulse animation and layered
+ *    glow effects. Seeds under a fog bank stay hidden.
  *
  * Expected Inputs:
  *    camX, camY – camera coordinates (handled outside).
+ *    revealAll – draw every seed regardless of distance
+ *                (used by the region editor).
  *
  * Expected Outputs/Results:
  *    - Renders each uncollected seed with a pulsing glow.
@@ -1519,15 +1329,18 @@ function drawCrates(camX, camY) {
  * Will Call:
  *    - ctx.arc()
  *    - ctx.createRadialGradient()
+ *    - seedHidden(), hasItem()
  ****************************************************/
-function drawSeeds(camX, camY){
-    const seeds = regions[currentRegion].seeds;
+function drawSeeds(camX, camY, revealAll = false){
+    const region = regions[game.currentRegion];
     const px = player.x + player.w/2, py = player.y + player.h/2;
-    for (const s of seeds){
+    const revealRadius = hasItem(game, 'pouch') ? POUCH_REVEAL_RADIUS : SEED_REVEAL_RADIUS;
+    for (const s of region.seeds){
         if (s.collected) continue;
+        if (!revealAll && seedHidden(region, s)) continue;
         const sx = s.x + TILE/2, sy = s.y + TILE/2;
         const dist = Math.hypot(sx - px, sy - py);
-        if (dist <= SEED_REVEAL_RADIUS) {
+        if (revealAll || dist <= revealRadius) {
             const pulse = 1 + Math.sin(s.pulse) * 0.18;
             ctx.save();
             ctx.globalAlpha = 0.95;
@@ -1549,6 +1362,8 @@ function drawSeeds(camX, camY){
  *
  * Expected Inputs:
  *    camX, camY – camera offsets (not used directly, included for consistency)
+ *    pos – {x, y} to draw at (defaults to the player's own
+ *          position; drawFrame passes the interpolated one)
  *
  * Expected Outputs/Results:
  *    - Renders player with layered visual effects.
@@ -1559,8 +1374,8 @@ function drawSeeds(camX, camY){
  * Will Call:
  *    - ctx.arc(), ctx.ellipse(), ctx.fill(), ctx.stroke()
  ****************************************************/
-function drawPlayer(camX, camY){
-    const cx = player.x + player.w/2, cy = player.y + player.h/2;
+function drawPlayer(camX, camY, pos = player){
+    const cx = pos.x + player.w/2, cy = pos.y + player.h/2;
     // shadow
     ctx.beginPath(); ctx.fillStyle='rgba(0,0,0,0.25)';
     ctx.ellipse(cx, cy + 8, player.w*0.9, player.h*0.45, 0, 0, Math.PI*2); ctx.fill();
@@ -1576,7 +1391,8 @@ function drawPlayer(camX, camY){
 /****************************************************
  * Function: drawWaves
  * Description:
- *    Draws animated water waves for region 1.
+ *    Draws animated waves over the water and shallow-water
+ *    tiles of the current region's terrain map.
  *    Wave movement is sinusoidal and offset by time.
  *
  * Expected Inputs:
@@ -1584,53 +1400,428 @@ function drawPlayer(camX, camY){
  *    now – timestamp from requestAnimationFrame
  *
  * Expected Outputs/Results:
- *    - Renders semi-transparent waves on the screen.
+ *    - Renders semi-transparent waves on visible water tiles.
  *
  * Called By:
  *    Main draw loop.
  ****************************************************/
 function drawWaves(camX, camY, now){
-    if (currentRegion !== 1) return;
-    const baseY = 9.5 * TILE;
-    const waveCount = 4;
+    const region = regions[game.currentRegion];
+    if (!region.terrain) return;
+    const c0 = Math.max(0, Math.floor(camX / TILE));
+    const c1 = Math.min(region.cols - 1, Math.floor((camX + VIEW_W) / TILE));
+    const r0 = Math.max(0, Math.floor(camY / TILE));
+    const r1 = Math.min(region.rows - 1, Math.floor((camY + VIEW_H) / TILE));
     ctx.save();
-    for (let i=0;i<waveCount;i++){
-        const offset = Math.sin((now * 0.002) + i) * 6;
-        ctx.beginPath();
-        const y = (baseY + i*10) - offset;
-        ctx.moveTo(camX - 100, y);
-        for (let x = camX - 100; x < camX + VIEW_W + 100; x += 16) {
-            const yy = y + Math.sin((x * 0.02) + now * 0.003 + i) * 6;
-            ctx.lineTo(x, yy);
+    ctx.strokeStyle = 'rgba(255,255,255,0.35)';
+    ctx.lineWidth = 2;
+    for (let r = r0; r <= r1; r++) {
+        for (let c = c0; c <= c1; c++) {
+            const terrain = terrainAt(region, c, r);
+            if (terrain !== TERRAIN.w && terrain !== TERRAIN.h) continue;
+            const x = c * TILE, y = r * TILE;
+            for (let i = 0; i < 2; i++) {
+                const baseY = y + TILE * (0.3 + i * 0.4) + Math.sin(now * 0.002 + c + i) * 3;
+                ctx.beginPath();
+                ctx.moveTo(x + 4, baseY);
+                for (let xx = x + 4; xx <= x + TILE - 4; xx += 4) {
+                    ctx.lineTo(xx, baseY + Math.sin(xx * 0.3 + now * 0.003 + r) * 2);
+                }
+                ctx.stroke();
+            }
+        }
+    }
+    ctx.restore();
+}
+
+/****************************************************
+ * Function: drawGates
+ * Description:
+ *    Draws a glowing barrier on every closed gate of the
+ *    current region so players can see which exits are
+ *    still locked by the region's puzzle.
+ *
+ * Expected Inputs:
+ *    camX, camY – camera offsets (handled externally)
+ *
+ * Expected Outputs/Results:
+ *    - Renders closed gates; open gates are not drawn.
+ *
+ * Called By:
+ *    Main draw loop.
+ ****************************************************/
+function drawGates(camX, camY){
+    const r = regions[game.currentRegion];
+    const w = r.cols * TILE, h = r.rows * TILE;
+    ctx.save();
+    ctx.fillStyle = 'rgba(167,139,250,0.55)';
+    ctx.shadowColor = '#a78bfa';
+    ctx.shadowBlur = 10;
+    for (const g of r.gates) {
+        if (!g.closed) continue;
+        // Keep the visible part inside the region
+        const x = clamp(g.x, 0, w), y = clamp(g.y, 0, h);
+        ctx.fillRect(x, y, clamp(g.x + g.w, 0, w) - x, clamp(g.y + g.h, 0, h) - y);
+    }
+    ctx.restore();
+}
+
+/****************************************************
+ * Function: drawLocks
+ * Description:
+ *    Draws the current region's closed lock tiles: a
+ *    wooden block with a keyhole in the colour of the key
+ *    that opens it. Open locks are not drawn.
+ *
+ * Expected Inputs:
+ *    camX, camY – camera offsets
+ *
+ * Expected Outputs/Results:
+ *    - Renders the locks in world space.
+ *
+ * Called By:
+ *    drawFrame()
+ *
+ * Will Call:
+ *    - lockSolids()
+ ****************************************************/
+function drawLocks(camX, camY){
+    const locks = lockSolids(regions[game.currentRegion]);
+    if (!locks.length) return;
+    ctx.save();
+    locks.forEach(l => {
+        ctx.fillStyle = '#78350f';
+        ctx.fillRect(l.x + 1, l.y + 1, l.w - 2, l.h - 2);
+        ctx.strokeStyle = KEY_COLORS[l.key];
+        ctx.lineWidth = 3;
+        ctx.strokeRect(l.x + 3, l.y + 3, l.w - 6, l.h - 6);
+        const cx = l.x + l.w/2, cy = l.y + l.h/2;
+        ctx.fillStyle = KEY_COLORS[l.key];
+        ctx.beginPath(); ctx.arc(cx, cy - 3, 4, 0, Math.PI*2); ctx.fill();
+        ctx.fillRect(cx - 2, cy - 2, 4, 9);
+    });
+    ctx.restore();
+}
+
+/****************************************************
+ * Function: drawItems
+ * Description:
+ *    Draws the items still lying in the current region,
+ *    bobbing gently: keys in their colour, the lantern and
+ *    the seed pouch as their inventory icons.
+ *
+ * Expected Inputs:
+ *    camX, camY – camera offsets
+ *    now – timestamp from requestAnimationFrame
+ *
+ * Expected Outputs/Results:
+ *    - Renders uncollected items in world space.
+ *
+ * Called By:
+ *    drawFrame()
+ ****************************************************/
+function drawItems(camX, camY, now){
+    const items = regions[game.currentRegion].items.filter(it => !it.collected);
+    if (!items.length) return;
+    ctx.save();
+    items.forEach((it, i) => {
+        const cx = it.x + TILE/2, cy = it.y + TILE/2 + Math.sin(now * 0.004 + i) * 2;
+        ctx.fillStyle = 'rgba(255,255,255,0.35)';
+        ctx.beginPath(); ctx.arc(cx, cy, TILE/2 - 4, 0, Math.PI*2); ctx.fill();
+        if (it.item === 'key') {
+            ctx.strokeStyle = ctx.fillStyle = KEY_COLORS[it.key];
+            ctx.lineWidth = 3;
+            ctx.beginPath(); ctx.arc(cx - 5, cy, 4, 0, Math.PI*2); ctx.stroke();
+            ctx.fillRect(cx - 1, cy - 1.5, 10, 3);
+            ctx.fillRect(cx + 5, cy, 3, 5);
+        } else {
+            ctx.font = '18px sans-serif';
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            ctx.fillText(ITEM_TYPES[it.item].icon, cx, cy);
         }
-        ctx.lineTo(camX + VIEW_W + 100, y + 40);
-        ctx.lineTo(camX - 100, y + 40);
-        ctx.closePath();
-        ctx.fillStyle = 'rgba(120,170,200,0.22)';
+    });
+    ctx.restore();
+}
+
+/****************************************************
+ * Function: drawTeleporters
+ * Description:
+ *    Draws the current region's teleporter pads: a
+ *    spinning violet ring while the pair is powered, a
+ *    grey one while a puzzle keeps it dormant. Pads that
+ *    lead to another region name it.
+ *
+ * Expected Inputs:
+ *    camX, camY – camera offsets
+ *    now – timestamp from requestAnimationFrame
+ *
+ * Expected Outputs/Results:
+ *    - Renders the pads in world space.
+ *
+ * Called By:
+ *    drawFrame()
+ *
+ * Will Call:
+ *    - padPowered()
+ ****************************************************/
+function drawTeleporters(camX, camY, now){
+    const pads = regions[game.currentRegion].pads;
+    if (!pads.length) return;
+    const spin = now * 0.004;
+    ctx.save();
+    pads.forEach(pad => {
+        const cx = pad.x + TILE/2, cy = pad.y + TILE/2;
+        const powered = padPowered(game, pad);
+        ctx.fillStyle = powered ? 'rgba(167,139,250,0.35)' : 'rgba(107,114,128,0.35)';
+        ctx.beginPath(); ctx.arc(cx, cy, TILE/2 - 3, 0, Math.PI*2); ctx.fill();
+        ctx.strokeStyle = powered ? '#8b5cf6' : '#6b7280';
+        ctx.lineWidth = 3;
+        for (let i = 0; i < 2; i++) {
+            const start = (powered ? spin : 0) + i * Math.PI;
+            ctx.beginPath(); ctx.arc(cx, cy, TILE/2 - 7, start, start + Math.PI * 0.6); ctx.stroke();
+        }
+        if (pad.link.region !== pad.region) {
+            ctx.fillStyle = '#1f2937';
+            ctx.font = '10px Inter';
+            ctx.textAlign = 'center';
+            ctx.fillText(regions[pad.link.region].name, cx, pad.y + TILE + 10);
+        }
+    });
+    ctx.restore();
+}
+
+/****************************************************
+ * Function: drawHazards
+ * Description:
+ *    Draws the current region's hazards: fog banks as
+ *    soft drifting clouds over everything beneath them,
+ *    timed hazards as thorns while on, and as a faint
+ *    outline (flickering just before they switch on)
+ *    while off.
+ *
+ * Expected Inputs:
+ *    camX, camY – camera offsets
+ *    now – timestamp from requestAnimationFrame
+ *
+ * Expected Outputs/Results:
+ *    - Renders the hazards in world space.
+ *
+ * Called By:
+ *    drawFrame()
+ *
+ * Will Call:
+ *    - hazardRect(), hazardOn()
+ ****************************************************/
+function drawHazards(camX, camY, now){
+    const hazards = regions[game.currentRegion].hazards;
+    if (!hazards.length) return;
+    ctx.save();
+    hazards.forEach(h => {
+        const r = hazardRect(h);
+        if (h.kind === 'fog') {
+            const drift = Math.sin(now * 0.002 + h.clock * 0.001) * 3;
+            ctx.fillStyle = h.effect === 'checkpoint' ? 'rgba(203,213,225,0.8)' : 'rgba(226,232,240,0.85)';
+            for (let i = 0; i < h.w / TILE * 2; i++) {
+                for (let j = 0; j < h.h / TILE * 2; j++) {
+                    const cx = r.x + (i + 0.5) * TILE / 2, cy = r.y + (j + 0.5) * TILE / 2;
+                    ctx.beginPath(); ctx.arc(cx + drift * (j % 2 ? 1 : -1), cy, TILE * 0.45, 0, Math.PI*2); ctx.fill();
+                }
+            }
+            return;
+        }
+        if (hazardOn(h)) {
+            ctx.fillStyle = 'rgba(127,29,29,0.45)';
+            ctx.fillRect(r.x, r.y, r.w, r.h);
+            ctx.fillStyle = '#7f1d1d';
+            for (let x = r.x; x < r.x + r.w; x += TILE / 4) {
+                for (let y = r.y + TILE / 4; y <= r.y + r.h; y += TILE / 4) {
+                    ctx.beginPath(); ctx.moveTo(x, y); ctx.lineTo(x + TILE / 8, y - TILE / 4); ctx.lineTo(x + TILE / 4, y); ctx.fill();
+                }
+            }
+        } else {
+            // Warn during the last half second before the hazard switches on
+            const untilOn = h.period - (h.clock + h.offset) % h.period;
+            const warn = untilOn < 500 && Math.floor(now / 100) % 2 === 0;
+            ctx.strokeStyle = warn ? '#dc2626' : 'rgba(127,29,29,0.35)';
+            ctx.lineWidth = 2;
+            ctx.strokeRect(r.x + 1, r.y + 1, r.w - 2, r.h - 2);
+        }
+    });
+    ctx.restore();
+}
+
+/****************************************************
+ * Function: showHint
+ * Description:
+ *    Takes the next hint (hints.js) when one is offered
+ *    and puts it on screen. A seed hint picks the nearest
+ *    seed still to be found.
+ *
+ * Expected Inputs:
+ *    None (uses hintTracker, game)
+ *
+ * Expected Outputs/Results:
+ *    - Sets activeHint and hintTimer; saves the new hint
+ *      count.
+ *
+ * Called By:
+ *    Hint key handler
+ *
+ * Will Call:
+ *    - takeHint(), playInteract(), autosave()
+ ****************************************************/
+function showHint(){
+    const hint = takeHint(hintTracker, game);
+    if (!hint) return;
+    if (hint.kind === 'seed') {
+        const px = player.x + player.w/2, py = player.y + player.h/2;
+        const seeds = regions[game.currentRegion].seeds.filter(s => !s.collected);
+        const dist = s => Math.hypot(s.x + TILE/2 - px, s.y + TILE/2 - py);
+        activeHint = { kind: 'seed', seed: seeds.reduce((a, b) => (dist(b) < dist(a) ? b : a)) };
+        hintTimer = HINT_SEED_MS;
+    } else {
+        activeHint = hint;
+        hintTimer = HINT_SHOW_MS;
+    }
+    playInteract();
+    autosave();
+}
+
+/****************************************************
+ * Function: drawHint
+ * Description:
+ *    Draws the hint on screen, on top of the fog: a text
+ *    bubble above the player, a pulsing ring on the
+ *    hinted tile, an arrow on the crate to push next with
+ *    a ring where to stand, or the hinted seed glowing
+ *    through the dark. Fades out over its last half
+ *    second.
+ *
+ * Expected Inputs:
+ *    camX, camY – camera offsets
+ *    now – timestamp from requestAnimationFrame
+ *    pos – {x, y} of the player as drawn
+ *
+ * Expected Outputs/Results:
+ *    - Renders activeHint while hintTimer runs.
+ *
+ * Called By:
+ *    drawFrame()
+ ****************************************************/
+function drawHint(camX, camY, now, pos = player){
+    if (!activeHint || hintTimer <= 0) return;
+    ctx.save();
+    ctx.translate(-camX, -camY);
+    ctx.globalAlpha = Math.min(1, hintTimer / 500);
+    if (activeHint.kind === 'text') {
+        ctx.font = 'bold 14px Inter';
+        ctx.textAlign = 'center';
+        const w = ctx.measureText(activeHint.text).width + 24;
+        const x = clamp(pos.x + player.w/2, w/2, regions[game.currentRegion].cols * TILE - w/2);
+        const y = Math.max(pos.y - 18, 30);
+        ctx.fillStyle = 'rgba(255,255,255,0.92)';
+        ctx.fillRect(x - w/2, y - 20, w, 28);
+        ctx.beginPath(); ctx.moveTo(x - 6, y + 8); ctx.lineTo(x + 6, y + 8); ctx.lineTo(x, y + 15); ctx.fill();
+        ctx.fillStyle = '#1f2937';
+        ctx.fillText(activeHint.text, x, y);
+    } else if (activeHint.kind === 'tile') {
+        const t = activeHint.tile;
+        const pulse = 1 + Math.sin(now * 0.008) * 0.15;
+        ctx.strokeStyle = '#facc15';
+        ctx.lineWidth = 3;
+        ctx.beginPath(); ctx.arc(t.x + TILE/2, t.y + TILE/2, TILE * 0.7 * pulse, 0, Math.PI*2); ctx.stroke();
+    } else if (activeHint.kind === 'push') {
+        const { from, stand, dir } = activeHint.push;
+        const d = SOLVER_DIRS.find(s => s.name === dir);
+        const pulse = 1 + Math.sin(now * 0.008) * 0.15;
+        const cx = from.col * TILE + TILE/2, cy = from.row * TILE + TILE/2;
+        ctx.strokeStyle = '#facc15';
+        ctx.fillStyle = '#facc15';
+        ctx.lineWidth = 3;
+        ctx.beginPath(); ctx.arc(stand.col * TILE + TILE/2, stand.row * TILE + TILE/2, TILE * 0.45 * pulse, 0, Math.PI*2); ctx.stroke();
+        // Arrow from the crate's centre into the tile it will be pushed onto
+        const tipX = cx + d.dx * TILE, tipY = cy + d.dy * TILE;
+        ctx.beginPath(); ctx.moveTo(cx, cy); ctx.lineTo(tipX - d.dx * 8, tipY - d.dy * 8); ctx.stroke();
+        ctx.beginPath();
+        ctx.moveTo(tipX, tipY);
+        ctx.lineTo(tipX - d.dx * 10 + d.dy * 7, tipY - d.dy * 10 + d.dx * 7);
+        ctx.lineTo(tipX - d.dx * 10 - d.dy * 7, tipY - d.dy * 10 - d.dx * 7);
         ctx.fill();
+    } else {
+        const s = activeHint.seed;
+        const sx = s.x + TILE/2, sy = s.y + TILE/2;
+        const g = ctx.createRadialGradient(sx, sy, 0, sx, sy, 22);
+        g.addColorStop(0, '#fff7b2'); g.addColorStop(0.5, 'rgba(255,211,92,0.8)'); g.addColorStop(1, 'rgba(255,180,60,0)');
+        ctx.fillStyle = g;
+        ctx.beginPath(); ctx.arc(sx, sy, 22, 0, Math.PI*2); ctx.fill();
     }
     ctx.restore();
 }
 
+/****************************************************
+ * Function: drawTeleportFlash
+ * Description:
+ *    Fades a violet wash over the view right after a
+ *    teleport (teleportFlash counts down in loop()).
+ *
+ * Expected Inputs:
+ *    None (uses teleportFlash)
+ *
+ * Expected Outputs/Results:
+ *    - Renders the transition over the whole view.
+ *
+ * Called By:
+ *    drawFrame()
+ ****************************************************/
+function drawTeleportFlash(){
+    if (teleportFlash <= 0) return;
+    ctx.save();
+    ctx.fillStyle = `rgba(221,214,254,${0.85 * (teleportFlash / TELEPORT_FLASH_MS)})`;
+    ctx.fillRect(0, 0, VIEW_W, VIEW_H);
+    ctx.restore();
+}
+
 /****************************************************
  * Function: drawPuzzleVisuals
  * Description:
- *    Delegates drawing of the current region's puzzle
- *    to the puzzle object if it has a draw() function.
+ *    Delegates drawing of the current region's puzzles
+ *    to each puzzle's draw() hook, in level order.
  *
  * Expected Inputs:
  *    camX, camY – camera offsets
  *
  * Expected Outputs/Results:
- *    - Calls puzzle.draw() to render puzzle elements.
+ *    - Calls draw() on every puzzle of the region.
  *
  * Called By:
  *    Main draw loop.
  ****************************************************/
 function drawPuzzleVisuals(camX, camY){
-    const puzzle = regions[currentRegion].puzzle;
-    if (!puzzle || typeof puzzle.draw !== 'function') return;
-    puzzle.draw(ctx, camX, camY);
+    regions[game.currentRegion].puzzles.forEach(p => p.draw(ctx));
+}
+
+/****************************************************
+ * Function: drawPuzzleGlow
+ * Description:
+ *    Draws the light the current region's puzzles give
+ *    off (such as a mirror puzzle's beam) over the fog,
+ *    so it stays visible in the dark.
+ *
+ * Expected Inputs:
+ *    camX, camY – camera offsets
+ *
+ * Expected Outputs/Results:
+ *    - Calls drawGlow() on every puzzle of the region.
+ *
+ * Called By:
+ *    drawFrame(), renderEditor()
+ ****************************************************/
+function drawPuzzleGlow(camX, camY){
+    ctx.save();
+    ctx.translate(-camX, -camY);
+    regions[game.currentRegion].puzzles.forEach(p => p.drawGlow(ctx));
+    ctx.restore();
 }
 
 /****************************************************
@@ -1651,7 +1842,7 @@ function drawPuzzleVisuals(camX, camY){
 function drawCompassHUD(){
     if (!cctx || !compassCanvas) return;
     cctx.clearRect(0,0,compassCanvas.width, compassCanvas.height);
-    const nearest = regions[currentRegion].seeds.find(s => !s.collected);
+    const nearest = regions[game.currentRegion].seeds.find(s => !s.collected);
     const cx = compassCanvas.width/2, cy = compassCanvas.height/2;
     // Outer ring
     cctx.lineWidth = 4;
@@ -1686,11 +1877,13 @@ function drawCompassHUD(){
  * Function: drawFog
  * Description:
  *    Draws darkness overlay with a circular vision radius
- *    around the player. Supports dynamic lighting effect.
+ *    around the player (wider with the lantern). Supports
+ *    dynamic lighting effect.
  *
  * Expected Inputs:
  *    camX, camY – camera offsets
  *    now – current timestamp for animation
+ *    pos – {x, y} of the player as drawn (see drawPlayer)
  *
  * Expected Outputs/Results:
  *    - Darkens the screen outside of player's vision radius.
@@ -1699,15 +1892,15 @@ function drawCompassHUD(){
  *    Main draw loop.
  ****************************************************/
 let fogOffset = 0;
-function drawFog(camX, camY, now){
+function drawFog(camX, camY, now, pos = player){
     fogOffset += (now - lastTime) * 0.00013;
     ctx.save();
     ctx.fillStyle = 'rgba(0,0,0,0.45)';
     ctx.fillRect(0,0,VIEW_W, VIEW_H);
 
-    const screenX = (player.x - camX) + player.w/2;
-    const screenY = (player.y - camY) + player.h/2;
-    const radius = VISION_RADIUS;
+    const screenX = (pos.x - camX) + player.w/2;
+    const screenY = (pos.y - camY) + player.h/2;
+    const radius = hasItem(game, 'lantern') ? LANTERN_VISION_RADIUS : VISION_RADIUS;
     const grad = ctx.createRadialGradient(screenX, screenY, radius*0.2, screenX, screenY, radius);
     grad.addColorStop(0, 'rgba(0,0,0,0)');
     grad.addColorStop(1, 'rgba(0,0,0,0.95)');
@@ -1719,11 +1912,139 @@ function drawFog(camX, camY, now){
 }
 
 /****************************************************
- * Function: checkWinCondition
+ * Function: drawWorldMap
  * Description:
- *    Checks if all seeds are collected and the player
- *    is overlapping the monument in region 4.
- *    Triggers win menu and submits score if conditions met.
+ *    Draws the world-map overlay: one cell per region at its
+ *    map position, connections between them, the route from
+ *    the current region to the Monument Grounds, and the
+ *    uncollected seeds of every visited region. Unvisited
+ *    regions are shown as "?".
+ *
+ * Expected Inputs:
+ *    None (uses regions, regionEdges, game.visited)
+ *
+ * Expected Outputs/Results:
+ *    - Renders the map over the game view.
+ *
+ * Called By:
+ *    Main draw loop while worldMapOpen is true.
+ *
+ * Will Call:
+ *    - findRegionRoute()
+ ****************************************************/
+function drawWorldMap(){
+    const mapCols = Math.max(...regions.map(r => r.map.col)) + 1;
+    const mapRows = Math.max(...regions.map(r => r.map.row)) + 1;
+    const gap = 28;
+    const cellW = Math.min(180, (VIEW_W - 80 - gap * (mapCols - 1)) / mapCols);
+    const cellH = Math.min(cellW * 0.6, (VIEW_H - 140 - gap * (mapRows - 1)) / mapRows);
+    const originX = (VIEW_W - (cellW * mapCols + gap * (mapCols - 1))) / 2;
+    const originY = 70 + (VIEW_H - 130 - (cellH * mapRows + gap * (mapRows - 1))) / 2;
+    const cell = r => ({ x: originX + r.map.col * (cellW + gap), y: originY + r.map.row * (cellH + gap) });
+    const center = r => { const c = cell(r); return { x: c.x + cellW / 2, y: c.y + cellH / 2 }; };
+
+    ctx.save();
+    ctx.fillStyle = 'rgba(5,28,31,0.85)';
+    ctx.fillRect(0, 0, VIEW_W, VIEW_H);
+    ctx.fillStyle = '#fff';
+    ctx.font = 'bold 24px Inter';
+    ctx.textAlign = 'center';
+    ctx.fillText('World Map', VIEW_W / 2, 44);
+
+    // Connections (closed gates drawn dashed red)
+    ctx.lineWidth = 4;
+    regions.forEach((r, i) => {
+        regionEdges[i].forEach((next, slot) => {
+            if (next === null || next === undefined || next < i) return;
+            const edge = LEVEL_EDGES[slot];
+            const back = oppositeEdge(edge);
+            const closed = r.gates.some(g => g.edge === edge && g.closed) ||
+                           regions[next].gates.some(g => g.edge === back && g.closed);
+            const a = center(r), b = center(regions[next]);
+            ctx.strokeStyle = closed ? 'rgba(248,113,113,0.8)' : 'rgba(255,255,255,0.35)';
+            ctx.setLineDash(closed ? [8, 6] : []);
+            ctx.beginPath(); ctx.moveTo(a.x, a.y); ctx.lineTo(b.x, b.y); ctx.stroke();
+        });
+    });
+    ctx.setLineDash([]);
+
+    // Route to the Monument Grounds
+    const route = findRegionRoute(game, game.currentRegion, monument.region);
+    if (route && route.length > 1) {
+        ctx.strokeStyle = '#ffd166';
+        ctx.lineWidth = 6;
+        ctx.shadowColor = '#ffd166';
+        ctx.shadowBlur = 10;
+        ctx.beginPath();
+        route.forEach((idx, n) => {
+            const p = center(regions[idx]);
+            if (n === 0) ctx.moveTo(p.x, p.y); else ctx.lineTo(p.x, p.y);
+        });
+        ctx.stroke();
+        ctx.shadowBlur = 0;
+    }
+
+    // Region cells
+    regions.forEach(r => {
+        const c = cell(r);
+        const visited = game.visited.has(r.id);
+        ctx.fillStyle = visited ? REGION_COLORS[r.id % REGION_COLORS.length] : '#334155';
+        ctx.fillRect(c.x, c.y, cellW, cellH);
+        ctx.lineWidth = r.id === game.currentRegion ? 4 : 2;
+        ctx.strokeStyle = r.id === game.currentRegion ? '#fff' : 'rgba(255,255,255,0.4)';
+        ctx.strokeRect(c.x, c.y, cellW, cellH);
+
+        const sx = cellW / (r.cols * TILE), sy = cellH / (r.rows * TILE);
+        ctx.textAlign = 'center';
+        if (!visited) {
+            ctx.fillStyle = 'rgba(255,255,255,0.6)';
+            ctx.font = 'bold 28px Inter';
+            ctx.fillText('?', c.x + cellW / 2, c.y + cellH / 2 + 10);
+            return;
+        }
+        // Monument
+        if (r.id === monument.region) {
+            ctx.fillStyle = '#9a4df2';
+            ctx.fillRect(c.x + monument.x * sx - 4, c.y + monument.y * sy - 4, 10, 10);
+        }
+        // Uncollected seeds
+        ctx.fillStyle = '#ffd35c';
+        r.seeds.forEach(s => {
+            if (s.collected) return;
+            ctx.beginPath();
+            ctx.arc(c.x + (s.x + TILE / 2) * sx, c.y + (s.y + TILE / 2) * sy, 4, 0, Math.PI * 2);
+            ctx.fill();
+        });
+        // Player
+        if (r.id === game.currentRegion) {
+            ctx.fillStyle = player.color;
+            ctx.beginPath();
+            ctx.arc(c.x + (player.x + player.w / 2) * sx, c.y + (player.y + player.h / 2) * sy, 5, 0, Math.PI * 2);
+            ctx.fill();
+        }
+        const found = r.seeds.filter(s => s.collected).length;
+        ctx.fillStyle = '#1f2937';
+        ctx.font = 'bold 12px Inter';
+        ctx.fillText(r.name, c.x + cellW / 2, c.y + 16);
+        if (r.seeds.length) ctx.fillText(`Seeds ${found}/${r.seeds.length}`, c.x + cellW / 2, c.y + cellH - 8);
+    });
+
+    ctx.fillStyle = 'rgba(255,255,255,0.7)';
+    ctx.font = '13px Inter';
+    ctx.textAlign = 'center';
+    ctx.fillText('Gold line: route to the Monument  ·  Red dashes: closed gates  ·  M to close', VIEW_W / 2, VIEW_H - 24);
+    ctx.restore();
+}
+
+/****************************************************
+ * Function: showWinMenu
+ * Description:
+ *    Ends the run once the simulation reports a win:
+ *    pauses, plays the win sound, shows the win menu with
+ *    the completion time and hints used, and submits the
+ *    score. A daily challenge is scored by dailyTime(),
+ *    only submitted on the day's first attempt, and shows
+ *    the day's leaderboard.
  *
  * Expected Inputs:
  *    None
@@ -1731,34 +2052,182 @@ function drawFog(camX, camY, now){
  * Expected Outputs/Results:
  *    - Pauses the game.
  *    - Plays win sound.
- *    - Displays win menu, hides pause menu.
+ *    - Displays win menu (with time and hints used),
+ *      hides pause menu.
  *    - Submits score to server.
  *
  * Called By:
- *    Main update loop.
+ *    handleSimEvents() on the 'win' event.
+ *
+ * Will Call:
+ *    - submitScore(), showDailyBoard()
  ****************************************************/
-function checkWinCondition(){
-    const allCollected = regions.every(r => r.seeds.every(s => s.collected));
-    if (!allCollected) return;
-    if (currentRegion !== 4) return;
-    if (rectOverlap(player, monument)) {
-        paused = true;
-        if (audioUnlocked) playSfx(sfx.win);
-
+function showWinMenu(){
+    paused = true;
+    if (audioUnlocked) playSfx(sfx.win);
+
+    if (winTitleEl) winTitleEl.textContent = '🎉 You Restored the Land!';
+    if (dailyChallenge) {
+        const time = dailyTime();
+        const submitted = dailyChallenge.counts ? submitScore(player.name, time, game.hintsUsed, dailyChallenge.id) : Promise.resolve();
+        submitted.catch(err => console.error("Score submit failed:", err)).then(showDailyBoard);
+        if (winStatsEl) {
+            winStatsEl.textContent = `Daily ${dailyChallenge.id} · Time: ${formatTime(time)} · Hints used: ${game.hintsUsed}` +
+                (dailyChallenge.counts ? '' : ' · Practice run, not scored');
+        }
+    } else {
         // Submit score 
-        submitScore(player.name, gameTime);
-        
-        if (winMenu) winMenu.style.display = 'block';
-        if (pauseMenu) pauseMenu.style.display = 'none';
+        if (!playtestMode) submitScore(player.name, game.gameTime, game.hintsUsed);
+
+        if (winStatsEl) {
+            winStatsEl.textContent = `Time: ${formatTime(game.gameTime)} · Hints used: ${game.hintsUsed}`;
+        }
+    }
+    if (winMenu) winMenu.style.display = 'block';
+    if (pauseMenu) pauseMenu.style.display = 'none';
+}
+
+/****************************************************
+ * Function: showDailyTimeUp
+ * Description:
+ *    Ends a daily challenge that ran out of time: pauses
+ *    and shows the win menu as a "time's up" panel with
+ *    the day's leaderboard. The day's first attempt is
+ *    still sent (with no time), so it is used up on the
+ *    server as well.
+ *
+ * Expected Inputs:
+ *    None (uses dailyChallenge)
+ *
+ * Expected Outputs/Results:
+ *    - Pauses the game and shows the win menu.
+ *
+ * Called By:
+ *    loop()
+ *
+ * Will Call:
+ *    - submitScore(), showDailyBoard(), playReset()
+ ****************************************************/
+function showDailyTimeUp(){
+    paused = true;
+    if (audioUnlocked) playReset();
+
+    const submitted = dailyChallenge.counts ? submitScore(player.name, null, game.hintsUsed, dailyChallenge.id) : Promise.resolve();
+    submitted.catch(err => console.error("Score submit failed:", err)).then(showDailyBoard);
+
+    if (winTitleEl) winTitleEl.textContent = "⏳ Time's Up";
+    if (winStatsEl) {
+        winStatsEl.textContent = `Daily ${dailyChallenge.id} · The Monument was not reached within ${formatTime(DAILY_TIME_LIMIT_MS)}`;
+    }
+    if (winMenu) winMenu.style.display = 'block';
+    if (pauseMenu) pauseMenu.style.display = 'none';
+}
+
+/****************************************************
+ * Function: showDailyBoard
+ * Description:
+ *    Fetches the fastest times of the current daily
+ *    challenge and lists them in the win menu.
+ *
+ * Expected Inputs:
+ *    None (uses dailyChallenge)
+ *
+ * Expected Outputs/Results:
+ *    - Fills and shows #dailyBoard (hidden when the
+ *      board cannot be loaded).
+ *
+ * Called By:
+ *    showWinMenu(), showDailyTimeUp()
+ *
+ * Will Call:
+ *    - fetch() -> api/daily_scores.php
+ ****************************************************/
+async function showDailyBoard(){
+    if (!dailyBoardEl || !dailyChallenge) return;
+    dailyBoardEl.replaceChildren();
+    dailyBoardEl.style.display = 'none';
+    try {
+        const response = await fetch(`api/daily_scores.php?challenge_id=${encodeURIComponent(dailyChallenge.id)}`);
+        const scores = await response.json();
+        if (!Array.isArray(scores)) throw new Error(scores && scores.message);
+        scores.forEach(row => {
+            const item = document.createElement('li');
+            item.textContent = `${row.player_name} · ${formatTime(Number(row.completion_time))} · ${row.hints_used} hints`;
+            if (row.player_name === player.name) item.className = 'you';
+            dailyBoardEl.appendChild(item);
+        });
+        if (!scores.length) {
+            const item = document.createElement('li');
+            item.textContent = 'No finished runs yet today.';
+            dailyBoardEl.appendChild(item);
+        }
+        dailyBoardEl.style.display = '';
+    } catch (error) {
+        console.error("Could not load the daily leaderboard:", error);
+    }
+}
+
+/****************************************************
+ * Function: rememberPositions
+ * Description:
+ *    Copies the player and crate positions of the current
+ *    region into prevPositions. Called right before each
+ *    step so drawFrame() can blend old and new positions.
+ *
+ * Expected Inputs:
+ *    None (uses game, prevPositions)
+ *
+ * Expected Outputs/Results:
+ *    - prevPositions holds the positions as they are now.
+ *
+ * Called By:
+ *    loop(), initGame(), replay viewer (replay.js)
+ ****************************************************/
+function rememberPositions(){
+    prevPositions.region = game.currentRegion;
+    prevPositions.x = player.x;
+    prevPositions.y = player.y;
+    prevPositions.crates = regions[game.currentRegion].crates.map(c => ({ x: c.x, y: c.y }));
+}
+
+/****************************************************
+ * Function: interpolatedPosition
+ * Description:
+ *    Position to draw an object at between the previous
+ *    and the latest simulation step. Objects with no
+ *    previous position (or after a region switch) are
+ *    drawn where they are.
+ *
+ * Expected Inputs:
+ *    current (object) – {x, y} after the latest step
+ *    prev (object | undefined) – {x, y} before it
+ *    alpha (number) – 0 = previous step, 1 = latest step
+ *
+ * Expected Outputs/Results:
+ *    Returns { x, y }.
+ *
+ * Called By:
+ *    drawFrame(), drawCrates()
+ ****************************************************/
+function interpolatedPosition(current, prev, alpha){
+    if (!prev || alpha >= 1 || prevPositions.region !== game.currentRegion) {
+        return { x: current.x, y: current.y };
     }
+    return {
+        x: prev.x + (current.x - prev.x) * alpha,
+        y: prev.y + (current.y - prev.y) * alpha
+    };
 }
 
 /****************************************************
  * Function: loop
  * Description:
  *    Main game loop driven by requestAnimationFrame.
- *    Handles input, movement, puzzle updates, timer,
- *    camera, drawing all elements, HUD, and fog effects.
+ *    Real time is collected in stepAccumulator and the
+ *    simulation runs in fixed SIM_STEP_MS steps, as many
+ *    as the time allows, so movement and the timer do not
+ *    depend on the display's refresh rate. The frame is
+ *    then drawn part-way between the last two steps.
  *
  * Expected Inputs:
  *    now – timestamp from requestAnimationFrame
@@ -1772,45 +2241,74 @@ function checkWinCondition(){
  *    Initial game start (e.g., requestAnimationFrame(loop))
  *
  * Will Call:
- *    - movePlayer()
- *    - updateSeeds()
- *    - updatePuzzle()
- *    - checkRegionSwitch()
- *    - checkWinCondition()
- *    - drawStaticBackground(), drawWaves(), drawPuzzleVisuals(), drawCrates(), drawSeeds(), drawPlayer()
- *    - drawFog(), drawCompassHUD()
- *    - updateSeedCounter(), updateTimerDisplay()
+ *    - readInput(), rememberPositions(), recordFrame()
+ *    - step(), handleSimEvents(), drawFrame()
+ *    - showDailyTimeUp() when a daily challenge runs out
+ *      of time
  ****************************************************/
 function loop(now){
     animationFrameId = requestAnimationFrame(loop);
-    const dt = now - lastTime;
+    const dt = Math.min(now - lastTime, MAX_FRAME_MS);
     lastTime = now;
 
     if (!paused){
-        let dx = 0, dy = 0;
-        if (keys['arrowup'] || keys['w']) dy -= player.speed;
-        if (keys['arrowdown'] || keys['s']) dy += player.speed;
-        if (keys['arrowleft'] || keys['a']) dx -= player.speed;
-        if (keys['arrowright'] || keys['d']) dx += player.speed;
-        if (dx !== 0 && dy !== 0) { dx *= 0.7071; dy *= 0.7071; }
-
-        movePlayer(dx, dy);
-        gameTime += dt;
-
-        updateSeeds(dt);
-        updatePuzzle(dt); 
-
-        checkRegionSwitch();
+        stepAccumulator += dt;
+        const input = readInput();
+        while (stepAccumulator >= SIM_STEP_MS && !paused) {
+            rememberPositions();
+            if (recording) recordFrame(recording, input, SIM_STEP_MS);
+            step(game, input, SIM_STEP_MS);
+            resetRequested = input.reset = false;
+            stepAccumulator -= SIM_STEP_MS;
+            waveTime += SIM_STEP_MS * 0.002;
+            flashTimer = Math.max(0, flashTimer - SIM_STEP_MS);
+            teleportFlash = Math.max(0, teleportFlash - SIM_STEP_MS);
+            hintTimer = Math.max(0, hintTimer - SIM_STEP_MS);
+            if (hintTracker) updateHintTracker(hintTracker, game, SIM_STEP_MS);
+            handleSimEvents(game.events);
+            if (dailyChallenge && !paused && dailyTime() >= DAILY_TIME_LIMIT_MS) showDailyTimeUp();
+        }
+    }
 
-        waveTime += dt * 0.002;
+    drawFrame(now, stepAccumulator / SIM_STEP_MS);
+}
 
-        checkWinCondition();
-    }
+/****************************************************
+ * Function: drawFrame
+ * Description:
+ *    Draws one frame of the current simulation state:
+ *    camera, world, player, effects, fog, world map and
+ *    HUD.
+ *
+ * Expected Inputs:
+ *    now – timestamp from requestAnimationFrame
+ *    alpha – how far between the previous and the latest
+ *            step to draw the player and crates (0–1,
+ *            default 1 = latest)
+ *
+ * Expected Outputs/Results:
+ *    - Renders the game view and refreshes the HUD.
+ *
+ * Called By:
+ *    loop(), replay viewer (replay.js)
+ *
+ * Will Call:
+ *    - drawStaticBackground(), drawGates(), drawLocks(), drawWaves(),
+ *      drawTeleporters(), drawPuzzleVisuals()
+ *    - updateStuckCrates(), drawCrates(), drawSeeds(), drawItems(),
+ *      drawPlayer(), drawHazards(), drawStuckWarning()
+ *    - drawFog(), drawPuzzleGlow(), drawHint(), drawTeleportFlash(),
+ *      drawWorldMap(), drawCompassHUD()
+ *    - updateSeedCounter(), updateTimerDisplay(), updateUndoDisplay(),
+ *      updateInventoryDisplay(), updateHintDisplay()
+ ****************************************************/
+function drawFrame(now, alpha = 1){
+    const pos = interpolatedPosition(player, prevPositions, alpha);
 
     // camera
-    const region = regions[currentRegion];
-    const camX = clamp(Math.round(player.x - VIEW_W/2 + player.w/2), 0, Math.max(0, region.cols * TILE - VIEW_W));
-    const camY = clamp(Math.round(player.y - VIEW_H/2 + player.h/2), 0, Math.max(0, region.rows * TILE - VIEW_H));
+    const region = regions[game.currentRegion];
+    const camX = clamp(Math.round(pos.x - VIEW_W/2 + player.w/2), 0, Math.max(0, region.cols * TILE - VIEW_W));
+    const camY = clamp(Math.round(pos.y - VIEW_H/2 + player.h/2), 0, Math.max(0, region.rows * TILE - VIEW_H));
 
     // clear and draw world
     ctx.clearRect(0,0,VIEW_W,VIEW_H);
@@ -1818,29 +2316,40 @@ function loop(now){
     ctx.translate(-camX, -camY);
 
     drawStaticBackground(camX, camY);
+    drawGates(camX, camY);
+    drawLocks(camX, camY);
     // Animated and movable elements
     drawWaves(camX, camY, now);
+    drawTeleporters(camX, camY, now);
     drawPuzzleVisuals(camX, camY); 
-    drawCrates(camX, camY); 
+    updateStuckCrates();
+    drawCrates(camX, camY, alpha); 
     drawSeeds(camX, camY);
-    drawPlayer(camX, camY);
+    drawItems(camX, camY, now);
+    drawPlayer(camX, camY, pos);
+    drawHazards(camX, camY, now);
+    drawStuckWarning();
 
-    // Player collection flash effect
+    // Player collection flash effect (flashTimer counts down in loop())
     if (flashTimer > 0){
-        flashTimer--;
-        ctx.fillStyle = `rgba(255,230,120,${0.5 * (flashTimer / 18)})`;
-        ctx.fillRect(player.x - 8, player.y - 8, player.w + 16, player.h + 16);
+        ctx.fillStyle = `rgba(255,230,120,${0.5 * (flashTimer / SEED_FLASH_MS)})`;
+        ctx.fillRect(pos.x - 8, pos.y - 8, player.w + 16, player.h + 16);
     }
 
     ctx.restore();
 
     // Draw HUD elements 
-    drawFog(camX, camY, now);
+    drawFog(camX, camY, now, pos);
+    drawPuzzleGlow(camX, camY);
+    drawHint(camX, camY, now, pos);
+    drawTeleportFlash();
+    if (worldMapOpen) drawWorldMap();
     drawCompassHUD();
     updateSeedCounter();
     updateTimerDisplay(); 
-
-
+    updateUndoDisplay();
+    updateInventoryDisplay();
+    updateHintDisplay();
 }
 
 /****************************************************
@@ -1868,6 +2377,27 @@ function togglePause() {
 
 if (pauseButton) pauseButton.addEventListener('click', togglePause);
 
+/****************************************************
+ * Function: toggleWorldMap
+ * Description:
+ *    Shows or hides the world-map overlay (M key or the
+ *    map button).
+ *
+ * Expected Inputs:
+ *    None (uses global worldMapOpen)
+ *
+ * Expected Outputs/Results:
+ *    - worldMapOpen toggled; drawn by loop()
+ *
+ * Called By:
+ *    keydown handler, mapButton click
+ ****************************************************/
+function toggleWorldMap() {
+  worldMapOpen = !worldMapOpen;
+}
+
+if (mapButton) mapButton.addEventListener('click', toggleWorldMap);
+
 
 /****************************************************
  * UI Button: Resume from pause menu
@@ -1879,6 +2409,173 @@ if (resumeBtn) {
   });
 }
 
+/****************************************************
+ * UI Button: Reset region from pause menu
+ * Description:
+ *    Resumes and asks the next step to put the current
+ *    region's crates and puzzle back to their start.
+ ****************************************************/
+if (resetRegionBtn) {
+  resetRegionBtn.addEventListener('click', () => {
+      resetRequested = true;
+      paused = false;
+      if (pauseMenu) pauseMenu.style.display = 'none';
+  });
+}
+
+/****************************************************
+ * Function: downloadRecording
+ * Description:
+ *    Saves this session's input recording as a JSON file
+ *    that replay.html (or tools/headless.js --replay) can
+ *    play back. The state at download time is stored as
+ *    the recording's end so replays can be checked.
+ *
+ * Expected Inputs:
+ *    None (uses global recording and game)
+ *
+ * Expected Outputs/Results:
+ *    - Browser download of land-explorer-<date>.json
+ *
+ * Called By:
+ *    recordingBtn click (pause menu)
+ ****************************************************/
+function downloadRecording() {
+  if (!recording) return;
+  recording.end = snapshotState(game);
+  const blob = new Blob([JSON.stringify(recording)], { type: 'application/json' });
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(blob);
+  link.download = `land-explorer-${recording.recorded.replace(/[:.]/g, '-')}.json`;
+  link.click();
+  URL.revokeObjectURL(link.href);
+}
+
+if (recordingBtn) recordingBtn.addEventListener('click', downloadRecording);
+
+/****************************************************
+ * Function: exportSave
+ * Description:
+ *    Downloads the current game state as a save file
+ *    (makeSaveFile() in save_format.js): the save
+ *    saveGame() would keep plus the player's avatar, with
+ *    a checksum. It can be imported again from the pause
+ *    menu or the main menu, on any machine.
+ *
+ * Expected Inputs:
+ *    None (uses global game state and player)
+ *
+ * Expected Outputs/Results:
+ *    - Browser download of land-explorer-save-<date>.json
+ *
+ * Called By:
+ *    exportSaveBtn click (pause menu)
+ ****************************************************/
+async function exportSave() {
+  const save = buildSavePayload(await loadSaveSchema());
+  if (!save) {
+      alert('This game could not be exported: its state does not match the save format.');
+      return;
+  }
+  const file = makeSaveFile(save, player);
+  const blob = new Blob([JSON.stringify(file, null, 2)], { type: 'application/json' });
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(blob);
+  link.download = `land-explorer-save-${file.exported_at.replace(/[:.]/g, '-')}.json`;
+  link.click();
+  URL.revokeObjectURL(link.href);
+}
+
+/****************************************************
+ * Function: checkImportedSave
+ * Description:
+ *    Reads an imported save (readSave()) against a scratch
+ *    world built from its own seed, or from the level file,
+ *    so a save that cannot be restored is refused before
+ *    the game in play is torn down.
+ *
+ * Inputs:
+ *    save (Object) – save from readSaveFile()
+ *
+ * Expected Outputs/Results:
+ *    - Resolves to the reasons the save cannot be
+ *      restored (empty when it can)
+ *
+ * Called By:
+ *    importSave()
+ ****************************************************/
+async function checkImportedSave(save) {
+  const seed = save.world_seed == null ? null : Number(save.world_seed);
+  let level;
+  if (seed === worldSeed) {
+      level = levelData;
+  } else if (seed === null) {
+      const file = await loadLevelFile(LEVEL_PATH);
+      if (file.errors.length) return file.errors;
+      level = file.data;
+  } else {
+      const world = generateWorld(seed);
+      if (world.errors.length) return world.errors;
+      level = world.data;
+  }
+  const scratch = createSimState();
+  const errors = buildWorld(scratch, level);
+  if (errors.length) return errors;
+  return readSave(save, scratch.regions, await loadSaveSchema()).errors;
+}
+
+/****************************************************
+ * Function: importSave
+ * Description:
+ *    Restores a save file picked by the player in place of
+ *    the game being played. The file is checked
+ *    (readSaveFile(), checkImportedSave()), the game in
+ *    play is saved, then the file is restored the way
+ *    loadGame() restores any save and kept as the active
+ *    slot's save. The save's world is rebuilt when it
+ *    differs from the current one; the avatar colour from
+ *    the file is used for this session.
+ *
+ * Inputs:
+ *    file (File) – file from the import file picker
+ *
+ * Expected Outputs/Results:
+ *    - The imported game in play, or an alert listing why
+ *      the file was refused (the game goes on as before)
+ *
+ * Called By:
+ *    importSaveInput change (pause menu)
+ ****************************************************/
+async function importSave(file) {
+  const { file: saveFile, errors } = readSaveFile(await file.text(), await loadSaveSchema());
+  const restoreErrors = saveFile ? await checkImportedSave(saveFile.save) : [];
+  if (!saveFile || restoreErrors.length) {
+      alert(`This save file could not be imported:\n${errors.concat(restoreErrors).join('\n')}`);
+      return;
+  }
+  if (!confirm(`Replace the game in this save slot with the save exported on ${new Date(saveFile.exported_at).toLocaleString()}?`)) return;
+
+  // Kept first, so a save that still fails to restore falls back to this game
+  await saveGame();
+  // The save joins this player's slot, whoever exported it
+  const imported = await initGame(false, { ...saveFile.save, player_name: player.name, slot: saveSlot });
+  if (imported) {
+      if (saveFile.avatar.color) player.color = saveFile.avatar.color;
+  } else {
+      alert('This save file could not be restored (see the console for details). The game in this save slot goes on from where you left it.');
+  }
+}
+
+if (exportSaveBtn) exportSaveBtn.addEventListener('click', exportSave);
+if (importSaveBtn && importSaveInput) {
+  importSaveBtn.addEventListener('click', () => importSaveInput.click());
+  importSaveInput.addEventListener('change', () => {
+      const file = importSaveInput.files[0];
+      importSaveInput.value = ''; // the same file can be picked again
+      if (file) importSave(file);
+  });
+}
+
 /****************************************************
  * UI Button: Quit to main menu
  * Description:
@@ -1893,7 +2590,7 @@ if (quitBtn) {
       } catch (err) {
           console.error("Failed to save game before quitting:", err);
       }
-      window.location.href = '/land_explorer/index.html';
+      window.location.href = playtestMode ? 'editor.html' : '/land_explorer/index.html';
   });
 }
 
@@ -1901,10 +2598,12 @@ if (quitBtn) {
  * UI Button: Restart from win menu
  * Description:
  *    Starts a fresh game state when player clicks restart.
+ *    A restarted daily challenge is a practice run.
  ****************************************************/
 if (restartWin) {
   restartWin.addEventListener('click', async () => {
       paused = true;
+      if (dailyChallenge) dailyChallenge.counts = false;
       initGame(true); 
   });
 }
@@ -1923,6 +2622,116 @@ if (menuWinBtn) {
   });
 }
 
+/****************************************************
+ * Function: useGeneratedWorld
+ * Description:
+ *    Makes a random world from worldgen.js the level to
+ *    play. The world is built by the caller.
+ *
+ * Inputs:
+ *    seed (number) – world seed
+ *
+ * Expected Outputs/Results:
+ *    - Sets levelData and worldSeed
+ *    - Returns the generator's errors (empty on success;
+ *      nothing changes when there are errors)
+ *
+ * Called By:
+ *    autoStart(), loadGame()
+ ****************************************************/
+function useGeneratedWorld(seed) {
+  const world = generateWorld(seed);
+  if (world.errors.length) return world.errors;
+  levelData = world.data;
+  worldSeed = world.data.seed;
+  return [];
+}
+
+/****************************************************
+ * Function: useLevelFile
+ * Description:
+ *    Makes the level file (LEVEL_PATH) the level to play
+ *    again, e.g. when a save of it is imported during a
+ *    random world. The world is built by the caller.
+ *
+ * Inputs:
+ *    None
+ *
+ * Expected Outputs/Results:
+ *    - Sets levelData and clears worldSeed
+ *    - Resolves to the level's errors (empty on success;
+ *      nothing changes when there are errors)
+ *
+ * Called By:
+ *    loadGame()
+ ****************************************************/
+async function useLevelFile() {
+  const level = await loadLevelFile(LEVEL_PATH);
+  if (level.errors.length) return level.errors;
+  levelData = level.data;
+  worldSeed = null;
+  return [];
+}
+
+/****************************************************
+ * Function: updateWorldSeedDisplay
+ * Description:
+ *    Shows the seed of a random world in the pause menu,
+ *    so the same world can be shared or played again,
+ *    with the day of a daily challenge.
+ *
+ * Expected Inputs:
+ *    None (uses globals worldSeed, dailyChallenge)
+ *
+ * Expected Outputs/Results:
+ *    - #worldSeedInfo text and visibility
+ *
+ * Called By:
+ *    initGame()
+ ****************************************************/
+function updateWorldSeedDisplay() {
+  if (!worldSeedEl) return;
+  worldSeedEl.style.display = worldSeed === null ? 'none' : 'block';
+  const daily = dailyChallenge ? `Daily challenge ${dailyChallenge.id} · ` : '';
+  worldSeedEl.textContent = worldSeed === null ? '' : `${daily}World seed: ${worldSeed}`;
+}
+
+/****************************************************
+ * Function: showLevelErrors
+ * Description:
+ *    Shows the level file's validation errors in an alert
+ *    panel instead of starting a broken world.
+ *
+ * Inputs:
+ *    errors (array) – error strings from validateLevel()
+ *
+ * Expected Outputs/Results:
+ *    - Injects #simple-alert listing every bad field.
+ *    - Logs the same errors to the console.
+ *
+ * Called By:
+ *    initGame(), autoStart()
+ ****************************************************/
+function showLevelErrors(errors) {
+  console.error("[LEVEL] Level file is invalid:", errors);
+  const existingAlert = document.getElementById('simple-alert');
+  if (existingAlert) existingAlert.remove();
+
+  const alertDiv = document.createElement('div');
+  alertDiv.id = 'simple-alert';
+  const title = document.createElement('h2');
+  title.textContent = 'Level could not be loaded';
+  const list = document.createElement('ul');
+  list.style.textAlign = 'left';
+  errors.forEach(err => {
+      const item = document.createElement('li');
+      item.textContent = err;
+      list.appendChild(item);
+  });
+  alertDiv.append(title, list);
+  document.body.appendChild(alertDiv);
+}
+
 /****************************************************
  * Function: initGame
  * Description:
@@ -1931,24 +2740,31 @@ if (menuWinBtn) {
  *
  * Inputs:
  *    newGame (boolean) – true to force new game
+ *    importedSave (object) – save from an imported save
+ *      file to restore instead of the slot's save
  *
  * Expected Outputs/Results:
  *    - Loads avatar/player data
- *    - Generates regions, seeds, puzzles
- *    - Loads saved game or sets new game state
+ *    - Loads the level file and builds regions, seeds, puzzles
+ *    - Loads saved game or sets new game state; an
+ *      imported save that loads becomes the slot's save,
+ *      one that does not leaves the slot's save in play
+ *    - Returns true when an imported save was restored
  *    - Syncs gate states
  *    - Initializes UI elements and timers
  *    - Starts the main loop
  *
  * Called By:
- *    autoStart() or other game startup triggers
+ *    autoStart() or other game startup triggers,
+ *    importSave()
  ****************************************************/
-async function initGame(newGame = false) {
+async function initGame(newGame = false, importedSave = null) {
   if (animationFrameId) {
       cancelAnimationFrame(animationFrameId);
       animationFrameId = null;
   }
 
+  saveReady = false;
   await loadAvatarData(); 
 
   if (!player.name) {
@@ -1956,32 +2772,49 @@ async function initGame(newGame = false) {
   }
   sessionStorage.setItem("lastPlayerName", player.name);
 
-  generateContent();
+  if (!levelData) {
+      const level = await loadLevelFile(LEVEL_PATH);
+      if (level.errors.length) {
+          showLevelErrors(level.errors);
+          return;
+      }
+      levelData = level.data;
+  }
+  buildWorld(game, levelData);
+  clearRegionBackgrounds();
+  regions.forEach(prerenderRegionBackground);
 
-  let loaded = false;
-  if (!newGame) {
+  const imported = importedSave ? await loadGame(importedSave) : false;
+  let loaded = imported;
+  if (!loaded && !newGame) {
       loaded = await loadGame(); 
   }
 
   if (!loaded) {
       console.log("[INIT] Starting new game state setup.");
-      currentRegion = 0;
-      player.x = TILE * 3;
-      player.y = TILE * 3;
-      gameTime = 0;
+      resetToStart(game);
       await saveGame(); 
+  } else if (imported) {
+      console.log("[INIT] Imported save restored.");
+      await saveGame(); // the imported save becomes the slot's save
   } else {
       console.log("[INIT] Successfully resumed game state.");
+      syncSaves(); // sends saves an earlier session left on this device
   }
+  saveReady = true;
 
   if (audioUnlocked) {
-    fadeToRegion(currentRegion, 700); 
+    fadeToRegion(game.currentRegion, 700); 
 }
 
-  // Sync gates
-  for (let i = 0; i <= 3; i++) {
-      if (regions[i].gate) regions[i].gate.closed = regions[i].puzzle && regions[i].puzzle.blocksExit();
-  }
+  syncGates(game);
+  clearUndo(game); // loadGame() moved the player
+  worldMapOpen = false;
+  resetRequested = false;
+  hintTracker = createHintTracker();
+  activeHint = null;
+  hintTimer = 0;
+  recording = createRecording(game, levelData, player.name);
 
   // Update UI
   if (pauseMenu) pauseMenu.style.display = 'none';
@@ -1989,25 +2822,94 @@ async function initGame(newGame = false) {
   paused = false;
   updateSeedCounter();
   updateTimerDisplay();
+  updateUndoDisplay();
+  updateInventoryDisplay();
+  updateWorldSeedDisplay();
+  // Play-tests and daily challenges are never saved: no save files either
+  [exportSaveBtn, importSaveBtn].forEach(btn => {
+      if (btn) btn.style.display = playtestMode || dailyChallenge ? 'none' : '';
+  });
+  rememberPositions();
+  stepAccumulator = 0;
   lastTime = performance.now();
 
   if (!animationFrameId) loop(lastTime);
+  return imported;
 }
 
 window.initGame = initGame;
 
+/****************************************************
+ * BACKGROUND SAVE SYNC
+ * Description:
+ *    Saves kept on this device while the server was away
+ *    are sent again when the browser reports it is back
+ *    online, and every SYNC_RETRY_MS while any wait. The
+ *    game is also saved when the page is hidden or closed.
+ ****************************************************/
+if (!EDITOR_MODE && !REPLAY_MODE) {
+  window.addEventListener('online', () => syncSaves());
+  document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'hidden') saveOnPageHide();
+  });
+  window.addEventListener('pagehide', saveOnPageHide);
+  setInterval(() => {
+      if (syncStatus === 'local') syncSaves();
+  }, SYNC_RETRY_MS);
+}
+
 /****************************************************
  * AUTO START LOGIC
  * Description:
- *    Automatically starts or resumes the game on page load
+ *    Automatically starts or resumes the game on page load.
+ *    "playtest" mode runs the level the region editor left
+ *    in localStorage instead of levels/world.json, and
+ *    "random" mode starts a new world generated from a
+ *    fresh seed (worldgen.js). "daily" mode starts the
+ *    day's challenge world; only the first start of the
+ *    day is scored, later ones are practice.
  ****************************************************/
 (function autoStart() {
 const gameCanvas = document.getElementById('gameCanvas');
-if (!gameCanvas) return;
+if (!gameCanvas || EDITOR_MODE || REPLAY_MODE) return;
 
 const startMode = sessionStorage.getItem("startMode") || "new";
 
-if (startMode === "resume") {
+if (startMode === "playtest") {
+    try {
+        levelData = JSON.parse(localStorage.getItem(PLAYTEST_KEY));
+    } catch (e) {
+        levelData = null;
+    }
+    if (!levelData) {
+        showLevelErrors(['No play-test level found. Start a play-test from the region editor.']);
+        return;
+    }
+    const errors = validateLevel(levelData);
+    if (errors.length) {
+        showLevelErrors(errors);
+        return;
+    }
+    playtestMode = true;
+    initGame(true);
+} else if (startMode === "random") {
+    const errors = useGeneratedWorld(randomWorldSeed());
+    if (errors.length) {
+        showLevelErrors(errors);
+        return;
+    }
+    initGame(true);
+} else if (startMode === "daily") {
+    const id = dailyChallengeId();
+    const errors = useGeneratedWorld(dailyChallengeSeed(id));
+    if (errors.length) {
+        showLevelErrors(errors);
+        return;
+    }
+    dailyChallenge = { id, counts: localStorage.getItem(DAILY_ATTEMPT_KEY) !== id };
+    localStorage.setItem(DAILY_ATTEMPT_KEY, id);
+    initGame(true);
+} else if (startMode === "resume") {
     initGame(false); 
 } else {
     initGame(true); 
@@ -0,0 +1,196 @@
+/******************************************************
+ * Program Name: hazards.js
+ * Description:
+ *   Environmental hazards for Land Explorer regions:
+ *     - fog banks that drift along a looping path of
+ *       tiles and hide any seed under them;
+ *     - timed hazards (thorns, geysers) that sit on fixed
+ *       tiles and switch on and off on a cycle.
+ *   Each hazard has an effect while it touches the player:
+ *     - block: the player cannot walk into it (a hazard
+ *       that moves onto the player never traps them; they
+ *       can always walk out);
+ *     - checkpoint: the player is sent back to where they
+ *       entered the region.
+ *   A hazard's only changing state is its clock (ms), so
+ *   positions and cycles can be saved and restored as one
+ *   number per hazard. Clocks run in every region, not
+ *   just the one the player is in.
+ *   Like sim.js, nothing here touches the DOM.
+ * Expected Inputs:
+ *   - Hazard entries from the level file
+ * Expected Outputs:
+ *   - Hazard objects, their current rects and effects
+ * Called By:
+ *   - level_loader.js (build), sim.js (step, movement,
+ *     snapshots), game.js (draw, save, load)
+ ******************************************************/
+
+/**************** HAZARD CONSTANTS **********************
+ * Purpose:
+ *   Hazard kinds and effects the level file may use.
+ ******************************************************/
+const HAZARD_KINDS = ['fog', 'timed'];
+const HAZARD_EFFECTS = ['block', 'checkpoint'];
+
+/********************************************************
+ * Function Name: createHazard
+ * Description:
+ *   Builds a hazard object from a validated level entry.
+ * Inputs:
+ *   - data: hazard entry from the level file
+ * Outputs:
+ *   - hazard object:
+ *       kind, effect, w, h (px), clock (ms)
+ *       fog:   path (px points), speed (px per ms),
+ *              loop (total path length in px)
+ *       timed: x, y, period, active, offset (ms)
+ * Called By:
+ *   - buildRegion() in level_loader.js
+ ********************************************************/
+function createHazard(data) {
+    const hazard = {
+        kind: data.kind,
+        effect: data.effect,
+        w: data.w * TILE,
+        h: data.h * TILE,
+        clock: 0
+    };
+    if (data.kind === 'fog') {
+        hazard.path = data.path.map(p => ({ x: p.col * TILE, y: p.row * TILE }));
+        hazard.speed = data.speed * TILE / 1000;
+        hazard.loop = hazard.path.reduce((sum, p, i) => {
+            const next = hazard.path[(i + 1) % hazard.path.length];
+            return sum + Math.hypot(next.x - p.x, next.y - p.y);
+        }, 0);
+    } else {
+        hazard.x = data.col * TILE;
+        hazard.y = data.row * TILE;
+        hazard.period = data.period;
+        hazard.active = data.active;
+        hazard.offset = data.offset || 0;
+    }
+    return hazard;
+}
+
+/********************************************************
+ * Function Name: hazardRect
+ * Description:
+ *   Where a hazard is right now. Fog moves in straight
+ *   lines between its path points at a steady speed and
+ *   returns to the first point after the last one.
+ * Inputs:
+ *   - h: hazard object
+ * Outputs:
+ *   - {x,y,w,h}
+ * Called By:
+ *   - hazardHits(), game.js drawing
+ ********************************************************/
+function hazardRect(h) {
+    if (h.kind !== 'fog') return { x: h.x, y: h.y, w: h.w, h: h.h };
+    if (h.loop === 0) return { x: h.path[0].x, y: h.path[0].y, w: h.w, h: h.h };
+    let dist = (h.clock * h.speed) % h.loop;
+    for (let i = 0; i < h.path.length; i++) {
+        const a = h.path[i], b = h.path[(i + 1) % h.path.length];
+        const len = Math.hypot(b.x - a.x, b.y - a.y);
+        if (dist <= len) {
+            const t = len === 0 ? 0 : dist / len;
+            return { x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t, w: h.w, h: h.h };
+        }
+        dist -= len;
+    }
+    return { x: h.path[0].x, y: h.path[0].y, w: h.w, h: h.h };
+}
+
+/********************************************************
+ * Function Name: hazardOn
+ * Description:
+ *   Fog is always on; timed hazards are on for `active` ms
+ *   of every `period`, starting `offset` ms into the cycle.
+ * Inputs:
+ *   - h: hazard object
+ * Outputs:
+ *   - boolean
+ * Called By:
+ *   - hazardHits(), game.js drawing
+ ********************************************************/
+function hazardOn(h) {
+    if (h.kind === 'fog') return true;
+    return (h.clock + h.offset) % h.period < h.active;
+}
+
+/********************************************************
+ * Function Name: hazardHits
+ * Description:
+ *   Lists the region's switched-on hazards with a given
+ *   effect that overlap a rect.
+ * Inputs:
+ *   - region: region object
+ *   - rect: {x,y,w,h}
+ *   - effect: 'block' or 'checkpoint'
+ * Outputs:
+ *   - array of hazards
+ * Called By:
+ *   - canPlayerMoveTo(), checkHazards()
+ * Will Call:
+ *   - hazardOn(), hazardRect(), rectOverlap()
+ ********************************************************/
+function hazardHits(region, rect, effect) {
+    return region.hazards.filter(h => h.effect === effect && hazardOn(h) && rectOverlap(rect, hazardRect(h)));
+}
+
+/********************************************************
+ * Function Name: updateHazards
+ * Description:
+ *   Advances every hazard clock of every region by dt.
+ * Inputs:
+ *   - state: simulation state
+ *   - dt: step length in ms
+ * Outputs:
+ *   - none (mutates hazard clocks)
+ * Called By:
+ *   - step()
+ ********************************************************/
+function updateHazards(state, dt) {
+    state.regions.forEach(r => r.hazards.forEach(h => { h.clock += dt; }));
+}
+
+/********************************************************
+ * Function Name: checkHazards
+ * Description:
+ *   Sends the player back to where they entered the
+ *   current region when a checkpoint hazard touches them.
+ * Inputs:
+ *   - state: simulation state
+ * Outputs:
+ *   - none (mutates the player, emits 'hazard')
+ * Called By:
+ *   - step() after movement and hazard clocks
+ * Will Call:
+ *   - hazardHits()
+ ********************************************************/
+function checkHazards(state) {
+    const region = state.regions[state.currentRegion];
+    if (!hazardHits(region, state.player, 'checkpoint').length) return;
+    state.player.x = state.regionEntry.x;
+    state.player.y = state.regionEntry.y;
+    state.teleportLock = true;
+    state.events.push('hazard');
+}
+
+/********************************************************
+ * Function Name: seedHidden
+ * Description:
+ *   True while a fog bank covers a seed's tile centre.
+ * Inputs:
+ *   - region: region object
+ *   - seed: seed object
+ * Outputs:
+ *   - boolean
+ * Called By:
+ *   - game.js drawSeeds()
+ ********************************************************/
+function seedHidden(region, seed) {
+    const centre = { x: seed.x + TILE / 2, y: seed.y + TILE / 2, w: 1, h: 1 };
+    return region.hazards.some(h => h.kind === 'fog' && rectOverlap(centre, hazardRect(h)));
+}
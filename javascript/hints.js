@@ -0,0 +1,194 @@
+/******************************************************
+ * Program Name: hints.js
+ * Description:
+ *   Contextual hints for players stuck in a region. A
+ *   tracker watches the current region's progress signals:
+ *     - each puzzle's progress (e.g. the strict sequence
+ *       puzzle's index) and whether it is solved;
+ *     - how many crates sit on targets;
+ *     - how many seeds have been found.
+ *   When none of them has changed for HINT_IDLE_MS of play
+ *   time, a hint is offered. Each hint taken in the same
+ *   stuck spell is more specific than the last:
+ *     1. the hint texts of the region's unsolved puzzles
+ *        ("hints" in the level file), in order;
+ *     2. the next tile of an unsolved puzzle (e.g. the
+ *        next sequence pad) is highlighted;
+ *     3. for an unsolved crate puzzle, the next push of
+ *        the shortest solution from where the player
+ *        stands (solver.js), or a warning when the crates
+ *        can no longer be finished;
+ *     4. the nearest seed still hidden is briefly shown
+ *        through the fog.
+ *   Any progress, or a change of region, starts over.
+ *   Hints taken are counted in state.hintsUsed, which is
+ *   saved and shown with the completion time.
+ *   Like sim.js, nothing here touches the DOM; game.js
+ *   draws the hints.
+ * Expected Inputs:
+ *   - Simulation state, play time per step
+ * Expected Outputs:
+ *   - Hint steps ({ kind: 'text' | 'tile' | 'push' |
+ *     'seed', ... })
+ * Called By:
+ *   - game.js (loop, hint key, drawing)
+ ******************************************************/
+
+/**************** HINT CONSTANTS ************************
+ * Purpose:
+ *   Play time without progress before a hint is offered
+ *   (again after each hint taken), and the text shown
+ *   instead of a push when the crates cannot be finished.
+ ******************************************************/
+const HINT_IDLE_MS = 30000;
+const HINT_CRATES_STUCK = 'No way to finish the crates was found from here. Undo (Z) or reset the region.';
+
+/********************************************************
+ * Function Name: createHintTracker
+ * Description:
+ *   Creates an empty tracker; the first update starts it
+ *   on the current region.
+ * Inputs:
+ *   - none
+ * Outputs:
+ *   - tracker object:
+ *       region   – region being watched
+ *       progress – last progress signature of that region
+ *       idle     – ms of play since progress (or the last hint)
+ *       level    – hints taken in this stuck spell
+ * Called By:
+ *   - game.js (load, new game)
+ ********************************************************/
+function createHintTracker() {
+    return { region: -1, progress: '', idle: 0, level: 0 };
+}
+
+/********************************************************
+ * Function Name: regionProgress
+ * Description:
+ *   Sums up a region's progress signals as a string that
+ *   changes whenever the player gets anywhere.
+ * Inputs:
+ *   - region: region object
+ * Outputs:
+ *   - signature string
+ * Called By:
+ *   - updateHintTracker()
+ * Will Call:
+ *   - p.progress(), rectOverlap()
+ ********************************************************/
+function regionProgress(region) {
+    const seeds = region.seeds.filter(s => s.collected).length;
+    const onTargets = region.crates.filter(c => region.targets.some(t => rectOverlap(c, t))).length;
+    const puzzles = region.puzzles.map(p => (p.solved ? 'solved' : p.progress()));
+    return [seeds, onTargets, ...puzzles].join(',');
+}
+
+/********************************************************
+ * Function Name: updateHintTracker
+ * Description:
+ *   Counts play time without progress in the current
+ *   region, starting over on progress or a region change.
+ * Inputs:
+ *   - tracker: from createHintTracker()
+ *   - state: simulation state
+ *   - dt: play time in ms since the last update
+ * Outputs:
+ *   - none (mutates tracker)
+ * Called By:
+ *   - loop() in game.js, once per simulation step
+ * Will Call:
+ *   - regionProgress()
+ ********************************************************/
+function updateHintTracker(tracker, state, dt) {
+    const progress = regionProgress(state.regions[state.currentRegion]);
+    if (tracker.region !== state.currentRegion || tracker.progress !== progress) {
+        tracker.region = state.currentRegion;
+        tracker.progress = progress;
+        tracker.idle = 0;
+        tracker.level = 0;
+        return;
+    }
+    tracker.idle += dt;
+}
+
+/********************************************************
+ * Function Name: hintSteps
+ * Description:
+ *   Lists the hints a region can give, least specific
+ *   first (see the header).
+ * Inputs:
+ *   - region: region object
+ * Outputs:
+ *   - array of { kind: 'text', text } | { kind: 'tile',
+ *     tile: {x,y} } | { kind: 'push' } | { kind: 'seed' }
+ *     (the push itself is worked out by takeHint(), only
+ *     when it is given)
+ * Called By:
+ *   - hintReady(), takeHint()
+ * Will Call:
+ *   - p.hintTile()
+ ********************************************************/
+function hintSteps(region) {
+    const unsolved = region.puzzles.filter(p => !p.solved);
+    const steps = unsolved.flatMap(p => p.hints.map(text => ({ kind: 'text', text })));
+    const tile = unsolved.map(p => p.hintTile()).find(t => t);
+    if (tile) steps.push({ kind: 'tile', tile });
+    if (unsolved.some(p => p.type === 'crates') && region.targets.length && !region.pads.length) steps.push({ kind: 'push' });
+    if (region.seeds.some(s => !s.collected)) steps.push({ kind: 'seed' });
+    return steps;
+}
+
+/********************************************************
+ * Function Name: hintReady
+ * Description:
+ *   True when the player has been stuck long enough and
+ *   the region still has something to hint at.
+ * Inputs:
+ *   - tracker: hint tracker
+ *   - state: simulation state
+ * Outputs:
+ *   - boolean
+ * Called By:
+ *   - game.js (HUD prompt, hint key)
+ ********************************************************/
+function hintReady(tracker, state) {
+    return tracker.region === state.currentRegion && tracker.idle >= HINT_IDLE_MS &&
+        hintSteps(state.regions[state.currentRegion]).length > 0;
+}
+
+/********************************************************
+ * Function Name: takeHint
+ * Description:
+ *   Gives the next, more specific hint of this stuck spell
+ *   (the last one repeats once the list runs out), counts
+ *   it and restarts the wait for the next one.
+ * Inputs:
+ *   - tracker: hint tracker
+ *   - state: simulation state
+ * Outputs:
+ *   - hint step (see hintSteps()), or null when no hint
+ *     is ready. A push step comes back as { kind: 'push',
+ *     push } (one step of a solveCrates() path) or as the
+ *     HINT_CRATES_STUCK text.
+ * Called By:
+ *   - game.js hint key
+ * Will Call:
+ *   - hintReady(), hintSteps(), solveRegionCrates()
+ ********************************************************/
+function takeHint(tracker, state) {
+    if (!hintReady(tracker, state)) return null;
+    const region = state.regions[state.currentRegion];
+    const steps = hintSteps(region);
+    let hint = steps[Math.min(tracker.level, steps.length - 1)];
+    if (hint.kind === 'push') {
+        const solution = solveRegionCrates(region, state.player);
+        hint = solution && solution.path.length
+            ? { kind: 'push', push: solution.path[0] }
+            : { kind: 'text', text: HINT_CRATES_STUCK };
+    }
+    tracker.level++;
+    tracker.idle = 0;
+    state.hintsUsed++;
+    return hint;
+}
@@ -0,0 +1,152 @@
+/******************************************************
+ * Program Name: inventory.js
+ * Description:
+ *   Collectable items, lock tiles and the player's
+ *   inventory for Land Explorer:
+ *     - items (keys, the lantern, the seed pouch) lie on
+ *       region tiles and are picked up by walking over them;
+ *     - lock tiles are solid until the player presses the
+ *       interact key next to them while holding a key of
+ *       the same colour, which uses the key up;
+ *     - the lantern widens the player's light and the seed
+ *       pouch lets seeds be sensed from further away (both
+ *       drawn by game.js).
+ *   The inventory is a list of { item, key } entries on the
+ *   simulation state, in the order things were picked up.
+ *   Like sim.js, nothing here touches the DOM.
+ * Expected Inputs:
+ *   - Item and lock entries from the level file
+ * Expected Outputs:
+ *   - Item and lock objects, pick-ups and unlocks
+ * Called By:
+ *   - level_loader.js (build), sim.js (step, movement,
+ *     snapshots), game.js (draw, HUD, save, load)
+ ******************************************************/
+
+/**************** INVENTORY CONSTANTS *******************
+ * Purpose:
+ *   Item types with the name shown in the inventory
+ *   panel, and the key colours locks can ask for.
+ *   LOCK_REACH is how close (px) the player must stand to
+ *   a lock to open it.
+ ******************************************************/
+const ITEM_TYPES = {
+    key: { name: 'Key', icon: '🔑' },
+    lantern: { name: 'Lantern', icon: '🏮' },
+    pouch: { name: 'Seed Pouch', icon: '👝' }
+};
+const KEY_COLORS = {
+    gold: '#facc15',
+    silver: '#cbd5e1',
+    copper: '#c2703d'
+};
+const LOCK_REACH = 8;
+
+/********************************************************
+ * Function Name: createItem
+ * Description:
+ *   Builds an item object from a validated level entry.
+ * Inputs:
+ *   - data: { col, row, item, key } (key only for keys)
+ * Outputs:
+ *   - { x, y, w, h, item, key, collected }
+ * Called By:
+ *   - buildRegion() in level_loader.js
+ ********************************************************/
+function createItem(data) {
+    return {
+        x: data.col * TILE,
+        y: data.row * TILE,
+        w: TILE,
+        h: TILE,
+        item: data.item,
+        key: data.item === 'key' ? data.key : null,
+        collected: false
+    };
+}
+
+/********************************************************
+ * Function Name: createLock
+ * Description:
+ *   Builds a lock tile from a validated level entry.
+ * Inputs:
+ *   - data: { col, row, key }
+ * Outputs:
+ *   - { x, y, w, h, key, open }
+ * Called By:
+ *   - buildRegion() in level_loader.js
+ ********************************************************/
+function createLock(data) {
+    return { x: data.col * TILE, y: data.row * TILE, w: TILE, h: TILE, key: data.key, open: false };
+}
+
+/********************************************************
+ * Function Name: lockSolids
+ * Description:
+ *   The region's lock tiles that are still closed.
+ * Inputs:
+ *   - region: region object
+ * Outputs:
+ *   - array of {x,y,w,h}
+ * Called By:
+ *   - canRectMoveTo(), canPlayerMoveTo()
+ ********************************************************/
+function lockSolids(region) {
+    return region.locks.filter(l => !l.open);
+}
+
+/********************************************************
+ * Function Name: hasItem
+ * Description:
+ *   True when the inventory holds an item of a type (and,
+ *   for keys, of a colour).
+ * Inputs:
+ *   - state: simulation state
+ *   - item: item type
+ *   - key: optional key colour
+ * Outputs:
+ *   - boolean
+ * Called By:
+ *   - game.js (lantern, pouch), updateInventory()
+ ********************************************************/
+function hasItem(state, item, key) {
+    return state.inventory.some(i => i.item === item && (key === undefined || i.key === key));
+}
+
+/********************************************************
+ * Function Name: updateInventory
+ * Description:
+ *   Picks up every item the player overlaps and, on an
+ *   interact press, opens the first closed lock within
+ *   reach that matches a held key. The key is used up.
+ * Inputs:
+ *   - state: simulation state
+ *   - interaction: interact was pressed this step
+ * Outputs:
+ *   - true when the press opened a lock (so puzzles do
+ *     not also see it)
+ *   - emits 'item' per pick-up and 'unlock' per lock
+ * Called By:
+ *   - step()
+ * Will Call:
+ *   - rectOverlap(), hasItem()
+ ********************************************************/
+function updateInventory(state, interaction) {
+    const region = state.regions[state.currentRegion];
+    const player = state.player;
+    region.items.forEach(it => {
+        if (it.collected || !rectOverlap(player, it)) return;
+        it.collected = true;
+        state.inventory.push({ item: it.item, key: it.key });
+        state.events.push('item');
+    });
+    if (!interaction) return false;
+
+    const reach = { x: player.x - LOCK_REACH, y: player.y - LOCK_REACH, w: player.w + LOCK_REACH * 2, h: player.h + LOCK_REACH * 2 };
+    const lock = lockSolids(region).find(l => rectOverlap(reach, l) && hasItem(state, 'key', l.key));
+    if (!lock) return false;
+    lock.open = true;
+    state.inventory.splice(state.inventory.findIndex(i => i.item === 'key' && i.key === lock.key), 1);
+    state.events.push('unlock');
+    return true;
+}
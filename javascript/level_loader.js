@@ -0,0 +1,782 @@
+/******************************************************
+ * Program Name: level_loader.js
+ * Description:
+ *   Loads the world layout for Land Explorer from a JSON
+ *   level file (levels/world.json by default), validates
+ *   every field and fills in the `regions`, `regionEdges`,
+ *   `monument` and `levelStart` of a simulation state
+ *   (sim.js). Needs no DOM, so it also runs in Node.
+ *   The file format is documented in levels/README.md.
+ * Expected Inputs:
+ *   - Parsed level JSON object
+ * Expected Outputs:
+ *   - List of per-field validation errors, or a fully
+ *     built world (regions, connections, puzzles, monument)
+ * Called By:
+ *   - initGame() in game.js, editor.js, tools/headless.js
+ * Will Call:
+ *   - createPuzzle() and the puzzle registry (puzzles.js)
+ *   - createHazard() (hazards.js)
+ *   - createItem(), createLock() (inventory.js)
+ ******************************************************/
+
+/**************** LEVEL FORMAT CONSTANTS ****************
+ * Purpose:
+ *   Edge names map to the slot order used by regionEdges
+ *   ([top, right, bottom, left]). Puzzle types and the
+ *   fields they need come from the registry in puzzles.js.
+ ******************************************************/
+const LEVEL_PATH = 'levels/world.json';
+const LEVEL_VERSION = 2;
+const PLAYTEST_KEY = 'landExplorerPlaytest'; // localStorage key written by the editor
+const LEVEL_EDGES = ['top', 'right', 'bottom', 'left'];
+
+/********************************************************
+ * Function Name: oppositeEdge
+ * Description:
+ *   Returns the edge a connection arrives on, e.g. leaving
+ *   a region on the right means entering the next one on
+ *   the left.
+ * Inputs:
+ *   - edge: 'top' | 'right' | 'bottom' | 'left'
+ * Outputs:
+ *   - opposite edge name
+ * Called By:
+ *   - validateLevel(), buildWorld()
+ ********************************************************/
+function oppositeEdge(edge) {
+    return LEVEL_EDGES[(LEVEL_EDGES.indexOf(edge) + 2) % 4];
+}
+
+/********************************************************
+ * Function Name: checkInteger
+ * Description:
+ *   Records an error when a value is not an integer in
+ *   the inclusive range [min, max].
+ * Inputs:
+ *   - errors: array of error strings (mutated)
+ *   - path: field path used in the message
+ *   - value: value to check
+ *   - min, max: allowed range
+ * Outputs:
+ *   - true if the value is valid
+ * Called By:
+ *   - validateLevel() and its helpers
+ ********************************************************/
+function checkInteger(errors, path, value, min, max) {
+    if (!Number.isInteger(value) || value < min || value > max) {
+        errors.push(`${path}: expected an integer from ${min} to ${max}, got ${JSON.stringify(value)}`);
+        return false;
+    }
+    return true;
+}
+
+/********************************************************
+ * Function Name: checkTileList
+ * Description:
+ *   Validates an array of tile positions ({col,row}, with
+ *   optional w/h sizes in tiles) against the region grid.
+ * Inputs:
+ *   - errors: array of error strings (mutated)
+ *   - path: field path, e.g. "regions[2].crates"
+ *   - list: value to check
+ *   - region: region data (for cols/rows)
+ *   - sized: true if entries carry w/h
+ * Outputs:
+ *   - none (pushes errors)
+ * Called By:
+ *   - validateRegion()
+ ********************************************************/
+function checkTileList(errors, path, list, region, sized) {
+    if (list === undefined) return;
+    if (!Array.isArray(list)) {
+        errors.push(`${path}: expected an array`);
+        return;
+    }
+    list.forEach((t, i) => {
+        const p = `${path}[${i}]`;
+        if (!t || typeof t !== 'object') {
+            errors.push(`${p}: expected an object with col and row`);
+            return;
+        }
+        const colOk = checkInteger(errors, `${p}.col`, t.col, 0, region.cols - 1);
+        const rowOk = checkInteger(errors, `${p}.row`, t.row, 0, region.rows - 1);
+        if (!sized) return;
+        if (colOk) checkInteger(errors, `${p}.w`, t.w, 1, region.cols - t.col);
+        if (rowOk) checkInteger(errors, `${p}.h`, t.h, 1, region.rows - t.row);
+    });
+}
+
+/********************************************************
+ * Function Name: checkTerrain
+ * Description:
+ *   Validates a region's optional terrain map: one string
+ *   per row, one TERRAIN letter per column. Also reports
+ *   seeds and crates placed on terrain they cannot use.
+ * Inputs:
+ *   - errors: array of error strings (mutated)
+ *   - path: field path of the region
+ *   - region: region data (cols, rows, terrain, seeds, crates)
+ * Outputs:
+ *   - none (pushes errors)
+ * Called By:
+ *   - validateRegion()
+ ********************************************************/
+function checkTerrain(errors, path, region) {
+    const terrain = region.terrain;
+    if (terrain === undefined) return;
+    if (!Array.isArray(terrain) || terrain.length !== region.rows) {
+        errors.push(`${path}.terrain: expected an array of ${region.rows} strings (one per row)`);
+        return;
+    }
+    let rowsOk = true;
+    terrain.forEach((line, r) => {
+        if (typeof line !== 'string' || line.length !== region.cols) {
+            errors.push(`${path}.terrain[${r}]: expected a string of ${region.cols} characters, got ${JSON.stringify(line)}`);
+            rowsOk = false;
+            return;
+        }
+        [...line].forEach((ch, c) => {
+            if (!TERRAIN[ch]) {
+                errors.push(`${path}.terrain[${r}][${c}]: unknown terrain "${ch}" (use ${Object.keys(TERRAIN).join(', ')})`);
+                rowsOk = false;
+            }
+        });
+    });
+    if (!rowsOk) return;
+
+    // Lists that are not arrays are reported by their own checks
+    const placed = (listName, rule) => (Array.isArray(region[listName]) ? region[listName] : []).forEach((t, i) => {
+        const line = t && terrain[t.row];
+        const ch = line && line[t.col];
+        if (ch && !TERRAIN[ch][rule]) {
+            errors.push(`${path}.${listName}[${i}]: sits on ${TERRAIN[ch].name}, which ${listName === 'crates' ? 'crates' : 'the player'} cannot enter`);
+        }
+    });
+    placed('seeds', 'walkable');
+    placed('items', 'walkable');
+    placed('crates', 'crates');
+    placed('targets', 'crates');
+}
+
+/********************************************************
+ * Function Name: checkItemsAndLocks
+ * Description:
+ *   Validates a region's optional items (keys, lantern,
+ *   seed pouch) and lock tiles (see inventory.js).
+ * Inputs:
+ *   - errors: array of error strings (mutated)
+ *   - path: field path of the region
+ *   - region: region data (cols, rows, items, locks)
+ * Outputs:
+ *   - none (pushes errors)
+ * Called By:
+ *   - validateRegion()
+ * Will Call:
+ *   - checkTileList()
+ ********************************************************/
+function checkItemsAndLocks(errors, path, region) {
+    const colors = Object.keys(KEY_COLORS);
+    checkTileList(errors, `${path}.items`, region.items, region, false);
+    if (Array.isArray(region.items)) {
+        region.items.forEach((it, i) => {
+            if (!it || typeof it !== 'object') return;
+            if (!(it.item in ITEM_TYPES)) {
+                errors.push(`${path}.items[${i}].item: expected one of ${Object.keys(ITEM_TYPES).join(', ')}, got ${JSON.stringify(it.item)}`);
+            } else if (it.item === 'key' && !colors.includes(it.key)) {
+                errors.push(`${path}.items[${i}].key: expected one of ${colors.join(', ')}, got ${JSON.stringify(it.key)}`);
+            }
+        });
+    }
+    checkTileList(errors, `${path}.locks`, region.locks, region, false);
+    if (Array.isArray(region.locks)) {
+        region.locks.forEach((l, i) => {
+            if (l && typeof l === 'object' && !colors.includes(l.key)) {
+                errors.push(`${path}.locks[${i}].key: expected one of ${colors.join(', ')}, got ${JSON.stringify(l.key)}`);
+            }
+        });
+    }
+}
+
+/********************************************************
+ * Function Name: checkHazardList
+ * Description:
+ *   Validates a region's optional hazard list (fog banks
+ *   and timed hazards, see hazards.js). Every position a
+ *   hazard can take must fit inside the region.
+ * Inputs:
+ *   - errors: array of error strings (mutated)
+ *   - path: field path of the region
+ *   - region: region data (cols, rows, hazards)
+ * Outputs:
+ *   - none (pushes errors)
+ * Called By:
+ *   - validateRegion()
+ ********************************************************/
+function checkHazardList(errors, path, region) {
+    const hazards = region.hazards;
+    if (hazards === undefined) return;
+    if (!Array.isArray(hazards)) {
+        errors.push(`${path}.hazards: expected an array`);
+        return;
+    }
+    hazards.forEach((h, i) => {
+        const p = `${path}.hazards[${i}]`;
+        if (!h || typeof h !== 'object' || !HAZARD_KINDS.includes(h.kind)) {
+            errors.push(`${p}.kind: expected one of ${HAZARD_KINDS.join(', ')}, got ${JSON.stringify(h && h.kind)}`);
+            return;
+        }
+        if (!HAZARD_EFFECTS.includes(h.effect)) {
+            errors.push(`${p}.effect: expected one of ${HAZARD_EFFECTS.join(', ')}, got ${JSON.stringify(h.effect)}`);
+        }
+        const wOk = checkInteger(errors, `${p}.w`, h.w, 1, region.cols);
+        const hOk = checkInteger(errors, `${p}.h`, h.h, 1, region.rows);
+        // Top-left tile of the hazard, kept inside the region for its size
+        const checkCorner = (cp, t) => {
+            if (!t || typeof t !== 'object') {
+                errors.push(`${cp}: expected an object with col and row`);
+                return;
+            }
+            checkInteger(errors, `${cp}.col`, t.col, 0, region.cols - (wOk ? h.w : 1));
+            checkInteger(errors, `${cp}.row`, t.row, 0, region.rows - (hOk ? h.h : 1));
+        };
+
+        if (h.kind === 'fog') {
+            if (!Array.isArray(h.path) || h.path.length === 0) {
+                errors.push(`${p}.path: expected a non-empty array of tiles`);
+            } else {
+                h.path.forEach((t, j) => checkCorner(`${p}.path[${j}]`, t));
+            }
+            if (typeof h.speed !== 'number' || !(h.speed > 0 && h.speed <= 20)) {
+                errors.push(`${p}.speed: expected a number of tiles per second above 0 and up to 20, got ${JSON.stringify(h.speed)}`);
+            }
+            return;
+        }
+        checkCorner(p, h);
+        if (!checkInteger(errors, `${p}.period`, h.period, 100, 600000)) return;
+        checkInteger(errors, `${p}.active`, h.active, 1, h.period - 1);
+        if (h.offset !== undefined) checkInteger(errors, `${p}.offset`, h.offset, 0, h.period - 1);
+    });
+}
+
+/********************************************************
+ * Function Name: validateRegion
+ * Description:
+ *   Validates a single region entry: id, name, grid size,
+ *   map position, gate edges, tile lists, terrain,
+ *   hazards, items, locks and puzzle list.
+ * Inputs:
+ *   - errors: array of error strings (mutated)
+ *   - region: region data from the level file
+ *   - index: position in the regions array
+ * Outputs:
+ *   - none (pushes errors)
+ * Called By:
+ *   - validateLevel()
+ ********************************************************/
+function validateRegion(errors, region, index) {
+    const path = `regions[${index}]`;
+    if (!region || typeof region !== 'object') {
+        errors.push(`${path}: expected an object`);
+        return;
+    }
+    if (region.id !== index) {
+        errors.push(`${path}.id: expected ${index} (ids must match array order), got ${JSON.stringify(region.id)}`);
+    }
+    if (typeof region.name !== 'string' || !region.name.trim()) {
+        errors.push(`${path}.name: expected a non-empty string`);
+    }
+    const colsOk = checkInteger(errors, `${path}.cols`, region.cols, 1, 200);
+    const rowsOk = checkInteger(errors, `${path}.rows`, region.rows, 1, 200);
+    if (!colsOk || !rowsOk) return;
+
+    if (!region.map || typeof region.map !== 'object') {
+        errors.push(`${path}.map: expected an object with col and row (world map position)`);
+    } else {
+        checkInteger(errors, `${path}.map.col`, region.map.col, 0, 99);
+        checkInteger(errors, `${path}.map.row`, region.map.row, 0, 99);
+    }
+
+    const gates = region.gates;
+    if (gates !== undefined) {
+        if (!Array.isArray(gates)) {
+            errors.push(`${path}.gates: expected an array of edges`);
+        } else {
+            gates.forEach((edge, i) => {
+                if (!LEVEL_EDGES.includes(edge)) {
+                    errors.push(`${path}.gates[${i}]: expected one of ${LEVEL_EDGES.join(', ')}, got ${JSON.stringify(edge)}`);
+                } else if (gates.indexOf(edge) !== i) {
+                    errors.push(`${path}.gates[${i}]: ${edge} edge is listed twice`);
+                }
+            });
+        }
+    }
+
+    if (region.seeds === undefined) errors.push(`${path}.seeds: expected an array`);
+    checkTileList(errors, `${path}.seeds`, region.seeds, region, false);
+    checkTileList(errors, `${path}.obstacles`, region.obstacles, region, true);
+    checkTileList(errors, `${path}.crates`, region.crates, region, false);
+    checkTileList(errors, `${path}.targets`, region.targets, region, false);
+    checkTerrain(errors, path, region);
+    checkHazardList(errors, path, region);
+    checkItemsAndLocks(errors, path, region);
+
+    const puzzles = region.puzzles;
+    if (puzzles === undefined || (Array.isArray(puzzles) && puzzles.length === 0)) {
+        if (Array.isArray(gates) && gates.length) errors.push(`${path}.gates: gates need a puzzle to open them`);
+        return;
+    }
+    if (!Array.isArray(puzzles)) {
+        errors.push(`${path}.puzzles: expected an array`);
+        return;
+    }
+    puzzles.forEach((puzzle, i) => validatePuzzle(errors, `${path}.puzzles[${i}]`, puzzle, region));
+}
+
+/********************************************************
+ * Function Name: validatePuzzle
+ * Description:
+ *   Validates one puzzle entry against its registered
+ *   type: the type name, the fields its schema lists, the
+ *   optional hint texts and the type's own validate hook.
+ * Inputs:
+ *   - errors: array of error strings (mutated)
+ *   - path: field path, e.g. "regions[1].puzzles[0]"
+ *   - puzzle: puzzle entry from the level file
+ *   - region: region data the puzzle belongs to
+ * Outputs:
+ *   - none (pushes errors)
+ * Called By:
+ *   - validateRegion()
+ * Will Call:
+ *   - checkInteger(), checkTileList(), the type's
+ *     validate hook
+ ********************************************************/
+function validatePuzzle(errors, path, puzzle, region) {
+    if (!puzzle || typeof puzzle !== 'object' || !(puzzle.type in PUZZLE_TYPES)) {
+        errors.push(`${path}.type: expected one of ${Object.keys(PUZZLE_TYPES).join(', ')}, got ${JSON.stringify(puzzle && puzzle.type)}`);
+        return;
+    }
+    const def = PUZZLE_TYPES[puzzle.type];
+    for (const [field, kind] of Object.entries(def.schema)) {
+        if (kind === 'tile') {
+            const t = puzzle[field];
+            if (!t || typeof t !== 'object') {
+                errors.push(`${path}.${field}: expected an object with col and row`);
+            } else {
+                checkInteger(errors, `${path}.${field}.col`, t.col, 0, region.cols - 1);
+                checkInteger(errors, `${path}.${field}.row`, t.row, 0, region.rows - 1);
+            }
+            continue;
+        }
+        if (kind === 'optionalTiles') {
+            checkTileList(errors, `${path}.${field}`, puzzle[field], region, false);
+            continue;
+        }
+        if (kind !== 'tiles') continue;
+        if (!Array.isArray(puzzle[field]) || puzzle[field].length === 0) {
+            errors.push(`${path}.${field}: expected a non-empty array`);
+        } else {
+            checkTileList(errors, `${path}.${field}`, puzzle[field], region, false);
+        }
+    }
+    if (puzzle.hints !== undefined) {
+        if (!Array.isArray(puzzle.hints)) {
+            errors.push(`${path}.hints: expected an array of texts`);
+        } else {
+            puzzle.hints.forEach((text, i) => {
+                if (typeof text !== 'string' || !text.trim()) errors.push(`${path}.hints[${i}]: expected a non-empty string`);
+            });
+        }
+    }
+    def.validate(errors, path, puzzle, region);
+}
+
+/********************************************************
+ * Function Name: upgradeLevel
+ * Description:
+ *   Brings an older level file up to LEVEL_VERSION in
+ *   place, so files exported before a format change (and
+ *   editor drafts or recordings holding them) still load.
+ *   Version 1 had a single "puzzle" object per region;
+ *   version 2 lists them in "puzzles".
+ * Inputs:
+ *   - data: parsed level JSON
+ * Outputs:
+ *   - none (mutates data)
+ * Called By:
+ *   - validateLevel(), editor.js setLevel()
+ ********************************************************/
+function upgradeLevel(data) {
+    if (data.version === 1 && Array.isArray(data.regions)) {
+        data.regions.forEach(r => {
+            if (!r || typeof r !== 'object' || !('puzzle' in r)) return;
+            r.puzzles = r.puzzle ? [r.puzzle] : [];
+            delete r.puzzle;
+        });
+        data.version = 2;
+    }
+}
+
+/********************************************************
+ * Function Name: validateLevel
+ * Description:
+ *   Checks a parsed level file and collects one message per
+ *   bad field so designers can fix everything in one pass.
+ * Inputs:
+ *   - data: parsed level JSON
+ * Outputs:
+ *   - array of error strings (empty when the level is valid)
+ * Called By:
+ *   - loadLevelFile(), buildWorld()
+ * Will Call:
+ *   - upgradeLevel(), validateRegion(), checkInteger()
+ ********************************************************/
+function validateLevel(data) {
+    const errors = [];
+    if (!data || typeof data !== 'object') return ['level: expected a JSON object'];
+    upgradeLevel(data);
+    if (data.version !== LEVEL_VERSION) errors.push(`version: expected ${LEVEL_VERSION}, got ${JSON.stringify(data.version)}`);
+    if (!Array.isArray(data.regions) || data.regions.length === 0) {
+        errors.push('regions: expected a non-empty array');
+        return errors;
+    }
+    data.regions.forEach((r, i) => validateRegion(errors, r, i));
+    const count = data.regions.length;
+
+    // A region-relative point (start position, monument)
+    const checkPoint = (name, point) => {
+        if (!point || typeof point !== 'object') {
+            errors.push(`${name}: expected an object with region, col and row`);
+            return;
+        }
+        if (!checkInteger(errors, `${name}.region`, point.region, 0, count - 1)) return;
+        const r = data.regions[point.region];
+        if (!r || !Number.isInteger(r.cols) || !Number.isInteger(r.rows)) return;
+        const colOk = checkInteger(errors, `${name}.col`, point.col, 0, r.cols - 1);
+        const rowOk = checkInteger(errors, `${name}.row`, point.row, 0, r.rows - 1);
+        const line = colOk && rowOk && Array.isArray(r.terrain) && r.terrain[point.row];
+        const ch = typeof line === 'string' && line[point.col];
+        if (ch && TERRAIN[ch] && !TERRAIN[ch].walkable) {
+            errors.push(`${name}: sits on ${TERRAIN[ch].name}, which the player cannot enter`);
+        }
+    };
+    checkPoint('start', data.start);
+    checkPoint('monument', data.monument);
+
+    // Teleporter pairs: two pads each, one pad per tile
+    if (data.teleporters !== undefined && !Array.isArray(data.teleporters)) {
+        errors.push('teleporters: expected an array');
+    }
+    const padTiles = {};
+    (Array.isArray(data.teleporters) ? data.teleporters : []).forEach((pair, i) => {
+        if (!pair || typeof pair !== 'object') {
+            errors.push(`teleporters[${i}]: expected an object with a and b`);
+            return;
+        }
+        ['a', 'b'].forEach(end => {
+            const path = `teleporters[${i}].${end}`;
+            const before = errors.length;
+            checkPoint(path, pair[end]);
+            if (errors.length !== before) return;
+            const pad = pair[end];
+            const key = `${pad.region},${pad.col},${pad.row}`;
+            if (padTiles[key]) {
+                errors.push(`${path}: ${padTiles[key]} already has a pad on this tile`);
+            } else {
+                padTiles[key] = path;
+            }
+            const r = data.regions[pad.region];
+            const blocked = (r && Array.isArray(r.obstacles) ? r.obstacles : []).some(o => o && pad.col >= o.col && pad.col < o.col + o.w && pad.row >= o.row && pad.row < o.row + o.h);
+            if (blocked) errors.push(`${path}: sits on an obstacle`);
+        });
+    });
+
+    // Every lock needs a key of its colour somewhere in the level
+    const keyColors = new Set();
+    data.regions.forEach(r => (r && Array.isArray(r.items) ? r.items : []).forEach(it => {
+        if (it && it.item === 'key') keyColors.add(it.key);
+    }));
+    data.regions.forEach((r, i) => (r && Array.isArray(r.locks) ? r.locks : []).forEach((l, j) => {
+        if (l && l.key in KEY_COLORS && !keyColors.has(l.key)) {
+            errors.push(`regions[${i}].locks[${j}]: no ${l.key} key is placed anywhere in the level`);
+        }
+    }));
+
+    if (!Array.isArray(data.connections)) {
+        errors.push('connections: expected an array');
+        return errors;
+    }
+    const used = {};
+    const mapPos = {};
+    data.regions.forEach((r, i) => {
+        if (!r || !r.map || !Number.isInteger(r.map.col) || !Number.isInteger(r.map.row)) return;
+        const key = `${r.map.col},${r.map.row}`;
+        if (mapPos[key] !== undefined) {
+            errors.push(`regions[${i}].map: position ${key} is already taken by regions[${mapPos[key]}]`);
+        } else {
+            mapPos[key] = i;
+        }
+    });
+    // Map step for leaving a region through each edge
+    const mapStep = { top: [0, -1], right: [1, 0], bottom: [0, 1], left: [-1, 0] };
+    data.connections.forEach((c, i) => {
+        const path = `connections[${i}]`;
+        if (!c || typeof c !== 'object') {
+            errors.push(`${path}: expected an object with from, edge and to`);
+            return;
+        }
+        const fromOk = checkInteger(errors, `${path}.from`, c.from, 0, count - 1);
+        const toOk = checkInteger(errors, `${path}.to`, c.to, 0, count - 1);
+        if (!LEVEL_EDGES.includes(c.edge)) {
+            errors.push(`${path}.edge: expected one of ${LEVEL_EDGES.join(', ')}, got ${JSON.stringify(c.edge)}`);
+            return;
+        }
+        if (!fromOk || !toOk || !data.regions[c.from] || !data.regions[c.to]) return;
+        if (c.from === c.to) errors.push(`${path}: a region cannot connect to itself`);
+        const a = data.regions[c.from].map, b = data.regions[c.to].map;
+        if (a && b && (b.col - a.col !== mapStep[c.edge][0] || b.row - a.row !== mapStep[c.edge][1])) {
+            errors.push(`${path}: region ${c.to} must sit next to region ${c.from} on the ${c.edge} side of the world map`);
+        }
+        // Every connection is two-way, so both ends claim an edge slot
+        for (const [region, edge] of [[c.from, c.edge], [c.to, oppositeEdge(c.edge)]]) {
+            const slot = `${region}.${edge}`;
+            if (used[slot] !== undefined) {
+                errors.push(`${path}: ${edge} edge of region ${region} is already used by connections[${used[slot]}]`);
+            } else {
+                used[slot] = i;
+            }
+        }
+    });
+
+    // Gates must sit on an edge that actually leads somewhere
+    data.regions.forEach((r, i) => {
+        if (!r || !Array.isArray(r.gates)) return;
+        r.gates.forEach((edge, g) => {
+            if (LEVEL_EDGES.includes(edge) && used[`${i}.${edge}`] === undefined) {
+                errors.push(`regions[${i}].gates[${g}]: no connection leaves region ${i} on the ${edge} edge`);
+            }
+        });
+    });
+    return errors;
+}
+
+/********************************************************
+ * Function Name: tileRect
+ * Description:
+ *   Converts a tile position from the level file into a
+ *   pixel rectangle on the region map.
+ * Inputs:
+ *   - t: {col,row[,w,h]} in tiles
+ * Outputs:
+ *   - {x,y,w,h} in pixels
+ * Called By:
+ *   - buildRegion()
+ ********************************************************/
+function tileRect(t) {
+    return { x: t.col * TILE, y: t.row * TILE, w: (t.w || 1) * TILE, h: (t.h || 1) * TILE };
+}
+
+/********************************************************
+ * Function Name: gateRect
+ * Description:
+ *   Builds the barrier rectangle for a gate on the given
+ *   edge of a region.
+ * Inputs:
+ *   - region: built region object (cols/rows)
+ *   - edge: 'top' | 'right' | 'bottom' | 'left'
+ * Outputs:
+ *   - {x,y,w,h,edge,closed}
+ * Called By:
+ *   - buildRegion()
+ ********************************************************/
+function gateRect(region, edge) {
+    const width = region.cols * TILE, height = region.rows * TILE;
+    const rects = {
+        top: { x: 0, y: -8, w: width, h: 16 },
+        right: { x: width - 8, y: 0, w: 16, h: height },
+        bottom: { x: 0, y: height - 8, w: width, h: 16 },
+        left: { x: -8, y: 0, w: 16, h: height }
+    };
+    return { ...rects[edge], edge, closed: false };
+}
+
+/********************************************************
+ * Function Name: assignStableIds
+ * Description:
+ *   Gives each built entity an id that does not depend on
+ *   its position in the level file's list, so saves stay
+ *   valid when entities are added or removed. The id comes
+ *   from the entry (e.g. its tile); entries that would get
+ *   the same id are told apart with "#2", "#3", ...
+ * Inputs:
+ *   - entities: built objects (mutated)
+ *   - entries: their level file entries, in the same order
+ *   - idOf: function(entry) returning the base id
+ * Outputs:
+ *   - none (sets entity.id)
+ * Called By:
+ *   - buildRegion()
+ ********************************************************/
+function assignStableIds(entities, entries, idOf) {
+    const seen = {};
+    entities.forEach((entity, i) => {
+        const base = idOf(entries[i]);
+        seen[base] = (seen[base] || 0) + 1;
+        entity.id = seen[base] === 1 ? base : `${base}#${seen[base]}`;
+    });
+}
+
+/********************************************************
+ * Function Name: buildRegion
+ * Description:
+ *   Turns one validated region entry into the runtime
+ *   region object the game loop works with. Seeds, crates,
+ *   items, locks, hazards and puzzles get stable ids
+ *   (assignStableIds()): the tile they start on ("col,row";
+ *   hazards "kind@col,row" of their tile or first path
+ *   point) and, for puzzles, their type.
+ * Inputs:
+ *   - data: region entry from the level file
+ * Outputs:
+ *   - region object (seeds, obstacles, crates, targets,
+ *     terrain, hazards, items, locks, puzzles, gates, map
+ *     position, plus the crate start positions used by
+ *     resetRegion())
+ * Called By:
+ *   - buildWorld()
+ * Will Call:
+ *   - createPuzzle(), createHazard(), createItem(),
+ *     createLock(), regionBlocksExit(), assignStableIds()
+ ********************************************************/
+function buildRegion(data) {
+    const region = {
+        id: data.id,
+        name: data.name,
+        cols: data.cols,
+        rows: data.rows,
+        seeds: data.seeds.map(s => ({ x: s.col * TILE, y: s.row * TILE, collected: false, pulse: 0 })),
+        obstacles: (data.obstacles || []).map(tileRect),
+        crates: (data.crates || []).map(c => ({ ...tileRect(c), color: '#d1d5db' })),
+        targets: (data.targets || []).map(tileRect),
+        terrain: data.terrain ? data.terrain.slice() : null,
+        hazards: (data.hazards || []).map(createHazard),
+        items: (data.items || []).map(createItem),
+        locks: (data.locks || []).map(createLock),
+        crateStart: (data.crates || []).map(c => ({ x: c.col * TILE, y: c.row * TILE })),
+        puzzles: [],
+        gates: [],
+        pads: [], // teleporter pads, filled in by buildWorld()
+        map: { col: data.map.col, row: data.map.row }
+    };
+    region.puzzles = (data.puzzles || []).map(p => createPuzzle(region, p));
+
+    const tileId = e => `${e.col},${e.row}`;
+    assignStableIds(region.seeds, data.seeds, tileId);
+    assignStableIds(region.crates, data.crates || [], tileId);
+    assignStableIds(region.items, data.items || [], tileId);
+    assignStableIds(region.locks, data.locks || [], tileId);
+    assignStableIds(region.hazards, data.hazards || [], h => `${h.kind}@${tileId(h.kind === 'fog' ? h.path[0] : h)}`);
+    assignStableIds(region.puzzles, data.puzzles || [], p => p.type);
+    const closed = regionBlocksExit(region);
+    region.gates = (data.gates || []).map(edge => ({ ...gateRect(region, edge), closed }));
+    return region;
+}
+
+/********************************************************
+ * Function Name: buildWorld
+ * Description:
+ *   Validates a level and, if it is clean, replaces the
+ *   regions, regionEdges, monument, levelStart and
+ *   teleporters of a simulation state with the level's
+ *   data. Each teleporter pad links to its partner and is
+ *   also listed in its region's pads. Backgrounds are
+ *   prerendered by the caller (game.js).
+ * Inputs:
+ *   - state: simulation state from createSimState()
+ *   - data: parsed level JSON
+ * Outputs:
+ *   - array of error strings (empty on success; the world
+ *     is left untouched when there are errors)
+ * Called By:
+ *   - initGame(), tools/headless.js
+ * Will Call:
+ *   - validateLevel(), buildRegion()
+ ********************************************************/
+function buildWorld(state, data) {
+    const errors = validateLevel(data);
+    if (errors.length) return errors;
+
+    // Arrays are refilled in place: game.js keeps references to them
+    const { regions, regionEdges, monument, levelStart } = state;
+    regions.length = 0;
+    data.regions.forEach(r => regions.push(buildRegion(r)));
+
+    regionEdges.length = 0;
+    regions.forEach(() => regionEdges.push([null, null, null, null]));
+    data.connections.forEach(c => {
+        regionEdges[c.from][LEVEL_EDGES.indexOf(c.edge)] = c.to;
+        regionEdges[c.to][LEVEL_EDGES.indexOf(oppositeEdge(c.edge))] = c.from;
+    });
+
+    monument.region = data.monument.region;
+    monument.x = data.monument.col * TILE;
+    monument.y = data.monument.row * TILE;
+
+    levelStart.region = data.start.region;
+    levelStart.x = data.start.col * TILE;
+    levelStart.y = data.start.row * TILE;
+
+    state.teleporters = [];
+    (data.teleporters || []).forEach(pair => {
+        const [a, b] = [pair.a, pair.b].map(end => ({
+            region: end.region, col: end.col, row: end.row, ...tileRect(end), link: null
+        }));
+        a.link = b;
+        b.link = a;
+        for (const pad of [a, b]) {
+            regions[pad.region].pads.push(pad);
+            state.teleporters.push(pad);
+        }
+    });
+
+    state.inventory = [];
+    state.won = false;
+    state.interactHeld = false;
+    return [];
+}
+
+/********************************************************
+ * Function Name: loadLevelFile
+ * Description:
+ *   Fetches and parses a level file, then validates it.
+ *   Network and JSON syntax problems are reported in the
+ *   same error list as field errors. When LEVEL_PATH
+ *   cannot be fetched (always the case for pages opened
+ *   from disk), the copy levels/world.js put in
+ *   DEFAULT_LEVEL is used instead.
+ * Inputs:
+ *   - url: path of the level JSON (defaults to LEVEL_PATH)
+ * Outputs:
+ *   - { data, errors } where data is the parsed level
+ * Called By:
+ *   - initGame(), useLevelFile() in game.js, editor.js
+ * Will Call:
+ *   - fetch(), validateLevel()
+ ********************************************************/
+async function loadLevelFile(url = LEVEL_PATH) {
+    let data;
+    try {
+        const response = await fetch(url);
+        if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+        data = JSON.parse(await response.text());
+    } catch (e) {
+        if (url !== LEVEL_PATH || typeof DEFAULT_LEVEL === 'undefined') {
+            return { data: null, errors: [`${url}: could not be loaded (${e.message})`] };
+        }
+        console.warn(`${url}: could not be loaded (${e.message}), using levels/world.js`);
+        // A copy, so building the world never changes the embedded level
+        data = JSON.parse(JSON.stringify(DEFAULT_LEVEL));
+    }
+    return { data, errors: validateLevel(data) };
+}
@@ -1,11 +1,15 @@
 /************************************************************
  * Program Name: menu.js
  * Description: Handles the main menu of the game, including
- *              starting a new game, resuming a saved game,
+ *              starting a new game, starting a new random
+ *              world, playing the daily challenge, resuming
+ *              a saved game, picking, renaming and deleting
+ *              save slots, exporting and importing save
+ *              files,
  *              opening the avatar editor, accessing the
  *              tutorial, and playing menu music. This version
- *              interacts with the server to check for existing
- *              saves. 
+ *              interacts with the server to list the player's
+ *              save slots. 
  ************************************************************/
 
 /************************************************************
@@ -16,10 +20,31 @@
  ************************************************************/
 const resumeBtn = document.getElementById('resumeBtn');
 const startBtn = document.getElementById('startBtn');
+const randomBtn = document.getElementById('randomBtn');
+const dailyBtn = document.getElementById('dailyBtn');
 const avatarBtn = document.getElementById('avatarBtn');
 const tutorialBtn = document.getElementById('tutorialBtn');
+const slotsBtn = document.getElementById('slotsBtn');
+const exportSaveBtn = document.getElementById('exportSaveBtn');
+const importSaveBtn = document.getElementById('importSaveBtn');
+const importSaveInput = document.getElementById('importSaveInput');
+const mainMenu = document.getElementById('mainMenu');
+const slotPicker = document.getElementById('slotPicker');
+const slotList = document.getElementById('slotList');
+const closeSlotsBtn = document.getElementById('closeSlotsBtn');
+const activeSlotInfo = document.getElementById('activeSlotInfo');
 const menuMusic = document.getElementById('menuMusic');
 
+/************************************************************
+ * Save Slots
+ * Each player has SAVE_SLOTS save slots. activeSlot is the
+ * one "Resume" loads and new games save to; slotSaves holds
+ * the newest save of each filled slot (api/list_slots.php).
+ ************************************************************/
+const SAVE_SLOTS = 3;
+let activeSlot = Number(sessionStorage.getItem("activeSlot")) || 1;
+let slotSaves = [];
+
 /************************************************************
  * Function: stopMenuMusic
  * Description: Stops and resets the menu music playback.
@@ -40,55 +65,383 @@ function stopMenuMusic() {
     }
 }
 /************************************************************
- * Function: checkServerSave
- * Description: Checks the server for an existing saved game
- *              for the last known player. If a save exists,
- *              enables the "Resume" button.
+ * Function: formatPlayTime
+ * Description: Formats a play time for the slot picker.
+ * Inputs: ms (number) - play time in milliseconds
+ * Outputs: "MM:SS" string
+ * Called By: describeSlot()
+ ************************************************************/
+function formatPlayTime(ms) {
+    const totalSeconds = Math.floor(ms / 1000);
+    const pad = num => String(num).padStart(2, '0');
+    return `${pad(Math.floor(totalSeconds / 60))}:${pad(totalSeconds % 60)}`;
+}
+
+/************************************************************
+ * Function: slotLabel
+ * Description: The name a slot is shown under: the name the
+ *              player gave it, or "Slot N".
+ * Inputs: slot (number)
+ * Outputs: string
+ * Called By: renderSlots(), renameSlot(), deleteSlot()
+ ************************************************************/
+function slotLabel(slot) {
+    const save = slotSaves.find(s => Number(s.slot) === slot);
+    return (save && save.slot_name) || `Slot ${slot}`;
+}
+
+/************************************************************
+ * Function: describeSlot
+ * Description: One line about a slot's newest save: region,
+ *              seeds collected, play time and when it was
+ *              saved.
+ * Inputs: save (object) - row from list_slots.php
+ * Outputs: string
+ * Called By: renderSlots()
+ ************************************************************/
+function describeSlot(save) {
+    let collected = 0;
+    let total = 0;
+    try {
+        ({ collected, total } = countSavedSeeds(JSON.parse(save.seeds)));
+    } catch (e) {
+        console.warn("Could not read the slot's seeds:", e);
+    }
+    const region = save.region_name || `Region ${Number(save.region) + 1}`;
+    const saved = new Date(saveTimestamp(save)).toLocaleString();
+    const world = save.world_seed === null ? '' : ' · Random world';
+    return `${region} · Seeds ${collected}/${total} · ${formatPlayTime(Number(save.game_time))} · ${saved}${world}`;
+}
+
+/************************************************************
+ * Function: loadSlots
+ * Description: Fetches the last known player's save slots
+ *              from the server and from this device
+ *              (save_store.js), keeps the newer save of each
+ *              slot and refreshes the menu. With no known
+ *              player every slot is empty.
  * Inputs: None
- * Outputs: Updates resumeBtn.disabled based on save existence
- * Called By: Automatically on script load
+ * Outputs: Fills slotSaves
+ * Called By: Automatically on script load, renameSlot(),
+ *            deleteSlot()
+ * Will Call: fetch() -> api/list_slots.php, listLocalSaves(),
+ *            newerSave(), renderSlots()
  ************************************************************/
-async function checkServerSave() {
+async function loadSlots() {
     // Get the last known player name 
     const lastPlayerName = sessionStorage.getItem("lastPlayerName");
+    slotSaves = [];
 
     if (!lastPlayerName) {
-        resumeBtn.disabled = true;
         console.log("No known player name for server check.");
+        renderSlots();
         return;
     }
 
+    let serverSaves = [];
     try {
-        // Call load.php, passing the player name to check if a save exists 
-        const response = await fetch(`api/load.php?player_name=${encodeURIComponent(lastPlayerName)}`);
+        const response = await fetch(`api/list_slots.php?player_name=${encodeURIComponent(lastPlayerName)}`);
         const data = await response.json();
+        if (Array.isArray(data)) serverSaves = data;
+        else console.error("Error listing save slots:", data && data.message);
+    } catch (error) {
+        console.error("Error checking save:", error);
+    }
+
+    const localSaves = await listLocalSaves(lastPlayerName);
+    for (let slot = 1; slot <= SAVE_SLOTS; slot++) {
+        const server = serverSaves.find(s => Number(s.slot) === slot) || null;
+        const local = localSaves.find(s => Number(s.slot) === slot) || null;
+        const save = newerSave(local, server);
+        // Names are given on the server; a newer local save keeps the slot's name
+        if (save) slotSaves.push({ ...save, slot_name: (server && server.slot_name) || save.slot_name || null });
+    }
+    renderSlots();
+}
+
+/************************************************************
+ * Function: renderSlots
+ * Description: Lists every slot in the slot picker, with Use,
+ *              Rename and Delete buttons, shows which slot is
+ *              played in, and enables "Resume" and "Export
+ *              Save" only when that slot holds a save.
+ * Inputs: None (uses slotSaves, activeSlot)
+ * Outputs: Updates slotList, activeSlotInfo, resumeBtn,
+ *          exportSaveBtn
+ * Called By: loadSlots(), selectSlot()
+ ************************************************************/
+function renderSlots() {
+    resumeBtn.disabled = !slotSaves.some(s => Number(s.slot) === activeSlot);
+    exportSaveBtn.disabled = resumeBtn.disabled;
+    activeSlotInfo.textContent = `Saving to: ${slotLabel(activeSlot)}`;
+
+    slotList.replaceChildren();
+    for (let slot = 1; slot <= SAVE_SLOTS; slot++) {
+        const save = slotSaves.find(s => Number(s.slot) === slot);
+        const item = document.createElement('li');
+        if (slot === activeSlot) item.className = 'active';
+
+        const title = document.createElement('strong');
+        title.textContent = slotLabel(slot);
+        const details = document.createElement('span');
+        details.textContent = save ? describeSlot(save) : 'Empty';
 
-        // Check if data is null or has an error
-        if (!data || !data.save_id) {
-            resumeBtn.disabled = true;
-            console.log(`No server save found for player: ${lastPlayerName}`);
-            return;
+        const useBtn = document.createElement('button');
+        useBtn.textContent = slot === activeSlot ? 'In use' : 'Use';
+        useBtn.disabled = slot === activeSlot;
+        useBtn.addEventListener('click', () => selectSlot(slot));
+        item.append(title, details, useBtn);
+
+        if (save) {
+            const renameBtn = document.createElement('button');
+            renameBtn.textContent = 'Rename';
+            renameBtn.addEventListener('click', () => renameSlot(slot));
+            const deleteBtn = document.createElement('button');
+            deleteBtn.textContent = 'Delete';
+            deleteBtn.addEventListener('click', () => deleteSlot(slot));
+            item.append(renameBtn, deleteBtn);
         }
+        slotList.appendChild(item);
+    }
+}
 
-        // Save exists — enable resume
-        resumeBtn.disabled = false;
-        console.log(`Existing save found for: ${data.player_name}`);
+/************************************************************
+ * Function: selectSlot
+ * Description: Makes a slot the one games are resumed from
+ *              and saved to (game.js reads "activeSlot").
+ * Inputs: slot (number)
+ * Outputs: Updates activeSlot and sessionStorage
+ * Called By: Slot picker "Use" buttons
+ ************************************************************/
+function selectSlot(slot) {
+    activeSlot = slot;
+    sessionStorage.setItem("activeSlot", slot);
+    renderSlots();
+}
 
+/************************************************************
+ * Function: postSlotAction
+ * Description: Sends a slot change to one of the slot API
+ *              files and reports a failure to the player.
+ * Inputs: file (string) - API file name
+ *         body (object) - JSON body (player_name is added)
+ * Outputs: true when the server reports success
+ * Called By: renameSlot(), deleteSlot()
+ ************************************************************/
+async function postSlotAction(file, body) {
+    try {
+        const response = await fetch(`api/${file}`, {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify({ player_name: sessionStorage.getItem("lastPlayerName"), ...body })
+        });
+        const result = await response.json();
+        if (result.status === 'success') return true;
+        alert(result.message || 'The save slot could not be changed.');
     } catch (error) {
-        console.error("Error checking save:", error);
-        resumeBtn.disabled = true;
+        console.error(`Error calling ${file}:`, error);
+        alert('The server could not be reached.');
     }
+    return false;
+}
+
+/************************************************************
+ * Function: renameSlot
+ * Description: Asks for a new slot name and stores it.
+ * Inputs: slot (number)
+ * Outputs: None (reloads the slot list)
+ * Called By: Slot picker "Rename" buttons
+ * Will Call: postSlotAction() -> api/rename_slot.php
+ ************************************************************/
+async function renameSlot(slot) {
+    const name = prompt('Name for this save slot:', slotLabel(slot));
+    if (name === null) return;
+    if (await postSlotAction('rename_slot.php', { slot, slot_name: name.trim().slice(0, 50) })) loadSlots();
 }
 
-checkServerSave();
+/************************************************************
+ * Function: deleteSlot
+ * Description: Deletes a slot's save, on this device and on
+ *              the server, after the player confirms.
+ * Inputs: slot (number)
+ * Outputs: None (reloads the slot list)
+ * Called By: Slot picker "Delete" buttons
+ * Will Call: deleteLocalSave(),
+ *            postSlotAction() -> api/delete_slot.php
+ ************************************************************/
+async function deleteSlot(slot) {
+    if (!confirm(`Delete the save in "${slotLabel(slot)}"? This cannot be undone.`)) return;
+    await deleteLocalSave(sessionStorage.getItem("lastPlayerName"), slot);
+    await postSlotAction('delete_slot.php', { slot });
+    loadSlots();
+}
+
+/************************************************************
+ * Function: confirmNewGame
+ * Description: A new game saves to the active slot, so when
+ *              that slot already holds a save the player is
+ *              asked before it is replaced.
+ * Inputs: None (uses activeSlot, slotSaves)
+ * Outputs: true when the new game may start
+ * Called By: Start New Game and New Random World buttons
+ ************************************************************/
+function confirmNewGame() {
+    if (!slotSaves.some(s => Number(s.slot) === activeSlot)) return true;
+    return confirm(`Start a new game in "${slotLabel(activeSlot)}"? Its save will be replaced.`);
+}
+
+/************************************************************
+ * Function: fetchSlotSave
+ * Description: The full save of one of the player's slots:
+ *              the newer of this device's copy and the
+ *              server's (list_slots.php only returns a
+ *              summary).
+ * Inputs: slot (number)
+ * Outputs: save row, or null
+ * Called By: exportSlot()
+ * Will Call: fetch() -> api/load.php, getLocalSave(),
+ *            newerSave()
+ ************************************************************/
+async function fetchSlotSave(slot) {
+    const playerName = sessionStorage.getItem("lastPlayerName");
+    let serverSave = null;
+    try {
+        const response = await fetch(`api/load.php?player_name=${encodeURIComponent(playerName)}&slot=${slot}`);
+        serverSave = await response.json();
+        if (serverSave && serverSave.player_name === undefined) serverSave = null; // error object
+    } catch (error) {
+        console.warn("Server save could not be fetched:", error);
+    }
+    return newerSave(await getLocalSave(playerName, slot), serverSave);
+}
+
+/************************************************************
+ * Function: fetchMenuAvatar
+ * Description: The player's avatar (name and colour) for an
+ *              exported save file.
+ * Inputs: None
+ * Outputs: { name, color } (color null when the server
+ *          cannot be reached)
+ * Called By: exportSlot()
+ * Will Call: fetch() -> api/get_avatar.php
+ ************************************************************/
+async function fetchMenuAvatar() {
+    try {
+        const response = await fetch("api/get_avatar.php");
+        const data = await response.json();
+        if (data && data.status === "success") return data.avatar;
+    } catch (error) {
+        console.warn("Avatar could not be fetched:", error);
+    }
+    return { name: sessionStorage.getItem("lastPlayerName"), color: null };
+}
+
+/************************************************************
+ * Function: exportSlot
+ * Description: Downloads the active slot's save as a save
+ *              file (makeSaveFile() in save_format.js), to
+ *              import on another machine or attach to a bug
+ *              report.
+ * Inputs: None (uses activeSlot)
+ * Outputs: Browser download of land-explorer-save-<date>.json
+ * Called By: Export Save button
+ * Will Call: fetchSlotSave(), fetchMenuAvatar(),
+ *            parseSaveRow(), makeSaveFile()
+ ************************************************************/
+async function exportSlot() {
+    const row = await fetchSlotSave(activeSlot);
+    if (!row) {
+        alert(`"${slotLabel(activeSlot)}" holds no save to export.`);
+        return;
+    }
+    let save;
+    try {
+        save = parseSaveRow(row);
+    } catch (error) {
+        alert(`The save in "${slotLabel(activeSlot)}" could not be read: ${error.message}`);
+        return;
+    }
+    const file = makeSaveFile(save, await fetchMenuAvatar());
+    const blob = new Blob([JSON.stringify(file, null, 2)], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `land-explorer-save-${file.exported_at.replace(/[:.]/g, '-')}.json`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+}
+
+/************************************************************
+ * Function: importSlot
+ * Description: Checks a save file (readSaveFile()) and makes
+ *              its save the active slot's save, on this
+ *              device first like any save (the game sends it
+ *              to the server), or straight to the server
+ *              without IndexedDB. "Resume" then restores it
+ *              the way every save is loaded.
+ * Inputs: file (File) - file from the import file picker
+ * Outputs: None (reloads the slot list)
+ * Called By: importSaveInput change
+ * Will Call: readSaveFile(), storeLocalSave(),
+ *            postSlotAction() -> api/save.php
+ ************************************************************/
+async function importSlot(file) {
+    let schema = null;
+    try {
+        const response = await fetch("api/save.schema.json");
+        if (response.ok) schema = await response.json();
+    } catch (error) {
+        console.warn("Save schema could not be fetched:", error);
+    }
+    const { file: saveFile, errors } = readSaveFile(await file.text(), schema);
+    if (!saveFile) {
+        alert(`This save file could not be imported:\n${errors.join('\n')}`);
+        return;
+    }
+    const playerName = sessionStorage.getItem("lastPlayerName");
+    if (!playerName) {
+        alert('Create an avatar or play a game first, so the save has a player to belong to.');
+        return;
+    }
+    if (slotSaves.some(s => Number(s.slot) === activeSlot) &&
+        !confirm(`Replace the save in "${slotLabel(activeSlot)}" with the imported one?`)) return;
+
+    // The save joins this player's slot, whoever exported it, as its newest save
+    const payload = { ...saveFile.save, player_name: playerName, slot: activeSlot, saved_at: Date.now() };
+    if (!(await storeLocalSave(payload)) && !(await postSlotAction('save.php', payload))) return;
+    await loadSlots();
+    alert(`Imported into "${slotLabel(activeSlot)}". Resume Game to play it.`);
+}
+
+loadSlots();
+
+/************************************************************
+ * Function: checkDailyAttempt
+ * Description: Marks the Daily Challenge button as practice
+ *              once today's challenge has been started on
+ *              this browser (game.js records the attempt
+ *              under the same localStorage key, using the
+ *              UTC date as the challenge id).
+ * Inputs: None
+ * Outputs: Updates dailyBtn text and title
+ * Called By: Automatically on script load
+ ************************************************************/
+function checkDailyAttempt() {
+    const today = new Date().toISOString().slice(0, 10);
+    if (localStorage.getItem('dailyChallengeAttempt') !== today) return;
+    dailyBtn.textContent = 'Daily Challenge (practice)';
+    dailyBtn.title = "Today's attempt has been used; another run will not be scored.";
+}
+
+checkDailyAttempt();
 
 /************************************************************
  * Event Listeners for Menu Buttons
  * These listeners handle user interactions with the menu.
  ************************************************************/
 
-// Start new game
+// Start new game (in the active slot, replacing its save)
 startBtn.addEventListener('click', () => {
+    if (!confirmNewGame()) return;
     stopMenuMusic();
 
     sessionStorage.setItem("startMode", "new");
@@ -96,7 +449,46 @@ startBtn.addEventListener('click', () => {
     window.location.href = 'game.html';
 });
 
-// Resume game
+// Start a new game in a world generated from a fresh seed
+randomBtn.addEventListener('click', () => {
+    if (!confirmNewGame()) return;
+    stopMenuMusic();
+
+    sessionStorage.setItem("startMode", "random");
+
+    window.location.href = 'game.html';
+});
+
+// Play today's challenge world (seed taken from the date)
+dailyBtn.addEventListener('click', () => {
+    stopMenuMusic();
+
+    sessionStorage.setItem("startMode", "daily");
+
+    window.location.href = 'game.html';
+});
+
+// Save slot picker
+slotsBtn.addEventListener('click', () => {
+    mainMenu.style.display = 'none';
+    slotPicker.style.display = '';
+});
+
+closeSlotsBtn.addEventListener('click', () => {
+    slotPicker.style.display = 'none';
+    mainMenu.style.display = '';
+});
+
+// Save files (of the active slot)
+exportSaveBtn.addEventListener('click', exportSlot);
+importSaveBtn.addEventListener('click', () => importSaveInput.click());
+importSaveInput.addEventListener('change', () => {
+    const file = importSaveInput.files[0];
+    importSaveInput.value = ''; // the same file can be picked again
+    if (file) importSlot(file);
+});
+
+// Resume game (from the active slot)
 resumeBtn.addEventListener('click', () => {
     stopMenuMusic();
 
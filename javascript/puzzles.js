@@ -0,0 +1,1035 @@
+/******************************************************
+ * Program Name: puzzles.js
+ * Description:
+ *   Puzzle type registry for Land Explorer. Every puzzle
+ *   kind registers a definition once; regions list the
+ *   puzzles they use by type in the level file
+ *   ("puzzles": [{ "type": "plates", "plates": [...] }]),
+ *   and the loader, the simulation and saving treat every
+ *   type the same way through the hooks below. Adding a
+ *   puzzle kind means registering it here (or in its own
+ *   script) — the core loop does not change.
+ *
+ *   Definition passed to registerPuzzleType(type, def):
+ *     schema      { field: 'tiles' } – level fields the
+ *                 loader checks: 'tiles' is a non-empty
+ *                 {col,row} list, 'optionalTiles' may be
+ *                 missing or empty, 'tile' is one {col,row}
+ *     validate    (errors, path, data, region) – optional
+ *                 extra level checks
+ *     init        (p, data, region) – set up the puzzle's
+ *                 fields from its level entry
+ *     update      (p, ctx) – one simulation step while the
+ *                 player is in the region and p is unsolved
+ *     updateSolved (p, ctx) – optional, the same step once p
+ *                 is solved, for pieces that stay live
+ *     draw        (p, ctx2d) – render in world space
+ *     drawGlow    (p, ctx2d) – optional, render in world
+ *                 space on top of the fog (light sources)
+ *     serialize   (p) – progress as plain JSON, including
+ *                 anything draw() reads that update() only
+ *                 works out while the puzzle is unsolved;
+ *                 per-piece state is keyed by the piece's
+ *                 tile (piecesById())
+ *     restore     (p, saved) – put serialized progress back
+ *     reset       (p) – back to the level's starting state
+ *     blocksExit  (p) – optional, defaults to !p.solved
+ *     solids      (p) – optional, rects the player and
+ *                 crates cannot enter right now (doors)
+ *     blocksTeleporter (p, col, row) – optional, true to
+ *                 keep the teleporter pad on that tile
+ *                 dormant
+ *     progress    (p) – optional, a number that changes
+ *                 whenever the player gets closer to
+ *                 solving (used to tell when they are stuck)
+ *     hintTile    (p) – optional, {x,y} of the tile a hint
+ *                 should point at next, or null
+ *
+ *   Any puzzle entry may also carry "hints": a list of
+ *   texts, least specific first (see hints.js).
+ *
+ *   The update ctx is { state, region, player, interaction,
+ *   dt, emit(name), solve() }. `interaction` is true on the
+ *   step the interact key goes down, `dt` is the step length
+ *   in ms (anything timed must count it), `emit` records an
+ *   event for the browser layer and `solve()` marks the
+ *   puzzle solved and emits 'puzzleClear'.
+ *
+ *   Like sim.js, nothing here touches the DOM.
+ * Expected Inputs:
+ *   - Puzzle entries from the level file
+ * Expected Outputs:
+ *   - Puzzle objects with solved, hints, update(), draw(),
+ *     drawGlow(), blocksExit(), solids(),
+ *     blocksTeleporter(), progress(), hintTile(),
+ *     getState(), setState(), reset()
+ * Called By:
+ *   - level_loader.js (validate, build), sim.js (step,
+ *     snapshots, undo, region reset), game.js (save, load,
+ *     draw)
+ ******************************************************/
+
+/**************** PUZZLE REGISTRY ***********************
+ * Purpose:
+ *   Registered definitions by type name.
+ ******************************************************/
+const PUZZLE_TYPES = {};
+
+/********************************************************
+ * Function Name: registerPuzzleType
+ * Description:
+ *   Adds a puzzle kind to the registry (see the header
+ *   for the definition format).
+ * Inputs:
+ *   - type: name used in the level file
+ *   - def: definition object
+ * Outputs:
+ *   - none
+ * Called By:
+ *   - this file, scripts adding new puzzle kinds
+ ********************************************************/
+function registerPuzzleType(type, def) {
+    PUZZLE_TYPES[type] = {
+        schema: {},
+        validate() {},
+        init() {},
+        update() {},
+        updateSolved() {},
+        draw() {},
+        drawGlow() {},
+        serialize() { return {}; },
+        restore() {},
+        reset() {},
+        blocksExit(p) { return !p.solved; },
+        solids() { return []; },
+        blocksTeleporter() { return false; },
+        progress() { return 0; },
+        hintTile() { return null; },
+        ...def
+    };
+}
+
+/********************************************************
+ * Function Name: createPuzzle
+ * Description:
+ *   Builds a puzzle object from a validated level entry.
+ *   The object carries the contract the rest of the game
+ *   uses, whatever its type: solved, hints, update(ctx),
+ *   draw(ctx2d), drawGlow(ctx2d), blocksExit(), solids(),
+ *   blocksTeleporter(col, row), progress(), hintTile(),
+ *   getState(), setState(), reset().
+ * Inputs:
+ *   - region: built region object
+ *   - data: puzzle entry from the level file
+ * Outputs:
+ *   - puzzle object
+ * Called By:
+ *   - buildRegion() in level_loader.js
+ ********************************************************/
+function createPuzzle(region, data) {
+    const def = PUZZLE_TYPES[data.type];
+    const puzzle = {
+        type: data.type,
+        solved: false,
+        hints: data.hints ? data.hints.slice() : [],
+
+        update(ctx) {
+            if (this.solved) {
+                def.updateSolved(this, ctx);
+                return;
+            }
+            def.update(this, {
+                ...ctx,
+                solve: () => {
+                    this.solved = true;
+                    ctx.emit('puzzleClear');
+                }
+            });
+        },
+        draw(ctx) { def.draw(this, ctx); },
+        drawGlow(ctx) { def.drawGlow(this, ctx); },
+        blocksExit() { return def.blocksExit(this); },
+        solids() { return def.solids(this); },
+        blocksTeleporter(col, row) { return def.blocksTeleporter(this, col, row); },
+        progress() { return def.progress(this); },
+        hintTile() { return def.hintTile(this); },
+        getState() { return { solved: this.solved, ...def.serialize(this) }; },
+        setState(saved) {
+            this.solved = !!saved.solved;
+            def.restore(this, saved);
+        },
+        reset() {
+            this.solved = false;
+            def.reset(this);
+        }
+    };
+    def.init(puzzle, data, region);
+    return puzzle;
+}
+
+/********************************************************
+ * Function Name: regionBlocksExit
+ * Description:
+ *   True while any puzzle of the region keeps its gates
+ *   closed.
+ * Inputs:
+ *   - region: region object
+ * Outputs:
+ *   - boolean
+ * Called By:
+ *   - syncGates(), updatePuzzles(), buildRegion()
+ ********************************************************/
+function regionBlocksExit(region) {
+    return region.puzzles.some(p => p.blocksExit());
+}
+
+/********************************************************
+ * Function Name: puzzleSolids
+ * Description:
+ *   Collects the rects the region's puzzles currently
+ *   make solid, such as closed circuit doors.
+ * Inputs:
+ *   - region: region object
+ * Outputs:
+ *   - array of {x,y,w,h}
+ * Called By:
+ *   - canRectMoveTo(), canPlayerMoveTo()
+ ********************************************************/
+function puzzleSolids(region) {
+    return region.puzzles.flatMap(p => p.solids());
+}
+
+/********************************************************
+ * Function Name: getPuzzleStates
+ * Description:
+ *   Serializes every puzzle of a region, in level order.
+ * Inputs:
+ *   - region: region object
+ * Outputs:
+ *   - array of getState() results
+ * Called By:
+ *   - snapshotState(), pushUndo()
+ ********************************************************/
+function getPuzzleStates(region) {
+    return region.puzzles.map(p => p.getState());
+}
+
+/********************************************************
+ * Function Name: setPuzzleStates
+ * Description:
+ *   Restores a region's puzzles from getPuzzleStates().
+ *   Also takes the single state object saved before
+ *   regions could hold several puzzles; it belongs to the
+ *   region's first puzzle.
+ * Inputs:
+ *   - region: region object
+ *   - saved: array of states, or one state object
+ * Outputs:
+ *   - none (mutates the puzzles)
+ * Called By:
+ *   - restoreState(), undoMove()
+ ********************************************************/
+function setPuzzleStates(region, saved) {
+    if (!saved) return;
+    const list = Array.isArray(saved) ? saved : [saved];
+    list.forEach((s, i) => {
+        if (region.puzzles[i] && s) region.puzzles[i].setState(s);
+    });
+}
+
+/********************************************************
+ * Function Name: tilePoints
+ * Description:
+ *   Turns a level list of {col,row} into pixel {x,y}.
+ * Inputs:
+ *   - list: array of {col,row}
+ * Outputs:
+ *   - array of {x,y}
+ * Called By:
+ *   - init hooks
+ ********************************************************/
+function tilePoints(list) {
+    return list.map(t => ({ x: t.col * TILE, y: t.row * TILE }));
+}
+
+/********************************************************
+ * Function Name: pieceIds
+ * Description:
+ *   Gives the pieces of a puzzle (plates, pads, levers,
+ *   doors, mirrors, switches) the id of the tile they sit
+ *   on, "col,row", the way buildRegion() ids seeds and
+ *   crates (assignStableIds() in level_loader.js).
+ * Inputs:
+ *   - pieces: built pieces (mutated)
+ *   - entries: their {col,row} level entries, same order
+ * Outputs:
+ *   - the pieces
+ * Called By:
+ *   - init hooks of the built-in types
+ * Will Call:
+ *   - assignStableIds()
+ ********************************************************/
+function pieceIds(pieces, entries) {
+    assignStableIds(pieces, entries, t => `${t.col},${t.row}`);
+    return pieces;
+}
+
+/********************************************************
+ * Function Name: piecesById
+ * Description:
+ *   One saved value per piece, keyed by the piece's id,
+ *   so adding, removing or reordering pieces in the level
+ *   file does not hand their state to other pieces.
+ * Inputs:
+ *   - pieces: pieces with ids (pieceIds())
+ *   - valueOf: function(piece) returning its saved value
+ * Outputs:
+ *   - { id: value }
+ * Called By:
+ *   - serialize hooks of the built-in types
+ ********************************************************/
+function piecesById(pieces, valueOf) {
+    const saved = {};
+    pieces.forEach(piece => { saved[piece.id] = valueOf(piece); });
+    return saved;
+}
+
+/********************************************************
+ * Function Name: restorePieces
+ * Description:
+ *   Puts values saved by piecesById() back. Pieces the
+ *   save does not name keep their current state. Saves
+ *   made before pieces had ids list the values in level
+ *   order, and are read that way.
+ * Inputs:
+ *   - pieces: pieces with ids
+ *   - saved: { id: value }, an array, or undefined
+ *   - apply: function(piece, value)
+ * Outputs:
+ *   - none (mutates the pieces)
+ * Called By:
+ *   - restore hooks of the built-in types
+ ********************************************************/
+function restorePieces(pieces, saved, apply) {
+    if (Array.isArray(saved)) {
+        saved.forEach((v, i) => { if (pieces[i]) apply(pieces[i], v); });
+    } else if (saved && typeof saved === 'object') {
+        pieces.forEach(piece => { if (piece.id in saved) apply(piece, saved[piece.id]); });
+    }
+}
+
+/*** BUILT-IN PUZZLE TYPES ***/
+
+/********************************************************
+ * Puzzle Type: plates
+ * Description:
+ *   Multiple plates must be held down simultaneously by
+ *   the player or crates. Whether a plate is pressed is
+ *   worked out every step while the region is played;
+ *   it is saved too so a loaded game (where update stops
+ *   once the puzzle is solved) draws the plates as they
+ *   were left.
+ ********************************************************/
+registerPuzzleType('plates', {
+    schema: { plates: 'tiles' },
+
+    init(p, data, region) {
+        p.region = region;
+        p.platesData = pieceIds(tilePoints(data.plates).map(pt => ({ ...pt, isPressed: false })), data.plates);
+    },
+
+    update(p, ctx) {
+        const rect = pt => ({ x: pt.x, y: pt.y, w: TILE, h: TILE });
+        let allPressed = true;
+        p.platesData.forEach(pt => {
+            // Pressed by the player or by any crate in the region
+            pt.isPressed = rectOverlap(ctx.player, rect(pt)) || p.region.crates.some(c => rectOverlap(c, rect(pt)));
+            if (!pt.isPressed) allPressed = false;
+        });
+        if (allPressed) ctx.solve();
+    },
+
+    draw(p, ctx) {
+        ctx.save();
+        p.platesData.forEach(pt => {
+            ctx.fillStyle = pt.isPressed ? "#77ff77" : "#ffaa55";
+            ctx.fillRect(pt.x + 8, pt.y + 8, TILE-16, TILE-16);
+        });
+        ctx.restore();
+    },
+
+    serialize(p) {
+        return { pressed: piecesById(p.platesData, pt => pt.isPressed) };
+    },
+
+    restore(p, saved) {
+        if (saved.pressed !== undefined) {
+            restorePieces(p.platesData, saved.pressed, (pt, v) => { pt.isPressed = !!v; });
+        } else if (p.solved) {
+            // Older saves: every plate was down when it was solved
+            p.platesData.forEach(pt => { pt.isPressed = true; });
+        }
+    },
+
+    reset(p) {
+        p.platesData.forEach(pt => { pt.isPressed = false; });
+    }
+});
+
+/********************************************************
+ * Puzzle Type: sequence
+ * Description:
+ *   Strict sequence: stepping on an incorrect pad resets
+ *   progress. Progress advances when the player steps ON
+ *   the current pad and then steps OFF it.
+ ********************************************************/
+registerPuzzleType('sequence', {
+    schema: { pads: 'tiles' },
+
+    init(p, data) {
+        p.pads = tilePoints(data.pads);
+        p.index = 0;
+        p.enteredCorrectPad = false;
+        p.lastHitIndex = -1;
+        p.touchedPadIndex = -1; // pad under the player last update (for draw)
+    },
+
+    update(p, ctx) {
+        const pads = p.pads;
+        const player = ctx.player;
+        const playerRect = { x: player.x, y: player.y, w: TILE, h: TILE };
+        const touchedPadIndex = pads.findIndex(pad => rectOverlap(playerRect, { x: pad.x, y: pad.y, w: TILE, h: TILE }));
+        const isTouchingAPad = touchedPadIndex !== -1;
+        const isTouchingCurrentTarget = touchedPadIndex === p.index; // The pad they need to hit now.
+        p.touchedPadIndex = touchedPadIndex;
+
+        // Reset Check (Failure)
+        // If the player is touching a pad, but it is not the current target, then reset.
+        if (isTouchingAPad && !isTouchingCurrentTarget) {
+            if (p.index > 0 || touchedPadIndex !== -1) {
+                p.index = 0;
+                p.enteredCorrectPad = false;
+                p.lastHitIndex = -1;
+                ctx.emit('reset');
+                return;
+            }
+        }
+
+        // Set flag if player steps ON the correct pad
+        if (isTouchingCurrentTarget) {
+            p.enteredCorrectPad = true;
+            p.lastHitIndex = p.index;
+            return;
+        }
+        // Advance index if player steps OFF the pad that set the flag.
+        const padToExit = pads[p.lastHitIndex];
+        const isStillTouchingLastHitPad = padToExit && rectOverlap(playerRect, { x: padToExit.x, y: padToExit.y, w: TILE, h: TILE });
+
+        if (p.enteredCorrectPad && !isStillTouchingLastHitPad) {
+            // Player has successfully completed the step by exiting the correct pad area.
+            // This will trigger even if they immediately step onto the next pad.
+            p.index++;
+            ctx.emit('interact');
+            p.enteredCorrectPad = false;
+            p.lastHitIndex = -1;
+
+            if (p.index >= pads.length) ctx.solve();
+        }
+    },
+
+    draw(p, ctx) {
+        p.pads.forEach((pad, i) => {
+            let fillStyle;
+            if (i < p.index) {
+                // Completed Pads: Stays green permanently
+                fillStyle = "#5cb85c";
+            } else if (i === p.index) {
+                // Current Target Pad: Yellowish hint
+                fillStyle = "#f0ad4e";
+            } else {
+                // Future Pads: Neutral orange
+                fillStyle = "#f57e5e";
+            }
+
+            if (i === p.index && p.touchedPadIndex === i) {
+                fillStyle = "#ffe082";
+            }
+
+            ctx.fillStyle = fillStyle;
+            ctx.fillRect(pad.x + 6, pad.y + 6, TILE - 12, TILE - 12);
+
+            ctx.fillStyle = "#333";
+            ctx.font = 'bold 12px Inter';
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            ctx.fillText(i + 1, pad.x + TILE/2, pad.y + TILE/2);
+            ctx.textBaseline = 'alphabetic';
+        });
+    },
+
+    serialize(p) {
+        return {
+            index: p.index,
+            enteredCorrectPad: p.enteredCorrectPad,
+            lastHitIndex: p.lastHitIndex,
+            touchedPadIndex: p.touchedPadIndex
+        };
+    },
+
+    restore(p, saved) {
+        p.index = saved.index !== undefined ? saved.index : 0;
+        p.enteredCorrectPad = !!saved.enteredCorrectPad;
+        p.lastHitIndex = saved.lastHitIndex !== undefined ? saved.lastHitIndex : -1;
+        p.touchedPadIndex = saved.touchedPadIndex !== undefined ? saved.touchedPadIndex : -1;
+    },
+
+    reset(p) {
+        p.index = 0;
+        p.enteredCorrectPad = false;
+        p.lastHitIndex = -1;
+        p.touchedPadIndex = -1;
+    },
+
+    progress(p) {
+        return p.index;
+    },
+
+    // The pad to step on next
+    hintTile(p) {
+        return p.pads[p.index] || null;
+    }
+});
+
+/********************************************************
+ * Puzzle Type: crates
+ * Description:
+ *   Sokoban-style: solved once every crate of the region
+ *   sits on a target. Uses the region's own crates and
+ *   targets, so it has no fields of its own: the crates'
+ *   positions are saved with the region and their colour
+ *   is worked out from them when drawn.
+ ********************************************************/
+registerPuzzleType('crates', {
+    validate(errors, path, data, region) {
+        const crates = (region.crates || []).length;
+        const targets = (region.targets || []).length;
+        if (crates === 0 || crates !== targets) {
+            errors.push(`${path}.targets: crate puzzle needs one target per crate (${crates} crates, ${targets} targets)`);
+        }
+    },
+
+    init(p, data, region) {
+        p.region = region;
+    },
+
+    update(p, ctx) {
+        const region = p.region;
+        if (region.crates.length !== region.targets.length) return;
+        const onTargets = region.crates.every(c => region.targets.some(t => rectOverlap(c, t)));
+        if (onTargets) ctx.solve();
+    },
+
+    draw(p) {
+        p.region.crates.forEach(c => {
+            const onTarget = p.region.targets.some(t => rectOverlap(c, t));
+            c.color = onTarget ? '#a7f3d0' : '#d1d5db';
+        });
+    }
+});
+
+/********************************************************
+ * Puzzle Type: teleporters
+ * Description:
+ *   Every switch must be turned on with the interact key
+ *   while standing on it. A switch placed on a teleporter
+ *   pad (see the level's "teleporters" pairs) keeps that
+ *   pad and its partner dormant while it is off.
+ ********************************************************/
+registerPuzzleType('teleporters', {
+    schema: { teleporters: 'tiles' },
+
+    init(p, data) {
+        p.teleporterData = pieceIds(tilePoints(data.teleporters).map(t => ({ ...t, active: false })), data.teleporters);
+    },
+
+    update(p, ctx) {
+        if (ctx.interaction) {
+            let interacted = false;
+            p.teleporterData.forEach(t => {
+                if (rectOverlap(ctx.player, { x: t.x, y: t.y, w: TILE, h: TILE })) {
+                    t.active = !t.active;
+                    interacted = true;
+                }
+            });
+            if (interacted) ctx.emit('interact');
+        }
+        if (p.teleporterData.every(t => t.active)) ctx.solve();
+    },
+
+    draw(p, ctx) {
+        ctx.save();
+        p.teleporterData.forEach(t => {
+            const color = t.active ? '#34d399' : '#a78bfa';
+            ctx.strokeStyle = color;
+            ctx.lineWidth = 3;
+            ctx.beginPath();
+            ctx.arc(t.x + TILE/2, t.y + TILE/2, TILE/2 - 2, 0, Math.PI * 2);
+            ctx.stroke();
+            ctx.fillStyle = color;
+            ctx.fillRect(t.x + TILE/2 - 12, t.y - 12, 24, 12);
+            ctx.fillStyle = '#1f2937';
+            ctx.font = 'bold 9px Inter';
+            ctx.textAlign = 'center';
+            ctx.fillText(t.active ? 'ON' : 'OFF', t.x + TILE/2, t.y - 3);
+        });
+        ctx.restore();
+    },
+
+    blocksTeleporter(p, col, row) {
+        return p.teleporterData.some(t => !t.active && t.x === col * TILE && t.y === row * TILE);
+    },
+
+    serialize(p) {
+        return { activeStates: piecesById(p.teleporterData, t => t.active) };
+    },
+
+    restore(p, saved) {
+        restorePieces(p.teleporterData, saved.activeStates, (t, a) => { t.active = !!a; });
+    },
+
+    reset(p) {
+        p.teleporterData.forEach(t => { t.active = false; });
+    }
+});
+
+/********************************************************
+ * Puzzle Type: circuit
+ * Description:
+ *   Levers (toggled with the interact key) and pressure
+ *   plates feed a small logic circuit that opens and
+ *   closes door tiles inside the region. Inputs are named
+ *   "lever:N", "plate:N" and "logic:N"; each logic entry
+ *   combines earlier signals with and, or, xor (an odd
+ *   number on) or not, and each door opens while its
+ *   input is on. A door whose input goes off while the
+ *   player or a crate stands in it stays open until it is
+ *   clear. Solved the first time every door's input is on
+ *   at once, after which the doors stay open; plates still
+ *   go up and down so they are not drawn (or saved) held
+ *   down by someone who walked off.
+ ********************************************************/
+const CIRCUIT_OPS = {
+    and: inputs => inputs.every(v => v),
+    or: inputs => inputs.some(v => v),
+    xor: inputs => inputs.filter(v => v).length % 2 === 1,
+    not: inputs => !inputs[0]
+};
+const CIRCUIT_REF = /^(lever|plate|logic):(\d+)$/;
+
+/********************************************************
+ * Function Name: checkCircuitRef
+ * Description:
+ *   Validates one signal name of a circuit level entry.
+ * Inputs:
+ *   - errors: array of error strings (mutated)
+ *   - path: field path of the name
+ *   - ref: the name, e.g. "lever:0"
+ *   - data: circuit entry from the level file
+ *   - logicLimit: logic entries the name may refer to
+ * Outputs:
+ *   - none (pushes errors)
+ * Called By:
+ *   - circuit validate hook
+ ********************************************************/
+function checkCircuitRef(errors, path, ref, data, logicLimit) {
+    const m = typeof ref === 'string' && ref.match(CIRCUIT_REF);
+    const count = m && { lever: (data.levers || []).length, plate: (data.plates || []).length, logic: logicLimit }[m[1]];
+    if (!m || Number(m[2]) >= count) {
+        errors.push(`${path}: expected "lever:N", "plate:N" or an earlier "logic:N", got ${JSON.stringify(ref)}`);
+    }
+}
+
+/********************************************************
+ * Function Name: circuitSignals
+ * Description:
+ *   Evaluates every signal of a circuit from its levers
+ *   and plates.
+ * Inputs:
+ *   - p: circuit puzzle
+ * Outputs:
+ *   - function from a signal name to true/false
+ * Called By:
+ *   - updateCircuitDoors()
+ ********************************************************/
+function circuitSignals(p) {
+    const values = {
+        lever: p.levers.map(l => l.on),
+        plate: p.plates.map(pt => pt.isPressed),
+        logic: []
+    };
+    const read = ref => {
+        const [kind, index] = ref.split(':');
+        return values[kind][Number(index)];
+    };
+    p.logic.forEach(g => values.logic.push(CIRCUIT_OPS[g.op](g.in.map(read))));
+    return read;
+}
+
+/********************************************************
+ * Function Name: updateCircuitDoors
+ * Description:
+ *   Opens or closes every door from the circuit's
+ *   signals. A door never closes onto a blocker.
+ * Inputs:
+ *   - p: circuit puzzle
+ *   - blockers: rects that keep a door open (may be empty)
+ * Outputs:
+ *   - true when every door's input is on (doors only
+ *     held open by a blocker do not count)
+ * Called By:
+ *   - circuit init, update and reset hooks
+ ********************************************************/
+function updateCircuitDoors(p, blockers) {
+    const read = circuitSignals(p);
+    p.doors.forEach(d => {
+        const rect = { x: d.x, y: d.y, w: TILE, h: TILE };
+        d.open = read(d.in) || (d.open && blockers.some(b => rectOverlap(b, rect)));
+    });
+    return p.doors.every(d => read(d.in));
+}
+
+/********************************************************
+ * Function Name: updateCircuitPlates
+ * Description:
+ *   Presses every circuit plate the player or a crate of
+ *   the region stands on and releases the others.
+ * Inputs:
+ *   - p: circuit puzzle
+ *   - ctx: update context
+ * Outputs:
+ *   - none (mutates the plates)
+ * Called By:
+ *   - circuit update and updateSolved hooks
+ ********************************************************/
+function updateCircuitPlates(p, ctx) {
+    const rect = pt => ({ x: pt.x, y: pt.y, w: TILE, h: TILE });
+    p.plates.forEach(pt => {
+        pt.isPressed = rectOverlap(ctx.player, rect(pt)) || p.region.crates.some(c => rectOverlap(c, rect(pt)));
+    });
+}
+
+registerPuzzleType('circuit', {
+    schema: { levers: 'optionalTiles', plates: 'optionalTiles', doors: 'tiles' },
+
+    validate(errors, path, data) {
+        if (!(data.levers || []).length && !(data.plates || []).length) {
+            errors.push(`${path}: a circuit needs at least one lever or plate`);
+        }
+        if (data.logic !== undefined && !Array.isArray(data.logic)) {
+            errors.push(`${path}.logic: expected an array`);
+            return;
+        }
+        (data.logic || []).forEach((g, i) => {
+            const p = `${path}.logic[${i}]`;
+            if (!g || !(g.op in CIRCUIT_OPS)) {
+                errors.push(`${p}.op: expected one of ${Object.keys(CIRCUIT_OPS).join(', ')}, got ${JSON.stringify(g && g.op)}`);
+                return;
+            }
+            const size = g.op === 'not' ? 'exactly one' : 'at least one';
+            if (!Array.isArray(g.in) || g.in.length === 0 || (g.op === 'not' && g.in.length !== 1)) {
+                errors.push(`${p}.in: expected an array of ${size} signal name`);
+                return;
+            }
+            g.in.forEach((ref, j) => checkCircuitRef(errors, `${p}.in[${j}]`, ref, data, i));
+        });
+        if (Array.isArray(data.doors)) {
+            const logicCount = (data.logic || []).length;
+            data.doors.forEach((d, i) => {
+                if (d && typeof d === 'object') checkCircuitRef(errors, `${path}.doors[${i}].in`, d.in, data, logicCount);
+            });
+        }
+    },
+
+    init(p, data, region) {
+        p.region = region;
+        p.levers = pieceIds(tilePoints(data.levers || []).map(l => ({ ...l, on: false })), data.levers || []);
+        p.plates = pieceIds(tilePoints(data.plates || []).map(pt => ({ ...pt, isPressed: false })), data.plates || []);
+        p.logic = (data.logic || []).map(g => ({ op: g.op, in: g.in.slice() }));
+        p.doors = pieceIds(tilePoints(data.doors).map((d, i) => ({ ...d, in: data.doors[i].in, open: false })), data.doors);
+        updateCircuitDoors(p, []);
+    },
+
+    update(p, ctx) {
+        const rect = t => ({ x: t.x, y: t.y, w: TILE, h: TILE });
+        if (ctx.interaction) {
+            let interacted = false;
+            p.levers.forEach(l => {
+                if (rectOverlap(ctx.player, rect(l))) {
+                    l.on = !l.on;
+                    interacted = true;
+                }
+            });
+            if (interacted) ctx.emit('interact');
+        }
+        updateCircuitPlates(p, ctx);
+        if (updateCircuitDoors(p, [ctx.player, ...p.region.crates])) ctx.solve();
+    },
+
+    updateSolved(p, ctx) {
+        updateCircuitPlates(p, ctx);
+    },
+
+    draw(p, ctx) {
+        ctx.save();
+        p.plates.forEach(pt => {
+            ctx.fillStyle = pt.isPressed ? "#77ff77" : "#ffaa55";
+            ctx.fillRect(pt.x + 8, pt.y + 8, TILE-16, TILE-16);
+        });
+        p.levers.forEach(l => {
+            const cx = l.x + TILE/2, base = l.y + TILE - 8;
+            ctx.strokeStyle = '#374151';
+            ctx.lineWidth = 4;
+            ctx.beginPath();
+            ctx.moveTo(cx, base);
+            ctx.lineTo(cx + (l.on ? 9 : -9), l.y + 8);
+            ctx.stroke();
+            ctx.fillStyle = l.on ? '#facc15' : '#9ca3af';
+            ctx.beginPath();
+            ctx.arc(cx + (l.on ? 9 : -9), l.y + 8, 4, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.fillStyle = '#6b7280';
+            ctx.fillRect(l.x + 6, base, TILE - 12, 5);
+        });
+        p.doors.forEach(d => {
+            if (d.open) {
+                ctx.strokeStyle = 'rgba(120, 72, 32, 0.5)';
+                ctx.lineWidth = 2;
+                ctx.strokeRect(d.x + 2, d.y + 2, TILE - 4, TILE - 4);
+                return;
+            }
+            ctx.fillStyle = '#7c4a20';
+            ctx.fillRect(d.x, d.y, TILE, TILE);
+            ctx.fillStyle = '#4b2a10';
+            for (let bx = 6; bx < TILE; bx += 10) ctx.fillRect(d.x + bx, d.y + 2, 3, TILE - 4);
+        });
+        ctx.restore();
+    },
+
+    solids(p) {
+        return p.doors.filter(d => !d.open).map(d => ({ x: d.x, y: d.y, w: TILE, h: TILE }));
+    },
+
+    serialize(p) {
+        return {
+            levers: piecesById(p.levers, l => l.on),
+            plates: piecesById(p.plates, pt => pt.isPressed),
+            doors: piecesById(p.doors, d => d.open)
+        };
+    },
+
+    restore(p, saved) {
+        [['levers', 'on'], ['plates', 'isPressed'], ['doors', 'open']].forEach(([field, key]) => {
+            restorePieces(p[field], saved[field], (piece, v) => { piece[key] = !!v; });
+        });
+    },
+
+    reset(p) {
+        p.levers.forEach(l => { l.on = false; });
+        p.plates.forEach(pt => { pt.isPressed = false; });
+        p.doors.forEach(d => { d.open = false; });
+        updateCircuitDoors(p, []);
+    }
+});
+
+/********************************************************
+ * Puzzle Type: beam
+ * Description:
+ *   A light beam leaves the emitter tile in one direction
+ *   and travels tile by tile. Mirrors turn it by 90
+ *   degrees; the player rotates a mirror (45 <-> 135)
+ *   with the interact key while standing on it.
+ *   Obstacles, crates, closed doors and the region edge
+ *   stop the beam. Solved when the beam reaches the
+ *   receiver tile. The beam is worked out again whenever
+ *   something changes, so only mirror angles are saved.
+ ********************************************************/
+const BEAM_DIRS = { up: [0, -1], down: [0, 1], left: [-1, 0], right: [1, 0] };
+// Mirror angle -> incoming direction -> outgoing direction
+const BEAM_TURNS = {
+    45: { right: 'up', up: 'right', left: 'down', down: 'left' },
+    135: { right: 'down', down: 'right', left: 'up', up: 'left' }
+};
+
+/********************************************************
+ * Function Name: traceBeam
+ * Description:
+ *   Follows the beam from the emitter and stores the
+ *   points it passes through (emitter, each mirror that
+ *   turns it, end point) and whether it reached the
+ *   receiver.
+ * Inputs:
+ *   - p: beam puzzle
+ * Outputs:
+ *   - none (sets p.path and p.lit)
+ * Called By:
+ *   - beam init, update, restore and reset hooks
+ * Will Call:
+ *   - puzzleSolids(), rectOverlap()
+ ********************************************************/
+function traceBeam(p) {
+    const region = p.region;
+    const solids = [...region.obstacles, ...region.crates, ...puzzleSolids(region)];
+    const half = TILE / 2;
+    let col = p.emitter.col, row = p.emitter.row, dir = p.emitter.dir;
+    const path = [{ x: col * TILE + half, y: row * TILE + half }];
+    const seen = new Set();
+    p.lit = false;
+
+    while (true) {
+        const [dx, dy] = BEAM_DIRS[dir];
+        col += dx;
+        row += dy;
+        // Where the beam enters this tile
+        const edge = { x: col * TILE + half - dx * half, y: row * TILE + half - dy * half };
+        if (col < 0 || row < 0 || col >= region.cols || row >= region.rows) {
+            path.push(edge);
+            break;
+        }
+        const lane = dx !== 0
+            ? { x: col * TILE, y: row * TILE + half - 2, w: TILE, h: 4 }
+            : { x: col * TILE + half - 2, y: row * TILE, w: 4, h: TILE };
+        if (solids.some(o => rectOverlap(lane, o))) {
+            path.push(edge);
+            break;
+        }
+        const center = { x: col * TILE + half, y: row * TILE + half };
+        if (col === p.receiver.col && row === p.receiver.row) {
+            path.push(center);
+            p.lit = true;
+            break;
+        }
+        const mirror = p.mirrors.find(m => m.col === col && m.row === row);
+        if (mirror) {
+            // Mirrors can send the beam round in a loop
+            const key = `${col},${row},${dir}`;
+            if (seen.has(key)) break;
+            seen.add(key);
+            dir = BEAM_TURNS[mirror.angle][dir];
+            path.push(center);
+        }
+    }
+    p.path = path;
+}
+
+registerPuzzleType('beam', {
+    schema: { emitter: 'tile', receiver: 'tile', mirrors: 'tiles' },
+
+    validate(errors, path, data) {
+        if (data.emitter && typeof data.emitter === 'object' && !(data.emitter.dir in BEAM_DIRS)) {
+            errors.push(`${path}.emitter.dir: expected one of ${Object.keys(BEAM_DIRS).join(', ')}, got ${JSON.stringify(data.emitter.dir)}`);
+        }
+        if (Array.isArray(data.mirrors)) {
+            data.mirrors.forEach((m, i) => {
+                if (m && typeof m === 'object' && ![45, 135].includes(m.angle)) {
+                    errors.push(`${path}.mirrors[${i}].angle: expected 45 or 135, got ${JSON.stringify(m.angle)}`);
+                }
+            });
+        }
+    },
+
+    init(p, data, region) {
+        p.region = region;
+        p.emitter = { col: data.emitter.col, row: data.emitter.row, dir: data.emitter.dir };
+        p.receiver = { col: data.receiver.col, row: data.receiver.row };
+        p.startAngles = data.mirrors.map(m => m.angle);
+        p.mirrors = pieceIds(data.mirrors.map(m => ({ col: m.col, row: m.row, angle: m.angle })), data.mirrors);
+        traceBeam(p);
+    },
+
+    update(p, ctx) {
+        if (ctx.interaction) {
+            let interacted = false;
+            p.mirrors.forEach(m => {
+                if (rectOverlap(ctx.player, { x: m.col * TILE, y: m.row * TILE, w: TILE, h: TILE })) {
+                    m.angle = m.angle === 45 ? 135 : 45;
+                    interacted = true;
+                }
+            });
+            if (interacted) ctx.emit('interact');
+        }
+        traceBeam(p);
+        if (p.lit) ctx.solve();
+    },
+
+    draw(p, ctx) {
+        const half = TILE / 2;
+        ctx.save();
+        // Emitter: dark block with a lens on the side the beam leaves
+        const ex = p.emitter.col * TILE, ey = p.emitter.row * TILE;
+        const [dx, dy] = BEAM_DIRS[p.emitter.dir];
+        ctx.fillStyle = '#334155';
+        ctx.fillRect(ex + 4, ey + 4, TILE - 8, TILE - 8);
+        ctx.fillStyle = '#fde68a';
+        ctx.beginPath();
+        ctx.arc(ex + half + dx * 9, ey + half + dy * 9, 4, 0, Math.PI * 2);
+        ctx.fill();
+        // Receiver: crystal that lights up when hit
+        const rx = p.receiver.col * TILE + half, ry = p.receiver.row * TILE + half;
+        ctx.fillStyle = p.lit ? '#fef08a' : '#64748b';
+        ctx.beginPath();
+        ctx.moveTo(rx, ry - 12); ctx.lineTo(rx + 10, ry); ctx.lineTo(rx, ry + 12); ctx.lineTo(rx - 10, ry);
+        ctx.closePath();
+        ctx.fill();
+        // Mirrors: a silver bar along their diagonal
+        ctx.lineWidth = 5;
+        ctx.lineCap = 'round';
+        p.mirrors.forEach(m => {
+            const mx = m.col * TILE, my = m.row * TILE;
+            ctx.fillStyle = 'rgba(30, 41, 59, 0.35)';
+            ctx.fillRect(mx + 2, my + 2, TILE - 4, TILE - 4);
+            ctx.strokeStyle = '#e2e8f0';
+            ctx.beginPath();
+            if (m.angle === 45) {
+                ctx.moveTo(mx + 5, my + TILE - 5); ctx.lineTo(mx + TILE - 5, my + 5);
+            } else {
+                ctx.moveTo(mx + 5, my + 5); ctx.lineTo(mx + TILE - 5, my + TILE - 5);
+            }
+            ctx.stroke();
+        });
+        ctx.restore();
+    },
+
+    drawGlow(p, ctx) {
+        if (p.path.length < 2) return;
+        ctx.save();
+        ctx.lineCap = 'round';
+        ctx.lineJoin = 'round';
+        ctx.shadowColor = '#fde047';
+        ctx.shadowBlur = 14;
+        [[8, 'rgba(253, 224, 71, 0.35)'], [3, '#fffbeb']].forEach(([width, color]) => {
+            ctx.lineWidth = width;
+            ctx.strokeStyle = color;
+            ctx.beginPath();
+            ctx.moveTo(p.path[0].x, p.path[0].y);
+            p.path.slice(1).forEach(pt => ctx.lineTo(pt.x, pt.y));
+            ctx.stroke();
+        });
+        ctx.restore();
+    },
+
+    serialize(p) {
+        return { angles: piecesById(p.mirrors, m => m.angle) };
+    },
+
+    restore(p, saved) {
+        restorePieces(p.mirrors, saved.angles, (m, a) => {
+            if ([45, 135].includes(a)) m.angle = a;
+        });
+        traceBeam(p);
+    },
+
+    reset(p) {
+        p.mirrors.forEach((m, i) => { m.angle = p.startAngles[i]; });
+        traceBeam(p);
+    }
+});
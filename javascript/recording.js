@@ -0,0 +1,207 @@
+/******************************************************
+ * Program Name: recording.js
+ * Description:
+ *   Input recordings for Land Explorer. A recording holds
+ *   the level, a snapshot of the simulation state when
+ *   recording began, and every step's input and dt. Because
+ *   step() is deterministic, playing the frames back from
+ *   the start snapshot reproduces the session exactly.
+ *   The game always steps by SIM_STEP_MS, so dt only
+ *   changes between runs when another tool made the file.
+ *
+ *   Recording file (JSON):
+ *     {
+ *       "version": 2,
+ *       "recorded": ISO date, "player": name,
+ *       "level": level JSON,
+ *       "start": snapshotState() when recording began,
+ *       "frames": [[inputMask, dt, count], ...],
+ *       "end": snapshotState() when the file was saved
+ *     }
+ *   Runs of identical frames are stored once with a count.
+ * Expected Inputs:
+ *   - Simulation inputs { up, down, left, right, interact, undo, reset }
+ * Expected Outputs:
+ *   - Recording objects and their expanded frame lists
+ * Called By:
+ *   - game.js (recording), replay.js, tools/headless.js
+ ******************************************************/
+
+// Version 2: player speed is in pixels per second, so movement
+// depends on dt and version 1 files no longer replay the same way
+const RECORDING_VERSION = 2;
+
+// Bit per input key in a frame's input mask
+const INPUT_BITS = { up: 1, down: 2, left: 4, right: 8, interact: 16, undo: 32, reset: 64 };
+
+/********************************************************
+ * Function Name: encodeInput
+ * Description:
+ *   Packs an input object into a bit mask.
+ * Inputs:
+ *   - input: { up, down, left, right, interact, undo, reset }
+ * Outputs:
+ *   - number
+ * Called By:
+ *   - recordFrame()
+ ********************************************************/
+function encodeInput(input) {
+    let mask = 0;
+    for (const key in INPUT_BITS) {
+        if (input[key]) mask |= INPUT_BITS[key];
+    }
+    return mask;
+}
+
+/********************************************************
+ * Function Name: decodeInput
+ * Description:
+ *   Unpacks a bit mask made by encodeInput().
+ * Inputs:
+ *   - mask: number
+ * Outputs:
+ *   - { up, down, left, right, interact, undo, reset }
+ * Called By:
+ *   - expandFrames()
+ ********************************************************/
+function decodeInput(mask) {
+    const input = {};
+    for (const key in INPUT_BITS) input[key] = (mask & INPUT_BITS[key]) !== 0;
+    return input;
+}
+
+/********************************************************
+ * Function Name: createRecording
+ * Description:
+ *   Starts a new recording from the current state.
+ * Inputs:
+ *   - state: simulation state (world already built)
+ *   - level: level JSON the state was built from
+ *   - playerName: shown in the replay viewer
+ * Outputs:
+ *   - recording object with no frames yet
+ * Called By:
+ *   - game.js initGame()
+ * Will Call:
+ *   - snapshotState()
+ ********************************************************/
+function createRecording(state, level, playerName) {
+    return {
+        version: RECORDING_VERSION,
+        recorded: new Date().toISOString(),
+        player: playerName,
+        level: level,
+        start: snapshotState(state),
+        frames: [],
+        end: null
+    };
+}
+
+/********************************************************
+ * Function Name: recordFrame
+ * Description:
+ *   Appends one step's input and dt, merging it into the
+ *   last run when both are unchanged.
+ * Inputs:
+ *   - recording: recording object
+ *   - input: input passed to step()
+ *   - dt: dt passed to step()
+ * Outputs:
+ *   - none (mutates recording.frames)
+ * Called By:
+ *   - game.js loop()
+ ********************************************************/
+function recordFrame(recording, input, dt) {
+    const mask = encodeInput(input);
+    const last = recording.frames[recording.frames.length - 1];
+    if (last && last[0] === mask && last[1] === dt) {
+        last[2]++;
+    } else {
+        recording.frames.push([mask, dt, 1]);
+    }
+}
+
+/********************************************************
+ * Function Name: expandFrames
+ * Description:
+ *   Turns the run-length frames back into one entry per
+ *   step.
+ * Inputs:
+ *   - recording: recording object
+ * Outputs:
+ *   - array of { input, dt }
+ * Called By:
+ *   - replay.js, tools/headless.js
+ * Will Call:
+ *   - decodeInput()
+ ********************************************************/
+function expandFrames(recording) {
+    const frames = [];
+    for (const [mask, dt, count] of recording.frames) {
+        const input = decodeInput(mask);
+        for (let i = 0; i < count; i++) frames.push({ input, dt });
+    }
+    return frames;
+}
+
+/********************************************************
+ * Function Name: validateRecording
+ * Description:
+ *   Checks a parsed recording file before it is played.
+ * Inputs:
+ *   - rec: parsed JSON
+ * Outputs:
+ *   - array of error strings (empty when valid)
+ * Called By:
+ *   - replay.js, tools/headless.js
+ * Will Call:
+ *   - validateLevel()
+ ********************************************************/
+function validateRecording(rec) {
+    if (!rec || typeof rec !== 'object') return ['recording: expected a JSON object'];
+    if (rec.version !== RECORDING_VERSION) return [`recording.version: expected ${RECORDING_VERSION}, got ${JSON.stringify(rec.version)}`];
+    const errors = validateLevel(rec.level).map(e => `recording.level: ${e}`);
+    if (!rec.start || !rec.start.player || !Array.isArray(rec.start.regions)) {
+        errors.push('recording.start: expected a state snapshot');
+    }
+    if (!Array.isArray(rec.frames)) {
+        errors.push('recording.frames: expected an array of [input, dt, count]');
+    } else {
+        rec.frames.forEach((f, i) => {
+            const ok = Array.isArray(f) && f.length === 3 &&
+                Number.isInteger(f[0]) && f[0] >= 0 && f[0] < 128 &&
+                typeof f[1] === 'number' && f[1] >= 0 &&
+                Number.isInteger(f[2]) && f[2] > 0;
+            if (!ok) errors.push(`recording.frames[${i}]: expected [input mask 0-127, dt >= 0, count >= 1], got ${JSON.stringify(f)}`);
+        });
+    }
+    return errors;
+}
+
+/********************************************************
+ * Function Name: matchesEndState
+ * Description:
+ *   Compares a snapshot with a recording's end snapshot.
+ *   Only fields the recorded end has are compared, so
+ *   recordings saved before the snapshot gained a field
+ *   still check out. Puzzle pieces recorded as a list (in
+ *   level order, before they were keyed by tile) are
+ *   compared with the keyed values in that order.
+ * Inputs:
+ *   - snap: snapshotState() after the last frame
+ *   - end: the recording's end snapshot
+ * Outputs:
+ *   - boolean
+ * Called By:
+ *   - replay.js, tools/headless.js
+ ********************************************************/
+function matchesEndState(snap, end) {
+    if (Array.isArray(end)) {
+        if (snap && typeof snap === 'object' && !Array.isArray(snap)) snap = Object.values(snap);
+        return Array.isArray(snap) && snap.length === end.length && end.every((v, i) => matchesEndState(snap[i], v));
+    }
+    if (end && typeof end === 'object') {
+        return !!snap && typeof snap === 'object' && Object.keys(end).every(k => matchesEndState(snap[k], end[k]));
+    }
+    return snap === end;
+}
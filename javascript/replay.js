@@ -0,0 +1,285 @@
+/************************************************************
+ * Program Name: replay.js
+ * Description:
+ *    Replay viewer for Land Explorer input recordings. Loads
+ *    a recording, rebuilds its level and starting state, and
+ *    steps the simulation with the recorded input at the
+ *    recorded pace (scaled by the speed control). Scrubbing
+ *    backwards restores the nearest checkpoint snapshot and
+ *    re-simulates forward from there.
+ * Expected Inputs:
+ *    - Recording file (see recording.js), control clicks,
+ *      Space and arrow keys
+ * Expected Outputs:
+ *    - The recorded session drawn on #gameCanvas
+ * Called By:
+ *    - replay.html
+ * Will Call:
+ *    - validateRecording(), expandFrames(), buildWorld()
+ *    - restoreState(), snapshotState(), step(), matchesEndState()
+ *    - prerenderRegionBackground(), drawFrame()
+ ************************************************************/
+
+/************************************************************
+ * Replay Constants
+ ************************************************************/
+const REPLAY_CHECKPOINT_EVERY = 300; // frames between scrub checkpoints
+const REPLAY_KEY_LABELS = { up: '↑', down: '↓', left: '←', right: '→', interact: 'E', undo: 'Z', reset: 'R' };
+
+/************************************************************
+ * Global DOM Elements
+ ************************************************************/
+const recordingFile = document.getElementById('recordingFile');
+const recordingInfo = document.getElementById('recordingInfo');
+const playBtn = document.getElementById('playBtn');
+const scrubBar = document.getElementById('scrubBar');
+const speedSelect = document.getElementById('speedSelect');
+const frameInfo = document.getElementById('frameInfo');
+const inputInfo = document.getElementById('inputInfo');
+const endCheck = document.getElementById('endCheck');
+const replayErrors = document.getElementById('replayErrors');
+
+/************************************************************
+ * Replay State
+ ************************************************************/
+let replayRecording = null;   // open recording
+let replayFrames = [];        // one { input, dt } per step
+let replayCursor = 0;         // frames already simulated
+let replayPlaying = false;
+let replayBudget = 0;         // recorded ms owed to the simulation
+let replayLastTime = 0;
+const replayCheckpoints = new Map(); // frame -> snapshot
+
+/************************************************************
+ * Function: showReplayErrors
+ * Description: Lists recording problems under the controls.
+ * Inputs: errors - array of strings (empty clears the list)
+ * Outputs: None
+ * Called By: openRecording()
+ ************************************************************/
+function showReplayErrors(errors) {
+    replayErrors.innerHTML = '';
+    errors.forEach(msg => {
+        const li = document.createElement('li');
+        li.textContent = msg;
+        replayErrors.appendChild(li);
+    });
+}
+
+/************************************************************
+ * Function: openRecording
+ * Description: Validates a recording, builds its level and
+ *              rewinds to its first frame.
+ * Inputs: rec - parsed recording JSON
+ * Outputs: None
+ * Called By: file input change handler
+ ************************************************************/
+function openRecording(rec) {
+    const errors = validateRecording(rec);
+    showReplayErrors(errors);
+    if (errors.length) return;
+
+    replayRecording = rec;
+    buildWorld(game, rec.level);
+    clearRegionBackgrounds();
+    regions.forEach(prerenderRegionBackground);
+    replayFrames = expandFrames(rec);
+    replayCheckpoints.clear();
+    replayCheckpoints.set(0, rec.start);
+    restoreState(game, rec.start);
+    rememberPositions();
+    replayCursor = 0;
+    replayBudget = 0;
+    replayPlaying = false;
+
+    scrubBar.max = replayFrames.length;
+    const when = new Date(rec.recorded);
+    recordingInfo.textContent = `${rec.player || 'Unknown player'} · ${isNaN(when) ? 'unknown date' : when.toLocaleString()} · ${formatTime(replayTotalTime())}`;
+    endCheck.textContent = '';
+    endCheck.className = '';
+    updateReplayControls();
+}
+
+/************************************************************
+ * Function: replayTotalTime
+ * Description: Recorded play time covered by all frames.
+ * Inputs: None
+ * Outputs: milliseconds
+ * Called By: openRecording()
+ ************************************************************/
+function replayTotalTime() {
+    return replayFrames.reduce((sum, f) => sum + f.dt, 0);
+}
+
+/************************************************************
+ * Function: replayStepOnce
+ * Description: Simulates the frame under the cursor, runs
+ *              the seed and teleport flashes on simulated
+ *              time like the game does (a hazard sending the
+ *              player back flashes like a teleport), and
+ *              stores a checkpoint every
+ *              REPLAY_CHECKPOINT_EVERY frames.
+ * Inputs: None
+ * Outputs: None
+ * Called By: seekTo(), replayLoop()
+ ************************************************************/
+function replayStepOnce() {
+    const frame = replayFrames[replayCursor];
+    rememberPositions();
+    step(game, frame.input, frame.dt);
+    flashTimer = game.events.includes('seed') ? SEED_FLASH_MS : Math.max(0, flashTimer - frame.dt);
+    teleportFlash = Math.max(0, teleportFlash - frame.dt);
+    if (game.events.includes('teleport') || game.events.includes('hazard')) {
+        rememberPositions();
+        teleportFlash = TELEPORT_FLASH_MS;
+    }
+    replayCursor++;
+    if (replayCursor % REPLAY_CHECKPOINT_EVERY === 0 && !replayCheckpoints.has(replayCursor)) {
+        replayCheckpoints.set(replayCursor, snapshotState(game));
+    }
+    if (replayCursor === replayFrames.length) checkReplayEnd();
+}
+
+/************************************************************
+ * Function: seekTo
+ * Description: Moves the replay to a frame. Going back
+ *              restores the closest earlier checkpoint and
+ *              simulates forward from it.
+ * Inputs: frame - target frame index
+ * Outputs: None
+ * Called By: scrub bar, frame buttons, keyboard
+ ************************************************************/
+function seekTo(frame) {
+    if (!replayRecording) return;
+    frame = clamp(Math.round(frame), 0, replayFrames.length);
+    if (frame < replayCursor) {
+        let best = 0;
+        for (const at of replayCheckpoints.keys()) {
+            if (at <= frame && at > best) best = at;
+        }
+        restoreState(game, replayCheckpoints.get(best));
+        rememberPositions();
+        replayCursor = best;
+    }
+    while (replayCursor < frame) replayStepOnce();
+    replayBudget = 0;
+    updateReplayControls();
+}
+
+/************************************************************
+ * Function: checkReplayEnd
+ * Description: Compares the state after the last frame with
+ *              the end snapshot saved in the recording. A
+ *              mismatch means the simulation no longer plays
+ *              this recording the same way.
+ * Inputs: None
+ * Outputs: None (updates #endCheck)
+ * Called By: replayStepOnce()
+ ************************************************************/
+function checkReplayEnd() {
+    if (!replayRecording.end) {
+        endCheck.textContent = 'Recording has no end state to compare';
+        endCheck.className = '';
+        return;
+    }
+    const same = matchesEndState(snapshotState(game), replayRecording.end);
+    endCheck.textContent = same ? 'End state matches the recording' : 'End state differs from the recording';
+    endCheck.className = same ? 'ok' : 'error';
+}
+
+/************************************************************
+ * Function: updateReplayControls
+ * Description: Syncs the play button, scrub bar, frame
+ *              counter and held-key display with the replay.
+ * Inputs: None
+ * Outputs: None
+ * Called By: replayLoop(), seekTo(), openRecording()
+ ************************************************************/
+function updateReplayControls() {
+    playBtn.textContent = replayPlaying ? '⏸' : '▶';
+    scrubBar.value = replayCursor;
+    frameInfo.textContent = `Frame ${replayCursor} / ${replayFrames.length}`;
+    const frame = replayFrames[Math.max(0, replayCursor - 1)];
+    inputInfo.textContent = frame && replayCursor > 0
+        ? Object.keys(REPLAY_KEY_LABELS).map(k => frame.input[k] ? REPLAY_KEY_LABELS[k] : '·').join(' ')
+        : '';
+}
+
+/************************************************************
+ * Function: toggleReplay
+ * Description: Plays or pauses; playing at the end starts
+ *              again from the first frame.
+ * Inputs: None
+ * Outputs: None
+ * Called By: play button, Space key
+ ************************************************************/
+function toggleReplay() {
+    if (!replayRecording) return;
+    if (!replayPlaying && replayCursor >= replayFrames.length) seekTo(0);
+    replayPlaying = !replayPlaying;
+    replayBudget = 0;
+    updateReplayControls();
+}
+
+/************************************************************
+ * Function: replayLoop
+ * Description: Advances the replay by the real time passed
+ *              (times the speed) in recorded frame time, then
+ *              draws the frame, blended between the last two
+ *              steps while playing.
+ * Inputs: now - timestamp from requestAnimationFrame
+ * Outputs: None
+ * Called By: requestAnimationFrame
+ ************************************************************/
+function replayLoop(now) {
+    requestAnimationFrame(replayLoop);
+    const elapsed = now - replayLastTime;
+    replayLastTime = now;
+    if (!replayRecording) return;
+
+    if (replayPlaying) {
+        replayBudget += elapsed * parseFloat(speedSelect.value);
+        while (replayCursor < replayFrames.length && replayBudget >= replayFrames[replayCursor].dt) {
+            replayBudget -= replayFrames[replayCursor].dt;
+            replayStepOnce();
+        }
+        if (replayCursor >= replayFrames.length) replayPlaying = false;
+        updateReplayControls();
+    }
+    const next = replayFrames[replayCursor];
+    drawFrame(now, replayPlaying && next && next.dt > 0 ? replayBudget / next.dt : 1);
+}
+
+/************************************************************
+ * Control Event Listeners
+ ************************************************************/
+document.getElementById('openBtn').addEventListener('click', () => recordingFile.click());
+
+recordingFile.addEventListener('change', async () => {
+    const file = recordingFile.files[0];
+    recordingFile.value = '';
+    if (!file) return;
+    try {
+        openRecording(JSON.parse(await file.text()));
+    } catch (e) {
+        showReplayErrors([`${file.name} is not valid JSON: ${e.message}`]);
+    }
+});
+
+playBtn.addEventListener('click', toggleReplay);
+document.getElementById('restartBtn').addEventListener('click', () => seekTo(0));
+document.getElementById('backBtn').addEventListener('click', () => { replayPlaying = false; seekTo(replayCursor - 1); });
+document.getElementById('forwardBtn').addEventListener('click', () => { replayPlaying = false; seekTo(replayCursor + 1); });
+scrubBar.addEventListener('input', () => seekTo(parseInt(scrubBar.value, 10)));
+
+window.addEventListener('keydown', e => {
+    if (e.target === speedSelect) return;
+    if (e.key === ' ') {
+        toggleReplay();
+    } else if (e.key === 'ArrowLeft' || e.key === 'ArrowRight') {
+        replayPlaying = false;
+        seekTo(replayCursor + (e.key === 'ArrowLeft' ? -1 : 1));
+    }
+});
+
+requestAnimationFrame(replayLoop);
@@ -0,0 +1,486 @@
+/******************************************************
+ * Program Name: save_format.js
+ * Description:
+ *   The saved-game format. A save (version SAVE_VERSION)
+ *   keys every region's state by region id and then by
+ *   each entity's stable id (buildRegion() in
+ *   level_loader.js), e.g. seeds["2"]["12,4"] = true, so
+ *   adding a seed or crate to a level no longer shifts the
+ *   state of the others:
+ *     - seeds, inventory.items, inventory.locks:
+ *       { region: { id: true|false } }
+ *     - crates:  { region: { id: { x, y } } }
+ *     - puzzles: { region: { id: getState() } }
+ *     - hazards: { region: { id: clock ms } }
+ *   plus the player's region, position, time, hints,
+ *   world seed and visited regions. api/save.schema.json
+ *   describes the format; the same file is checked here,
+ *   in api/save.php and in api/load.php.
+ *   Older saves are upgraded by SAVE_MIGRATIONS when they
+ *   are loaded:
+ *     1 – arrays by list position (seeds[r][i], ...);
+ *         saves from before save_version existed.
+ *   Saves can also be exported as files (makeSaveFile())
+ *   holding the save, the player's avatar and a checksum.
+ *   Like sim.js, nothing here touches the DOM.
+ * Expected Inputs:
+ *   - Simulation state, save rows (from the server or the
+ *     local store), the parsed save schema
+ * Expected Outputs:
+ *   - Save documents, schema errors, restored state
+ * Called By:
+ *   - game.js (saveGame, loadGame, save export/import),
+ *     menu.js (slot picker, save export/import)
+ ******************************************************/
+
+/**************** SAVE FORMAT CONSTANTS *****************
+ * Purpose:
+ *   The save format version written by this game and the
+ *   format name of exported save files.
+ ******************************************************/
+const SAVE_VERSION = 2;
+const SAVE_FILE_FORMAT = 'land-explorer-save'; // "format" of exported save files
+
+/********************************************************
+ * Function Name: checkSchema
+ * Description:
+ *   Checks a value against a JSON schema. Covers the parts
+ *   of JSON Schema (draft-07) that api/save.schema.json
+ *   uses: type, const, enum, minimum, maximum, minLength,
+ *   maxLength, pattern, required, properties,
+ *   additionalProperties, propertyNames, items and $ref to
+ *   "#/definitions/...". api/save_schema.php checks the
+ *   same parts on the server.
+ * Inputs:
+ *   - value: parsed JSON value
+ *   - schema: (sub)schema to check it against
+ *   - path: where the value sits, for messages
+ *   - root: the whole schema, for $ref (defaults to schema)
+ * Outputs:
+ *   - array of error strings (empty when valid)
+ * Called By:
+ *   - checkSave(), itself
+ ********************************************************/
+function checkSchema(value, schema, path = 'save', root = schema) {
+    if (schema.$ref) {
+        const name = schema.$ref.replace('#/definitions/', '');
+        return checkSchema(value, root.definitions[name], path, root);
+    }
+    const typeOf = v => {
+        if (v === null) return 'null';
+        if (Array.isArray(v)) return 'array';
+        if (Number.isInteger(v)) return 'integer';
+        return typeof v;
+    };
+    const type = typeOf(value);
+    if (schema.type) {
+        const types = [].concat(schema.type);
+        if (!types.includes(type) && !(type === 'integer' && types.includes('number'))) {
+            return [`${path}: expected ${types.join(' or ')}, got ${type}`];
+        }
+    }
+    if ('const' in schema && value !== schema.const) {
+        return [`${path}: expected ${JSON.stringify(schema.const)}, got ${JSON.stringify(value)}`];
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        return [`${path}: expected one of ${schema.enum.join(', ')}, got ${JSON.stringify(value)}`];
+    }
+
+    const errors = [];
+    if (type === 'integer' || type === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path}: must be at least ${schema.minimum}`);
+        if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path}: must be at most ${schema.maximum}`);
+    }
+    if (type === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) errors.push(`${path}: must be at least ${schema.minLength} characters`);
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) errors.push(`${path}: must be at most ${schema.maxLength} characters`);
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) errors.push(`${path}: must match ${schema.pattern}`);
+    }
+    if (type === 'array' && schema.items) {
+        value.forEach((v, i) => errors.push(...checkSchema(v, schema.items, `${path}[${i}]`, root)));
+    }
+    if (type === 'object') {
+        (schema.required || []).forEach(key => {
+            if (!(key in value)) errors.push(`${path}.${key}: missing`);
+        });
+        Object.keys(value).forEach(key => {
+            if (schema.propertyNames) errors.push(...checkSchema(key, schema.propertyNames, `${path} key ${JSON.stringify(key)}`, root));
+            if (schema.properties && key in schema.properties) {
+                errors.push(...checkSchema(value[key], schema.properties[key], `${path}.${key}`, root));
+            } else if (schema.additionalProperties === false) {
+                errors.push(`${path}.${key}: not allowed`);
+            } else if (typeof schema.additionalProperties === 'object') {
+                errors.push(...checkSchema(value[key], schema.additionalProperties, `${path}.${key}`, root));
+            }
+        });
+    }
+    return errors;
+}
+
+/********************************************************
+ * Function Name: byId
+ * Description:
+ *   Maps each region's entities (by stable id) to a value.
+ * Inputs:
+ *   - regions: region objects
+ *   - listOf: function(region) returning the entity list
+ *   - valueOf: function(entity) returning the saved value
+ * Outputs:
+ *   - { regionId: { entityId: value } }
+ * Called By:
+ *   - buildSaveState(), migrateFromPositions()
+ ********************************************************/
+function byId(regions, listOf, valueOf) {
+    const out = {};
+    regions.forEach(region => {
+        const entries = {};
+        listOf(region).forEach(entity => { entries[entity.id] = valueOf(entity); });
+        out[region.id] = entries;
+    });
+    return out;
+}
+
+/********************************************************
+ * Function Name: buildSaveState
+ * Description:
+ *   The entity part of a save (see the header) for the
+ *   current simulation state.
+ * Inputs:
+ *   - state: simulation state
+ * Outputs:
+ *   - { visited, seeds, crates, puzzles, hazards,
+ *     inventory }
+ * Called By:
+ *   - saveGame() in game.js
+ * Will Call:
+ *   - byId()
+ ********************************************************/
+function buildSaveState(state) {
+    const regions = state.regions;
+    return {
+        visited: [...state.visited],
+        seeds: byId(regions, r => r.seeds, s => s.collected),
+        crates: byId(regions, r => r.crates, c => ({ x: c.x, y: c.y })),
+        puzzles: byId(regions, r => r.puzzles, p => p.getState()),
+        hazards: byId(regions, r => r.hazards, h => h.clock),
+        // Held items plus which items were picked up and which locks opened
+        inventory: {
+            held: state.inventory.map(i => ({ item: i.item, key: i.key })),
+            items: byId(regions, r => r.items, i => i.collected),
+            locks: byId(regions, r => r.locks, l => l.open)
+        }
+    };
+}
+
+/********************************************************
+ * Function Name: migrateFromPositions
+ * Description:
+ *   Migration 1 → 2: turns the list-position arrays of an
+ *   old save into maps by stable id. Old saves were made
+ *   against the same level, so position i of a region's
+ *   list is the entity built i-th. Fields older saves do
+ *   not have (visited, hazards, inventory) start empty,
+ *   and a region's puzzle state saved as one object
+ *   (before regions could hold several puzzles) belongs to
+ *   its first puzzle.
+ * Inputs:
+ *   - save: version 1 save, JSON fields parsed
+ *   - regions: region objects of the save's world
+ * Outputs:
+ *   - version 2 save
+ * Called By:
+ *   - migrateSave() (SAVE_MIGRATIONS[1])
+ * Will Call:
+ *   - byId()
+ ********************************************************/
+function migrateFromPositions(save, regions) {
+    const at = (lists, region, list) => {
+        const saved = Array.isArray(lists) && Array.isArray(lists[region.id]) ? lists[region.id] : [];
+        return entity => saved[list.indexOf(entity)];
+    };
+    const keep = (lists, listOf, valueOf) => {
+        const out = byId(regions, listOf, () => undefined);
+        regions.forEach(region => {
+            const list = listOf(region);
+            const value = at(lists, region, list);
+            list.forEach(entity => {
+                const v = value(entity);
+                if (v === undefined || v === null) delete out[region.id][entity.id];
+                else out[region.id][entity.id] = valueOf(v);
+            });
+        });
+        return out;
+    };
+    const puzzles = Array.isArray(save.puzzles)
+        ? save.puzzles.map(p => (p && !Array.isArray(p) ? [p] : p))
+        : [];
+    const inventory = save.inventory && typeof save.inventory === 'object' ? save.inventory : {};
+
+    return {
+        ...save,
+        save_version: 2,
+        visited: Array.isArray(save.visited) ? save.visited : [],
+        seeds: keep(save.seeds, r => r.seeds, v => !!v),
+        crates: keep(save.crates, r => r.crates, v => ({ x: v.x, y: v.y })),
+        puzzles: keep(puzzles, r => r.puzzles, v => v),
+        hazards: keep(save.hazards, r => r.hazards, v => v),
+        inventory: {
+            held: (inventory.held || []).map(i => ({ item: i.item, key: i.item === 'key' ? i.key : null })),
+            items: keep(inventory.items, r => r.items, v => !!v),
+            locks: keep(inventory.locks, r => r.locks, v => !!v)
+        }
+    };
+}
+
+/********************************************************
+ * Function Name: countSavedSeeds
+ * Description:
+ *   Counts the seeds a save has collected, without the
+ *   level: works on the seeds of any save version (lists
+ *   by position or maps by id).
+ * Inputs:
+ *   - seeds: a save's seeds field, parsed
+ * Outputs:
+ *   - { collected, total }
+ * Called By:
+ *   - describeSlot() in menu.js
+ ********************************************************/
+function countSavedSeeds(seeds) {
+    const flags = Object.values(seeds || {}).flatMap(region => Object.values(region || {}));
+    return { collected: flags.filter(Boolean).length, total: flags.length };
+}
+
+/**************** SAVE MIGRATIONS ***********************
+ * Purpose:
+ *   SAVE_MIGRATIONS[n] upgrades a version n save to
+ *   version n + 1: function(save, regions) returning the
+ *   new save. Add one here whenever SAVE_VERSION goes up.
+ ******************************************************/
+const SAVE_MIGRATIONS = {
+    1: migrateFromPositions
+};
+
+/********************************************************
+ * Function Name: parseSaveRow
+ * Description:
+ *   Turns a save row (from api/load.php or the local
+ *   store, where the entity fields are JSON strings and
+ *   numbers may be strings) into a save object in the
+ *   row's own format version, without the bookkeeping
+ *   columns (local store key, save_id, slot_name,
+ *   created_at, updated_at). Saves from before
+ *   save_version existed are version 1.
+ * Inputs:
+ *   - row: save row (or an already parsed save)
+ * Outputs:
+ *   - save object
+ * Throws:
+ *   - SyntaxError when a JSON field cannot be parsed
+ *   - RangeError when save_version is not a whole number
+ *     from 1 to SAVE_VERSION
+ * Called By:
+ *   - readSave(), exportSlot() in menu.js
+ ********************************************************/
+function parseSaveRow(row) {
+    const save = { ...row };
+    ['key', 'save_id', 'slot_name', 'created_at', 'updated_at'].forEach(field => delete save[field]);
+    SAVE_JSON_FIELDS.forEach(field => {
+        if (typeof save[field] === 'string') save[field] = JSON.parse(save[field]);
+    });
+    ['region', 'hints_used', 'slot', 'world_seed', 'saved_at'].forEach(field => {
+        if (typeof save[field] === 'string') save[field] = parseInt(save[field], 10);
+    });
+    ['pos_x', 'pos_y', 'game_time'].forEach(field => {
+        if (typeof save[field] === 'string') save[field] = parseFloat(save[field]);
+    });
+    if (!Number.isInteger(save.hints_used)) save.hints_used = 0; // older saves have none
+    save.save_version = save.save_version == null ? 1 : Number(save.save_version);
+    if (save.save_version > SAVE_VERSION) {
+        throw new RangeError(`version ${save.save_version} was made by a newer game (this one reads up to ${SAVE_VERSION})`);
+    }
+    if (!Number.isInteger(save.save_version) || save.save_version < 1) {
+        throw new RangeError(`save_version: expected a whole number from 1 to ${SAVE_VERSION}, got ${JSON.stringify(row.save_version)}`);
+    }
+    return save;
+}
+
+/********************************************************
+ * Function Name: readSave
+ * Description:
+ *   Turns a save row into a current-version save: parses
+ *   it (parseSaveRow()), upgrades it with SAVE_MIGRATIONS
+ *   and checks it against the schema.
+ * Inputs:
+ *   - row: save row, or a parsed save (e.g. from a save
+ *     file)
+ *   - regions: region objects of the save's world (built
+ *     before this is called, e.g. from its world seed)
+ *   - schema: parsed api/save.schema.json, or null to skip
+ *     the schema check
+ * Outputs:
+ *   - { save, errors } (save is null when errors is not
+ *     empty)
+ * Called By:
+ *   - loadGame() in game.js
+ * Will Call:
+ *   - parseSaveRow(), SAVE_MIGRATIONS, checkSchema()
+ ********************************************************/
+function readSave(row, regions, schema) {
+    let save;
+    try {
+        save = parseSaveRow(row);
+    } catch (error) {
+        return { save: null, errors: [`save: ${error.message}`] };
+    }
+
+    let version = save.save_version;
+    while (version < SAVE_VERSION) {
+        if (!SAVE_MIGRATIONS[version]) {
+            return { save: null, errors: [`save: no upgrade from version ${version} to ${version + 1}`] };
+        }
+        save = SAVE_MIGRATIONS[version](save, regions);
+        version++;
+    }
+    save.save_version = SAVE_VERSION;
+
+    const errors = schema ? checkSchema(save, schema) : [];
+    if (!regions[save.region]) errors.push(`save.region: this world has no region ${save.region}`);
+    return { save: errors.length ? null : save, errors };
+}
+
+/********************************************************
+ * Function Name: saveFileChecksum
+ * Description:
+ *   Checksum of a save file's contents: a 32-bit FNV-1a
+ *   hash (as in dailyChallengeSeed()) of the JSON text of
+ *   its format, export time, avatar and save. It catches
+ *   files that were cut short or edited by hand; it is not
+ *   a signature and does not stop a determined edit.
+ * Inputs:
+ *   - file: save file object (see makeSaveFile())
+ * Outputs:
+ *   - 8-digit hex string
+ * Called By:
+ *   - makeSaveFile(), readSaveFile()
+ ********************************************************/
+function saveFileChecksum(file) {
+    const text = JSON.stringify([file.format, file.exported_at, file.avatar, file.save]);
+    let hash = 0x811C9DC5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+/********************************************************
+ * Function Name: makeSaveFile
+ * Description:
+ *   Wraps a save for export: a file players can move to
+ *   another machine and testers can attach to a bug
+ *   report.
+ * Inputs:
+ *   - save: parsed save (any format version)
+ *   - avatar: { name, color } of the player
+ * Outputs:
+ *   - { format, exported_at, avatar, save, checksum }
+ * Called By:
+ *   - exportSave() in game.js, exportSlot() in menu.js
+ * Will Call:
+ *   - saveFileChecksum()
+ ********************************************************/
+function makeSaveFile(save, avatar) {
+    const file = {
+        format: SAVE_FILE_FORMAT,
+        exported_at: new Date().toISOString(),
+        avatar: { name: avatar.name || null, color: avatar.color || null },
+        save
+    };
+    file.checksum = saveFileChecksum(file);
+    return file;
+}
+
+/********************************************************
+ * Function Name: readSaveFile
+ * Description:
+ *   Reads an exported save file and checks that it is one
+ *   (format), arrived whole (checksum) and holds a save
+ *   this game can read. A save of the current version is
+ *   also checked against the schema; older ones are
+ *   checked once readSave() has upgraded them.
+ * Inputs:
+ *   - text: file contents
+ *   - schema: parsed api/save.schema.json, or null to skip
+ *     the schema check
+ * Outputs:
+ *   - { file, errors } (file is null when errors is not
+ *     empty)
+ * Called By:
+ *   - importSave() in game.js, importSlot() in menu.js
+ * Will Call:
+ *   - saveFileChecksum(), parseSaveRow(), checkSchema()
+ ********************************************************/
+function readSaveFile(text, schema) {
+    let file;
+    try {
+        file = JSON.parse(text);
+    } catch (error) {
+        return { file: null, errors: [`file: not JSON (${error.message})`] };
+    }
+    if (!file || file.format !== SAVE_FILE_FORMAT) {
+        return { file: null, errors: ['file: not a Land Explorer save file'] };
+    }
+    if (file.checksum !== saveFileChecksum(file)) {
+        return { file: null, errors: ['file: checksum does not match (the file was changed or is incomplete)'] };
+    }
+    if (!file.save || typeof file.save !== 'object' || Array.isArray(file.save)) {
+        return { file: null, errors: ['file: holds no save'] };
+    }
+
+    let save;
+    try {
+        save = parseSaveRow(file.save);
+    } catch (error) {
+        return { file: null, errors: [`save: ${error.message}`] };
+    }
+    const errors = save.save_version === SAVE_VERSION && schema ? checkSchema(save, schema) : [];
+    return { file: errors.length ? null : { ...file, save }, errors };
+}
+
+/********************************************************
+ * Function Name: restoreSaveState
+ * Description:
+ *   Puts a current-version save's entity state back into
+ *   the simulation state. Entities the save does not
+ *   mention (added to the level since) keep their starting
+ *   state; ids the level no longer has are ignored.
+ * Inputs:
+ *   - state: simulation state (world already built)
+ *   - save: save from readSave()
+ * Outputs:
+ *   - none (mutates state)
+ * Called By:
+ *   - loadGame() in game.js
+ ********************************************************/
+function restoreSaveState(state, save) {
+    const each = (map, listOf, apply) => {
+        state.regions.forEach(region => {
+            const saved = map[region.id] || {};
+            listOf(region).forEach(entity => {
+                if (entity.id in saved) apply(entity, saved[entity.id]);
+            });
+        });
+    };
+    each(save.seeds, r => r.seeds, (s, v) => { s.collected = v; });
+    each(save.crates, r => r.crates, (c, v) => { c.x = v.x; c.y = v.y; });
+    each(save.puzzles, r => r.puzzles, (p, v) => p.setState(v));
+    each(save.hazards, r => r.hazards, (h, v) => { h.clock = v; });
+    each(save.inventory.items, r => r.items, (i, v) => { i.collected = v; });
+    each(save.inventory.locks, r => r.locks, (l, v) => { l.open = v; });
+
+    state.inventory = save.inventory.held.map(i => ({ item: i.item, key: i.item === 'key' ? i.key : null }));
+    // The current region is always visited
+    state.visited.clear();
+    save.visited.forEach(idx => { if (state.regions[idx]) state.visited.add(idx); });
+    state.visited.add(state.currentRegion);
+}
@@ -0,0 +1,328 @@
+/******************************************************
+ * Program Name: save_store.js
+ * Description:
+ *   Offline-first storage for saved games. Every save is
+ *   written to IndexedDB in the browser first, so progress
+ *   survives a missing or unreachable server (e.g. when
+ *   index.html is opened straight from disk):
+ *     - the "saves" store keeps the newest save of each
+ *       player and slot, in the same shape api/load.php
+ *       returns (complex fields as JSON strings);
+ *     - the "queue" store keeps the saves still to be sent
+ *       to api/save.php, one per player and slot (a newer
+ *       save replaces a queued older one, since each save
+ *       holds the whole game state).
+ *   game.js sends the queue whenever it can reach the
+ *   server. Each save carries saved_at (ms, the browser's
+ *   clock) so the local and the server copy of a slot can
+ *   be compared. When the browser has no IndexedDB the
+ *   functions here do nothing and saves go straight to the
+ *   server as before.
+ * Expected Inputs:
+ *   - Save payloads built by saveGame() in game.js
+ * Expected Outputs:
+ *   - Stored saves, queued saves, the newer of two saves
+ * Called By:
+ *   - game.js (saveGame, loadGame, syncSaves), menu.js
+ *     (slot picker)
+ ******************************************************/
+
+/**************** SAVE STORE CONSTANTS ******************
+ * Purpose:
+ *   IndexedDB database name and version, and the save
+ *   fields that are stored as JSON strings (as in the
+ *   game_saves table).
+ ******************************************************/
+const SAVE_DB_NAME = 'landExplorerSaves';
+const SAVE_DB_VERSION = 1;
+const SAVE_JSON_FIELDS = ['seeds', 'puzzles', 'crates', 'visited', 'hazards', 'inventory'];
+
+// Opened database (or null without IndexedDB), shared by every call
+let saveDbPromise = null;
+
+/********************************************************
+ * Function Name: openSaveDb
+ * Description:
+ *   Opens (creating on first use) the save database.
+ * Inputs:
+ *   - none
+ * Outputs:
+ *   - Promise of the IDBDatabase, or of null when
+ *     IndexedDB is missing or cannot be opened
+ * Called By:
+ *   - withSaveStores()
+ ********************************************************/
+function openSaveDb() {
+    if (!saveDbPromise) {
+        saveDbPromise = new Promise(resolve => {
+            if (typeof indexedDB === 'undefined') {
+                resolve(null);
+                return;
+            }
+            const request = indexedDB.open(SAVE_DB_NAME, SAVE_DB_VERSION);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore('saves', { keyPath: 'key' });
+                request.result.createObjectStore('queue', { keyPath: 'key' });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                console.warn("[SAVE STORE] IndexedDB could not be opened:", request.error);
+                resolve(null);
+            };
+        });
+    }
+    return saveDbPromise;
+}
+
+/********************************************************
+ * Function Name: withSaveStores
+ * Description:
+ *   Runs work on object stores inside one transaction and
+ *   waits for the transaction to finish.
+ * Inputs:
+ *   - names: store names ('saves', 'queue')
+ *   - mode: 'readonly' | 'readwrite'
+ *   - work: function({ saves, queue }) that may return an
+ *     IDBRequest whose result is wanted
+ * Outputs:
+ *   - Promise of that request's result (undefined when
+ *     work returns none), or of null without a database
+ * Called By:
+ *   - every store function below
+ ********************************************************/
+async function withSaveStores(names, mode, work) {
+    const db = await openSaveDb();
+    if (!db) return null;
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(names, mode);
+        const stores = {};
+        names.forEach(name => { stores[name] = tx.objectStore(name); });
+        const request = work(stores);
+        tx.oncomplete = () => resolve(request ? request.result : undefined);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+}
+
+/********************************************************
+ * Function Name: saveKey
+ * Description:
+ *   Key of a player's slot in both stores.
+ * Inputs:
+ *   - playerName: string
+ *   - slot: save slot number
+ * Outputs:
+ *   - "name#slot"
+ * Called By:
+ *   - storeLocalSave(), getLocalSave(), deleteLocalSave()
+ ********************************************************/
+function saveKey(playerName, slot) {
+    return `${playerName}#${slot}`;
+}
+
+/********************************************************
+ * Function Name: saveRow
+ * Description:
+ *   Turns a save payload into the shape api/load.php
+ *   returns, so loadGame() can restore either copy.
+ * Inputs:
+ *   - payload: save payload from saveGame()
+ * Outputs:
+ *   - row object (SAVE_JSON_FIELDS as JSON strings)
+ * Called By:
+ *   - storeLocalSave()
+ ********************************************************/
+function saveRow(payload) {
+    const row = { ...payload };
+    SAVE_JSON_FIELDS.forEach(field => {
+        if (field in row) row[field] = JSON.stringify(row[field]);
+    });
+    return row;
+}
+
+/********************************************************
+ * Function Name: storeLocalSave
+ * Description:
+ *   Keeps a save on this device and queues it for the
+ *   server.
+ * Inputs:
+ *   - payload: save payload (with player_name, slot and
+ *     saved_at)
+ * Outputs:
+ *   - Promise of true when stored, false without IndexedDB
+ *     or when the write failed
+ * Called By:
+ *   - saveGame() in game.js
+ ********************************************************/
+async function storeLocalSave(payload) {
+    const key = saveKey(payload.player_name, payload.slot);
+    try {
+        const done = await withSaveStores(['saves', 'queue'], 'readwrite', stores => {
+            stores.saves.put({ key, ...saveRow(payload) });
+            stores.queue.put({ key, payload });
+        });
+        return done !== null;
+    } catch (error) {
+        console.warn("[SAVE STORE] Save could not be stored locally:", error);
+        return false;
+    }
+}
+
+/********************************************************
+ * Function Name: getLocalSave
+ * Description:
+ *   The save this device holds for a player's slot.
+ * Inputs:
+ *   - playerName: string
+ *   - slot: save slot number
+ * Outputs:
+ *   - Promise of the row (see saveRow()) or null
+ * Called By:
+ *   - loadGame() in game.js
+ ********************************************************/
+async function getLocalSave(playerName, slot) {
+    try {
+        return (await withSaveStores(['saves'], 'readonly', stores => stores.saves.get(saveKey(playerName, slot)))) || null;
+    } catch (error) {
+        console.warn("[SAVE STORE] Local save could not be read:", error);
+        return null;
+    }
+}
+
+/********************************************************
+ * Function Name: listLocalSaves
+ * Description:
+ *   Every save this device holds for a player, one per
+ *   slot.
+ * Inputs:
+ *   - playerName: string
+ * Outputs:
+ *   - Promise of an array of rows
+ * Called By:
+ *   - loadSlots() in menu.js
+ ********************************************************/
+async function listLocalSaves(playerName) {
+    try {
+        const rows = (await withSaveStores(['saves'], 'readonly', stores => stores.saves.getAll())) || [];
+        return rows.filter(row => row.player_name === playerName);
+    } catch (error) {
+        console.warn("[SAVE STORE] Local saves could not be listed:", error);
+        return [];
+    }
+}
+
+/********************************************************
+ * Function Name: deleteLocalSave
+ * Description:
+ *   Forgets a slot on this device, including a save still
+ *   waiting to be sent.
+ * Inputs:
+ *   - playerName: string
+ *   - slot: save slot number
+ * Outputs:
+ *   - Promise (resolves when done)
+ * Called By:
+ *   - deleteSlot() in menu.js
+ ********************************************************/
+async function deleteLocalSave(playerName, slot) {
+    const key = saveKey(playerName, slot);
+    try {
+        await withSaveStores(['saves', 'queue'], 'readwrite', stores => {
+            stores.saves.delete(key);
+            stores.queue.delete(key);
+        });
+    } catch (error) {
+        console.warn("[SAVE STORE] Local save could not be deleted:", error);
+    }
+}
+
+/********************************************************
+ * Function Name: flushSaveQueue
+ * Description:
+ *   Sends the queued saves, oldest first, and stops at the
+ *   first one that could not be sent (the server is still
+ *   away). A save the server stored or rejected (it will
+ *   never take it, e.g. a save format error) leaves the
+ *   queue, unless a newer save of the same slot was queued
+ *   while it was on its way. The local copy stays either
+ *   way.
+ * Inputs:
+ *   - send: async function(payload) resolving to 'stored',
+ *     'rejected' or 'unsent' (postSave() in game.js)
+ * Outputs:
+ *   - Promise of { pending, rejected }: how many saves are
+ *     still queued and how many the server rejected
+ * Called By:
+ *   - syncSaves() in game.js
+ ********************************************************/
+async function flushSaveQueue(send) {
+    let queued;
+    try {
+        queued = (await withSaveStores(['queue'], 'readonly', stores => stores.queue.getAll())) || [];
+    } catch (error) {
+        console.warn("[SAVE STORE] Save queue could not be read:", error);
+        return { pending: 0, rejected: 0 };
+    }
+    queued.sort((a, b) => a.payload.saved_at - b.payload.saved_at);
+
+    let rejected = 0;
+    for (let i = 0; i < queued.length; i++) {
+        const entry = queued[i];
+        const result = await send(entry.payload);
+        if (result !== 'stored' && result !== 'rejected') return { pending: queued.length - i, rejected };
+        if (result === 'rejected') {
+            console.warn("[SAVE STORE] The server rejected a queued save; it is dropped from the queue:", entry.key);
+            rejected++;
+        }
+        try {
+            await withSaveStores(['queue'], 'readwrite', stores => {
+                const current = stores.queue.get(entry.key);
+                current.onsuccess = () => {
+                    if (current.result && current.result.payload.saved_at === entry.payload.saved_at) stores.queue.delete(entry.key);
+                };
+            });
+        } catch (error) {
+            // Still queued: sent again next time, and the server keeps the newer save
+            console.warn("[SAVE STORE] Sent save could not be taken off the queue:", error);
+        }
+    }
+    return { pending: 0, rejected };
+}
+
+/********************************************************
+ * Function Name: saveTimestamp
+ * Description:
+ *   When a save was made: its saved_at, or for server rows
+ *   written before saved_at existed, when the row was last
+ *   updated (updated_at, else created_at).
+ * Inputs:
+ *   - row: save row (local or from api/load.php)
+ * Outputs:
+ *   - ms since 1970, 0 when unknown
+ * Called By:
+ *   - newerSave()
+ ********************************************************/
+function saveTimestamp(row) {
+    const savedAt = Number(row.saved_at);
+    if (savedAt > 0) return savedAt;
+    return Date.parse(String(row.updated_at || row.created_at).replace(' ', 'T')) || 0;
+}
+
+/********************************************************
+ * Function Name: newerSave
+ * Description:
+ *   Picks the newer of the local and the server copy of a
+ *   slot (the local one on a tie, since it is written
+ *   first).
+ * Inputs:
+ *   - local: row from getLocalSave(), or null
+ *   - server: row from api/load.php, or null
+ * Outputs:
+ *   - the newer row, or null when both are missing
+ * Called By:
+ *   - loadGame() in game.js, loadSlots() in menu.js
+ ********************************************************/
+function newerSave(local, server) {
+    if (!local || !server) return local || server || null;
+    return saveTimestamp(local) >= saveTimestamp(server) ? local : server;
+}
@@ -0,0 +1,1148 @@
+/******************************************************
+ * Program Name: sim.js
+ * Description:
+ *   Simulation core for Land Explorer: movement, crate
+ *   pushing, terrain, seeds, puzzles, region switching
+ *   and the win check. Everything works on one plain
+ *   state object and nothing here touches the DOM,
+ *   canvas or audio, so the same code runs in the browser
+ *   (game.js) and in Node (tools/headless.js).
+ * Expected Inputs:
+ *   - A state built by createSimState() + buildWorld()
+ *   - One input object per step:
+ *     { up, down, left, right, interact, undo, reset }
+ * Expected Outputs:
+ *   - Updated state, plus state.events: the names of what
+ *     happened during the last step ('seed', 'interact',
+ *     'reset', 'puzzleClear', 'region', 'teleport', 'hazard',
+ *     'item', 'unlock', 'undo', 'regionReset', 'win') for the browser layer to turn
+ *     into sound, saves and menus
+ * Called By:
+ *   - loop() and initGame() in game.js
+ *   - tools/headless.js
+ * Will Call:
+ *   - Puzzle hooks registered in puzzles.js
+ *   - Hazard helpers in hazards.js
+ *   - Item and lock helpers in inventory.js
+ ******************************************************/
+
+/**************** SIMULATION CONSTANTS ******************
+ * Purpose:
+ *   Tile size shared by the level format, the simulation
+ *   and the renderer, the fixed length of one simulation
+ *   step, plus the input used when no key is held.
+ *   Every caller steps by SIM_STEP_MS so movement and
+ *   times are the same at any display refresh rate.
+ ******************************************************/
+const TILE = 32;
+const SIM_STEP_MS = 1000 / 60;
+const UNDO_LIMIT = 50; // crate pushes remembered per region visit
+const TELEPORT_COOLDOWN_MS = 800; // after a teleport, pads ignore the player this long
+const EMPTY_INPUT = Object.freeze({ up: false, down: false, left: false, right: false, interact: false, undo: false, reset: false });
+
+/**************** TERRAIN TYPES *************************
+ * Purpose:
+ *   Legend for the per-region terrain map in the level
+ *   file. Each letter is one tile. `walkable` is for the
+ *   player, `crates` for pushed crates, `speed` scales the
+ *   player's movement while standing on the tile.
+ ******************************************************/
+const TERRAIN = {
+    g: { name: 'grass', color: null, walkable: true, crates: true, speed: 1 },
+    w: { name: 'water', color: '#3f8fc9', walkable: false, crates: false, speed: 1 },
+    h: { name: 'shallow water', color: '#8ccbe6', walkable: true, crates: false, speed: 0.5 },
+    s: { name: 'stone', color: '#b8b2a7', walkable: true, crates: true, speed: 1 },
+    b: { name: 'bridge', color: '#a0703f', walkable: true, crates: true, speed: 1 },
+    l: { name: 'fallen log', color: '#5b3a24', walkable: false, crates: false, speed: 1 }
+};
+const DEFAULT_TERRAIN = 'g';
+
+/********************************************************
+ * Function Name: createSimState
+ * Description:
+ *   Creates an empty simulation state. buildWorld() fills
+ *   in the level; resetToStart() or a loaded save places
+ *   the player.
+ * Inputs:
+ *   - none
+ * Outputs:
+ *   - state object:
+ *       regions, regionEdges, monument, levelStart – world
+ *       teleporters     – every teleporter pad of the level
+ *       player          – position, size, speed, look
+ *       currentRegion   – index into regions
+ *       gameTime        – play time in milliseconds
+ *       visited         – Set of region ids seen so far
+ *       inventory       – items picked up: [{ item, key }]
+ *       hintsUsed       – hints taken so far (hints.js)
+ *       interactHeld    – interact input was down last step
+ *       undoHeld        – undo input was down last step
+ *       undoStack       – positions before each crate push
+ *                         in the current region (undoMove)
+ *       regionEntry     – where the player entered the
+ *                         current region (resetRegion)
+ *       pushing         – a crate moved during the last step
+ *       teleportCooldown – ms until pads take the player again
+ *       teleportLock    – player has not walked onto the pad
+ *                         under them (set on arrival)
+ *       won             – set once the Monument is reached
+ *       events          – what happened in the last step
+ * Called By:
+ *   - game.js (once, at load), tools/headless.js
+ ********************************************************/
+function createSimState() {
+    return {
+        regions: [],
+        regionEdges: [], // [top, right, bottom, left] neighbour of each region
+        monument: { region: 0, x: 0, y: 0, w: TILE, h: TILE },
+        levelStart: { region: 0, x: TILE * 3, y: TILE * 3 },
+        teleporters: [],
+        player: {
+            x: TILE * 3,
+            y: TILE * 3,
+            w: 24,
+            h: 24,
+            speed: 180, // pixels per second
+            color: '#3b82f6',
+            name: 'Lyra'
+        },
+        currentRegion: 0,
+        gameTime: 0,
+        visited: new Set(),
+        inventory: [],
+        hintsUsed: 0,
+        interactHeld: false,
+        undoHeld: false,
+        undoStack: [],
+        regionEntry: { x: TILE * 3, y: TILE * 3 },
+        pushing: false,
+        teleportCooldown: 0,
+        teleportLock: true,
+        won: false,
+        events: []
+    };
+}
+
+/********************************************************
+ * Function Name: resetToStart
+ * Description:
+ *   Puts the player at the level's start position with a
+ *   fresh timer, visited list, inventory and hint count
+ *   (new game).
+ * Inputs:
+ *   - state: simulation state (after buildWorld)
+ * Outputs:
+ *   - none (mutates state)
+ * Called By:
+ *   - initGame() for a new game, tools/headless.js
+ ********************************************************/
+function resetToStart(state) {
+    state.currentRegion = state.levelStart.region;
+    state.player.x = state.levelStart.x;
+    state.player.y = state.levelStart.y;
+    state.gameTime = 0;
+    state.visited.clear();
+    state.visited.add(state.currentRegion);
+    state.inventory = [];
+    state.hintsUsed = 0;
+    state.interactHeld = false;
+    state.undoHeld = false;
+    state.teleportCooldown = 0;
+    state.teleportLock = true;
+    state.regions.forEach(r => r.hazards.forEach(h => { h.clock = 0; }));
+    state.won = false;
+    state.events = [];
+    clearUndo(state);
+}
+
+/********************************************************
+ * Function Name: syncGates
+ * Description:
+ *   Closes or opens every gate of every region to match
+ *   its puzzles, e.g. after a save was restored.
+ * Inputs:
+ *   - state: simulation state
+ * Outputs:
+ *   - none (mutates gate.closed)
+ * Called By:
+ *   - initGame(), tools/headless.js
+ ********************************************************/
+function syncGates(state) {
+    state.regions.forEach(r => {
+        const closed = regionBlocksExit(r);
+        r.gates.forEach(g => { g.closed = closed; });
+    });
+}
+
+/********************************************************
+ * Function Name: snapshotState
+ * Description:
+ *   Copies everything step() reads or changes into plain
+ *   JSON data: player position, region, time, seeds,
+ *   crates, items, locks, inventory, puzzle progress,
+ *   hazard clocks and the undo stack. Restoring
+ *   a snapshot and replaying the same inputs gives the
+ *   same result.
+ * Inputs:
+ *   - state: simulation state
+ * Outputs:
+ *   - snapshot object (JSON-safe)
+ * Called By:
+ *   - game.js input recording, replay.js checkpoints,
+ *     tools/headless.js
+ ********************************************************/
+function snapshotState(state) {
+    return {
+        currentRegion: state.currentRegion,
+        gameTime: state.gameTime,
+        player: { x: state.player.x, y: state.player.y },
+        visited: [...state.visited],
+        inventory: state.inventory.map(i => ({ item: i.item, key: i.key })),
+        interactHeld: state.interactHeld,
+        undoHeld: state.undoHeld,
+        undoStack: state.undoStack.slice(), // entries are never changed once pushed
+        regionEntry: { x: state.regionEntry.x, y: state.regionEntry.y },
+        pushing: state.pushing,
+        teleportCooldown: state.teleportCooldown,
+        teleportLock: state.teleportLock,
+        won: state.won,
+        regions: state.regions.map(r => ({
+            seeds: r.seeds.map(s => [s.collected, s.pulse]),
+            crates: r.crates.map(c => ({ x: c.x, y: c.y })),
+            items: r.items.map(i => i.collected),
+            locks: r.locks.map(l => l.open),
+            puzzles: getPuzzleStates(r),
+            hazards: r.hazards.map(h => h.clock)
+        }))
+    };
+}
+
+/********************************************************
+ * Function Name: restoreState
+ * Description:
+ *   Puts a snapshot from snapshotState() back into a state
+ *   built from the same level, then re-syncs the gates.
+ * Inputs:
+ *   - state: simulation state (after buildWorld)
+ *   - snap: snapshot object
+ * Outputs:
+ *   - none (mutates state)
+ * Called By:
+ *   - replay.js, tools/headless.js
+ * Will Call:
+ *   - clearUndo(), setPuzzleStates(), syncGates()
+ ********************************************************/
+function restoreState(state, snap) {
+    state.currentRegion = snap.currentRegion;
+    state.gameTime = snap.gameTime;
+    state.player.x = snap.player.x;
+    state.player.y = snap.player.y;
+    state.visited = new Set(snap.visited);
+    state.inventory = (snap.inventory || []).map(i => ({ item: i.item, key: i.key }));
+    state.interactHeld = !!snap.interactHeld;
+    state.undoHeld = !!snap.undoHeld;
+    state.teleportCooldown = snap.teleportCooldown || 0;
+    state.teleportLock = snap.teleportLock !== false;
+    state.won = !!snap.won;
+    state.events = [];
+    if (Array.isArray(snap.undoStack) && snap.regionEntry) {
+        state.undoStack = snap.undoStack.slice();
+        state.regionEntry = { x: snap.regionEntry.x, y: snap.regionEntry.y };
+        state.pushing = !!snap.pushing;
+    } else {
+        clearUndo(state);
+    }
+    snap.regions.forEach((rs, i) => {
+        const r = state.regions[i];
+        if (!r) return;
+        rs.seeds.forEach(([collected, pulse], j) => {
+            if (r.seeds[j]) Object.assign(r.seeds[j], { collected, pulse });
+        });
+        rs.crates.forEach((pos, j) => {
+            if (r.crates[j]) Object.assign(r.crates[j], pos);
+        });
+        (rs.items || []).forEach((collected, j) => {
+            if (r.items[j]) r.items[j].collected = collected;
+        });
+        (rs.locks || []).forEach((open, j) => {
+            if (r.locks[j]) r.locks[j].open = open;
+        });
+        setPuzzleStates(r, rs.puzzles || rs.puzzle);
+        (rs.hazards || []).forEach((clock, j) => {
+            if (r.hazards[j]) r.hazards[j].clock = clock;
+        });
+    });
+    syncGates(state);
+}
+
+/*** UNDO AND REGION RESET ***
+ * A crate pushed into a corner can leave a region unsolvable.
+ * Each push (one held push counts once) saves the player,
+ * crate and puzzle state of the current region first, so it
+ * can be undone; resetRegion() puts the whole region back.
+ * Both only ever touch the current region.
+ ********************************************/
+
+/********************************************************
+ * Function Name: clearUndo
+ * Description:
+ *   Empties the undo stack and remembers the player's
+ *   position as the region's entry point for resetRegion().
+ * Inputs:
+ *   - state: simulation state
+ * Outputs:
+ *   - none (mutates state)
+ * Called By:
+ *   - resetToStart(), restoreState(), checkRegionSwitch(),
+ *     resetRegion(), initGame() in game.js after a load
+ ********************************************************/
+function clearUndo(state) {
+    state.undoStack = [];
+    state.regionEntry = { x: state.player.x, y: state.player.y };
+    state.pushing = false;
+}
+
+/********************************************************
+ * Function Name: pushUndo
+ * Description:
+ *   Saves the current region's player, crate and puzzle
+ *   state on the undo stack, dropping the oldest entry
+ *   past UNDO_LIMIT.
+ * Inputs:
+ *   - state: simulation state
+ * Outputs:
+ *   - none (mutates state.undoStack)
+ * Called By:
+ *   - movePlayer() before the first step of a push
+ ********************************************************/
+function pushUndo(state) {
+    const r = state.regions[state.currentRegion];
+    state.undoStack.push({
+        player: { x: state.player.x, y: state.player.y },
+        crates: r.crates.map(c => ({ x: c.x, y: c.y })),
+        puzzles: getPuzzleStates(r)
+    });
+    if (state.undoStack.length > UNDO_LIMIT) state.undoStack.shift();
+}
+
+/********************************************************
+ * Function Name: undoMove
+ * Description:
+ *   Puts the current region back to how it was before the
+ *   latest crate push.
+ * Inputs:
+ *   - state: simulation state
+ * Outputs:
+ *   - none (mutates state, emits 'undo'; does nothing when
+ *     the stack is empty)
+ * Called By:
+ *   - step() on an undo press
+ * Will Call:
+ *   - setPuzzleStates(), syncGates()
+ ********************************************************/
+function undoMove(state) {
+    const entry = state.undoStack.pop();
+    if (!entry) return;
+    const r = state.regions[state.currentRegion];
+    state.player.x = entry.player.x;
+    state.player.y = entry.player.y;
+    entry.crates.forEach((pos, i) => {
+        if (r.crates[i]) Object.assign(r.crates[i], pos);
+    });
+    setPuzzleStates(r, entry.puzzles);
+    state.pushing = false;
+    state.teleportLock = true;
+    syncGates(state);
+    state.events.push('undo');
+}
+
+/********************************************************
+ * Function Name: resetRegion
+ * Description:
+ *   Moves the current region's crates back to their level
+ *   positions, restarts its puzzles that are not solved
+ *   yet, and returns the player to where they entered
+ *   the region. Collected seeds stay collected.
+ * Inputs:
+ *   - state: simulation state
+ * Outputs:
+ *   - none (mutates state, emits 'regionReset')
+ * Called By:
+ *   - step() when input.reset is set
+ * Will Call:
+ *   - p.reset(), clearUndo(), syncGates()
+ ********************************************************/
+function resetRegion(state) {
+    const r = state.regions[state.currentRegion];
+    r.crateStart.forEach((pos, i) => {
+        if (r.crates[i]) Object.assign(r.crates[i], pos);
+    });
+    r.puzzles.forEach(p => { if (!p.solved) p.reset(); });
+    state.player.x = state.regionEntry.x;
+    state.player.y = state.regionEntry.y;
+    state.teleportLock = true;
+    clearUndo(state);
+    syncGates(state);
+    state.events.push('regionReset');
+}
+
+/*** UTILS ***/
+/********************************************************
+ * Function Name: clamp
+ * Description:
+ *   Clamps a number between [a, b]
+ * Inputs:
+ *   - v: number
+ *   - a: number (min)
+ *   - b: number (max)
+ * Outputs:
+ *   - number clamped to [a,b]
+ * Called By:
+ *   - camera & region math throughout the code
+ ********************************************************/
+function clamp(v, a, b){ return Math.max(a, Math.min(b, v)); }
+
+/********************************************************
+ * Function Name: rectOverlap
+ * Description:
+ *   AABB rectangle overlap test.
+ * Inputs:
+ *   - a: {x,y,w,h}
+ *   - b: {x,y,w,h}
+ * Outputs:
+ *   - boolean (true if rectangles overlap)
+ * Called By:
+ *   - collision, puzzle, seed, and crate logic
+ ********************************************************/
+function rectOverlap(a, b){
+    return !(a.x + a.w <= b.x || a.x >= b.x + b.w || a.y + a.h <= b.y || a.y >= b.y + b.h);
+}
+
+/********************************************************
+ * Function Name: terrainAt
+ * Description:
+ *   Looks up the terrain type of one tile. Regions without
+ *   a terrain map, and tiles outside the map, are grass.
+ * Inputs:
+ *   - region: region object
+ *   - col, row: tile position
+ * Outputs:
+ *   - TERRAIN entry
+ * Called By:
+ *   - rectTerrainAllows(), terrainSpeedAt(), prerender
+ ********************************************************/
+function terrainAt(region, col, row){
+    const line = region.terrain && region.terrain[row];
+    return TERRAIN[(line && line[col]) || DEFAULT_TERRAIN] || TERRAIN[DEFAULT_TERRAIN];
+}
+
+/********************************************************
+ * Function Name: rectTerrainAllows
+ * Description:
+ *   Checks every tile a rectangle touches against one
+ *   terrain rule ('walkable' or 'crates').
+ * Inputs:
+ *   - region: region object
+ *   - rect: {x,y,w,h}
+ *   - rule: TERRAIN property name
+ * Outputs:
+ *   - boolean (false if any touched tile forbids it)
+ * Called By:
+ *   - canRectMoveTo(), canPlayerMoveTo()
+ ********************************************************/
+function rectTerrainAllows(region, rect, rule){
+    if (!region.terrain) return true;
+    const c0 = Math.max(0, Math.floor(rect.x / TILE));
+    const c1 = Math.min(region.cols - 1, Math.floor((rect.x + rect.w - 1) / TILE));
+    const r0 = Math.max(0, Math.floor(rect.y / TILE));
+    const r1 = Math.min(region.rows - 1, Math.floor((rect.y + rect.h - 1) / TILE));
+    for (let r = r0; r <= r1; r++) {
+        for (let c = c0; c <= c1; c++) {
+            if (!terrainAt(region, c, r)[rule]) return false;
+        }
+    }
+    return true;
+}
+
+/********************************************************
+ * Function Name: terrainSpeedAt
+ * Description:
+ *   Movement multiplier for the tile under the centre of
+ *   a rectangle (shallow water slows the player down).
+ * Inputs:
+ *   - region: region object
+ *   - rect: {x,y,w,h}
+ * Outputs:
+ *   - number (1 = normal speed)
+ * Called By:
+ *   - step() when computing player movement
+ ********************************************************/
+function terrainSpeedAt(region, rect){
+    const col = Math.floor((rect.x + rect.w / 2) / TILE);
+    const row = Math.floor((rect.y + rect.h / 2) / TILE);
+    return terrainAt(region, col, row).speed;
+}
+
+
+/****************************************************
+ * Function: updateSeeds
+ * Description:
+ *    Handles seed animations, collision detection, and
+ *    automatic collection when the player overlaps a seed.
+ *
+ * Expected Inputs:
+ *    state (object) – simulation state
+ *    dt (number) – delta time used for seed pulsing animation.
+ *
+ * Expected Outputs/Results:
+ *    - Updates each seed's "pulse" animation.
+ *    - Marks seeds as collected when overlapped.
+ *    - Emits a 'seed' event per collected seed (the browser
+ *      layer flashes, plays the sound and saves on it).
+ *
+ * Called By:
+ *    step()
+ *
+ * Will Call:
+ *    - rectOverlap()
+ ****************************************************/
+function updateSeeds(state, dt){
+    const seeds = state.regions[state.currentRegion].seeds;
+    for (const s of seeds){
+        s.pulse += dt * 0.006;
+        if (s.collected) continue;
+        if (rectOverlap(state.player, { x: s.x, y: s.y, w: TILE, h: TILE })) {
+            s.collected = true;
+            state.events.push('seed');
+        }
+    }
+}
+
+/****************************************************
+ * Function: updatePuzzles
+ * Description:
+ *    Provides a unified handler for region-based puzzle
+ *    interactions. Steps every puzzle of the region
+ *    through its registered update hook (puzzles.js), and
+ *    keeps the region gates synced with puzzle completion
+ *    state.
+ *
+ * Expected Inputs:
+ *    state (object)        – simulation state
+ *    interaction (boolean) – interact was pressed this step
+ *    dt (number)           – step length in milliseconds
+ *
+ * Expected Outputs/Results:
+ *    - Calls update() on each puzzle of the region.
+ *    - Updates every gate.closed based on puzzle progress.
+ *
+ * Called By:
+ *    step()
+ *
+ * Will Call:
+ *    - p.update()
+ *    - regionBlocksExit()
+ ****************************************************/
+function updatePuzzles(state, interaction, dt){
+    const region = state.regions[state.currentRegion];
+    if (!region.puzzles.length) return;
+    const ctx = {
+        state,
+        region,
+        player: state.player,
+        interaction,
+        dt,
+        emit: name => state.events.push(name)
+    };
+    region.puzzles.forEach(p => p.update(ctx));
+    const closed = regionBlocksExit(region);
+    region.gates.forEach(g => { g.closed = closed; });
+}
+
+/****************************************************
+ * Function: canRectMoveTo
+ * Description:
+ *    Performs general-purpose collision detection for any
+ *    rectangular entity. Ensures the rectangle does not cross
+ *    region boundaries, static obstacles, closed puzzle
+ *    doors, closed locks, crates, or terrain crates cannot
+ *    enter (water, shallows, logs).
+ *
+ * Expected Inputs:
+ *    rect (object) – rectangle with {x, y, w, h}
+ *    currentRegion (object) – region to check collisions in
+ *    excludeCrate (object | null) – crate to skip when moving
+ *
+ * Expected Outputs/Results:
+ *    Returns:
+ *       true  – movement allowed
+ *       false – blocked by bounds, obstacles, or crates
+ *
+ * Called By:
+ *    - crate movement logic
+ *    - general collision systems
+ *
+ * Will Call:
+ *    - rectOverlap()
+ *    - puzzleSolids(), lockSolids()
+ ****************************************************/
+function canRectMoveTo(rect, currentRegion, excludeCrate = null) {
+    const r = currentRegion;
+    // Check world bounds
+    if (rect.x < 0 || rect.y < 0 || rect.x + rect.w > r.cols * TILE || rect.y + rect.h > r.rows * TILE) {
+        return false;
+    }
+
+    // Check static obstacles
+    for (const o of r.obstacles) {
+        if (rectOverlap(rect, o)) return false;
+    }
+    // Check closed doors and other puzzle solids
+    if (puzzleSolids(r).some(o => rectOverlap(rect, o))) return false;
+    // Check closed locks
+    if (lockSolids(r).some(o => rectOverlap(rect, o))) return false;
+    // Check terrain
+    if (!rectTerrainAllows(r, rect, 'crates')) return false;
+    // Check other crates (if the rect is a crate itself, exclude the crate being moved)
+    for (const c of r.crates) {
+        if (c !== excludeCrate && rectOverlap(rect, c)) return false;
+    }
+
+    return true;
+}
+
+
+/****************************************************
+ * Function: canPlayerMoveTo
+ * Description:
+ *    Validates whether the player can move to the given
+ *    position. Checks world boundaries, obstacles, terrain
+ *    (deep water, logs), closed puzzle doors, closed locks,
+ *    blocking hazards, and dynamic gate states (blocking
+ *    the edge a region's gate sits on).
+ *
+ * Expected Inputs:
+ *    state (object) – simulation state
+ *    nx (number) – proposed new x position
+ *    ny (number) – proposed new y position
+ *
+ * Expected Outputs/Results:
+ *    Returns:
+ *       true  – movement allowed
+ *       false – movement blocked
+ *
+ * Called By:
+ *    Player movement logic.
+ *
+ * Will Call:
+ *    - rectOverlap()
+ *    - puzzleSolids(), lockSolids()
+ *    - hazardHits(), hazardRect()
+ ****************************************************/
+function canPlayerMoveTo(state, nx, ny){
+    const player = state.player;
+    const rect = { x: nx, y: ny, w: player.w, h: player.h };
+    const r = state.regions[state.currentRegion];
+
+    // Check static obstacles
+    for (const o of r.obstacles) {
+        if (rectOverlap(rect, o)) return false;
+    }
+    // Check closed doors and other puzzle solids
+    if (puzzleSolids(r).some(o => rectOverlap(rect, o))) return false;
+    // Check closed locks
+    if (lockSolids(r).some(o => rectOverlap(rect, o))) return false;
+    // Check blocking hazards (one that drifted onto the player lets them walk out)
+    if (hazardHits(r, rect, 'block').some(h => !rectOverlap(player, hazardRect(h)))) return false;
+    // Check terrain
+    if (!rectTerrainAllows(r, rect, 'walkable')) return false;
+    // Check current region's gates blocking its exits
+    for (const gate of r.gates) {
+        // Check if player's new position overlaps a closed gate
+        if (gate.closed && rectOverlap(rect, gate)) {
+            return false;
+        }
+    }
+
+    // World bounds check (with allowance for switching - need to check the exact bounds here)
+    if (nx < -TILE || ny < -TILE || nx + player.w > r.cols * TILE + TILE || ny + player.h > r.rows * TILE + TILE) return false;
+    return true;
+}
+
+/****************************************************
+ * Function: movePlayer
+ * Description:
+ *    Handles all player movement, including collision
+ *    detection, crate pushing, and resolving movement
+ *    separately along horizontal and vertical axes.
+ *
+ * Expected Inputs:
+ *    state (object) – simulation state
+ *    dx (number) – horizontal movement (-speed → left, +speed → right)
+ *    dy (number) – vertical movement   (-speed → up,   +speed → down)
+ *
+ * Expected Outputs/Results:
+ *    - Updates player.x and player.y.
+ *    - If the player walks into a crate, attempts to push it.
+ *    - Crate can only move if its destination is valid
+ *      (no overlaps, inside bounds, not inside obstacles).
+ *    - Saves an undo entry when a new push starts and
+ *      sets state.pushing.
+ *
+ * Called By:
+ *    step()
+ *
+ * Will Call:
+ *    - rectOverlap()
+ *    - canRectMoveTo()
+ *    - canPlayerMoveTo()
+ *    - pushUndo()
+ *    - padUnder(), teleportCrate()
+ ****************************************************/
+function movePlayer(state, dx, dy){
+    const player = state.player;
+    const r = state.regions[state.currentRegion];
+    let newPlayerX = player.x, newPlayerY = player.y;
+    let pushed = false;
+
+    // Attempt to move horizontally
+    if (dx !== 0) {
+        const nx = player.x + dx;
+        const attemptedRect = { x: nx, y: player.y, w: player.w, h: player.h };
+        let collidedCrate = r.crates.find(c => rectOverlap(attemptedRect, c));
+        if (collidedCrate) {
+            // Crate collision. Try to push the crate.
+            const ncx = collidedCrate.x + dx;
+            const ncy = collidedCrate.y;
+            const nextCrateRect = { x: ncx, y: ncy, w: collidedCrate.w, h: collidedCrate.h };
+            // Crate must not overlap static objects, boundaries, or other crates
+            if (canRectMoveTo(nextCrateRect, r, collidedCrate)) {
+                if (!state.pushing && !pushed) pushUndo(state);
+                pushed = true;
+                const fromPad = padUnder(r, collidedCrate);
+                collidedCrate.x = ncx; // Push successful! Move crate
+                teleportCrate(state, collidedCrate, fromPad);
+                newPlayerX = nx; 
+            }
+        } else if (canPlayerMoveTo(state, nx, player.y)) {
+            // No crate collision, check for static obstacles/gates
+            newPlayerX = nx;
+        }
+    }
+
+    // Attempt to move vertically 
+    if (dy !== 0) {
+        const ny = player.y + dy;
+        const attemptedRect = { x: newPlayerX, y: ny, w: player.w, h: player.h };
+        let collidedCrate = r.crates.find(c => rectOverlap(attemptedRect, c));
+
+        if (collidedCrate) {
+            // Crate collision. Try to push the crate.
+            const ncx = collidedCrate.x;
+            const ncy = collidedCrate.y + dy;
+            const nextCrateRect = { x: ncx, y: ncy, w: collidedCrate.w, h: collidedCrate.h };
+            if (canRectMoveTo(nextCrateRect, r, collidedCrate)) {
+                if (!state.pushing && !pushed) pushUndo(state);
+                pushed = true;
+                const fromPad = padUnder(r, collidedCrate);
+                collidedCrate.y = ncy; // Push successful! Move crate
+                teleportCrate(state, collidedCrate, fromPad);
+                newPlayerY = ny; 
+            }
+        } else if (canPlayerMoveTo(state, newPlayerX, ny)) {
+            // No crate collision, check for static obstacles/gates
+            newPlayerY = ny;
+        }
+    }
+    player.x = newPlayerX;
+    player.y = newPlayerY;
+    state.pushing = pushed;
+}
+
+/*** TELEPORTERS ***
+ * Pads come in linked pairs (see buildWorld()); the two
+ * ends may sit in different regions. Walking onto a pad
+ * moves the player to its partner; pushing a crate onto
+ * one moves the crate, if the partner is in the same
+ * region. Puzzles can keep pads dormant (see the
+ * blocksTeleporter hook in puzzles.js).
+ ********************************************/
+
+/********************************************************
+ * Function Name: padUnder
+ * Description:
+ *   Finds the teleporter pad whose tile holds the centre
+ *   of a rectangle.
+ * Inputs:
+ *   - region: region object
+ *   - rect: {x,y,w,h}
+ * Outputs:
+ *   - pad object, or null
+ * Called By:
+ *   - movePlayer(), checkTeleport(), teleportCrate()
+ ********************************************************/
+function padUnder(region, rect) {
+    const cx = rect.x + rect.w / 2, cy = rect.y + rect.h / 2;
+    return region.pads.find(p => cx >= p.x && cx < p.x + p.w && cy >= p.y && cy < p.y + p.h) || null;
+}
+
+/********************************************************
+ * Function Name: padPowered
+ * Description:
+ *   True when neither end of a pad's pair is held dormant
+ *   by a puzzle of its region.
+ * Inputs:
+ *   - state: simulation state
+ *   - pad: pad object
+ * Outputs:
+ *   - boolean
+ * Called By:
+ *   - checkTeleport(), teleportCrate(), game.js drawing
+ ********************************************************/
+function padPowered(state, pad) {
+    return [pad, pad.link].every(p =>
+        !state.regions[p.region].puzzles.some(pz => pz.blocksTeleporter(p.col, p.row)));
+}
+
+/********************************************************
+ * Function Name: checkTeleport
+ * Description:
+ *   Counts down the teleport cooldown and sends the player
+ *   to the partner pad when they have walked onto a
+ *   powered pad. Arriving sets teleportLock, so the player
+ *   has to step off the pad before it takes them again.
+ *   A crate on the partner pad blocks the trip. Changing
+ *   region works like crossing an edge: new undo stack,
+ *   region marked visited, 'region' event.
+ * Inputs:
+ *   - state: simulation state
+ *   - dt: step length in ms
+ * Outputs:
+ *   - none (mutates state, emits 'teleport')
+ * Called By:
+ *   - step() after movement
+ * Will Call:
+ *   - padUnder(), padPowered(), clearUndo()
+ ********************************************************/
+function checkTeleport(state, dt) {
+    state.teleportCooldown = Math.max(0, state.teleportCooldown - dt);
+    const player = state.player;
+    const pad = padUnder(state.regions[state.currentRegion], player);
+    if (!pad) {
+        state.teleportLock = false;
+        return;
+    }
+    if (state.teleportLock || state.teleportCooldown > 0 || !padPowered(state, pad)) return;
+
+    const dest = pad.link;
+    const destRegion = state.regions[dest.region];
+    const arrival = { x: dest.x + (TILE - player.w) / 2, y: dest.y + (TILE - player.h) / 2, w: player.w, h: player.h };
+    if (destRegion.crates.some(c => rectOverlap(arrival, c))) return;
+
+    player.x = arrival.x;
+    player.y = arrival.y;
+    state.teleportLock = true;
+    state.teleportCooldown = TELEPORT_COOLDOWN_MS;
+    state.events.push('teleport');
+    if (dest.region !== state.currentRegion) {
+        state.currentRegion = dest.region;
+        clearUndo(state);
+        state.visited.add(state.currentRegion);
+        state.events.push('region');
+    }
+}
+
+/********************************************************
+ * Function Name: teleportCrate
+ * Description:
+ *   After a push, sends the crate to the partner pad if
+ *   the push moved it onto a powered pad whose partner is
+ *   in the same region and free (no crate, obstacle or
+ *   player in the way).
+ * Inputs:
+ *   - state: simulation state
+ *   - crate: the crate that was just pushed
+ *   - fromPad: pad the crate was on before the push (or
+ *     null); staying on the same pad does nothing
+ * Outputs:
+ *   - none (mutates the crate, emits 'teleport')
+ * Called By:
+ *   - movePlayer()
+ * Will Call:
+ *   - padUnder(), padPowered(), canRectMoveTo(),
+ *     rectOverlap()
+ ********************************************************/
+function teleportCrate(state, crate, fromPad) {
+    const r = state.regions[state.currentRegion];
+    const pad = padUnder(r, crate);
+    if (!pad || pad === fromPad || pad.link.region !== state.currentRegion || !padPowered(state, pad)) return;
+    const dest = { x: pad.link.x, y: pad.link.y, w: crate.w, h: crate.h };
+    if (!canRectMoveTo(dest, r, crate) || rectOverlap(dest, state.player)) return;
+    crate.x = dest.x;
+    crate.y = dest.y;
+    state.events.push('teleport');
+}
+
+/****************************************************
+ * Function: checkRegionSwitch
+ * Description:
+ *    Handles seamless region transitions when the player
+ *    crosses the boundaries of the current region.
+ *    Moves the player into the adjacent region if defined,
+ *    clamps them to edges if not.
+ *
+ * Expected Inputs:
+ *    state (object) – simulation state
+ *
+ * Expected Outputs/Results:
+ *    - Updates state.currentRegion when transitions occur.
+ *    - Repositions player slightly inside the new region.
+ *    - Marks the region visited and emits a 'region' event
+ *      (the browser layer fades music and saves on it).
+ *    - Starts a fresh undo stack for the new region.
+ *
+ * Called By:
+ *    step() (after movement is applied).
+ *
+ * Will Call:
+ *    - placePlayerSafely()
+ *    - clamp()
+ ****************************************************/
+function checkRegionSwitch(state){
+    const player = state.player, regions = state.regions;
+    const region = regions[state.currentRegion];
+    let moved = false;
+
+    // RIGHT edge
+    if (player.x + player.w > region.cols * TILE) {
+        const next = state.regionEdges[state.currentRegion][1];
+        if (next != null && next !== undefined) {
+            const relY = player.y / (region.rows * TILE);
+            state.currentRegion = next;
+            player.x = 2;
+            player.y = clamp(Math.round(relY * regions[state.currentRegion].rows * TILE), 2, regions[state.currentRegion].rows * TILE - player.h - 2);
+            moved = true;
+        } else {
+            player.x = region.cols * TILE - player.w;
+        }
+    }
+ 
+    // LEFT edge
+    if (player.x < 0) {
+        const next = state.regionEdges[state.currentRegion][3];
+        if (next != null && next !== undefined) {
+            const relY = player.y / (region.rows * TILE);
+            state.currentRegion = next;
+            player.x = regions[state.currentRegion].cols * TILE - player.w - 2;
+            player.y = clamp(Math.round(relY * regions[state.currentRegion].rows * TILE), 2, regions[state.currentRegion].rows * TILE - player.h - 2);
+            moved = true;
+        } else player.x = 0; 
+    }
+
+    // TOP edge
+    if (player.y < 0) {
+        const next = state.regionEdges[state.currentRegion][0];
+        if (next != null && next !== undefined) {
+            const relX = player.x / (region.cols * TILE);
+            state.currentRegion = next;
+            player.y = regions[state.currentRegion].rows * TILE - player.h - 2;
+            player.x = clamp(Math.round(relX * regions[state.currentRegion].cols * TILE), 2, regions[state.currentRegion].cols * TILE - player.w - 2);
+            moved = true;
+        } else player.y = 0; 
+    }
+
+    // BOTTOM edge
+    if (player.y + player.h > region.rows * TILE) {
+        const next = state.regionEdges[state.currentRegion][2];
+        if (next != null && next !== undefined) {
+            const relX = player.x / (region.cols * TILE);
+            state.currentRegion = next;
+            player.y = 2;
+            player.x = clamp(Math.round(relX * regions[state.currentRegion].cols * TILE), 2, regions[state.currentRegion].cols * TILE - player.w - 2);
+            moved = true;
+        } else player.y = region.rows * TILE - player.h; 
+    }
+
+    if (moved) {
+        placePlayerSafely(state);
+        clearUndo(state);
+        state.visited.add(state.currentRegion);
+        state.events.push('region');
+    }
+}
+
+/****************************************************
+ * Function: placePlayerSafely
+ * Description:
+ *    After a region switch the player keeps their relative
+ *    position along the edge, which can land them inside
+ *    water, a log or an obstacle. Slides them to the nearest
+ *    free spot so they are never stuck. A loaded save's
+ *    position gets the same treatment (the level may have
+ *    changed since it was saved).
+ *
+ * Expected Inputs:
+ *    state (object) – simulation state
+ *
+ * Expected Outputs/Results:
+ *    - Adjusts player.x / player.y if the spot is blocked.
+ *
+ * Called By:
+ *    checkRegionSwitch(), loadGame() in game.js
+ *
+ * Will Call:
+ *    - canPlayerMoveTo()
+ *    - clamp()
+ ****************************************************/
+function placePlayerSafely(state){
+    const player = state.player;
+    if (canPlayerMoveTo(state, player.x, player.y)) return;
+    const r = state.regions[state.currentRegion];
+    const maxX = r.cols * TILE - player.w - 2, maxY = r.rows * TILE - player.h - 2;
+    const limit = Math.max(r.cols, r.rows) * TILE;
+    for (let d = 4; d < limit; d += 4) {
+        for (const [ox, oy] of [[d, 0], [-d, 0], [0, d], [0, -d]]) {
+            const nx = clamp(player.x + ox, 2, maxX), ny = clamp(player.y + oy, 2, maxY);
+            if (canPlayerMoveTo(state, nx, ny) && !r.crates.some(c => rectOverlap({ x: nx, y: ny, w: player.w, h: player.h }, c))) {
+                player.x = nx;
+                player.y = ny;
+                return;
+            }
+        }
+    }
+}
+
+/****************************************************
+ * Function: findRegionRoute
+ * Description:
+ *    Breadth-first search over regionEdges for the shortest
+ *    chain of regions between two regions.
+ *
+ * Expected Inputs:
+ *    state (object) – simulation state (uses regionEdges)
+ *    from (number) – start region index
+ *    to (number)   – destination region index
+ *
+ * Expected Outputs/Results:
+ *    Returns an array of region indexes from `from` to `to`
+ *    (inclusive), or null if they are not connected.
+ *
+ * Called By:
+ *    drawWorldMap()
+ ****************************************************/
+function findRegionRoute(state, from, to){
+    const prev = { [from]: null };
+    const queue = [from];
+    while (queue.length) {
+        const idx = queue.shift();
+        if (idx === to) {
+            const route = [];
+            for (let at = to; at !== null; at = prev[at]) route.unshift(at);
+            return route;
+        }
+        for (const next of state.regionEdges[idx]) {
+            if (next !== null && next !== undefined && !(next in prev)) {
+                prev[next] = idx;
+                queue.push(next);
+            }
+        }
+    }
+    return null;
+}
+
+/****************************************************
+ * Function: checkWinCondition
+ * Description:
+ *    Checks if all seeds are collected and the player
+ *    is overlapping the monument in its region.
+ *
+ * Expected Inputs:
+ *    state (object) – simulation state
+ *
+ * Expected Outputs/Results:
+ *    - Sets state.won and emits a 'win' event once.
+ *
+ * Called By:
+ *    step()
+ ****************************************************/
+function checkWinCondition(state){
+    if (state.won) return;
+    const allCollected = state.regions.every(r => r.seeds.every(s => s.collected));
+    if (!allCollected) return;
+    if (state.currentRegion !== state.monument.region) return;
+    if (rectOverlap(state.player, state.monument)) {
+        state.won = true;
+        state.events.push('win');
+    }
+}
+
+/****************************************************
+ * Function: step
+ * Description:
+ *    Advances the simulation by dt of simulated time:
+ *    handles undo / region reset requests, moves the
+ *    player (pushing crates), sends them through
+ *    teleporters, advances the timer, collects
+ *    seeds, updates the region's puzzles, switches regions
+ *    and checks for the win. Movement is
+ *    player.speed (px per second) times dt, so callers
+ *    should always pass SIM_STEP_MS. Deterministic: the
+ *    same state, inputs and dt always give the same result.
+ *
+ * Expected Inputs:
+ *    state (object) – simulation state
+ *    input (object) – { up, down, left, right, interact,
+ *                      undo, reset }. undo acts once per
+ *                      press; reset acts on every step it
+ *                      is set (the game sets it for one).
+ *    dt (number)    – step length in milliseconds
+ *
+ * Expected Outputs/Results:
+ *    - Returns the same (mutated) state.
+ *    - state.events lists what happened during this step.
+ *    - Does nothing once the game is won.
+ *
+ * Called By:
+ *    loop() in game.js, tools/headless.js
+ *
+ * Will Call:
+ *    - undoMove(), resetRegion()
+ *    - movePlayer(), checkTeleport(), updateHazards(),
+ *      checkHazards(), updateSeeds(), updateInventory(),
+ *      updatePuzzles()
+ *    - checkRegionSwitch(), checkWinCondition()
+ ****************************************************/
+function step(state, input, dt){
+    state.events = [];
+    if (state.won) return state;
+
+    if (input.undo && !state.undoHeld) undoMove(state);
+    state.undoHeld = !!input.undo;
+    if (input.reset) resetRegion(state);
+
+    const player = state.player;
+    let dx = 0, dy = 0;
+    const speed = player.speed * terrainSpeedAt(state.regions[state.currentRegion], player) * dt / 1000;
+    if (input.up) dy -= speed;
+    if (input.down) dy += speed;
+    if (input.left) dx -= speed;
+    if (input.right) dx += speed;
+    if (dx !== 0 && dy !== 0) { dx *= 0.7071; dy *= 0.7071; }
+
+    movePlayer(state, dx, dy);
+    checkTeleport(state, dt);
+    updateHazards(state, dt);
+    checkHazards(state);
+    state.gameTime += dt;
+
+    updateSeeds(state, dt);
+    // A held interact key counts as one press
+    const pressed = !!input.interact && !state.interactHeld;
+    state.interactHeld = !!input.interact;
+    const unlocked = updateInventory(state, pressed);
+    updatePuzzles(state, pressed && !unlocked, dt);
+
+    checkRegionSwitch(state);
+    checkWinCondition(state);
+    return state;
+}
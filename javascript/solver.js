@@ -0,0 +1,323 @@
+/******************************************************
+ * Program Name: solver.js
+ * Description:
+ *   Crate puzzle solver for Land Explorer. Works on the
+ *   region's TILE grid with the push rules of movePlayer()
+ *   and canRectMoveTo():
+ *     - the player walks between free tiles (obstacles,
+ *       closed doors, closed locks and terrain the player
+ *       cannot enter are walls, and so are crates);
+ *     - a push moves one crate one tile, with the player on
+ *       the tile behind it and a free tile in front that
+ *       crates may enter.
+ *   The search is A* over crate tiles plus the area the
+ *   player can walk around in, so the first finish found
+ *   uses the fewest pushes. Tiles from which a crate could
+ *   never reach a target are skipped.
+ *   Answers whether a layout can be solved, the minimum
+ *   number of pushes and the pushes themselves. Used to
+ *   check layouts (region editor, generated worlds,
+ *   tools/headless.js --solve) and for the "next push"
+ *   hint. Regions with teleporter pads are not solved
+ *   (pads move crates in ways the grid cannot follow).
+ *   Like sim.js, nothing here touches the DOM.
+ * Expected Inputs:
+ *   - Region objects built by level_loader.js, or a tile
+ *     grid built by the caller
+ * Expected Outputs:
+ *   - { solvable, pushes, path, explored } results
+ * Called By:
+ *   - hints.js, worldgen.js, editor.js, tools/headless.js
+ ******************************************************/
+
+/**************** SOLVER CONSTANTS **********************
+ * Purpose:
+ *   Push directions (the names used in solution paths)
+ *   and a cap on how many states a search may visit; past
+ *   it the search gives up and reports solvable: null.
+ ******************************************************/
+const SOLVER_DIRS = [
+    { name: 'up', dx: 0, dy: -1 },
+    { name: 'right', dx: 1, dy: 0 },
+    { name: 'down', dx: 0, dy: 1 },
+    { name: 'left', dx: -1, dy: 0 }
+];
+const SOLVER_MAX_STATES = 60000;
+
+/********************************************************
+ * Function Name: solverGrid
+ * Description:
+ *   Tile grid of a built region: which tiles the player
+ *   may walk on and which a crate may be pushed onto. A
+ *   tile any solid rect touches counts as blocked.
+ * Inputs:
+ *   - region: region object
+ * Outputs:
+ *   - { cols, rows, walk, push } with walk/push as
+ *     Uint8Arrays indexed by row * cols + col
+ * Called By:
+ *   - solveRegionCrates()
+ * Will Call:
+ *   - terrainAt(), puzzleSolids(), lockSolids(),
+ *     rectOverlap()
+ ********************************************************/
+function solverGrid(region) {
+    const { cols, rows } = region;
+    const walk = new Uint8Array(cols * rows), push = new Uint8Array(cols * rows);
+    const solids = [...region.obstacles, ...puzzleSolids(region), ...lockSolids(region)];
+    for (let row = 0; row < rows; row++) {
+        for (let col = 0; col < cols; col++) {
+            const tile = { x: col * TILE, y: row * TILE, w: TILE, h: TILE };
+            if (solids.some(o => rectOverlap(tile, o))) continue;
+            const terrain = terrainAt(region, col, row);
+            walk[row * cols + col] = terrain.walkable ? 1 : 0;
+            push[row * cols + col] = terrain.crates ? 1 : 0;
+        }
+    }
+    return { cols, rows, walk, push };
+}
+
+/********************************************************
+ * Function Name: floodTiles
+ * Description:
+ *   Breadth-first flood of the tiles the player can walk
+ *   to from a set of start tiles.
+ * Inputs:
+ *   - grid: { cols, rows, walk }
+ *   - starts: array of tile indices
+ *   - blocked: optional function(index) for extra walls
+ * Outputs:
+ *   - Set of reachable tile indices
+ * Called By:
+ *   - checkGeneratedRegion() in worldgen.js
+ ********************************************************/
+function floodTiles(grid, starts, blocked = () => false) {
+    const seen = new Set();
+    const queue = starts.filter(i => grid.walk[i] && !blocked(i));
+    queue.forEach(i => seen.add(i));
+    for (let q = 0; q < queue.length; q++) {
+        const i = queue[q];
+        const col = i % grid.cols, row = Math.floor(i / grid.cols);
+        for (const d of SOLVER_DIRS) {
+            const c = col + d.dx, r = row + d.dy;
+            if (c < 0 || r < 0 || c >= grid.cols || r >= grid.rows) continue;
+            const next = r * grid.cols + c;
+            if (seen.has(next) || !grid.walk[next] || blocked(next)) continue;
+            seen.add(next);
+            queue.push(next);
+        }
+    }
+    return seen;
+}
+
+/********************************************************
+ * Function Name: liveCrateTiles
+ * Description:
+ *   Tiles a crate could still be pushed from onto some
+ *   target, found by pulling crates backwards away from
+ *   every target. Pushing a crate anywhere else can never
+ *   be undone, so the search skips those pushes.
+ * Inputs:
+ *   - grid: { cols, rows, walk, push }
+ *   - targets: target tile indices
+ * Outputs:
+ *   - Uint8Array, 1 for live tiles
+ * Called By:
+ *   - solveCrates()
+ ********************************************************/
+function liveCrateTiles(grid, targets) {
+    const live = new Uint8Array(grid.cols * grid.rows);
+    const queue = targets.filter(t => grid.push[t]);
+    queue.forEach(t => { live[t] = 1; });
+    for (let q = 0; q < queue.length; q++) {
+        const i = queue[q];
+        const col = i % grid.cols, row = Math.floor(i / grid.cols);
+        for (const d of SOLVER_DIRS) {
+            // Pulled one tile back, with the player one further behind
+            const c = col + d.dx, r = row + d.dy, pc = col + d.dx * 2, pr = row + d.dy * 2;
+            if (pc < 0 || pr < 0 || pc >= grid.cols || pr >= grid.rows) continue;
+            const from = r * grid.cols + c;
+            if (live[from] || !grid.push[from] || !grid.walk[from] || !grid.walk[pr * grid.cols + pc]) continue;
+            live[from] = 1;
+            queue.push(from);
+        }
+    }
+    return live;
+}
+
+/********************************************************
+ * Function Name: solveCrates
+ * Description:
+ *   Searches crate pushes for a way to get every crate
+ *   onto a target. States are tried in order of pushes
+ *   made plus `weight` times the crates' tile distance to
+ *   their targets (each crate paired with its own target).
+ *   With weight 1 the first finish uses the fewest pushes;
+ *   a larger weight finds some finish much faster, for
+ *   callers that only need a yes or no.
+ * Inputs:
+ *   - grid: { cols, rows, walk, push }
+ *   - crates: crate tile indices
+ *   - targets: target tile indices
+ *   - starts: tile indices the player may start from
+ *   - options: { weight } (default 1)
+ * Outputs:
+ *   - { solvable, pushes, path, explored }:
+ *       solvable – true, false, or null when the search
+ *                  gave up after SOLVER_MAX_STATES states
+ *       pushes   – number of pushes (null unless solvable)
+ *       path     – list of { crate, from: {col,row}, dir,
+ *                  stand: {col,row} }: the crate (index
+ *                  into `crates`), where it is, which way
+ *                  it is pushed and where the player stands
+ *       explored – states visited
+ * Called By:
+ *   - solveRegionCrates(), checkGeneratedRegion()
+ * Will Call:
+ *   - liveCrateTiles()
+ ********************************************************/
+function solveCrates(grid, crates, targets, starts, options = {}) {
+    const weight = options.weight || 1;
+    const { cols, rows } = grid;
+    const tileAt = i => ({ col: i % cols, row: Math.floor(i / cols) });
+    const result = (solvable, node, explored) => {
+        const path = [];
+        for (let n = node; n && n.parent; n = n.parent) path.unshift(n.push);
+        return { solvable, pushes: node ? path.length : null, path, explored };
+    };
+    if (crates.length === 0) return result(true, { parent: null }, 0);
+
+    const goal = new Uint8Array(cols * rows);
+    targets.forEach(t => { goal[t] = 1; });
+    const live = liveCrateTiles(grid, targets);
+    if (!crates.every(b => live[b])) return result(false, null, 0);
+    const tiles = (a, b) => Math.abs(a % cols - b % cols) + Math.abs(Math.floor(a / cols) - Math.floor(b / cols));
+    // Fewest tiles the crates still have to travel, each to its own target
+    const distance = (boxes, free = targets) => boxes.length === 0 ? 0 : Math.min(...free.map(t =>
+        tiles(boxes[0], t) + distance(boxes.slice(1), free.filter(o => o !== t))));
+
+    // Crates carry their index into `crates` so the path can name them
+    const first = crates.map((tile, id) => ({ tile, id })).sort((a, b) => a.tile - b.tile);
+    const buckets = [[{ boxes: first, from: starts, parent: null, push: null, pushes: 0 }]];
+    const seen = new Set();
+    const walls = new Uint8Array(cols * rows);
+    const area = new Uint8Array(cols * rows);
+    for (let f = 0; f !== -1; f = buckets.findIndex(b => b && b.length)) {
+        const node = buckets[f].pop();
+        const { boxes, pushes } = node;
+        if (boxes.every(b => goal[b.tile])) return result(true, node, seen.size);
+
+        // Flood the player's area; its lowest tile stands for where they are
+        boxes.forEach(b => { walls[b.tile] = 1; });
+        area.fill(0);
+        const queue = node.from.filter(i => grid.walk[i] && !walls[i]);
+        queue.forEach(i => { area[i] = 1; });
+        let lowest = Infinity;
+        for (let q = 0; q < queue.length; q++) {
+            const i = queue[q];
+            if (i < lowest) lowest = i;
+            const col = i % cols, row = Math.floor(i / cols);
+            for (const d of SOLVER_DIRS) {
+                const c = col + d.dx, r = row + d.dy;
+                if (c < 0 || r < 0 || c >= cols || r >= rows) continue;
+                const next = r * cols + c;
+                if (area[next] || !grid.walk[next] || walls[next]) continue;
+                area[next] = 1;
+                queue.push(next);
+            }
+        }
+        boxes.forEach(b => { walls[b.tile] = 0; });
+
+        const id = `${boxes.map(b => b.tile).join(',')}|${lowest}`;
+        if (seen.has(id)) continue;
+        seen.add(id);
+        if (seen.size > SOLVER_MAX_STATES) return result(null, null, seen.size);
+
+        boxes.forEach((b, n) => {
+            const col = b.tile % cols, row = Math.floor(b.tile / cols);
+            for (const d of SOLVER_DIRS) {
+                const bc = col - d.dx, br = row - d.dy, fc = col + d.dx, fr = row + d.dy;
+                if (bc < 0 || br < 0 || bc >= cols || br >= rows) continue;
+                if (fc < 0 || fr < 0 || fc >= cols || fr >= rows) continue;
+                const front = fr * cols + fc, stand = br * cols + bc;
+                if (!area[stand] || !live[front] || boxes.some(o => o.tile === front)) continue;
+                const moved = boxes.slice();
+                moved[n] = { tile: front, id: b.id };
+                moved.sort((a, c) => a.tile - c.tile);
+                const next = pushes + 1 + weight * distance(moved.map(m => m.tile));
+                (buckets[next] = buckets[next] || []).push({
+                    boxes: moved,
+                    from: [b.tile],
+                    parent: node,
+                    push: { crate: b.id, from: tileAt(b.tile), dir: d.name, stand: tileAt(stand) },
+                    pushes: pushes + 1
+                });
+            }
+        });
+    }
+    return result(false, null, seen.size);
+}
+
+/********************************************************
+ * Function Name: solveRegionCrates
+ * Description:
+ *   Solves a built region's crates and targets. Crates
+ *   that were pushed part-way between tiles count as on
+ *   the nearest tile.
+ * Inputs:
+ *   - region: region object
+ *   - from: the player ({x,y,w,h}, the tile under their
+ *     centre) or an array of {col,row} start tiles
+ * Outputs:
+ *   - solveCrates() result, or null when the region has
+ *     no crates or no targets, or has teleporter pads
+ * Called By:
+ *   - hints.js, editor.js, tools/headless.js
+ * Will Call:
+ *   - solverGrid(), solveCrates()
+ ********************************************************/
+function solveRegionCrates(region, from) {
+    if (!region.crates.length || !region.targets.length || region.pads.length) return null;
+    const grid = solverGrid(region);
+    const tile = (x, y) => clamp(y, 0, grid.rows - 1) * grid.cols + clamp(x, 0, grid.cols - 1);
+    const crates = region.crates.map(c => tile(Math.round(c.x / TILE), Math.round(c.y / TILE)));
+    const targets = region.targets.map(t => tile(t.x / TILE, t.y / TILE));
+    const starts = Array.isArray(from)
+        ? from.map(t => tile(t.col, t.row))
+        : [tile(Math.floor((from.x + from.w / 2) / TILE), Math.floor((from.y + from.h / 2) / TILE))];
+    return solveCrates(grid, crates, targets, starts);
+}
+
+/********************************************************
+ * Function Name: regionEntryTiles
+ * Description:
+ *   Tiles a player can start a region from in a level
+ *   file: every tile along an edge with a connection, and
+ *   the level start.
+ * Inputs:
+ *   - data: level JSON
+ *   - id: region index
+ * Outputs:
+ *   - array of {col,row}
+ * Called By:
+ *   - editor.js, tools/headless.js (with
+ *     solveRegionCrates())
+ ********************************************************/
+function regionEntryTiles(data, id) {
+    const region = data.regions[id];
+    const tiles = [];
+    const edgeTiles = {
+        top: c => ({ col: c, row: 0 }),
+        bottom: c => ({ col: c, row: region.rows - 1 }),
+        left: r => ({ col: 0, row: r }),
+        right: r => ({ col: region.cols - 1, row: r })
+    };
+    (data.connections || []).forEach(c => {
+        const edge = c.from === id ? c.edge : c.to === id ? oppositeEdge(c.edge) : null;
+        if (!edge) return;
+        const count = edge === 'top' || edge === 'bottom' ? region.cols : region.rows;
+        for (let i = 0; i < count; i++) tiles.push(edgeTiles[edge](i));
+    });
+    if (data.start && data.start.region === id) tiles.push({ col: data.start.col, row: data.start.row });
+    return tiles;
+}
@@ -0,0 +1,419 @@
+/******************************************************
+ * Program Name: worldgen.js
+ * Description:
+ *   Builds a random Land Explorer world from a number
+ *   (the world seed). The same seed always gives the same
+ *   world, so a saved game only has to store the seed to
+ *   rebuild it. The world keeps the map of the shipped
+ *   level (five regions, the same connections and gates)
+ *   but every region gets its own generated layout:
+ *     - obstacles, water ponds and stone patches;
+ *     - Spirit Seeds;
+ *     - a crate puzzle or a strict sequence of pads that
+ *       opens the region's gates.
+ *   Before a region is used, a tile-grid check proves that
+ *   every seed, pad, crate target and the monument can be
+ *   reached and that the crate puzzle can be solved (the
+ *   crate search in solver.js). A region that fails
+ *   is thrown away and generated again from the next
+ *   numbers of the same random stream.
+ *   The result is an ordinary version 2 level (see
+ *   levels/README.md). The daily challenge is the world
+ *   of a seed taken from the date. Like sim.js, nothing
+ *   here touches the DOM.
+ * Expected Inputs:
+ *   - World seed (unsigned 32-bit integer)
+ * Expected Outputs:
+ *   - Level JSON object, or errors when no solvable
+ *     layout was found
+ * Called By:
+ *   - game.js (new random world, daily challenge,
+ *     loading a save),
+ *     tools/headless.js (--generate)
+ * Will Call:
+ *   - validateLevel() (level_loader.js)
+ *   - floodTiles(), solveCrates() (solver.js)
+ ******************************************************/
+
+/**************** WORLDGEN CONSTANTS ********************
+ * Purpose:
+ *   Region map of a generated world (names, world map
+ *   positions, gates, which puzzle opens them and how
+ *   many seeds they hold), their size and connections,
+ *   start and monument, copied from levels/world.json.
+ *   WORLDGEN_MARGIN keeps a ring of free tiles along every
+ *   edge so the player can always get from wherever they
+ *   enter a region to everything inside it.
+ *   WORLDGEN_ATTEMPTS is how many layouts a region may
+ *   try.
+ ******************************************************/
+const WORLDGEN_REGIONS = [
+    { name: 'Entrance Clearing', map: { col: 0, row: 0 }, gates: ['right'], puzzle: 'sequence', seeds: 1 },
+    { name: 'Riverside Path', map: { col: 1, row: 0 }, gates: ['right', 'bottom'], puzzle: 'crates', seeds: 1 },
+    { name: 'Ancient Ruins', map: { col: 2, row: 0 }, gates: ['bottom'], puzzle: 'crates', seeds: 2 },
+    { name: 'Spirit Glade', map: { col: 1, row: 1 }, gates: ['right'], puzzle: 'sequence', seeds: 2 },
+    { name: 'Monument Grounds', map: { col: 2, row: 1 }, gates: [], puzzle: null, seeds: 0 }
+];
+const WORLDGEN_CONNECTIONS = [
+    { from: 0, edge: 'right', to: 1 },
+    { from: 1, edge: 'right', to: 2 },
+    { from: 1, edge: 'bottom', to: 3 },
+    { from: 2, edge: 'bottom', to: 4 },
+    { from: 3, edge: 'right', to: 4 }
+];
+const WORLDGEN_COLS = 30;
+const WORLDGEN_ROWS = 18;
+const WORLDGEN_START = { region: 0, col: 3, row: 3 };
+const WORLDGEN_MONUMENT = { region: 4, col: 15, row: 9 };
+const WORLDGEN_MARGIN = 2;
+const WORLDGEN_ATTEMPTS = 40;
+
+/********************************************************
+ * Function Name: createWorldRandom
+ * Description:
+ *   Seedable random number generator (mulberry32). Every
+ *   call of the returned function gives the next number of
+ *   the seed's stream.
+ * Inputs:
+ *   - seed: integer (only the low 32 bits are used)
+ * Outputs:
+ *   - function returning a number in [0, 1)
+ * Called By:
+ *   - generateWorld()
+ ********************************************************/
+function createWorldRandom(seed) {
+    let a = seed >>> 0;
+    return () => {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/********************************************************
+ * Function Name: randomWorldSeed
+ * Description:
+ *   Picks a new world seed for a "new random world".
+ * Inputs:
+ *   - none
+ * Outputs:
+ *   - unsigned 32-bit integer
+ * Called By:
+ *   - game.js autoStart
+ ********************************************************/
+function randomWorldSeed() {
+    return Math.floor(Math.random() * 4294967296);
+}
+
+/********************************************************
+ * Function Name: dailyChallengeId
+ * Description:
+ *   Names the daily challenge of a day: its UTC date, so
+ *   every player gets the same challenge at the same time.
+ * Inputs:
+ *   - date: optional Date (defaults to now)
+ * Outputs:
+ *   - "YYYY-MM-DD"
+ * Called By:
+ *   - game.js autoStart
+ ********************************************************/
+function dailyChallengeId(date = new Date()) {
+    return date.toISOString().slice(0, 10);
+}
+
+/********************************************************
+ * Function Name: dailyChallengeSeed
+ * Description:
+ *   Turns a daily challenge id into its world seed with a
+ *   32-bit FNV-1a hash, so neighbouring days give
+ *   unrelated worlds.
+ * Inputs:
+ *   - id: challenge id from dailyChallengeId()
+ * Outputs:
+ *   - unsigned 32-bit integer
+ * Called By:
+ *   - game.js autoStart
+ ********************************************************/
+function dailyChallengeSeed(id) {
+    let hash = 0x811C9DC5;
+    for (const ch of `daily:${id}`) {
+        hash ^= ch.charCodeAt(0);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/********************************************************
+ * Function Name: randomInt
+ * Description:
+ *   Whole number from min to max (both included).
+ * Inputs:
+ *   - rand: from createWorldRandom()
+ *   - min, max: integers
+ * Outputs:
+ *   - integer
+ * Called By:
+ *   - generateRegion() and its helpers
+ ********************************************************/
+function randomInt(rand, min, max) {
+    return min + Math.floor(rand() * (max - min + 1));
+}
+
+/********************************************************
+ * Function Name: regionGrid
+ * Description:
+ *   Tile grid of a region entry for the solvability check:
+ *   which tiles the player may walk on and which a crate
+ *   may be pushed onto (obstacles and terrain rules).
+ * Inputs:
+ *   - region: region entry (level file format)
+ * Outputs:
+ *   - { cols, rows, walk, push } with walk/push arrays of
+ *     booleans indexed by row * cols + col
+ * Called By:
+ *   - checkGeneratedRegion()
+ ********************************************************/
+function regionGrid(region) {
+    const { cols, rows } = region;
+    const walk = [], push = [];
+    for (let row = 0; row < rows; row++) {
+        for (let col = 0; col < cols; col++) {
+            const ch = region.terrain ? region.terrain[row][col] : DEFAULT_TERRAIN;
+            walk.push(TERRAIN[ch].walkable);
+            push.push(TERRAIN[ch].crates);
+        }
+    }
+    (region.obstacles || []).forEach(o => {
+        for (let row = o.row; row < o.row + o.h; row++) {
+            for (let col = o.col; col < o.col + o.w; col++) {
+                walk[row * cols + col] = false;
+                push[row * cols + col] = false;
+            }
+        }
+    });
+    return { cols, rows, walk, push };
+}
+
+/********************************************************
+ * Function Name: checkGeneratedRegion
+ * Description:
+ *   Proves a region entry can be finished from any tile of
+ *   its free edge ring (where the player enters):
+ *     - every seed and item, and the given extra tiles
+ *       (the monument, the start), can be reached;
+ *     - sequence pads can be walked to in order without
+ *       stepping on another pad on the way, stepping off
+ *       each pad onto plain ground before the next;
+ *     - every crate can be pushed onto a target.
+ *   Crates count as walls for the reach checks, so a seed
+ *   is never only reachable by moving a crate first.
+ * Inputs:
+ *   - region: region entry (level file format)
+ *   - extra: array of {col,row} that must be reachable
+ * Outputs:
+ *   - array of problem strings (empty when solvable)
+ * Called By:
+ *   - generateRegion()
+ * Will Call:
+ *   - regionGrid(), floodTiles(), solveCrates()
+ ********************************************************/
+function checkGeneratedRegion(region, extra = []) {
+    const problems = [];
+    const grid = regionGrid(region);
+    const at = t => t.row * grid.cols + t.col;
+    const ring = [];
+    for (let i = 0; i < grid.cols * grid.rows; i++) {
+        const col = i % grid.cols, row = Math.floor(i / grid.cols);
+        if (col === 0 || row === 0 || col === grid.cols - 1 || row === grid.rows - 1) ring.push(i);
+    }
+    const crates = (region.crates || []).map(at);
+    const reach = floodTiles(grid, ring, i => crates.includes(i));
+
+    [...region.seeds, ...(region.items || []), ...extra].forEach(t => {
+        if (!reach.has(at(t))) problems.push(`tile ${t.col},${t.row} cannot be reached`);
+    });
+
+    (region.puzzles || []).forEach(p => {
+        if (p.type === 'sequence') {
+            // A pad only counts once the player has stepped off it onto plain ground
+            const pads = p.pads.map(at);
+            const offPad = i => SOLVER_DIRS.map(d => [i % grid.cols + d.dx, Math.floor(i / grid.cols) + d.dy])
+                .filter(([c, r]) => c >= 0 && r >= 0 && c < grid.cols && r < grid.rows)
+                .map(([c, r]) => r * grid.cols + c)
+                .filter(i => !pads.includes(i));
+            let from = ring;
+            pads.forEach((pad, n) => {
+                const others = i => crates.includes(i) || (pads.includes(i) && i !== pad);
+                if (!floodTiles(grid, from, others).has(pad)) problems.push(`sequence pad ${n + 1} cannot be reached in order`);
+                from = offPad(pad);
+            });
+        } else if (p.type === 'crates') {
+            // Any finish will do here, so the quick (not fewest-pushes) search is enough
+            if (!solveCrates(grid, crates, region.targets.map(at), ring, { weight: 2 }).solvable) problems.push('crate puzzle cannot be solved');
+        }
+    });
+    return problems;
+}
+
+/********************************************************
+ * Function Name: generateRegion
+ * Description:
+ *   Generates one region entry, retrying with new numbers
+ *   from the stream until checkGeneratedRegion() passes.
+ * Inputs:
+ *   - rand: from createWorldRandom()
+ *   - id: region index in WORLDGEN_REGIONS
+ * Outputs:
+ *   - region entry, or null when no attempt was solvable
+ * Called By:
+ *   - generateWorld()
+ * Will Call:
+ *   - randomInt(), checkGeneratedRegion()
+ ********************************************************/
+function generateRegion(rand, id) {
+    const spec = WORLDGEN_REGIONS[id];
+    const cols = WORLDGEN_COLS, rows = WORLDGEN_ROWS;
+    const lo = WORLDGEN_MARGIN;
+    // Tiles that must stay free: the start, and room around the monument
+    const reserved = [WORLDGEN_START, WORLDGEN_MONUMENT].filter(p => p.region === id);
+    const keep = reserved.flatMap(p => [-1, 0, 1].flatMap(dy => [-1, 0, 1].map(dx => `${p.col + dx},${p.row + dy}`)));
+
+    for (let attempt = 0; attempt < WORLDGEN_ATTEMPTS; attempt++) {
+        const used = new Set(keep);
+        const free = (col, row, w = 1, h = 1) => {
+            for (let r = row; r < row + h; r++) {
+                for (let c = col; c < col + w; c++) if (used.has(`${c},${r}`)) return false;
+            }
+            return true;
+        };
+        const take = (col, row, w = 1, h = 1) => {
+            for (let r = row; r < row + h; r++) {
+                for (let c = col; c < col + w; c++) used.add(`${c},${r}`);
+            }
+        };
+        // A random free block inside the margin, or null
+        const place = (w = 1, h = 1) => {
+            for (let tries = 0; tries < 50; tries++) {
+                const col = randomInt(rand, lo, cols - lo - w), row = randomInt(rand, lo, rows - lo - h);
+                if (free(col, row, w, h)) {
+                    take(col, row, w, h);
+                    return { col, row };
+                }
+            }
+            return null;
+        };
+
+        const terrain = Array.from({ length: rows }, () => DEFAULT_TERRAIN.repeat(cols).split(''));
+        const paint = (at, w, h, ch) => {
+            for (let r = at.row; r < at.row + h; r++) {
+                for (let c = at.col; c < at.col + w; c++) terrain[r][c] = ch;
+            }
+        };
+        // Stone patches are only for looks: free tiles stay free
+        for (let n = randomInt(rand, 1, 3); n > 0; n--) {
+            const w = randomInt(rand, 2, 5), h = randomInt(rand, 2, 4);
+            paint({ col: randomInt(rand, 0, cols - w), row: randomInt(rand, 0, rows - h) }, w, h, 's');
+        }
+        for (let n = randomInt(rand, 0, 2); n > 0; n--) {
+            const w = randomInt(rand, 2, 4), h = randomInt(rand, 2, 3);
+            const at = place(w, h);
+            if (at) paint(at, w, h, 'w');
+        }
+        const obstacles = [];
+        for (let n = randomInt(rand, 5, 9); n > 0; n--) {
+            const w = randomInt(rand, 1, 3), h = randomInt(rand, 1, 3);
+            const at = place(w, h);
+            if (at) obstacles.push({ ...at, w, h });
+        }
+
+        const region = {
+            id,
+            name: spec.name,
+            cols,
+            rows,
+            map: { ...spec.map },
+            gates: spec.gates.slice(),
+            terrain: terrain.map(line => line.join('')),
+            seeds: [],
+            obstacles,
+            crates: [],
+            targets: []
+        };
+        if (spec.puzzle === 'crates') {
+            // Crates and targets go anywhere free; the solver throws out layouts that cannot be finished
+            const count = randomInt(rand, 1, 2);
+            for (let n = 0; n < count; n++) {
+                const crate = place();
+                const target = place();
+                if (!crate || !target) continue;
+                region.crates.push(crate);
+                region.targets.push(target);
+            }
+            region.puzzles = [{
+                type: 'crates',
+                hints: ['Each crate belongs on one of the marked targets.', 'Crates can only be pushed, so keep them away from walls and corners.']
+            }];
+        } else if (spec.puzzle === 'sequence') {
+            const pads = [];
+            for (let n = randomInt(rand, 3, 4); n > 0; n--) {
+                const pad = place();
+                if (pad) pads.push(pad);
+            }
+            region.puzzles = [{
+                type: 'sequence',
+                pads,
+                hints: ['These pads must be stepped on in the right order. A wrong pad starts the sequence over.']
+            }];
+        }
+        for (let n = 0; n < spec.seeds; n++) {
+            const seed = place();
+            if (seed) region.seeds.push(seed);
+        }
+
+        const crateCount = region.crates.length;
+        const padCount = spec.puzzle === 'sequence' ? region.puzzles[0].pads.length : 0;
+        if (spec.puzzle === 'crates' && crateCount === 0) continue;
+        if (spec.puzzle === 'sequence' && padCount < 3) continue;
+        if (region.seeds.length < spec.seeds) continue;
+        if (checkGeneratedRegion(region, reserved).length === 0) return region;
+    }
+    return null;
+}
+
+/********************************************************
+ * Function Name: generateWorld
+ * Description:
+ *   Builds a complete random world from a seed. The world
+ *   is also run through validateLevel(), so it is checked
+ *   exactly like a level file.
+ * Inputs:
+ *   - seed: world seed (unsigned 32-bit integer)
+ * Outputs:
+ *   - { data, errors } like loadLevelFile(): data is the
+ *     level (with its seed) and errors is empty on success
+ * Called By:
+ *   - game.js (new random world, loadGame()),
+ *     tools/headless.js
+ * Will Call:
+ *   - createWorldRandom(), generateRegion(), validateLevel()
+ ********************************************************/
+function generateWorld(seed) {
+    seed = seed >>> 0;
+    const rand = createWorldRandom(seed);
+    const regions = WORLDGEN_REGIONS.map((spec, id) => generateRegion(rand, id));
+    const failed = regions.findIndex(r => !r);
+    if (failed !== -1) {
+        return { data: null, errors: [`world seed ${seed}: no solvable layout found for region ${failed} (${WORLDGEN_REGIONS[failed].name})`] };
+    }
+    const data = {
+        version: LEVEL_VERSION,
+        seed,
+        start: { ...WORLDGEN_START },
+        monument: { ...WORLDGEN_MONUMENT },
+        regions,
+        connections: WORLDGEN_CONNECTIONS.map(c => ({ ...c }))
+    };
+    return { data, errors: validateLevel(data) };
+}
@@ -0,0 +1,540 @@
+/******************************************************
+ * Program Name: world.js
+ * Description:
+ *   levels/world.json as a script, for pages opened
+ *   from disk where the level file cannot be fetched
+ *   (see loadLevelFile() in level_loader.js).
+ *   Generated by tools/embed_level.js; do not edit.
+ ******************************************************/
+window.DEFAULT_LEVEL = {
+  "version": 2,
+  "start": {
+    "region": 0,
+    "col": 3,
+    "row": 3
+  },
+  "monument": {
+    "region": 4,
+    "col": 15,
+    "row": 9
+  },
+  "regions": [
+    {
+      "id": 0,
+      "name": "Entrance Clearing",
+      "cols": 30,
+      "rows": 18,
+      "map": {
+        "col": 0,
+        "row": 0
+      },
+      "gates": [
+        "right"
+      ],
+      "terrain": [
+        "gggggggggggggggggggggggggggggg",
+        "gggggggggggggggggggggggggggggg",
+        "gggggggggggggggggggggggggggggg",
+        "gggggggggggggggggggggggggggggg",
+        "gggggggggggggggggggggggggggggg",
+        "gggggggggggggggggggggggggggggg",
+        "gggggggggggggggggggggggggggggg",
+        "gggggggggggggggggggggggggggggg",
+        "gggggggggggggggggggggggggggggg",
+        "gggggggggggggggggggggggggggggg",
+        "gggggggggggggggggggggggggggggg",
+        "gggggggggggggggggggggggggggggg",
+        "ggggggggggggggllllgggggggggggg",
+        "gggggggggggggggggggggggggggggg",
+        "gggggggggggggggggggggggggggggg",
+        "gggggggggggggggggggggggggggggg",
+        "gggggggggggggggggggggggggggggg",
+        "gggggggggggggggggggggggggggggg"
+      ],
+      "seeds": [
+        {
+          "col": 10,
+          "row": 6
+        }
+      ],
+      "obstacles": [
+        {
+          "col": 12,
+          "row": 7,
+          "w": 1,
+          "h": 1
+        }
+      ],
+      "crates": [
+        {
+          "col": 6,
+          "row": 6
+        }
+      ],
+      "targets": [],
+      "items": [
+        {
+          "col": 20,
+          "row": 3,
+          "item": "lantern"
+        }
+      ],
+      "puzzles": [
+        {
+          "type": "plates",
+          "plates": [
+            {
+              "col": 4,
+              "row": 5
+            },
+            {
+              "col": 8,
+              "row": 5
+            }
+          ],
+          "hints": [
+            "Both plates have to be held down at the same time.",
+            "You can only stand on one plate. Something else could hold down the other."
+          ]
+        }
+      ]
+    },
+    {
+      "id": 1,
+      "name": "Riverside Path",
+      "cols": 30,
+      "rows": 18,
+      "map": {
+        "col": 1,
+        "row": 0
+      },
+      "gates": [
+        "right",
+        "bottom"
+      ],
+      "terrain": [
+        "gggggggggggghwwwhggggggggggggg",
+        "gggggggggggghwwwhggggggggggggg",
+        "gggggggggggghwwwhggggggggggggg",
+        "ggggllllgggghwwwhggggggggggggg",
+        "gggggggggggghwwwhggggggggggggg",
+        "gggggggggggghwwwhggggggggggggg",
+        "gggggggggggghwwwhggggggggggggg",
+        "gggggggggggghwwwhggggggggggggg",
+        "ggggggggggggbbbbbggggggggggggg",
+        "ggggggggggggbbbbbggggggggggggg",
+        "gggggggggggghwwwhggggggggggggg",
+        "gggggglggggghwwwhggggggggggggg",
+        "gggggglggggghwwwhggggggggggggg",
+        "gggggglggggghwwwhggggggggggggg",
+        "gggggggggggghhhhhggggggggggggg",
+        "gggggggggggghhhhhggggggggggggg",
+        "gggggggggggghwwwhggggggggggggg",
+        "gggggggggggghwwwhggggggggggggg"
+      ],
+      "seeds": [
+        {
+          "col": 24,
+          "row": 9
+        }
+      ],
+      "obstacles": [
+        {
+          "col": 22,
+          "row": 5,
+          "w": 2,
+          "h": 1
+        },
+        {
+          "col": 27,
+          "row": 12,
+          "w": 2,
+          "h": 1
+        }
+      ],
+      "crates": [],
+      "targets": [],
+      "hazards": [
+        {
+          "kind": "fog",
+          "effect": "block",
+          "w": 5,
+          "h": 3,
+          "speed": 1,
+          "path": [
+            {
+              "col": 20,
+              "row": 2
+            },
+            {
+              "col": 20,
+              "row": 13
+            }
+          ]
+        }
+      ],
+      "items": [
+        {
+          "col": 6,
+          "row": 15,
+          "item": "key",
+          "key": "gold"
+        }
+      ],
+      "puzzles": [
+        {
+          "type": "sequence",
+          "pads": [
+            {
+              "col": 25,
+              "row": 8
+            },
+            {
+              "col": 26,
+              "row": 8
+            },
+            {
+              "col": 27,
+              "row": 8
+            }
+          ],
+          "hints": [
+            "The three pads east of the river must be stepped on in order.",
+            "Start with the pad furthest to the left and walk right."
+          ]
+        }
+      ]
+    },
+    {
+      "id": 2,
+      "name": "Ancient Ruins",
+      "cols": 30,
+      "rows": 18,
+      "map": {
+        "col": 2,
+        "row": 0
+      },
+      "gates": [
+        "bottom"
+      ],
+      "terrain": [
+        "gggggggggggggggggggggggggggggg",
+        "gggggggggggggggggggggggggggggg",
+        "gggggggggggggggggggggggggggggg",
+        "gggggggggggggggggggggggggggggg",
+        "gggggggggggggggggggggggggggggg",
+        "gggggggggggggggggggggggggggggg",
+        "gggggggggggggggggggggggggggggg",
+        "gggggggggggggggggggggggggggggg",
+        "ssssssssssssssssssssssssssssss",
+        "ssssssssssssssssssssssssssssss",
+        "gggggggggggggggggggggggggggggg",
+        "gggggggggggggggggggggggggggggg",
+        "gggggggggggggggggggggggggggggg",
+        "gggggggggggggggggggggggggggggg",
+        "gggggggggggggggggggggggggggggg",
+        "gggggggggggggggggggggggggggggg",
+        "gggggggggggggggggggggggggggggg",
+        "gggggggggggggggggggggggggggggg"
+      ],
+      "seeds": [
+        {
+          "col": 8,
+          "row": 4
+        }
+      ],
+      "obstacles": [
+        {
+          "col": 15,
+          "row": 6,
+          "w": 2,
+          "h": 2
+        },
+        {
+          "col": 20,
+          "row": 3,
+          "w": 3,
+          "h": 1
+        },
+        {
+          "col": 20,
+          "row": 14,
+          "w": 3,
+          "h": 1
+        },
+        {
+          "col": 27,
+          "row": 0,
+          "w": 1,
+          "h": 3
+        },
+        {
+          "col": 29,
+          "row": 2,
+          "w": 1,
+          "h": 1
+        }
+      ],
+      "crates": [
+        {
+          "col": 12,
+          "row": 4
+        },
+        {
+          "col": 12,
+          "row": 12
+        }
+      ],
+      "targets": [
+        {
+          "col": 6,
+          "row": 6
+        },
+        {
+          "col": 24,
+          "row": 12
+        }
+      ],
+      "hazards": [
+        {
+          "kind": "timed",
+          "effect": "checkpoint",
+          "col": 20,
+          "row": 8,
+          "w": 3,
+          "h": 2,
+          "period": 3000,
+          "active": 1200
+        }
+      ],
+      "items": [
+        {
+          "col": 28,
+          "row": 0,
+          "item": "pouch"
+        }
+      ],
+      "locks": [
+        {
+          "col": 28,
+          "row": 2,
+          "key": "gold"
+        }
+      ],
+      "puzzles": [
+        {
+          "type": "crates",
+          "hints": [
+            "Each crate belongs on one of the marked targets.",
+            "Crates can only be pushed, so keep them out of corners and away from walls."
+          ]
+        }
+      ]
+    },
+    {
+      "id": 3,
+      "name": "Spirit Glade",
+      "cols": 30,
+      "rows": 18,
+      "map": {
+        "col": 1,
+        "row": 1
+      },
+      "gates": [
+        "right"
+      ],
+      "terrain": [
+        "gggggggggggggggggggggggggggggg",
+        "gggggggggggggggggggggggggggggg",
+        "gggggggggggggggggggggggggggggg",
+        "gggggggggggggggggggggggggggggg",
+        "gggggggggggggggggggggggggggggg",
+        "gggggggggggggggggggggggggggggg",
+        "gggggggggggggggggggggggggggggg",
+        "gggggggggggggggggggggggggggggg",
+        "gggggggggggggggggggggggggggggg",
+        "gggggggggggggggggggggggggggggg",
+        "gggggggggggggggggggggggggggggg",
+        "gggggggggggggggggggggggggggggg",
+        "ggggggggggggghhhhhhggggggggggg",
+        "ggggggggggggghwwwwhggggggggggg",
+        "ggggggggggggghwwwwhggggggggggg",
+        "ggggggggggggghwwwwhggggggggggg",
+        "ggggggggggggghhhhhhggggggggggg",
+        "gggggggggggggggggggggggggggggg"
+      ],
+      "seeds": [
+        {
+          "col": 12,
+          "row": 8
+        },
+        {
+          "col": 18,
+          "row": 10
+        }
+      ],
+      "obstacles": [
+        {
+          "col": 26,
+          "row": 7,
+          "w": 3,
+          "h": 1
+        },
+        {
+          "col": 5,
+          "row": 10,
+          "w": 2,
+          "h": 2
+        }
+      ],
+      "crates": [],
+      "targets": [],
+      "puzzles": [
+        {
+          "type": "beam",
+          "emitter": {
+            "col": 2,
+            "row": 3,
+            "dir": "right"
+          },
+          "receiver": {
+            "col": 24,
+            "row": 4
+          },
+          "mirrors": [
+            {
+              "col": 10,
+              "row": 3,
+              "angle": 45
+            },
+            {
+              "col": 10,
+              "row": 14,
+              "angle": 45
+            },
+            {
+              "col": 24,
+              "row": 14,
+              "angle": 135
+            }
+          ],
+          "hints": [
+            "Guide the light from the emitter to the receiver with the mirrors.",
+            "Stand on a mirror and press the interact key to turn it."
+          ]
+        }
+      ]
+    },
+    {
+      "id": 4,
+      "name": "Monument Grounds",
+      "cols": 30,
+      "rows": 18,
+      "map": {
+        "col": 2,
+        "row": 1
+      },
+      "seeds": [],
+      "obstacles": [
+        {
+          "col": 8,
+          "row": 10,
+          "w": 2,
+          "h": 2
+        }
+      ],
+      "crates": [],
+      "targets": [],
+      "puzzles": [
+        {
+          "type": "teleporters",
+          "teleporters": [
+            {
+              "col": 4,
+              "row": 4
+            }
+          ],
+          "hints": [
+            "The teleporter pad stays dormant until you stand on it and turn its switch on."
+          ]
+        },
+        {
+          "type": "circuit",
+          "levers": [
+            {
+              "col": 20,
+              "row": 4
+            }
+          ],
+          "plates": [
+            {
+              "col": 24,
+              "row": 4
+            }
+          ],
+          "logic": [
+            {
+              "op": "and",
+              "in": [
+                "lever:0",
+                "plate:0"
+              ]
+            }
+          ],
+          "doors": [
+            {
+              "col": 22,
+              "row": 13,
+              "in": "logic:0"
+            }
+          ],
+          "hints": [
+            "The door opens while the lever is on and the plate is held down.",
+            "Stand on the lever and press the interact key, then step onto the plate."
+          ]
+        }
+      ]
+    }
+  ],
+  "connections": [
+    {
+      "from": 0,
+      "edge": "right",
+      "to": 1
+    },
+    {
+      "from": 1,
+      "edge": "right",
+      "to": 2
+    },
+    {
+      "from": 1,
+      "edge": "bottom",
+      "to": 3
+    },
+    {
+      "from": 2,
+      "edge": "bottom",
+      "to": 4
+    },
+    {
+      "from": 3,
+      "edge": "right",
+      "to": 4
+    }
+  ],
+  "teleporters": [
+    {
+      "a": {
+        "region": 0,
+        "col": 26,
+        "row": 14
+      },
+      "b": {
+        "region": 4,
+        "col": 4,
+        "row": 4
+      }
+    }
+  ]
+};
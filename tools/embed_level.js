@@ -0,0 +1,90 @@
+/******************************************************
+ * Program Name: embed_level.js
+ * Description:
+ *   Writes levels/world.js, a copy of levels/world.json
+ *   as a script that sets window.DEFAULT_LEVEL.
+ *   loadLevelFile() falls back to it when fetching the
+ *   level file fails, which browsers always do for pages
+ *   opened from disk (file://). Run it after every change
+ *   to levels/world.json.
+ *
+ *   Usage:
+ *     node tools/embed_level.js
+ *     node tools/embed_level.js --check
+ *
+ *   --check writes nothing and fails when levels/world.js
+ *   is not up to date with levels/world.json.
+ *
+ * Expected Inputs:
+ *   - levels/world.json
+ * Expected Outputs:
+ *   - levels/world.js
+ *   - Exit code 1 when world.json is not valid JSON or,
+ *     with --check, when world.js is out of date
+ * Called By:
+ *   - Developers and CI
+ ******************************************************/
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+const LEVEL_JSON = path.join(ROOT, 'levels/world.json');
+const LEVEL_SCRIPT = path.join(ROOT, 'levels/world.js');
+
+/********************************************************
+ * Function Name: levelScript
+ * Description:
+ *   The contents of levels/world.js for a level.
+ * Inputs:
+ *   - level: parsed level JSON
+ * Outputs:
+ *   - script source
+ * Called By:
+ *   - main()
+ ********************************************************/
+function levelScript(level) {
+    return [
+        '/******************************************************',
+        ' * Program Name: world.js',
+        ' * Description:',
+        ' *   levels/world.json as a script, for pages opened',
+        ' *   from disk where the level file cannot be fetched',
+        ' *   (see loadLevelFile() in level_loader.js).',
+        ' *   Generated by tools/embed_level.js; do not edit.',
+        ' ******************************************************/',
+        `window.DEFAULT_LEVEL = ${JSON.stringify(level, null, 2)};`,
+        ''
+    ].join('\n');
+}
+
+/********************************************************
+ * Function Name: main
+ * Description:
+ *   Command-line entry point (see usage in the header).
+ ********************************************************/
+function main(args) {
+    let level;
+    try {
+        level = JSON.parse(fs.readFileSync(LEVEL_JSON, 'utf8'));
+    } catch (e) {
+        console.error(`levels/world.json: could not be loaded (${e.message})`);
+        process.exit(1);
+    }
+    const script = levelScript(level);
+
+    if (args[0] === '--check') {
+        const current = fs.existsSync(LEVEL_SCRIPT) ? fs.readFileSync(LEVEL_SCRIPT, 'utf8') : '';
+        if (current !== script) {
+            console.error('levels/world.js is out of date: run node tools/embed_level.js');
+            process.exit(1);
+        }
+        return;
+    }
+    fs.writeFileSync(LEVEL_SCRIPT, script);
+}
+
+if (require.main === module) main(process.argv.slice(2));
+
+module.exports = { levelScript };
@@ -0,0 +1,459 @@
+/******************************************************
+ * Program Name: headless.js
+ * Description:
+ *   Runs the Land Explorer simulation core in Node with no
+ *   browser. Loads javascript/sim.js, javascript/puzzles.js,
+ *   javascript/hazards.js, javascript/inventory.js,
+ *   javascript/level_loader.js, javascript/recording.js,
+ *   javascript/deadlock.js, javascript/solver.js,
+ *   javascript/worldgen.js, javascript/save_store.js and
+ *   javascript/save_format.js into one script context
+ *   (the same way game.html loads them), builds a level
+ *   and plays a list of inputs through step().
+ *
+ *   Usage:
+ *     node tools/headless.js [level.json] [inputs.json]
+ *     node tools/headless.js --replay recording.json
+ *     node tools/headless.js --generate seed > level.json
+ *     node tools/headless.js --solve [level.json]
+ *     node tools/headless.js --roundtrip [level.json] [inputs.json]
+ *
+ *   inputs.json is an array of held-key spans, played in
+ *   order at 60 steps per second:
+ *     [ { "keys": ["right", "down"], "frames": 30 },
+ *       { "keys": ["interact"], "frames": 1 },
+ *       { "keys": [], "frames": 10 } ]
+ *   Key names: up, down, left, right, interact, undo (one
+ *   undo per press) and reset (resets the current region
+ *   on every step it is held).
+ *
+ *   --replay plays a recording saved from the game's pause
+ *   menu and checks that it ends in the recorded end state.
+ *
+ *   --generate prints the random world a seed gives (the
+ *   seed shown in the game's pause menu) as a level file.
+ *
+ *   --solve runs the crate solver on every region with a
+ *   crate puzzle, from the tiles the region can be entered
+ *   by, and lists the fewest pushes and the pushes in order.
+ *
+ *   --roundtrip plays the inputs like the default run and,
+ *   at the start and after every span, saves the game,
+ *   loads that save into a freshly built world and saves
+ *   again; both saves must be the same JSON. The level and
+ *   inputs in levels/tests/ leave every puzzle type
+ *   unfinished for this check (see levels/README.md).
+ *
+ * Expected Inputs:
+ *   - Level file (defaults to levels/world.json)
+ *   - Optional inputs file
+ *   - Or a recording file after --replay
+ *   - Or a world seed after --generate
+ *   - Or a level file after --solve
+ *   - Or a level file and inputs file after --roundtrip
+ * Expected Outputs:
+ *   - JSON summary on stdout (region, position, time,
+ *     seeds, regions with every puzzle solved, regions
+ *     with stuck crates, visited regions, win, events),
+ *     or the generated level for --generate, or each crate
+ *     region's solution for --solve, or one result per
+ *     save for --roundtrip
+ *   - Exit code 1 when the level or inputs are invalid, a
+ *     replay does not reach its recorded end state, a seed
+ *     gives no world, a region's crates cannot be solved
+ *     (or the solver gave up), or a save changes when it is
+ *     loaded and saved again
+ * Called By:
+ *   - Developers and CI; other tools can require() it
+ * Will Call:
+ *   - createSimState(), buildWorld(), resetToStart(),
+ *     syncGates(), step(), restoreState(), expandFrames(),
+ *     matchesEndState(), generateWorld(),
+ *     solveRegionCrates(), regionEntryTiles(),
+ *     buildSaveState(), readSave(), restoreSaveState()
+ ******************************************************/
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+const CORE_SCRIPTS = ['javascript/sim.js', 'javascript/puzzles.js', 'javascript/hazards.js', 'javascript/inventory.js', 'javascript/level_loader.js', 'javascript/recording.js', 'javascript/deadlock.js', 'javascript/solver.js', 'javascript/worldgen.js', 'javascript/save_store.js', 'javascript/save_format.js'];
+const SAVE_SCHEMA = path.join(ROOT, 'api/save.schema.json');
+const STEP_MS = 1000 / 60; // SIM_STEP_MS in sim.js
+const INPUT_KEYS = ['up', 'down', 'left', 'right', 'interact', 'undo', 'reset'];
+
+/********************************************************
+ * Function Name: loadCore
+ * Description:
+ *   Runs the core scripts in a fresh script context. Their
+ *   top-level functions become properties of the returned
+ *   context, e.g. core.step(...).
+ * Inputs:
+ *   - none
+ * Outputs:
+ *   - vm context holding the simulation functions
+ * Called By:
+ *   - runLevel(), other tools
+ ********************************************************/
+function loadCore() {
+    const core = vm.createContext({ console });
+    for (const file of CORE_SCRIPTS) {
+        const source = fs.readFileSync(path.join(ROOT, file), 'utf8');
+        vm.runInContext(source, core, { filename: file });
+    }
+    return core;
+}
+
+/********************************************************
+ * Function Name: checkInputs
+ * Description:
+ *   Validates an inputs list before anything runs.
+ * Inputs:
+ *   - inputs: parsed inputs file
+ * Outputs:
+ *   - array of error strings (empty when valid)
+ * Called By:
+ *   - main()
+ ********************************************************/
+function checkInputs(inputs) {
+    if (!Array.isArray(inputs)) return ['inputs: expected an array of { keys, frames }'];
+    const errors = [];
+    inputs.forEach((span, i) => {
+        if (!span || !Array.isArray(span.keys)) {
+            errors.push(`inputs[${i}].keys: expected an array of key names`);
+        } else {
+            span.keys.forEach((k, j) => {
+                if (!INPUT_KEYS.includes(k)) errors.push(`inputs[${i}].keys[${j}]: expected one of ${INPUT_KEYS.join(', ')}, got ${JSON.stringify(k)}`);
+            });
+        }
+        if (!Number.isInteger(span && span.frames) || span.frames < 0) {
+            errors.push(`inputs[${i}].frames: expected a whole number of steps`);
+        }
+    });
+    return errors;
+}
+
+/********************************************************
+ * Function Name: runLevel
+ * Description:
+ *   Builds a level in a new simulation state, starts a new
+ *   game and plays the inputs through step().
+ * Inputs:
+ *   - level: parsed level JSON
+ *   - inputs: array of { keys, frames } (already checked)
+ *   - core: optional context from loadCore()
+ * Outputs:
+ *   - { errors, state, events } where events counts every
+ *     event name step() reported
+ * Called By:
+ *   - main(), other tools
+ ********************************************************/
+function runLevel(level, inputs = [], core = loadCore()) {
+    const state = core.createSimState();
+    const errors = core.buildWorld(state, level);
+    if (errors.length) return { errors, state, events: {} };
+    core.resetToStart(state);
+    core.syncGates(state);
+
+    const events = {};
+    for (const span of inputs) {
+        const input = {};
+        INPUT_KEYS.forEach(k => { input[k] = span.keys.includes(k); });
+        for (let f = 0; f < span.frames; f++) {
+            core.step(state, input, STEP_MS);
+            state.events.forEach(name => { events[name] = (events[name] || 0) + 1; });
+        }
+    }
+    return { errors: [], state, events };
+}
+
+/********************************************************
+ * Function Name: replayRecording
+ * Description:
+ *   Plays an input recording from its start snapshot and
+ *   compares the final state with its end snapshot.
+ * Inputs:
+ *   - rec: parsed recording JSON
+ *   - core: optional context from loadCore()
+ * Outputs:
+ *   - { errors, state, events, matchesEnd } where
+ *     matchesEnd is null when the recording has no end
+ * Called By:
+ *   - main(), other tools
+ ********************************************************/
+function replayRecording(rec, core = loadCore()) {
+    const state = core.createSimState();
+    const errors = core.validateRecording(rec);
+    if (errors.length) return { errors, state, events: {}, matchesEnd: null };
+    core.buildWorld(state, rec.level);
+    core.restoreState(state, rec.start);
+
+    const events = {};
+    for (const frame of core.expandFrames(rec)) {
+        core.step(state, frame.input, frame.dt);
+        state.events.forEach(name => { events[name] = (events[name] || 0) + 1; });
+    }
+    const matchesEnd = rec.end ? core.matchesEndState(core.snapshotState(state), rec.end) : null;
+    return { errors: [], state, events, matchesEnd };
+}
+
+/********************************************************
+ * Function Name: summarize
+ * Description:
+ *   Reduces a simulation state to a small JSON report.
+ * Inputs:
+ *   - state: simulation state
+ *   - events: event counts from runLevel()
+ *   - core: context the state was run in (for findDeadCrates)
+ * Outputs:
+ *   - plain object ready for JSON.stringify
+ * Called By:
+ *   - main()
+ ********************************************************/
+function summarize(state, events, core) {
+    const seeds = state.regions.flatMap(r => r.seeds);
+    return {
+        region: state.currentRegion,
+        player: { x: Math.round(state.player.x * 100) / 100, y: Math.round(state.player.y * 100) / 100 },
+        gameTime: Math.round(state.gameTime),
+        seeds: `${seeds.filter(s => s.collected).length}/${seeds.length}`,
+        solved: state.regions.filter(r => r.puzzles.length && r.puzzles.every(p => p.solved)).map(r => r.id),
+        stuck: state.regions.filter(r => core.findDeadCrates(r, state.player).length).map(r => r.id),
+        visited: [...state.visited].sort((a, b) => a - b),
+        won: state.won,
+        events
+    };
+}
+
+/********************************************************
+ * Function Name: readJson
+ * Description:
+ *   Reads and parses a JSON file, exiting with a message
+ *   when it cannot.
+ * Inputs:
+ *   - file: path relative to the working directory
+ * Outputs:
+ *   - parsed value
+ * Called By:
+ *   - main()
+ ********************************************************/
+function readJson(file) {
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (e) {
+        console.error(`${file}: could not be loaded (${e.message})`);
+        process.exit(1);
+    }
+}
+
+/********************************************************
+ * Function Name: solveLevel
+ * Description:
+ *   Builds a level and runs the crate solver on each region
+ *   with a crate puzzle, starting from the tiles the region
+ *   can be entered by (regions with teleporter pads are
+ *   left out, see solveRegionCrates()).
+ * Inputs:
+ *   - level: parsed level JSON
+ *   - core: optional context from loadCore()
+ * Outputs:
+ *   - { errors, regions } where regions lists
+ *     { region, solvable, pushes, explored, path } and path
+ *     reads like "crate 0: (5,4) right"
+ * Called By:
+ *   - main(), other tools
+ ********************************************************/
+function solveLevel(level, core = loadCore()) {
+    const state = core.createSimState();
+    const errors = core.buildWorld(state, level);
+    if (errors.length) return { errors, regions: [] };
+
+    const regions = [];
+    state.regions.forEach((region, id) => {
+        const result = core.solveRegionCrates(region, core.regionEntryTiles(level, id));
+        if (!result) return;
+        regions.push({
+            region: id,
+            solvable: result.solvable,
+            pushes: result.pushes,
+            explored: result.explored,
+            path: result.path.map(p => `crate ${p.crate}: (${p.from.col},${p.from.row}) ${p.dir}`)
+        });
+    });
+    return { errors: [], regions };
+}
+
+/********************************************************
+ * Function Name: saveDocument
+ * Description:
+ *   The save the game would make of a simulation state
+ *   (see buildSavePayload() in game.js), without the slot,
+ *   world seed and save time, which do not come from the
+ *   state.
+ * Inputs:
+ *   - state: simulation state
+ *   - core: context the state was run in
+ * Outputs:
+ *   - save object
+ * Called By:
+ *   - roundTripSave()
+ ********************************************************/
+function saveDocument(state, core) {
+    return {
+        save_version: vm.runInContext('SAVE_VERSION', core), // a const, so not a property of core
+        player_name: state.player.name,
+        region: state.currentRegion,
+        region_name: state.regions[state.currentRegion].name,
+        pos_x: state.player.x,
+        pos_y: state.player.y,
+        game_time: state.gameTime,
+        hints_used: state.hintsUsed,
+        ...core.buildSaveState(state)
+    };
+}
+
+/********************************************************
+ * Function Name: roundTripSave
+ * Description:
+ *   Plays the inputs like runLevel() and checks at the
+ *   start and after every span that save -> load -> save
+ *   gives the same JSON. Loading goes through readSave()
+ *   and restoreSaveState() into a new state built from the
+ *   same level, the way loadGame() in game.js does it.
+ * Inputs:
+ *   - level: parsed level JSON
+ *   - inputs: array of { keys, frames } (already checked)
+ *   - core: optional context from loadCore()
+ * Outputs:
+ *   - { errors, checks } where checks lists
+ *     { after, matches, differs } and differs names the
+ *     save fields that changed (or the reasons the save
+ *     could not be read)
+ * Called By:
+ *   - main(), other tools
+ * Will Call:
+ *   - saveDocument()
+ ********************************************************/
+function roundTripSave(level, inputs = [], core = loadCore()) {
+    const state = core.createSimState();
+    const errors = core.buildWorld(state, level);
+    if (errors.length) return { errors, checks: [] };
+    core.resetToStart(state);
+    core.syncGates(state);
+    const schema = JSON.parse(fs.readFileSync(SAVE_SCHEMA, 'utf8'));
+
+    const checks = [];
+    const check = after => {
+        const first = saveDocument(state, core);
+        const loaded = core.createSimState();
+        core.buildWorld(loaded, level);
+        const { save, errors: readErrors } = core.readSave(JSON.parse(JSON.stringify(first)), loaded.regions, schema);
+        if (!save) {
+            checks.push({ after, matches: false, differs: readErrors });
+            return;
+        }
+        loaded.currentRegion = save.region;
+        loaded.player.x = save.pos_x;
+        loaded.player.y = save.pos_y;
+        loaded.gameTime = save.game_time;
+        loaded.hintsUsed = save.hints_used;
+        core.restoreSaveState(loaded, save);
+
+        const second = saveDocument(loaded, core);
+        const differs = Object.keys(first).filter(k => JSON.stringify(first[k]) !== JSON.stringify(second[k]));
+        checks.push({ after, matches: JSON.stringify(first) === JSON.stringify(second), differs });
+    };
+
+    check('start');
+    inputs.forEach((span, i) => {
+        const input = {};
+        INPUT_KEYS.forEach(k => { input[k] = span.keys.includes(k); });
+        for (let f = 0; f < span.frames; f++) core.step(state, input, STEP_MS);
+        check(`inputs[${i}]`);
+    });
+    return { errors: [], checks };
+}
+
+/********************************************************
+ * Function Name: main
+ * Description:
+ *   Command-line entry point (see usage in the header).
+ ********************************************************/
+function main(args) {
+    const core = loadCore();
+    if (args[0] === '--replay') {
+        if (!args[1]) {
+            console.error('Usage: node tools/headless.js --replay recording.json');
+            process.exit(1);
+        }
+        const result = replayRecording(readJson(args[1]), core);
+        if (result.errors.length) {
+            result.errors.forEach(e => console.error(e));
+            process.exit(1);
+        }
+        console.log(JSON.stringify({ ...summarize(result.state, result.events, core), matchesEnd: result.matchesEnd }, null, 2));
+        if (result.matchesEnd === false) process.exit(1);
+        return;
+    }
+
+    if (args[0] === '--solve') {
+        const result = solveLevel(readJson(args[1] || path.join(ROOT, 'levels/world.json')), core);
+        if (result.errors.length) {
+            result.errors.forEach(e => console.error(e));
+            process.exit(1);
+        }
+        console.log(JSON.stringify(result.regions, null, 2));
+        if (result.regions.some(r => r.solvable !== true)) process.exit(1);
+        return;
+    }
+
+    if (args[0] === '--generate') {
+        const seed = Number(args[1]);
+        if (!Number.isInteger(seed) || seed < 0 || seed > 0xFFFFFFFF) {
+            console.error('Usage: node tools/headless.js --generate seed (0 to 4294967295)');
+            process.exit(1);
+        }
+        const world = core.generateWorld(seed);
+        if (world.errors.length) {
+            world.errors.forEach(e => console.error(e));
+            process.exit(1);
+        }
+        console.log(JSON.stringify(world.data, null, 2));
+        return;
+    }
+
+    const roundTrip = args[0] === '--roundtrip';
+    if (roundTrip) args = args.slice(1);
+    const level = readJson(args[0] || path.join(ROOT, 'levels/world.json'));
+    const inputs = args[1] ? readJson(args[1]) : [];
+
+    const inputErrors = checkInputs(inputs);
+    if (inputErrors.length) {
+        inputErrors.forEach(e => console.error(e));
+        process.exit(1);
+    }
+
+    if (roundTrip) {
+        const result = roundTripSave(level, inputs, core);
+        if (result.errors.length) {
+            result.errors.forEach(e => console.error(e));
+            process.exit(1);
+        }
+        console.log(JSON.stringify(result.checks, null, 2));
+        if (result.checks.some(c => !c.matches)) process.exit(1);
+        return;
+    }
+
+    const { errors, state, events } = runLevel(level, inputs, core);
+    if (errors.length) {
+        errors.forEach(e => console.error(e));
+        process.exit(1);
+    }
+    console.log(JSON.stringify(summarize(state, events, core), null, 2));
+}
+
+if (require.main === module) main(process.argv.slice(2));
+
+module.exports = { loadCore, runLevel, replayRecording, solveLevel, roundTripSave, summarize, checkInputs, STEP_MS };